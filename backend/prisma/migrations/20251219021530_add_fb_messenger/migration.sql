@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Region" ADD COLUMN     "fbPageAccessToken" TEXT,
+ADD COLUMN     "fbPageId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Region_fbPageId_key" ON "Region"("fbPageId");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Region" ADD COLUMN     "webWidgetKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Region_webWidgetKey_key" ON "Region"("webWidgetKey");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN     "blockedAt" TIMESTAMP(3),
+ADD COLUMN     "isBlocked" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "RichMenu" (
+    "id" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "lineRichMenuId" TEXT,
+    "name" TEXT NOT NULL,
+    "chatBarText" TEXT NOT NULL,
+    "size" TEXT NOT NULL DEFAULT 'FULL',
+    "areas" JSONB NOT NULL,
+    "imageUrl" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "minVipLevel" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RichMenu_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RichMenu_lineRichMenuId_key" ON "RichMenu"("lineRichMenuId");
+
+-- CreateIndex
+CREATE INDEX "RichMenu_regionId_idx" ON "RichMenu"("regionId");
+
+-- AddForeignKey
+ALTER TABLE "RichMenu" ADD CONSTRAINT "RichMenu_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "Region"("id") ON DELETE CASCADE ON UPDATE CASCADE;
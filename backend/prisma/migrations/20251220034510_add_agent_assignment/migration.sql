@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "lastAssignedAt" TIMESTAMP(3),
+ADD COLUMN     "maxConcurrentConversations" INTEGER NOT NULL DEFAULT 5;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN     "language" TEXT;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "handlesVip" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "languages" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "skillCategories" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "SlaBreachType" AS ENUM ('QUEUE_WAIT', 'FIRST_RESPONSE', 'AGENT_IDLE');
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "assignedAt" TIMESTAMP(3),
+ADD COLUMN     "firstResponseAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "SlaBreach" (
+    "id" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "agentId" TEXT,
+    "type" "SlaBreachType" NOT NULL,
+    "priority" INTEGER NOT NULL,
+    "timerStartedAt" TIMESTAMP(3) NOT NULL,
+    "targetMinutes" INTEGER NOT NULL,
+    "actualMinutes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SlaBreach_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SlaBreach_regionId_createdAt_idx" ON "SlaBreach"("regionId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SlaBreach_agentId_idx" ON "SlaBreach"("agentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SlaBreach_conversationId_type_timerStartedAt_key" ON "SlaBreach"("conversationId", "type", "timerStartedAt");
+
+-- AddForeignKey
+ALTER TABLE "SlaBreach" ADD CONSTRAINT "SlaBreach_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "CallbackTaskType" AS ENUM ('CALLBACK', 'MESSAGE');
+
+-- CreateEnum
+CREATE TYPE "CallbackTaskStatus" AS ENUM ('PENDING', 'ASSIGNED', 'DONE', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "CallbackTask" (
+    "id" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "type" "CallbackTaskType" NOT NULL,
+    "status" "CallbackTaskStatus" NOT NULL DEFAULT 'PENDING',
+    "phone" TEXT,
+    "message" TEXT,
+    "assignedAgentId" TEXT,
+    "resolutionNote" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CallbackTask_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CallbackTask_regionId_status_idx" ON "CallbackTask"("regionId", "status");
+
+-- CreateIndex
+CREATE INDEX "CallbackTask_assignedAgentId_idx" ON "CallbackTask"("assignedAgentId");
+
+-- CreateIndex
+CREATE INDEX "CallbackTask_conversationId_idx" ON "CallbackTask"("conversationId");
+
+-- AddForeignKey
+ALTER TABLE "CallbackTask" ADD CONSTRAINT "CallbackTask_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "Region"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CallbackTask" ADD CONSTRAINT "CallbackTask_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CallbackTask" ADD CONSTRAINT "CallbackTask_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CallbackTask" ADD CONSTRAINT "CallbackTask_assignedAgentId_fkey" FOREIGN KEY ("assignedAgentId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "ReminderStatus" AS ENUM ('PENDING', 'SENT', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "snoozedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "FollowUpReminder" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "conversationId" TEXT,
+    "note" TEXT NOT NULL,
+    "remindAt" TIMESTAMP(3) NOT NULL,
+    "status" "ReminderStatus" NOT NULL DEFAULT 'PENDING',
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FollowUpReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FollowUpReminder_status_remindAt_idx" ON "FollowUpReminder"("status", "remindAt");
+
+-- CreateIndex
+CREATE INDEX "FollowUpReminder_userId_status_idx" ON "FollowUpReminder"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "FollowUpReminder" ADD CONSTRAINT "FollowUpReminder_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FollowUpReminder" ADD CONSTRAINT "FollowUpReminder_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "CsatSurveyStatus" AS ENUM ('SENT', 'RATED', 'COMPLETED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "CsatSurvey" (
+    "id" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "agentId" TEXT,
+    "status" "CsatSurveyStatus" NOT NULL DEFAULT 'SENT',
+    "rating" INTEGER,
+    "comment" TEXT,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ratedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CsatSurvey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CsatSurvey_regionId_sentAt_idx" ON "CsatSurvey"("regionId", "sentAt");
+
+-- CreateIndex
+CREATE INDEX "CsatSurvey_agentId_sentAt_idx" ON "CsatSurvey"("agentId", "sentAt");
+
+-- CreateIndex
+CREATE INDEX "CsatSurvey_customerId_status_idx" ON "CsatSurvey"("customerId", "status");
+
+-- CreateIndex
+CREATE INDEX "CsatSurvey_conversationId_idx" ON "CsatSurvey"("conversationId");
+
+-- AddForeignKey
+ALTER TABLE "CsatSurvey" ADD CONSTRAINT "CsatSurvey_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "Region"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CsatSurvey" ADD CONSTRAINT "CsatSurvey_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CsatSurvey" ADD CONSTRAINT "CsatSurvey_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CsatSurvey" ADD CONSTRAINT "CsatSurvey_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "FaqEntry" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "regionId" TEXT,
+    "category" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "answer" TEXT NOT NULL,
+    "keywords" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "source" TEXT,
+    "embeddingText" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "latestVersion" INTEGER NOT NULL DEFAULT 1,
+    "publishedVersion" INTEGER,
+    "publishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FaqEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FaqRevision" (
+    "id" TEXT NOT NULL,
+    "faqId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "category" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "answer" TEXT NOT NULL,
+    "keywords" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "source" TEXT,
+    "embeddingText" TEXT,
+    "note" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FaqRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FaqEntry_code_key" ON "FaqEntry"("code");
+
+-- CreateIndex
+CREATE INDEX "FaqEntry_regionId_idx" ON "FaqEntry"("regionId");
+
+-- CreateIndex
+CREATE INDEX "FaqEntry_category_idx" ON "FaqEntry"("category");
+
+-- CreateIndex
+CREATE INDEX "FaqEntry_isActive_idx" ON "FaqEntry"("isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FaqRevision_faqId_version_key" ON "FaqRevision"("faqId", "version");
+
+-- AddForeignKey
+ALTER TABLE "FaqEntry" ADD CONSTRAINT "FaqEntry_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "Region"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FaqRevision" ADD CONSTRAINT "FaqRevision_faqId_fkey" FOREIGN KEY ("faqId") REFERENCES "FaqEntry"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FaqRevision" ADD CONSTRAINT "FaqRevision_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "UnansweredReason" AS ENUM ('NO_MATCH', 'LOW_SCORE', 'HANDOFF');
+
+-- CreateEnum
+CREATE TYPE "UnansweredStatus" AS ENUM ('OPEN', 'RESOLVED', 'IGNORED');
+
+-- CreateTable
+CREATE TABLE "UnansweredQuery" (
+    "id" TEXT NOT NULL,
+    "regionId" TEXT,
+    "conversationId" TEXT,
+    "message" TEXT NOT NULL,
+    "intent" TEXT,
+    "reason" "UnansweredReason" NOT NULL,
+    "topFaqCode" TEXT,
+    "topScore" DOUBLE PRECISION,
+    "status" "UnansweredStatus" NOT NULL DEFAULT 'OPEN',
+    "faqEntryId" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UnansweredQuery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UnansweredQuery_regionId_status_createdAt_idx" ON "UnansweredQuery"("regionId", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "UnansweredQuery_conversationId_idx" ON "UnansweredQuery"("conversationId");
+
+-- AddForeignKey
+ALTER TABLE "UnansweredQuery" ADD CONSTRAINT "UnansweredQuery_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "Region"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UnansweredQuery" ADD CONSTRAINT "UnansweredQuery_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UnansweredQuery" ADD CONSTRAINT "UnansweredQuery_faqEntryId_fkey" FOREIGN KEY ("faqEntryId") REFERENCES "FaqEntry"("id") ON DELETE SET NULL ON UPDATE CASCADE;
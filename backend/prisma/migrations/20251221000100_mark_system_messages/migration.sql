@@ -0,0 +1,10 @@
+-- 既有的系統紀錄（結束摘要、轉接、自動分派、主管接手、重新開啟）改為 SYSTEM，不再出現在客戶可見的訊息中
+-- 新的列舉值需在前一個 migration 提交後才能使用
+UPDATE "Message"
+SET "contentType" = 'SYSTEM'
+WHERE "senderType" = 'BOT'
+  AND "contentType" = 'TEXT'
+  AND (
+    "metadata"->>'type' IN ('CLOSE', 'TRANSFER', 'ASSIGNMENT')
+    OR "metadata"->>'action' IN ('BARGE_IN', 'REOPEN')
+  );
@@ -0,0 +1,299 @@
+/**
+ * 金龍永盛 AI 客服 - 官網聊天元件
+ *
+ * 使用方式（嵌入程式碼可於管理後台「區域設定」取得）：
+ * <script src="https://<服務網址>/widget/chat-widget.js"
+ *         data-widget-key="wk_xxx"
+ *         data-api-base="https://<服務網址>" async></script>
+ *
+ * - 訪客訊息透過 /api/web-chat REST API 發送，AI 回覆直接隨回應返回
+ * - 客服回覆透過 socket.io /web-chat 命名空間即時推送
+ * - socket 無法連線時，改以輪詢方式取得新訊息
+ */
+(function () {
+  'use strict';
+
+  var script = document.currentScript;
+  if (!script) return;
+
+  var WIDGET_KEY = script.getAttribute('data-widget-key');
+  var API_BASE = (script.getAttribute('data-api-base') || new URL(script.src).origin).replace(/\/$/, '');
+  var TITLE = script.getAttribute('data-title') || '金龍旅遊線上客服';
+  var STORAGE_KEY = 'gd-web-chat:' + WIDGET_KEY;
+  var POLL_INTERVAL = 10000;
+
+  if (!WIDGET_KEY) {
+    console.error('[金龍客服] 缺少 data-widget-key');
+    return;
+  }
+
+  var state = {
+    token: null,
+    lastMessageAt: null,
+    seenIds: {},
+    socket: null,
+    pollTimer: null,
+    opened: false,
+  };
+
+  // ============ 樣式 ============
+
+  var css = [
+    '.gdc-launcher{position:fixed;right:24px;bottom:24px;width:56px;height:56px;border-radius:50%;background:#c8102e;color:#fff;border:none;font-size:24px;cursor:pointer;box-shadow:0 4px 12px rgba(0,0,0,.2);z-index:2147483000}',
+    '.gdc-panel{position:fixed;right:24px;bottom:92px;width:340px;max-width:calc(100vw - 48px);height:480px;max-height:calc(100vh - 120px);background:#fff;border-radius:12px;box-shadow:0 8px 24px rgba(0,0,0,.2);display:none;flex-direction:column;overflow:hidden;font-family:-apple-system,"PingFang TC","Microsoft JhengHei",sans-serif;z-index:2147483000}',
+    '.gdc-panel.gdc-open{display:flex}',
+    '.gdc-header{background:#c8102e;color:#fff;padding:12px 16px;font-weight:600}',
+    '.gdc-body{flex:1;overflow-y:auto;padding:12px;background:#f7f7f8}',
+    '.gdc-msg{max-width:80%;margin:6px 0;padding:8px 12px;border-radius:12px;white-space:pre-wrap;word-break:break-word;font-size:14px;line-height:1.5}',
+    '.gdc-msg-customer{margin-left:auto;background:#c8102e;color:#fff;border-bottom-right-radius:4px}',
+    '.gdc-msg-bot,.gdc-msg-agent{margin-right:auto;background:#fff;color:#222;border:1px solid #e5e5e5;border-bottom-left-radius:4px}',
+    '.gdc-sender{font-size:12px;color:#888;margin:8px 0 -2px}',
+    '.gdc-quick{display:flex;flex-wrap:wrap;gap:6px;margin:4px 0 8px}',
+    '.gdc-quick button{border:1px solid #c8102e;background:#fff;color:#c8102e;border-radius:14px;padding:4px 10px;font-size:13px;cursor:pointer}',
+    '.gdc-footer{display:flex;border-top:1px solid #eee}',
+    '.gdc-footer input{flex:1;border:none;padding:12px;font-size:14px;outline:none}',
+    '.gdc-footer button{border:none;background:none;color:#c8102e;font-weight:600;padding:0 16px;cursor:pointer}',
+  ].join('');
+
+  // ============ DOM ============
+
+  var style = document.createElement('style');
+  style.textContent = css;
+  document.head.appendChild(style);
+
+  var launcher = document.createElement('button');
+  launcher.className = 'gdc-launcher';
+  launcher.setAttribute('aria-label', TITLE);
+  launcher.textContent = '💬';
+
+  var panel = document.createElement('div');
+  panel.className = 'gdc-panel';
+  panel.innerHTML =
+    '<div class="gdc-header"></div>' +
+    '<div class="gdc-body"></div>' +
+    '<form class="gdc-footer"><input type="text" placeholder="請輸入訊息…" maxlength="2000" /><button type="submit">送出</button></form>';
+  panel.querySelector('.gdc-header').textContent = TITLE;
+
+  var body = panel.querySelector('.gdc-body');
+  var form = panel.querySelector('form');
+  var input = panel.querySelector('input');
+
+  document.body.appendChild(panel);
+  document.body.appendChild(launcher);
+
+  // ============ 訊息顯示 ============
+
+  function scrollToBottom() {
+    body.scrollTop = body.scrollHeight;
+  }
+
+  function renderQuickReplies(options) {
+    if (!options || options.length === 0) return;
+    var wrap = document.createElement('div');
+    wrap.className = 'gdc-quick';
+    options.forEach(function (option) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = option;
+      btn.onclick = function () {
+        wrap.remove();
+        sendMessage(option);
+      };
+      wrap.appendChild(btn);
+    });
+    body.appendChild(wrap);
+  }
+
+  function renderMessage(message) {
+    if (message.id) {
+      if (state.seenIds[message.id]) return false;
+      state.seenIds[message.id] = true;
+    }
+    if (message.createdAt) {
+      state.lastMessageAt = message.createdAt;
+    }
+
+    var type = (message.senderType || 'BOT').toLowerCase();
+
+    if (type === 'agent' && message.senderName) {
+      var sender = document.createElement('div');
+      sender.className = 'gdc-sender';
+      sender.textContent = '客服 ' + message.senderName;
+      body.appendChild(sender);
+    }
+
+    var el = document.createElement('div');
+    el.className = 'gdc-msg gdc-msg-' + type;
+
+    if (message.contentType === 'IMAGE' && message.fileUrl) {
+      var img = document.createElement('img');
+      img.src = message.fileUrl;
+      img.alt = message.fileName || '圖片';
+      img.style.maxWidth = '100%';
+      el.appendChild(img);
+    } else if (message.contentType === 'FILE' && message.fileUrl) {
+      var link = document.createElement('a');
+      link.href = message.fileUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = '📎 ' + (message.fileName || '附件');
+      el.appendChild(link);
+    } else {
+      el.textContent = message.content || message.text || '';
+    }
+
+    body.appendChild(el);
+    scrollToBottom();
+    return true;
+  }
+
+  // ============ API ============
+
+  function request(method, path, data) {
+    var headers = { 'Content-Type': 'application/json' };
+    if (state.token) {
+      headers.Authorization = 'Bearer ' + state.token;
+    }
+    return fetch(API_BASE + path, {
+      method: method,
+      headers: headers,
+      body: data ? JSON.stringify(data) : undefined,
+    }).then(function (res) {
+      return res.json();
+    });
+  }
+
+  function startSession() {
+    var saved = null;
+    try {
+      saved = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      // localStorage 不可用時，每次開啟視為新訪客
+    }
+
+    return request('POST', '/api/web-chat/session', {
+      widgetKey: WIDGET_KEY,
+      visitorToken: saved,
+    }).then(function (res) {
+      if (!res.success) throw new Error(res.message);
+      state.token = res.data.visitorToken;
+      try {
+        localStorage.setItem(STORAGE_KEY, state.token);
+      } catch (e) {
+        // 忽略
+      }
+      return res.data;
+    });
+  }
+
+  function loadHistory() {
+    var query = state.lastMessageAt ? '?since=' + encodeURIComponent(state.lastMessageAt) : '';
+    return request('GET', '/api/web-chat/messages' + query).then(function (res) {
+      if (res.success) {
+        res.data.forEach(renderMessage);
+      }
+      return res;
+    });
+  }
+
+  function sendMessage(text) {
+    text = (text || '').trim();
+    if (!text) return;
+
+    renderMessage({ senderType: 'CUSTOMER', content: text });
+
+    request('POST', '/api/web-chat/messages', { text: text })
+      .then(function (res) {
+        if (!res.success) {
+          renderMessage({ senderType: 'BOT', content: res.message || '抱歉，訊息發送失敗，請稍後再試。' });
+          return;
+        }
+        // 已在本地顯示，避免補抓歷史訊息時重複顯示
+        state.seenIds[res.data.messageId] = true;
+        if (res.data.replyMessageId) {
+          state.seenIds[res.data.replyMessageId] = true;
+        }
+        res.data.replies.forEach(function (reply) {
+          renderMessage({ senderType: 'BOT', content: reply.text });
+          renderQuickReplies(reply.quickReplies);
+        });
+      })
+      .catch(function () {
+        renderMessage({ senderType: 'BOT', content: '抱歉，網路連線異常，請稍後再試。' });
+      });
+  }
+
+  // ============ 即時連線 ============
+
+  function startPolling() {
+    if (state.pollTimer) return;
+    state.pollTimer = setInterval(loadHistory, POLL_INTERVAL);
+  }
+
+  function stopPolling() {
+    clearInterval(state.pollTimer);
+    state.pollTimer = null;
+  }
+
+  function connectSocket() {
+    var loader = document.createElement('script');
+    loader.src = API_BASE + '/socket.io/socket.io.js';
+    loader.onload = function () {
+      state.socket = window.io(API_BASE + '/web-chat', {
+        auth: { token: state.token },
+      });
+      state.socket.on('connect', function () {
+        stopPolling();
+        loadHistory(); // 補抓斷線期間的訊息
+      });
+      state.socket.on('disconnect', startPolling);
+      state.socket.on('connect_error', startPolling);
+      state.socket.on('message', function (message) {
+        if (renderMessage(message)) {
+          renderQuickReplies(message.quickReplies);
+        }
+      });
+    };
+    loader.onerror = startPolling;
+    document.head.appendChild(loader);
+  }
+
+  // ============ 初始化 ============
+
+  function open() {
+    panel.classList.add('gdc-open');
+    if (state.opened) return;
+    state.opened = true;
+
+    startSession()
+      .then(function (session) {
+        return loadHistory().then(function (res) {
+          if (res.success && res.data.length === 0) {
+            renderMessage({
+              senderType: 'BOT',
+              content: session.region.welcomeMessage || '您好！我是金龍旅遊 AI 助理，請問有什麼可以幫您的嗎？',
+            });
+          }
+          connectSocket();
+        });
+      })
+      .catch(function () {
+        renderMessage({ senderType: 'BOT', content: '抱歉，客服系統暫時無法連線，請稍後再試。' });
+      });
+  }
+
+  launcher.onclick = function () {
+    if (panel.classList.contains('gdc-open')) {
+      panel.classList.remove('gdc-open');
+    } else {
+      open();
+      input.focus();
+    }
+  };
+
+  form.onsubmit = function (e) {
+    e.preventDefault();
+    sendMessage(input.value);
+    input.value = '';
+  };
+})();
@@ -0,0 +1,63 @@
+/**
+ * Facebook Messenger 渠道
+ * 金龍永盛客服管理後台
+ *
+ * 客服發送的訊息使用 HUMAN_AGENT 標籤，可在用戶最後互動後 7 天內回覆
+ */
+
+import {
+  verifyFbSignature,
+  sendFbMessagesWithRegion,
+  getFbUserProfileWithRegion,
+  toFbMessages,
+} from '../fbHandler.js';
+
+export const fbChannel = {
+  source: 'FB',
+  name: 'FB Messenger',
+
+  /**
+   * 發送訊息
+   * @param {string} psid - 用戶 PSID
+   * @param {Array} messages - 渠道無關的訊息
+   * @param {Object} region - 區域資料
+   * @param {Object} [options] - { humanAgent }
+   */
+  async send(psid, messages, region, options = {}) {
+    return sendFbMessagesWithRegion(psid, toFbMessages(messages), region, {
+      tag: options.humanAgent ? 'HUMAN_AGENT' : undefined,
+    });
+  },
+
+  /**
+   * 取得用戶資料
+   * @returns {Promise<Object|null>} { displayName, pictureUrl }
+   */
+  async getProfile(psid, region) {
+    return getFbUserProfileWithRegion(psid, region);
+  },
+
+  /**
+   * 驗證 Webhook 請求（X-Hub-Signature-256）
+   * 區域依各 entry 的粉絲專頁 ID 決定，此處不返回
+   * @param {import('express').Request} req - 原始請求（body 為 Buffer）
+   * @returns {Promise<Object>} { valid, region }
+   */
+  async verifyInbound(req) {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(JSON.stringify(req.body));
+    return {
+      valid: verifyFbSignature(rawBody, req.headers['x-hub-signature-256']),
+      region: null,
+    };
+  },
+
+  /**
+   * 區域是否已設定粉絲專頁
+   * @param {Object} region - 區域資料
+   */
+  isConfigured(region) {
+    return !!region.fbPageAccessToken;
+  },
+};
+
+export default fbChannel;
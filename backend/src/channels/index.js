@@ -0,0 +1,231 @@
+/**
+ * 渠道註冊表
+ * 金龍永盛客服管理後台
+ *
+ * 所有對客戶的主動發送（客服回覆、歡迎簽名、系統通知、群發）都經由這裡，
+ * 依 Customer.source 找到對應渠道。新增渠道只需實作以下介面並註冊：
+ *
+ * {
+ *   source: 'LINE',                                   // 對應 Customer.source
+ *   name: 'LINE',                                     // 顯示名稱
+ *   send(userId, messages, region, options),          // → { success, error? }
+ *   getProfile(userId, region),                       // → { displayName, pictureUrl } | null
+ *   verifyInbound(req),                               // → { valid, region? }
+ *   isConfigured(region),                             // → 區域是否已設定此渠道
+ * }
+ *
+ * messages 使用渠道無關的格式（見 channels/messages.js）
+ *
+ * 推送一律經由客戶進線的渠道（Customer.regionId 的區域設定）：
+ * 對話跨區域轉接後由其他區域的客服處理，但 LINE / FB 的用戶 ID 只在原本的官方帳號／粉絲專頁有效
+ */
+
+import { lineChannel } from './lineChannel.js';
+import { fbChannel } from './fbChannel.js';
+import { webChannel } from './webChannel.js';
+import { prisma } from '../db.js';
+import {
+  createTextReply,
+  createImageReply,
+  createFileReply,
+  createTemplateReply,
+} from './messages.js';
+
+const channels = new Map();
+
+/**
+ * 發送訊息時需要的區域欄位（查詢對話時可直接用於 select）
+ */
+export const CHANNEL_REGION_SELECT = {
+  id: true,
+  name: true,
+  lineChannelAccessToken: true,
+  fbPageAccessToken: true,
+};
+
+/**
+ * 註冊渠道
+ * @param {Object} channel - 渠道實作
+ */
+export function registerChannel(channel) {
+  channels.set(channel.source, channel);
+}
+
+/**
+ * 取得渠道
+ * @param {string} source - 來源 (LINE | FB | WEB)
+ * @returns {Object|null}
+ */
+export function getChannel(source) {
+  return channels.get(source) || null;
+}
+
+/**
+ * 取得所有已註冊的渠道來源
+ * @returns {string[]}
+ */
+export function getSupportedSources() {
+  return [...channels.keys()];
+}
+
+/**
+ * 取得推送使用的區域（客戶進線的渠道區域）
+ * @param {Object} customer - 客戶資料（含 regionId 時以它為準）
+ * @param {Object} region - 對話所屬區域
+ */
+async function resolveChannelRegion(customer, region) {
+  if (!customer.regionId || customer.regionId === region?.id) {
+    return region;
+  }
+  return prisma.region.findUnique({
+    where: { id: customer.regionId },
+    select: CHANNEL_REGION_SELECT,
+  });
+}
+
+/**
+ * 檢查客戶的渠道是否仍可推送（跨區域轉接前檢查）
+ * @param {Object} customer - 客戶資料 { source, regionId, isBlocked }
+ * @returns {Promise<Object>} { reachable, reason? }
+ */
+export async function checkChannelReachable(customer) {
+  const channel = getChannel(customer.source);
+  if (!channel) {
+    return { reachable: false, reason: `${customer.source} 尚未支援推送` };
+  }
+
+  if (customer.isBlocked) {
+    return { reachable: false, reason: '客戶已封鎖或取消追蹤' };
+  }
+
+  const region = await prisma.region.findUnique({
+    where: { id: customer.regionId },
+    select: { ...CHANNEL_REGION_SELECT, isActive: true, webWidgetKey: true },
+  });
+  if (!region || !region.isActive || !channel.isConfigured(region)) {
+    return { reachable: false, reason: `客戶所屬區域的 ${channel.name} 渠道已停用` };
+  }
+
+  return { reachable: true };
+}
+
+/**
+ * 發送訊息給客戶
+ * @param {Object} customer - 客戶資料 { source, sourceUserId, isBlocked, regionId? }
+ * @param {Object} region - 區域資料（需包含 CHANNEL_REGION_SELECT 的欄位）
+ * @param {Array|Object} messages - 渠道無關的訊息
+ * @param {Object} [options]
+ * @param {boolean} [options.humanAgent] - 是否為客服發送（FB 需使用 HUMAN_AGENT 標籤）
+ * @param {Object} [options.record] - 已存入資料庫的訊息記錄
+ * @param {string} [options.senderName] - 發送者名稱
+ * @returns {Promise<Object>} { success, blocked?, error? }
+ */
+export async function sendMessages(customer, region, messages, options = {}) {
+  const channel = getChannel(customer.source);
+
+  if (!channel) {
+    return { success: false, error: `${customer.source} 尚未支援推送` };
+  }
+
+  // 客戶已封鎖/取消追蹤，不再主動推送
+  if (customer.isBlocked) {
+    return { success: false, blocked: true, error: '客戶已封鎖或取消追蹤' };
+  }
+
+  const messageArray = Array.isArray(messages) ? messages : [messages];
+
+  try {
+    const channelRegion = await resolveChannelRegion(customer, region);
+    return await channel.send(customer.sourceUserId, messageArray, channelRegion, options);
+  } catch (error) {
+    console.error(`❌ ${channel.name} 發送訊息失敗:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 發送文字訊息
+ * @param {string} text - 文字內容
+ */
+export async function sendText(customer, region, text, options = {}) {
+  return sendMessages(customer, region, createTextReply(text, options.quickReplies), options);
+}
+
+/**
+ * 發送圖片訊息
+ * @param {string} url - 圖片 URL
+ */
+export async function sendImage(customer, region, url, options = {}) {
+  return sendMessages(customer, region, createImageReply(url), options);
+}
+
+/**
+ * 發送檔案訊息
+ * @param {string} url - 檔案 URL
+ * @param {string} [fileName] - 檔案名稱
+ */
+export async function sendFile(customer, region, url, fileName, options = {}) {
+  return sendMessages(customer, region, createFileReply(url, fileName), options);
+}
+
+/**
+ * 發送按鈕模板訊息
+ * @param {string} text - 訊息內容
+ * @param {Array} actions - 按鈕 [{ label, text }]
+ */
+export async function sendTemplate(customer, region, text, actions, options = {}) {
+  return sendMessages(customer, region, createTemplateReply(text, actions), options);
+}
+
+/**
+ * 取得客戶在渠道上的資料
+ * @param {string} source - 來源
+ * @param {string} userId - 渠道用戶 ID
+ * @param {Object} region - 區域資料
+ */
+export async function getProfile(source, userId, region) {
+  const channel = getChannel(source);
+  return channel ? channel.getProfile(userId, region) : null;
+}
+
+/**
+ * 群發訊息（依序發送，單一失敗不影響其他收件者）
+ * @param {Array} recipients - [{ customer, region }]
+ * @param {Array|Object} messages - 渠道無關的訊息
+ * @param {Object} [options] - 同 sendMessages
+ * @returns {Promise<Object>} { sent, failed, results }
+ */
+export async function broadcast(recipients, messages, options = {}) {
+  const results = [];
+
+  for (const { customer, region } of recipients) {
+    const result = await sendMessages(customer, region, messages, options);
+    results.push({ customerId: customer.id, ...result });
+  }
+
+  return {
+    sent: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    results,
+  };
+}
+
+// 內建渠道
+registerChannel(lineChannel);
+registerChannel(fbChannel);
+registerChannel(webChannel);
+
+export default {
+  CHANNEL_REGION_SELECT,
+  registerChannel,
+  getChannel,
+  getSupportedSources,
+  checkChannelReachable,
+  sendMessages,
+  sendText,
+  sendImage,
+  sendFile,
+  sendTemplate,
+  getProfile,
+  broadcast,
+};
@@ -0,0 +1,92 @@
+/**
+ * LINE 渠道
+ * 金龍永盛客服管理後台
+ *
+ * 以區域的 Channel Access Token 推送訊息（未設定時使用全域配置）
+ */
+
+import {
+  verifySignatureMultiChannel,
+  verifyRegionSignature,
+  pushMessageWithRegion,
+  getUserProfileWithRegion,
+  toLineMessages,
+} from '../lineHandler.js';
+import { getCachedRegion } from '../services/regionCacheService.js';
+
+// Push API 單次最多 5 則訊息
+const MAX_MESSAGES_PER_PUSH = 5;
+
+export const lineChannel = {
+  source: 'LINE',
+  name: 'LINE',
+
+  /**
+   * 推送訊息
+   * @param {string} userId - LINE 用戶 ID
+   * @param {Array} messages - 渠道無關的訊息
+   * @param {Object} region - 區域資料
+   */
+  async send(userId, messages, region) {
+    const lineMessages = toLineMessages(messages);
+
+    for (let i = 0; i < lineMessages.length; i += MAX_MESSAGES_PER_PUSH) {
+      const result = await pushMessageWithRegion(
+        userId,
+        lineMessages.slice(i, i + MAX_MESSAGES_PER_PUSH),
+        region
+      );
+      if (!result.success) {
+        return result;
+      }
+    }
+
+    return { success: true };
+  },
+
+  /**
+   * 取得用戶資料
+   * @returns {Promise<Object|null>} { displayName, pictureUrl, statusMessage }
+   */
+  async getProfile(userId, region) {
+    return getUserProfileWithRegion(userId, region);
+  },
+
+  /**
+   * 驗證 Webhook 請求（X-Line-Signature），並找出對應的區域
+   * - /webhook/line/:regionId：只驗證該區域的 Channel Secret
+   * - /webhook/line：嘗試所有區域（舊版相容）
+   * @param {import('express').Request} req - 原始請求（body 為 Buffer）
+   * @returns {Promise<Object>} { valid, region }
+   */
+  async verifyInbound(req) {
+    const body = Buffer.isBuffer(req.body) ? req.body.toString() : JSON.stringify(req.body);
+    const signature = req.headers['x-line-signature'];
+
+    if (req.params?.regionId) {
+      try {
+        const region = await getCachedRegion(req.params.regionId);
+        if (!region || !region.isActive) {
+          return { valid: false, region: null };
+        }
+        return { valid: verifyRegionSignature(body, signature, region), region };
+      } catch (error) {
+        console.error('❌ 取得區域設定失敗:', error);
+        return { valid: false, region: null };
+      }
+    }
+
+    const region = await verifySignatureMultiChannel(body, signature);
+    return { valid: !!region, region };
+  },
+
+  /**
+   * 區域是否已設定 LINE 官方帳號
+   * @param {Object} region - 區域資料
+   */
+  isConfigured(region) {
+    return !!region.lineChannelAccessToken;
+  },
+};
+
+export default lineChannel;
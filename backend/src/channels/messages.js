@@ -0,0 +1,128 @@
+/**
+ * 渠道無關的訊息格式
+ * 金龍永盛客服管理後台
+ *
+ * 各渠道（LINE / FB / WEB）的轉換器會把這些訊息轉成自己的原生格式：
+ * - { type: 'text', text, quickReplies }
+ * - { type: 'image', url, previewUrl }
+ * - { type: 'file', url, fileName }
+ * - { type: 'template', text, actions: [{ label, text }] }
+ * - { type: 'card', card, data, text, actions: [{ label, text, data?, uri? }] }
+ */
+
+/**
+ * 建立文字訊息
+ * @param {string} text - 文字內容
+ * @param {string[]} [quickReplies] - 快速回覆選項
+ */
+export function createTextReply(text, quickReplies = []) {
+  return {
+    type: 'text',
+    text,
+    quickReplies,
+  };
+}
+
+/**
+ * 建立圖片訊息
+ * @param {string} url - 圖片 URL（LINE 要求 HTTPS）
+ * @param {string} [previewUrl] - 預覽圖 URL（預設使用原圖）
+ */
+export function createImageReply(url, previewUrl = null) {
+  return {
+    type: 'image',
+    url,
+    previewUrl: previewUrl || url,
+  };
+}
+
+/**
+ * 建立檔案訊息
+ * @param {string} url - 檔案 URL
+ * @param {string} [fileName] - 檔案名稱
+ */
+export function createFileReply(url, fileName = null) {
+  return {
+    type: 'file',
+    url,
+    fileName,
+  };
+}
+
+/**
+ * 建立按鈕模板訊息（不支援模板的渠道會降級為快速回覆）
+ * @param {string} text - 訊息內容
+ * @param {Array} actions - 按鈕 [{ label, text }]
+ */
+export function createTemplateReply(text, actions) {
+  return {
+    type: 'template',
+    text,
+    actions,
+  };
+}
+
+/**
+ * 建立卡片訊息（LINE 以 Flex Message 呈現，其他渠道降級為文字 + 快速回覆）
+ * @param {string} card - 卡片類型 (FLIGHT_QUOTE | BOOKING_SUMMARY | PAYMENT_LINK | FAQ_ANSWER | CSAT_SURVEY)
+ * @param {Object} data - 卡片內容
+ * @param {string} text - 降級顯示的文字（也作為 LINE altText 及訊息記錄）
+ * @param {Array} [actions] - 按鈕 [{ label, text, data?, uri? }]
+ */
+export function createCardReply(card, data, text, actions = []) {
+  return {
+    type: 'card',
+    card,
+    data,
+    text,
+    actions,
+  };
+}
+
+/**
+ * 將卡片訊息降級為文字訊息（供不支援卡片的渠道使用）
+ * 連結（卡片連結及連結按鈕）附在文字後方，其餘按鈕轉為快速回覆
+ * @param {Object} reply - 卡片訊息
+ */
+export function cardToTextReply(reply) {
+  const actions = reply.actions || [];
+  const links = actions
+    .filter(action => action.uri)
+    .map(action => `${action.label}：${action.uri}`);
+
+  // 卡片本身的連結（如付款連結卡）
+  if (reply.data?.url) {
+    links.unshift(`🔗 ${reply.data.url}`);
+  }
+
+  const text = links.length > 0 ? `${reply.text}\n\n${links.join('\n')}` : reply.text;
+
+  return createTextReply(
+    text,
+    actions.filter(action => !action.uri).map(action => action.text || action.label)
+  );
+}
+
+/**
+ * 將資料庫訊息記錄轉換為渠道無關的訊息
+ * @param {Object} message - { contentType, content, fileUrl, fileName }
+ */
+export function fromStoredMessage({ contentType, content, fileUrl, fileName }) {
+  if (contentType === 'IMAGE' && fileUrl) {
+    return createImageReply(fileUrl);
+  }
+  if (contentType === 'FILE' && fileUrl) {
+    return createFileReply(fileUrl, fileName);
+  }
+  return createTextReply(content);
+}
+
+export default {
+  createTextReply,
+  createImageReply,
+  createFileReply,
+  createTemplateReply,
+  createCardReply,
+  cardToTextReply,
+  fromStoredMessage,
+};
@@ -0,0 +1,107 @@
+/**
+ * 官網聊天渠道
+ * 金龍永盛客服管理後台
+ *
+ * 訊息透過 socket.io 推送給網站訪客；訪客離線時可於重新連線後從歷史訊息取得
+ */
+
+import { sendWebMessage, verifyVisitorToken } from '../services/webChatService.js';
+import { cardToTextReply } from './messages.js';
+
+/**
+ * 將渠道無關的訊息轉換為聊天元件的訊息格式
+ * @param {Object} reply - 渠道無關的訊息
+ */
+function toWebMessage(reply) {
+  switch (reply.type) {
+    case 'image':
+      return { contentType: 'IMAGE', content: reply.url, fileUrl: reply.url };
+    case 'file':
+      return {
+        contentType: 'FILE',
+        content: reply.fileName || reply.url,
+        fileUrl: reply.url,
+        fileName: reply.fileName,
+      };
+    case 'template':
+      return {
+        contentType: 'TEXT',
+        content: reply.text,
+        quickReplies: reply.actions.map(action => action.text),
+      };
+    case 'card':
+      return toWebMessage(cardToTextReply(reply));
+    default:
+      return {
+        contentType: 'TEXT',
+        content: reply.text,
+        quickReplies: reply.quickReplies || [],
+      };
+  }
+}
+
+export const webChannel = {
+  source: 'WEB',
+  name: '官網聊天',
+
+  /**
+   * 推送訊息
+   * @param {string} visitorId - 訪客 ID
+   * @param {Array} messages - 渠道無關的訊息
+   * @param {Object} region - 區域資料
+   * @param {Object} [options] - { record, senderName }
+   *   record 為已存入資料庫的訊息（提供 id 讓聊天元件去重）
+   */
+  async send(visitorId, messages, region, options = {}) {
+    const { record, senderName } = options;
+    let delivered = false;
+
+    for (const [index, reply] of messages.entries()) {
+      const result = await sendWebMessage(visitorId, {
+        ...toWebMessage(reply),
+        // 一筆記錄對應多則訊息時，只有第一則帶 id
+        id: index === 0 ? record?.id : undefined,
+        senderType: record?.senderType || 'AGENT',
+        senderName: senderName || null,
+        createdAt: record?.createdAt || new Date().toISOString(),
+      }, region);
+
+      if (!result.success) {
+        return result;
+      }
+      delivered = delivered || result.delivered;
+    }
+
+    return { success: true, delivered };
+  },
+
+  /**
+   * 網站訪客的顯示名稱於建立 Session 時設定，無外部資料可取
+   */
+  async getProfile() {
+    return null;
+  },
+
+  /**
+   * 驗證訪客請求（Bearer 訪客 Token）
+   * @param {import('express').Request} req
+   * @returns {Promise<Object>} { valid, visitor }
+   */
+  async verifyInbound(req) {
+    const authHeader = req.headers.authorization || '';
+    const visitor = authHeader.startsWith('Bearer ')
+      ? verifyVisitorToken(authHeader.substring(7))
+      : null;
+    return { valid: !!visitor, visitor };
+  },
+
+  /**
+   * 區域是否已啟用官網聊天元件
+   * @param {Object} region - 區域資料
+   */
+  isConfigured(region) {
+    return !!region.webWidgetKey;
+  },
+};
+
+export default webChannel;
@@ -4,11 +4,28 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * 解析 0-1 的比例設定（明確設定的 0 有效；未設定或無效時使用預設值；超出範圍時限制在 0-1）
+ * @param {string} [value] - 環境變數的值
+ * @param {number} defaultValue - 預設值
+ * @returns {number}
+ */
+export function parseRatio(value, defaultValue) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : defaultValue;
+}
+
 export const config = {
+  // LLM 供應商（gemini | offline），未設定時有 GEMINI_API_KEY 就使用 Gemini，否則使用離線供應商
+  llm: {
+    provider: process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'offline'),
+  },
+
   // Gemini API 配置
   gemini: {
     apiKey: process.env.GEMINI_API_KEY,
-    model: 'gemini-2.0-flash',  // Gemini 2.0 Flash（免費版可用）
+    model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',  // Gemini 2.0 Flash（免費版可用）
+    fastModel: process.env.GEMINI_FAST_MODEL || 'gemini-2.0-flash-exp',  // 改寫等需要快速回應的功能
   },
 
   // LINE Messaging API 配置（預設區域）
@@ -18,6 +35,19 @@ export const config = {
     channelId: process.env.LINE_CHANNEL_ID || 'default',
   },
 
+  // Facebook Messenger 配置（預設粉絲專頁）
+  fb: {
+    appSecret: process.env.FB_APP_SECRET,
+    verifyToken: process.env.FB_VERIFY_TOKEN,
+    pageAccessToken: process.env.FB_PAGE_ACCESS_TOKEN,
+    graphApiVersion: process.env.FB_GRAPH_API_VERSION || 'v19.0',
+  },
+
+  // 官網聊天元件（WEB 渠道）配置
+  webChat: {
+    visitorTokenExpiresIn: process.env.WEB_CHAT_TOKEN_EXPIRES_IN || '30d',
+  },
+
   // 服務配置
   server: {
     port: process.env.PORT || 3001,
@@ -50,7 +80,11 @@ export const config = {
 
   // FAQ 配置
   faq: {
-    similarityThreshold: 0.7,  // 相似度閾值
+    // 相似度閾值（0-1）：原本的 0.7 並未被舊的關鍵字檢索使用；改用 BM25 + 向量分數後，
+    // 正確的 FAQ 約為 0.46-0.9、無關的查詢接近 0，0.7 會讓測試問題只剩 3/19 找得到 FAQ，故預設為 0.3
+    similarityThreshold: parseRatio(process.env.FAQ_SIMILARITY_THRESHOLD, 0.3),
+    vectorWeight: parseRatio(process.env.FAQ_VECTOR_WEIGHT, 0.3),                // 向量相似度權重（0 為只用 BM25）
+    lowScoreThreshold: parseRatio(process.env.FAQ_LOW_SCORE_THRESHOLD, 0.45),    // 最佳 FAQ 低於此分數時記錄為 FAQ 缺口
     maxResults: 3,             // 最多返回幾個相關 FAQ
   },
 
@@ -227,8 +227,8 @@ export function extractDestinations(text) {
     }
   }
 
-  // 常見國家/城市（沒有代碼的）
-  const commonPlaces = ['泰國', '日本', '韓國', '新加坡', '馬來西亞', '越南', '菲律賓', '印度', '歐洲', '美國'];
+  // 常見國家/城市（沒有代碼或有多個機場的）
+  const commonPlaces = ['東京', '首爾', '上海', '泰國', '日本', '韓國', '新加坡', '馬來西亞', '越南', '菲律賓', '印度', '歐洲', '美國'];
   for (const place of commonPlaces) {
     if (text.includes(place)) {
       destinations.push({
@@ -1,45 +1,39 @@
 /**
  * 金龍永盛 AI 客服系統 - FAQ 檢索模組
  *
- * 使用簡易的關鍵字匹配 + 語意相似度計算
- * 未來可升級為向量資料庫（Pinecone）
+ * 以 BM25 + 本機向量相似度檢索（見 faqSearchEngine.js），
+ * 分數低於 config.faq.similarityThreshold 的 FAQ 不列入結果
+ *
+ * FAQ 資料來源：
+ * - 資料庫（services/faqService.js）：已發布的 FAQ，修改後以 setFAQData 即時更新索引
+ * - data/faq_knowledge_base.csv：資料庫未連接時（本機測試）使用，也是資料庫的初始資料
  */
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { buildSearchIndex, scoreQuery } from './faqSearchEngine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const FAQ_CSV_PATH = path.join(__dirname, '../data/faq_knowledge_base.csv');
+
+// CSV 欄位（匯入匯出皆使用此格式）
+export const FAQ_CSV_HEADER = ['id', 'category', 'question', 'answer', 'keywords', 'source', 'embedding_text'];
+
 // FAQ 資料結構
+// { id（FAQ 編號）, category, question, answer, keywords[], source, embeddingText, regionId }
 let faqData = [];
+let searchIndex = null;
 
 /**
- * 載入 FAQ 資料
+ * 載入 FAQ 資料（CSV 檔）
  */
 export async function loadFAQData() {
-  const faqPath = path.join(__dirname, '../data/faq_knowledge_base.csv');
-
   try {
-    const csvContent = fs.readFileSync(faqPath, 'utf-8');
-
-    // 使用更強健的 CSV 解析（處理多行引號字段）
-    const rows = parseCSVContent(csvContent);
-
-    faqData = [];
-    // 跳過標題行
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (row.length >= 5 && row[0]) {
-        faqData.push({
-          id: row[0],
-          category: row[1],
-          question: row[2],
-          answer: row[3],
-          keywords: row[4] ? row[4].split(' ') : [],
-        });
-      }
-    }
+    const csvContent = fs.readFileSync(FAQ_CSV_PATH, 'utf-8');
+    setFAQData(parseFAQCsv(csvContent).map(({ line, ...faq }) => faq));
 
     console.log(`✅ 已載入 ${faqData.length} 筆 FAQ 資料`);
     return faqData;
@@ -49,19 +43,88 @@ export async function loadFAQData() {
   }
 }
 
+/**
+ * 替換 FAQ 資料並重建檢索索引
+ * @param {Array} faqs - FAQ 列表
+ */
+export function setFAQData(faqs) {
+  faqData = faqs;
+  searchIndex = buildSearchIndex(faqData);
+}
+
+/**
+ * 解析 FAQ CSV
+ * @param {string} content - CSV 內容（第一行為標題）
+ * @returns {Array} FAQ 列表（每筆附 line：資料所在的列數，供匯入時回報錯誤）
+ */
+export function parseFAQCsv(content) {
+  // 使用更強健的 CSV 解析（處理多行引號字段）
+  const rows = parseCSVContent(content.replace(/^\uFEFF/, ''));
+
+  const faqs = [];
+  // 跳過標題行
+  for (let i = 1; i < rows.length; i++) {
+    const { fields: row, line } = rows[i];
+    if (row.length >= 5 && row[0]) {
+      faqs.push({
+        id: row[0],
+        category: row[1],
+        question: row[2],
+        answer: row[3],
+        keywords: row[4] ? row[4].split(' ').filter(Boolean) : [],
+        source: row[5] || null,
+        embeddingText: row[6] || null,
+        line,
+      });
+    }
+  }
+  return faqs;
+}
+
+/**
+ * 輸出 FAQ CSV（與 data/faq_knowledge_base.csv 相同格式）
+ * @param {Array} faqs - FAQ 列表
+ * @returns {string} CSV 內容
+ */
+export function formatFAQCsv(faqs) {
+  const escape = value => {
+    const text = value ?? '';
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = faqs.map(faq => [
+    faq.id,
+    faq.category,
+    faq.question,
+    faq.answer,
+    faq.keywords.join(' '),
+    faq.source,
+    faq.embeddingText,
+  ].map(escape).join(','));
+
+  return [FAQ_CSV_HEADER.join(','), ...rows].join('\n') + '\n';
+}
+
 /**
  * 解析完整 CSV 內容（處理多行引號字段）
+ * @returns {Array} [{ fields, line }]，line 為該列開始的行數（略過的空白列及引號內的換行都計入）
  */
 function parseCSVContent(content) {
   const rows = [];
   let currentRow = [];
   let currentField = '';
   let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
 
   for (let i = 0; i < content.length; i++) {
     const char = content[i];
     const nextChar = content[i + 1];
 
+    if (char === '\n') {
+      line++;
+    }
+
     if (inQuotes) {
       if (char === '"' && nextChar === '"') {
         // 轉義的引號
@@ -81,13 +144,17 @@ function parseCSVContent(content) {
         currentRow.push(currentField.trim());
         currentField = '';
       } else if (char === '\n' || (char === '\r' && nextChar === '\n')) {
-        if (char === '\r') i++; // 跳過 \r
+        if (char === '\r') {
+          i++; // 跳過 \r
+          line++;
+        }
         currentRow.push(currentField.trim());
         if (currentRow.some(f => f)) {
-          rows.push(currentRow);
+          rows.push({ fields: currentRow, line: rowLine });
         }
         currentRow = [];
         currentField = '';
+        rowLine = line;
       } else if (char !== '\r') {
         currentField += char;
       }
@@ -98,7 +165,7 @@ function parseCSVContent(content) {
   if (currentField || currentRow.length > 0) {
     currentRow.push(currentField.trim());
     if (currentRow.some(f => f)) {
-      rows.push(currentRow);
+      rows.push({ fields: currentRow, line: rowLine });
     }
   }
 
@@ -130,89 +197,66 @@ function parseCSVLine(line) {
   return result;
 }
 
+/**
+ * 是否適用於區域（未指定區域時不過濾）
+ */
+function inRegion(faq, regionId) {
+  return !regionId || !faq.regionId || faq.regionId === regionId;
+}
+
 /**
  * 搜尋相關 FAQ
  * @param {string} query - 用戶查詢
  * @param {number} maxResults - 最多返回幾筆
- * @returns {Array} 相關 FAQ 列表
+ * @param {Object} [options]
+ * @param {string} [options.regionId] - 區域 ID（只列出全域及該區域的 FAQ）
+ * @returns {Array} 相關 FAQ 列表（含 score，0-1）
  */
-export function searchFAQ(query, maxResults = 3) {
-  if (faqData.length === 0) {
+export function searchFAQ(query, maxResults = 3, { regionId = null } = {}) {
+  if (!searchIndex || faqData.length === 0) {
     console.warn('⚠️ FAQ 資料尚未載入');
     return [];
   }
 
-  const queryLower = query.toLowerCase();
-  const queryKeywords = extractKeywords(query);
-
-  // 計算每個 FAQ 的相關性分數
-  const scored = faqData.map(faq => {
-    let score = 0;
-
-    // 1. 問題完全匹配
-    if (faq.question.toLowerCase().includes(queryLower)) {
-      score += 10;
-    }
-
-    // 2. 關鍵字匹配
-    faq.keywords.forEach(keyword => {
-      if (queryLower.includes(keyword.toLowerCase())) {
-        score += 3;
-      }
-    });
-
-    // 3. 查詢關鍵字在問題中出現
-    queryKeywords.forEach(keyword => {
-      if (faq.question.toLowerCase().includes(keyword)) {
-        score += 2;
-      }
-      if (faq.answer.toLowerCase().includes(keyword)) {
-        score += 1;
-      }
-    });
-
-    // 4. 類別匹配
-    const categoryKeywords = {
-      '機票服務': ['機票', '訂票', '改票', '退票', '開票', '航班'],
-      '簽證護照': ['簽證', '護照', '台胞證', '免簽', '入境'],
-      '付款收據': ['付款', '刷卡', '收據', '發票', '統編'],
-      '旅遊安全': ['旅遊警示', '紅色', '危險', '安全', '緊急'],
-      '服務資訊': ['服務時間', '營業', '聯絡', '電話'],
-    };
-
-    for (const [category, keywords] of Object.entries(categoryKeywords)) {
-      if (faq.category === category) {
-        keywords.forEach(kw => {
-          if (queryLower.includes(kw)) {
-            score += 2;
-          }
-        });
-      }
-    }
-
-    return { ...faq, score };
-  });
+  const { results } = scoreQuery(searchIndex, query, { vectorWeight: config.faq.vectorWeight });
 
-  // 排序並返回前 N 筆
-  return scored
-    .filter(faq => faq.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, maxResults);
+  return results
+    .filter(result => result.score >= config.faq.similarityThreshold && inRegion(result.faq, regionId))
+    .slice(0, maxResults)
+    .map(result => ({ ...result.faq, score: result.score }));
 }
 
 /**
- * 從查詢中提取關鍵字
+ * 說明查詢的評分細節（除錯用）
+ * @param {string} query - 用戶查詢
+ * @param {number} maxResults - 最多列出幾筆（不論是否達到閾值）
+ * @param {Object} [options]
+ * @param {string} [options.regionId] - 區域 ID
+ * @returns {Object} { query, tokens, threshold, vectorWeight, results }
  */
-function extractKeywords(query) {
-  // 常見停用詞
-  const stopWords = ['的', '是', '在', '有', '嗎', '呢', '啊', '要', '我', '你', '可以', '請問', '想', '怎麼', '什麼', '多少'];
-
-  // 移除標點符號並分詞
-  const cleaned = query.replace(/[，。？！、：；""''（）【】]/g, ' ');
-  const words = cleaned.split(/\s+/).filter(w => w.length > 0);
+export function explainSearch(query, maxResults = 10, { regionId = null } = {}) {
+  if (!searchIndex) {
+    return null;
+  }
 
-  // 過濾停用詞
-  return words.filter(w => !stopWords.includes(w) && w.length > 1);
+  const { tokens, results } = scoreQuery(searchIndex, query, { vectorWeight: config.faq.vectorWeight });
+
+  return {
+    query,
+    tokens,
+    threshold: config.faq.similarityThreshold,
+    vectorWeight: config.faq.vectorWeight,
+    results: results
+      .filter(result => inRegion(result.faq, regionId))
+      .slice(0, maxResults)
+      .map(({ faq, ...scores }) => ({
+        id: faq.id,
+        category: faq.category,
+        question: faq.question,
+        ...scores,
+        matched: scores.score >= config.faq.similarityThreshold,
+      })),
+  };
 }
 
 /**
@@ -248,8 +292,14 @@ export function getFAQByCategory(category) {
 }
 
 export default {
+  FAQ_CSV_PATH,
+  FAQ_CSV_HEADER,
   loadFAQData,
+  setFAQData,
+  parseFAQCsv,
+  formatFAQCsv,
   searchFAQ,
+  explainSearch,
   formatFAQContext,
   getCategories,
   getFAQByCategory,
@@ -0,0 +1,275 @@
+/**
+ * 金龍永盛 AI 客服系統 - FAQ 檢索引擎
+ *
+ * 中文沒有空白分詞，以下列方式切詞：
+ * - 中文：相鄰兩字（bigram），再加上 FAQ 關鍵字詞典中三字以上的詞（如：台胞證、旅遊警示）
+ * - 英文、數字：以連續的英數字為一詞
+ *
+ * 評分：
+ * - BM25：比對問題、關鍵字、分類及答案（各欄位有不同權重）
+ * - 向量相似度（可選）：以 embedding_text 在本機計算 TF-IDF 向量，取與查詢的餘弦相似度
+ *
+ * 兩者皆正規化為 0-1，依 vectorWeight 加權為最終分數
+ */
+
+// BM25 參數
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 各欄位權重（問題最能代表 FAQ，答案內容較長、雜訊較多）
+const FIELD_WEIGHTS = {
+  question: 3,
+  keywords: 2,
+  category: 1,
+  answer: 1,
+};
+
+// 不具意義的虛詞：兩個字都是虛詞的 bigram 不列入（如：請問、一下、你們）
+const STOP_CHARS = new Set([
+  '的', '是', '在', '有', '嗎', '呢', '啊', '吧', '了', '喔', '哦', '呀',
+  '我', '你', '您', '他', '們', '請', '問', '一', '下', '個', '這', '那', '和', '跟', '也', '就', '都',
+]);
+
+/**
+ * 正規化文字（全形轉半形、英文轉小寫）
+ */
+function normalize(text) {
+  return (text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 是否為中日韓文字
+ */
+function isCJK(char) {
+  return /[\u3400-\u9fff\uf900-\ufaff]/.test(char);
+}
+
+/**
+ * 切詞
+ * @param {string} text - 文字
+ * @param {Set<string>} [dictionary] - 詞典（三字以上的詞會另外加入）
+ * @returns {string[]} 詞列表（可重複）
+ */
+export function tokenize(text, dictionary = null) {
+  const tokens = [];
+  const runs = normalize(text).match(/[\u3400-\u9fff\uf900-\ufaff]+|[a-z0-9]+/g) || [];
+
+  for (const run of runs) {
+    if (!isCJK(run[0])) {
+      tokens.push(run);
+      continue;
+    }
+
+    if (run.length === 1) {
+      if (!STOP_CHARS.has(run)) {
+        tokens.push(run);
+      }
+      continue;
+    }
+
+    for (let i = 0; i < run.length - 1; i++) {
+      const bigram = run.slice(i, i + 2);
+      if (!STOP_CHARS.has(bigram[0]) || !STOP_CHARS.has(bigram[1])) {
+        tokens.push(bigram);
+      }
+    }
+
+    // 雙字詞已包含在 bigram 中，只需補上較長的詞
+    if (dictionary) {
+      for (const word of dictionary) {
+        if (word.length > 2 && run.includes(word)) {
+          tokens.push(word);
+        }
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 計算詞頻
+ * @param {string[]} tokens - 詞列表
+ * @returns {Map<string, number>}
+ */
+function countTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * 逆文件頻率（BM25 版本，永遠為正值）
+ */
+function inverseDocumentFrequency(docCount, docFrequency) {
+  return Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+}
+
+/**
+ * 計算 TF-IDF 向量
+ * @param {Map<string, number>} termCounts - 詞頻
+ * @param {Map<string, number>} idf - 逆文件頻率
+ * @returns {Object} { weights: Map, norm }
+ */
+function buildVector(termCounts, idf) {
+  const weights = new Map();
+  let sum = 0;
+  for (const [term, count] of termCounts) {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    if (weight > 0) {
+      weights.set(term, weight);
+      sum += weight * weight;
+    }
+  }
+  return { weights, norm: Math.sqrt(sum) };
+}
+
+/**
+ * 餘弦相似度
+ * @param {Object} a - 向量 { weights, norm }
+ * @param {Object} b - 向量 { weights, norm }
+ * @returns {number} 0-1
+ */
+export function cosineSimilarity(a, b) {
+  if (a.norm === 0 || b.norm === 0) {
+    return 0;
+  }
+  let dot = 0;
+  for (const [term, weight] of a.weights) {
+    dot += weight * (b.weights.get(term) || 0);
+  }
+  return dot / (a.norm * b.norm);
+}
+
+/**
+ * 計算一組文字的 TF-IDF 向量（IDF 以這組文字計算，用於文字間的相似度比較，如：問題分群）
+ * @param {string[]} texts - 文字列表
+ * @returns {Array<Object>} 向量列表 { weights, norm }，順序與 texts 相同
+ */
+export function buildTextVectors(texts) {
+  const termCounts = texts.map(text => countTerms(tokenize(text)));
+
+  const frequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      frequency.set(term, (frequency.get(term) || 0) + 1);
+    }
+  }
+  const idf = new Map([...frequency].map(([term, df]) => [term, inverseDocumentFrequency(texts.length, df)]));
+
+  return termCounts.map(counts => buildVector(counts, idf));
+}
+
+/**
+ * 建立檢索索引（FAQ 資料變更後需重新建立）
+ * @param {Array} faqs - FAQ 列表 { id, category, question, answer, keywords[], embeddingText }
+ * @returns {Object} 索引
+ */
+export function buildSearchIndex(faqs) {
+  // 關鍵字欄位即為人工整理的詞典
+  const dictionary = new Set(
+    faqs.flatMap(faq => faq.keywords.map(normalize)).filter(word => word.length > 2 && isCJK(word[0]))
+  );
+
+  const documents = faqs.map(faq => {
+    // 欄位加權詞頻（BM25F 的簡化版）
+    const termCounts = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const value = field === 'keywords' ? faq.keywords.join(' ') : faq[field];
+      const tokens = tokenize(value, dictionary);
+      for (const token of tokens) {
+        termCounts.set(token, (termCounts.get(token) || 0) + weight);
+      }
+      length += tokens.length * weight;
+    }
+
+    return {
+      faq,
+      termCounts,
+      length,
+      // 沒有 embedding_text 時以問題及答案代替
+      embeddingCounts: countTerms(tokenize(faq.embeddingText || `${faq.question} ${faq.answer}`, dictionary)),
+    };
+  });
+
+  const docCount = documents.length;
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (docCount || 1);
+
+  const computeIdf = key => {
+    const frequency = new Map();
+    for (const doc of documents) {
+      for (const term of doc[key].keys()) {
+        frequency.set(term, (frequency.get(term) || 0) + 1);
+      }
+    }
+    return new Map([...frequency].map(([term, df]) => [term, inverseDocumentFrequency(docCount, df)]));
+  };
+
+  const idf = computeIdf('termCounts');
+  const vectorIdf = computeIdf('embeddingCounts');
+  for (const doc of documents) {
+    doc.vector = buildVector(doc.embeddingCounts, vectorIdf);
+  }
+
+  return { dictionary, documents, averageLength, idf, vectorIdf };
+}
+
+/**
+ * 計算查詢與每筆 FAQ 的分數
+ * @param {Object} index - buildSearchIndex 的結果
+ * @param {string} query - 查詢
+ * @param {Object} [options]
+ * @param {number} [options.vectorWeight] - 向量相似度的權重（0 為只用 BM25）
+ * @returns {Object} { tokens, results: [{ faq, score, bm25, bm25Normalized, vector, matchedTerms }] }（依分數排序）
+ */
+export function scoreQuery(index, query, { vectorWeight = 0 } = {}) {
+  const tokens = tokenize(query, index.dictionary);
+  const queryTerms = [...new Set(tokens)];
+
+  // BM25 上限：每個查詢詞都完全符合時的分數，用來將 BM25 正規化為 0-1
+  const maxBm25 = queryTerms.reduce((sum, term) => sum + (index.idf.get(term) || 0) * (BM25_K1 + 1), 0);
+  const queryVector = vectorWeight > 0 ? buildVector(countTerms(tokens), index.vectorIdf) : null;
+
+  const results = index.documents.map(doc => {
+    let bm25 = 0;
+    const matchedTerms = {};
+    for (const term of queryTerms) {
+      const tf = doc.termCounts.get(term);
+      if (!tf) {
+        continue;
+      }
+      const lengthRatio = doc.length / (index.averageLength || 1);
+      const contribution = index.idf.get(term) * (tf * (BM25_K1 + 1))
+        / (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+      matchedTerms[term] = Number(contribution.toFixed(3));
+      bm25 += contribution;
+    }
+
+    const bm25Normalized = maxBm25 > 0 ? Math.min(bm25 / maxBm25, 1) : 0;
+    const vector = queryVector ? cosineSimilarity(queryVector, doc.vector) : 0;
+    const score = queryVector ? (1 - vectorWeight) * bm25Normalized + vectorWeight * vector : bm25Normalized;
+
+    return {
+      faq: doc.faq,
+      score: Number(score.toFixed(3)),
+      bm25: Number(bm25.toFixed(3)),
+      bm25Normalized: Number(bm25Normalized.toFixed(3)),
+      vector: Number(vector.toFixed(3)),
+      matchedTerms,
+    };
+  });
+
+  results.sort((a, b) => b.score - a.score);
+  return { tokens, results };
+}
+
+export default {
+  tokenize,
+  cosineSimilarity,
+  buildTextVectors,
+  buildSearchIndex,
+  scoreQuery,
+};
@@ -0,0 +1,529 @@
+/**
+ * 金龍永盛 AI 客服系統 - Facebook Messenger 處理模組
+ *
+ * 處理 Messenger Webhook 事件，與 LINE 共用資料庫持久化流程
+ * 支援多粉絲專頁（每個區域各自的 Page Access Token）
+ */
+import crypto from 'crypto';
+import { config } from './config.js';
+import { prisma } from './db.js';
+import { getDefaultRegion } from './lineHandler.js';
+import { parsePostbackData } from './intentRouter.js';
+import { processInboundMessage } from './services/inboundMessageService.js';
+import { saveFileBuffer, MAX_FILE_SIZE } from './services/fileStorageService.js';
+import { HANDOFF_REASONS } from './services/humanHandoffService.js';
+import { cardToTextReply } from './channels/messages.js';
+
+// Graph API 設定
+const FB_GRAPH_API_BASE = `https://graph.facebook.com/${config.fb.graphApiVersion}`;
+
+/**
+ * 驗證 Messenger Webhook 簽名
+ * @param {string|Buffer} body - 請求原始內容
+ * @param {string} signature - X-Hub-Signature-256 header（格式：sha256=<hex>）
+ * @returns {boolean} 簽名是否有效
+ */
+export function verifyFbSignature(body, signature) {
+  if (!config.fb?.appSecret) {
+    console.warn('⚠️ FB App Secret 未設定，跳過簽名驗證');
+    return true; // 開發環境可跳過
+  }
+
+  if (!signature || !signature.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', config.fb.appSecret)
+    .update(body)
+    .digest('hex');
+
+  const received = signature.slice('sha256='.length);
+  if (received.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+/**
+ * 驗證 Messenger Webhook 訂閱請求（hub.verify_token 握手）
+ * @param {string} mode - hub.mode
+ * @param {string} token - hub.verify_token
+ * @returns {boolean} 是否通過驗證
+ */
+export function verifyFbWebhookToken(mode, token) {
+  if (!config.fb?.verifyToken) {
+    console.error('❌ FB Verify Token 未設定');
+    return false;
+  }
+  return mode === 'subscribe' && token === config.fb.verifyToken;
+}
+
+/**
+ * 依粉絲專頁 ID 取得區域
+ * 找不到對應區域時，使用預設區域搭配全域 Page Token（向後兼容）
+ * @param {string} pageId - 粉絲專頁 ID
+ * @returns {Promise<Object|null>} 區域資料
+ */
+export async function findRegionByPageId(pageId) {
+  try {
+    const region = await prisma.region.findUnique({
+      where: { fbPageId: pageId },
+    });
+
+    if (region) {
+      if (!region.isActive) {
+        console.warn(`⚠️ 粉絲專頁 ${pageId} 對應的區域已停用: ${region.name}`);
+        return null;
+      }
+      return region;
+    }
+
+    if (config.fb?.pageAccessToken) {
+      return await getDefaultRegion();
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ findRegionByPageId 失敗:', error);
+    return null;
+  }
+}
+
+/**
+ * 取得區域的 Page Access Token（區域未設定時使用全域配置）
+ * @param {Object} region - 區域資料
+ * @returns {string|null}
+ */
+function getPageAccessToken(region) {
+  return region?.fbPageAccessToken || config.fb?.pageAccessToken || null;
+}
+
+/**
+ * 發送 Messenger 訊息（多粉絲專頁版本）
+ * @param {string} psid - 用戶 PSID
+ * @param {Object} message - Messenger 訊息物件
+ * @param {Object} region - 區域資料（包含 fbPageAccessToken）
+ * @param {Object} [options] - 選項
+ * @param {string} [options.tag] - 訊息標籤（如 HUMAN_AGENT，用於 24 小時外的客服回覆）
+ */
+export async function sendFbMessageWithRegion(psid, message, region, options = {}) {
+  const accessToken = getPageAccessToken(region);
+
+  if (!accessToken) {
+    console.error('❌ FB Page Access Token 未設定');
+    return { success: false, error: 'Page Access Token 未設定' };
+  }
+
+  const body = {
+    recipient: { id: psid },
+    message,
+    messaging_type: options.tag ? 'MESSAGE_TAG' : 'RESPONSE',
+  };
+  if (options.tag) {
+    body.tag = options.tag;
+  }
+
+  try {
+    const response = await fetch(`${FB_GRAPH_API_BASE}/me/messages?access_token=${encodeURIComponent(accessToken)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      console.error('❌ FB Send API 錯誤:', error);
+      return { success: false, error };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ 發送 FB 訊息失敗:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 依序發送多則 Messenger 訊息
+ * @param {string} psid - 用戶 PSID
+ * @param {Array} messages - Messenger 訊息物件
+ * @param {Object} region - 區域資料
+ * @param {Object} [options] - 選項（同 sendFbMessageWithRegion）
+ */
+export async function sendFbMessagesWithRegion(psid, messages, region, options = {}) {
+  const messageArray = Array.isArray(messages) ? messages : [messages];
+
+  // Messenger 不支援一次發送多則，需依序發送以保持順序
+  for (const message of messageArray) {
+    const result = await sendFbMessageWithRegion(psid, message, region, options);
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * 取得用戶資料（多粉絲專頁版本）
+ * @param {string} psid - 用戶 PSID
+ * @param {Object} region - 區域資料
+ * @returns {Promise<Object|null>} { displayName, pictureUrl }
+ */
+export async function getFbUserProfileWithRegion(psid, region) {
+  const accessToken = getPageAccessToken(region);
+
+  if (!accessToken) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(
+      `${FB_GRAPH_API_BASE}/${psid}?fields=first_name,last_name,profile_pic&access_token=${encodeURIComponent(accessToken)}`
+    );
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const profile = await response.json();
+    const displayName = [profile.first_name, profile.last_name].filter(Boolean).join(' ');
+
+    return {
+      displayName: displayName || psid,
+      pictureUrl: profile.profile_pic || null,
+    };
+  } catch (error) {
+    console.error('❌ 取得 FB 用戶資料失敗:', error);
+    return null;
+  }
+}
+
+/**
+ * 建立文字訊息物件
+ * @param {string} text - 文字內容
+ */
+export function createFbTextMessage(text) {
+  return {
+    text: text.slice(0, 2000), // Messenger 文字訊息上限 2000 字
+  };
+}
+
+/**
+ * 建立圖片訊息物件
+ * @param {string} imageUrl - 圖片 URL
+ */
+export function createFbImageMessage(imageUrl) {
+  return {
+    attachment: {
+      type: 'image',
+      payload: { url: imageUrl, is_reusable: true },
+    },
+  };
+}
+
+/**
+ * 建立檔案訊息物件
+ * @param {string} fileUrl - 檔案 URL
+ */
+export function createFbFileMessage(fileUrl) {
+  return {
+    attachment: {
+      type: 'file',
+      payload: { url: fileUrl, is_reusable: true },
+    },
+  };
+}
+
+/**
+ * 建立快速回覆按鈕
+ * @param {string} text - 主要訊息
+ * @param {Array} items - 快速回覆項目 [{label, text}]
+ */
+export function createFbQuickReply(text, items) {
+  return {
+    ...createFbTextMessage(text),
+    quick_replies: items.slice(0, 13).map(item => ({ // 上限 13 個
+      content_type: 'text',
+      title: item.label.slice(0, 20), // 標題上限 20 字
+      payload: item.text,
+    })),
+  };
+}
+
+/**
+ * 將渠道無關的訊息轉換為 Messenger 訊息物件（格式見 channels/messages.js）
+ * @param {Array} replies - 渠道無關的訊息
+ * @returns {Array} Messenger 訊息物件
+ */
+export function toFbMessages(replies) {
+  return replies.map(reply => {
+    switch (reply.type) {
+      case 'image':
+        return createFbImageMessage(reply.url);
+      case 'file':
+        return createFbFileMessage(reply.url);
+      case 'template':
+        return createFbQuickReply(reply.text, reply.actions);
+      case 'card':
+        return toFbMessages([cardToTextReply(reply)])[0];
+      default:
+        if (reply.quickReplies && reply.quickReplies.length > 0) {
+          const quickItems = reply.quickReplies.map(action => ({
+            label: action,
+            text: action,
+          }));
+          return createFbQuickReply(reply.text, quickItems);
+        }
+        return createFbTextMessage(reply.text);
+    }
+  });
+}
+
+// 媒體附件的顯示名稱
+const MEDIA_LABELS = {
+  image: '圖片',
+  video: '影片',
+  audio: '語音訊息',
+  file: '檔案',
+};
+
+/**
+ * 下載 Messenger 附件並存入上傳目錄（附件 URL 會過期，需自行保存）
+ * @param {string} url - 附件 URL
+ * @returns {Promise<Object|null>} { fileUrl, fileName, size, mimeType }，失敗時返回 null
+ */
+async function storeFbAttachment(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.error(`❌ 下載 FB 附件失敗: ${response.status}`);
+      return null;
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_FILE_SIZE) {
+      console.warn(`⚠️ FB 附件過大，略過儲存 (${buffer.length} bytes)`);
+      return null;
+    }
+
+    const originalName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '') || null;
+    const stored = await saveFileBuffer(buffer, {
+      originalName,
+      mimeType: response.headers.get('content-type'),
+    });
+    console.log(`📎 已儲存 FB 附件: ${stored.fileName}`);
+    return stored;
+  } catch (error) {
+    console.error('❌ 儲存 FB 附件失敗:', error);
+    return null;
+  }
+}
+
+/**
+ * 將 Messenger 附件轉換為處理管線的輸入
+ * - 圖片/影片/語音/檔案：下載後存為 IMAGE/FILE 訊息，直接轉人工
+ * - 貼圖、位置及其他附件（分享連結等）：以可讀的替代文字記錄，不回覆
+ * 一則訊息有多個附件時處理第一個，其餘記錄在 metadata
+ * @param {Object} message - Messenger message 物件
+ * @returns {Promise<Object>} processInboundMessage 的參數
+ */
+async function toInboundAttachment(message) {
+  const [attachment, ...others] = message.attachments;
+  const payload = attachment.payload || {};
+  const metadata = { fbMessageId: message.mid, fbAttachmentType: attachment.type };
+  if (others.length > 0) {
+    metadata.otherAttachments = others.map(other => ({ type: other.type, url: other.payload?.url || null }));
+  }
+
+  // 貼圖以 image 附件傳送，附帶 sticker_id（如：讚）
+  if (payload.sticker_id) {
+    return {
+      text: '[貼圖]',
+      metadata: { ...metadata, stickerId: payload.sticker_id },
+      recordOnly: true,
+    };
+  }
+
+  if (MEDIA_LABELS[attachment.type] && payload.url) {
+    const label = MEDIA_LABELS[attachment.type];
+    const stored = await storeFbAttachment(payload.url);
+
+    if (stored?.size) metadata.fileSize = stored.size;
+    if (stored?.mimeType) metadata.mimeType = stored.mimeType;
+    if (!stored) metadata.downloadFailed = true;
+
+    // 下載失敗時仍以文字記錄，讓客服知道客戶傳過檔案
+    let contentType = 'TEXT';
+    if (stored) {
+      contentType = attachment.type === 'image' ? 'IMAGE' : 'FILE';
+    }
+
+    return {
+      text: stored ? `[${label}] ${stored.originalName}` : `[${label}（無法下載）]`,
+      contentType,
+      fileUrl: stored?.fileUrl || null,
+      fileName: stored?.originalName || null,
+      metadata,
+      handoffReason: HANDOFF_REASONS.MEDIA_MESSAGE,
+    };
+  }
+
+  if (attachment.type === 'location' && payload.coordinates) {
+    const { lat, long } = payload.coordinates;
+    return {
+      text: `📍 位置：${attachment.title || '（未命名）'}\nhttps://www.google.com/maps?q=${lat},${long}`,
+      metadata: { ...metadata, title: attachment.title || null, latitude: lat, longitude: long },
+      recordOnly: true,
+    };
+  }
+
+  return {
+    text: `[附件] ${attachment.title || payload.url || attachment.type}`,
+    metadata: { ...metadata, url: payload.url || null },
+    recordOnly: true,
+  };
+}
+
+/**
+ * 將 Messenger 事件轉換為處理管線的輸入（格式與 LINE 相同）
+ * - 文字：交由 AI 處理（點擊快速回覆時以 payload 為準）
+ * - 附件：見 toInboundAttachment
+ * - 按鈕回傳（postback）：payload 帶有 intent 時直接路由到該意圖；否則以按鈕標題交由 AI 分類，兩者皆無則只記錄
+ * @param {Object} event - Messenger messaging event
+ * @returns {Promise<Object|null>} processInboundMessage 的參數，不處理的事件（echo、已讀、送達等）返回 null
+ */
+export async function toInboundFbEvent(event) {
+  const { message, postback } = event;
+
+  if (postback) {
+    const parsed = parsePostbackData(postback.payload);
+    return {
+      text: postback.title || `[按鈕] ${postback.payload}`,
+      metadata: {
+        fbMessageId: postback.mid || null,
+        fbMessageType: 'postback',
+        postbackData: postback.payload,
+      },
+      postback: parsed,
+      recordOnly: !parsed.intent && !postback.title,
+    };
+  }
+
+  if (!message || message.is_echo) {
+    return null;
+  }
+
+  if (message.attachments?.length) {
+    return toInboundAttachment(message);
+  }
+
+  if (!message.text) {
+    return null;
+  }
+
+  return {
+    // 點擊快速回覆時，payload 保留完整文字（title 會被截斷）
+    text: message.quick_reply?.payload || message.text,
+    metadata: { fbMessageId: message.mid },
+  };
+}
+
+/**
+ * 處理 Messenger 事件（帶資料庫持久化）
+ * @param {Object} event - Messenger messaging event
+ * @param {Object} region - 區域資料
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.throwOnError] - 發生錯誤時拋出（由事件佇列重試），不回覆錯誤訊息
+ * @returns {Object} 處理結果
+ */
+export async function handleFbEventWithPersistence(event, region, options = {}) {
+  const psid = event.sender?.id;
+  const startTime = Date.now();
+  const timing = {};
+
+  try {
+    // 1. 轉換事件（附件會先下載存檔）
+    let t1 = Date.now();
+    const inbound = await toInboundFbEvent(event);
+    timing.media = Date.now() - t1;
+
+    if (!inbound) {
+      console.log('⏭️ 跳過不處理的 Messenger 事件');
+      return { success: true, skipped: true };
+    }
+
+    console.log(`📩 收到 FB ${event.postback ? '按鈕回傳' : '訊息'} [${psid}]: ${inbound.text}`);
+
+    // 2. 取得用戶資料（使用區域的 token）
+    t1 = Date.now();
+    const profile = await getFbUserProfileWithRegion(psid, region);
+    timing.profile = Date.now() - t1;
+
+    // 3. 共用處理管線
+    const result = await processInboundMessage({
+      region,
+      source: 'FB',
+      sourceUserId: psid,
+      profile,
+      ...inbound,
+      timing,
+    });
+
+    if (result.handledByAgent || result.replies.length === 0) {
+      return result;
+    }
+
+    // 4. 發送回覆到 Messenger
+    t1 = Date.now();
+    const sendResult = await sendFbMessagesWithRegion(psid, toFbMessages(result.replies), region);
+    timing.fbSend = Date.now() - t1;
+
+    const totalTime = Date.now() - startTime;
+    console.log(`⏱️ FB 處理耗時: 總計 ${totalTime}ms | 用戶資料:${timing.profile}ms AI:${timing.aiProcessing}ms FB發送:${timing.fbSend}ms`);
+
+    return {
+      success: sendResult.success,
+      conversationId: result.conversationId,
+      customerId: result.customerId,
+      regionId: region.id,
+      intent: result.intent,
+      requiresHuman: result.requiresHuman,
+      handoffPerformed: result.handoffPerformed,
+      processingTime: totalTime,
+      timing,
+    };
+  } catch (error) {
+    console.error('❌ handleFbEventWithPersistence 錯誤:', error);
+
+    if (options.throwOnError) {
+      throw error;
+    }
+
+    await sendFbMessageWithRegion(psid, createFbTextMessage(
+      '抱歉，系統發生錯誤，請稍後再試。'
+    ), region);
+
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  verifyFbSignature,
+  verifyFbWebhookToken,
+  findRegionByPageId,
+  sendFbMessageWithRegion,
+  sendFbMessagesWithRegion,
+  getFbUserProfileWithRegion,
+  createFbTextMessage,
+  createFbImageMessage,
+  createFbFileMessage,
+  createFbQuickReply,
+  toFbMessages,
+  toInboundFbEvent,
+  handleFbEventWithPersistence,
+};
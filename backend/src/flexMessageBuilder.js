@@ -0,0 +1,305 @@
+/**
+ * 金龍永盛 AI 客服系統 - LINE Flex Message 建構模組
+ *
+ * 將渠道無關的卡片訊息（見 channels/messages.js 的 createCardReply）轉成 LINE Flex Message：
+ * - FLIGHT_QUOTE：機票報價卡
+ * - BOOKING_SUMMARY：訂位摘要／確認卡（含訂位代號）
+ * - PAYMENT_LINK：付款連結卡
+ * - FAQ_ANSWER：FAQ 回答卡（附「還是需要真人」按鈕）
+ * - CSAT_SURVEY：滿意度調查卡（1-5 星按鈕）
+ */
+
+// 品牌色
+const BRAND_COLOR = '#c8102e';
+const LABEL_COLOR = '#888888';
+const TEXT_COLOR = '#222222';
+
+// LINE 限制
+const MAX_ALT_TEXT_LENGTH = 400;
+const MAX_BUTTON_LABEL_LENGTH = 20;
+const MAX_FOOTER_BUTTONS = 4;
+
+const CLASS_NAMES = {
+  BUSINESS: '商務艙',
+  ECONOMY: '經濟艙',
+  FIRST: '頭等艙',
+};
+
+/**
+ * 建立 Flex Message
+ * @param {string} altText - 不支援 Flex 的裝置（如通知列）顯示的文字
+ * @param {Object} contents - bubble 或 carousel
+ */
+export function createFlexMessage(altText, contents) {
+  return {
+    type: 'flex',
+    altText: (altText || '您有一則新訊息').slice(0, MAX_ALT_TEXT_LENGTH),
+    contents,
+  };
+}
+
+/**
+ * 將渠道無關的按鈕轉為 Flex action
+ * - uri：開啟連結
+ * - data：postback（displayText 為 text）
+ * - 其餘：以 text 發送訊息
+ * @param {Object} action - { label, text, data?, uri? }
+ */
+function toFlexAction(action) {
+  const label = action.label.slice(0, MAX_BUTTON_LABEL_LENGTH);
+
+  if (action.uri) {
+    return { type: 'uri', label, uri: action.uri };
+  }
+  if (action.data) {
+    return { type: 'postback', label, data: action.data, displayText: action.text || action.label };
+  }
+  return { type: 'message', label, text: action.text || action.label };
+}
+
+/**
+ * 建立「標籤：值」的資訊列（值為空時返回 null，Flex 不允許空字串）
+ */
+function createInfoRow(label, value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  return {
+    type: 'box',
+    layout: 'baseline',
+    spacing: 'sm',
+    contents: [
+      { type: 'text', text: label, color: LABEL_COLOR, size: 'sm', flex: 2 },
+      { type: 'text', text: String(value), color: TEXT_COLOR, size: 'sm', flex: 5, wrap: true },
+    ],
+  };
+}
+
+/**
+ * 建立卡片 bubble
+ * @param {Object} options
+ * @param {string} options.title - 標題
+ * @param {Array} [options.body] - 內容元件（null 會被略過）
+ * @param {string} [options.note] - 底部的小字說明
+ * @param {Array} [options.actions] - 按鈕 [{ label, text, data?, uri? }]，第一個為主要按鈕
+ */
+function createCardBubble({ title, body = [], note = null, actions = [] }) {
+  const bodyContents = body.filter(Boolean);
+
+  if (note) {
+    bodyContents.push(
+      { type: 'separator', margin: 'lg' },
+      { type: 'text', text: note, size: 'xs', color: LABEL_COLOR, wrap: true, margin: 'lg' }
+    );
+  }
+
+  const bubble = {
+    type: 'bubble',
+    header: {
+      type: 'box',
+      layout: 'vertical',
+      backgroundColor: BRAND_COLOR,
+      paddingAll: 'lg',
+      contents: [
+        { type: 'text', text: title, color: '#ffffff', weight: 'bold', size: 'md' },
+      ],
+    },
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: bodyContents,
+    },
+  };
+
+  if (actions.length > 0) {
+    bubble.footer = {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: actions.slice(0, MAX_FOOTER_BUTTONS).map((action, index) => ({
+        type: 'button',
+        style: index === 0 ? 'primary' : 'secondary',
+        color: index === 0 ? BRAND_COLOR : undefined,
+        height: 'sm',
+        action: toFlexAction(action),
+      })),
+    };
+  }
+
+  return bubble;
+}
+
+// ============ 旅遊卡片 ============
+
+/**
+ * 機票報價卡
+ * @param {Object} data - { destination, origin?, date, returnDate?, travelClass?, passengers?, price?, currency? }
+ * @param {Array} [actions] - 按鈕
+ */
+export function createFlightQuoteCard(data, actions = []) {
+  const price = data.price
+    ? `${data.currency || 'TWD'} ${Number(data.price).toLocaleString()}`
+    : '專人報價中';
+
+  return createCardBubble({
+    title: '✈️ 機票報價',
+    body: [
+      createInfoRow('出發地', data.origin),
+      createInfoRow('目的地', data.destination),
+      createInfoRow('出發日期', data.date),
+      createInfoRow('回程日期', data.returnDate),
+      createInfoRow('艙等', CLASS_NAMES[data.travelClass] || data.travelClass),
+      createInfoRow('人數', data.passengers),
+      { type: 'separator', margin: 'md' },
+      {
+        type: 'box',
+        layout: 'baseline',
+        margin: 'md',
+        contents: [
+          { type: 'text', text: '票價', color: LABEL_COLOR, size: 'sm', flex: 2 },
+          { type: 'text', text: price, color: BRAND_COLOR, size: 'lg', weight: 'bold', flex: 5, wrap: true },
+        ],
+      },
+    ],
+    note: data.price ? '實際票價以開票時為準' : '目前系統尚未串接 GDS，將由專人為您報價',
+    actions,
+  });
+}
+
+/**
+ * 訂位摘要／確認卡
+ * @param {Object} data - { title?, bookingRef?, destination?, date?, passengers?, status?, note? }
+ * @param {Array} [actions] - 按鈕
+ */
+export function createBookingSummaryCard(data, actions = []) {
+  return createCardBubble({
+    title: data.title || '📋 訂位資訊',
+    body: [
+      data.bookingRef
+        ? {
+          type: 'box',
+          layout: 'vertical',
+          margin: 'none',
+          contents: [
+            { type: 'text', text: '訂位代號', color: LABEL_COLOR, size: 'xs' },
+            { type: 'text', text: String(data.bookingRef), color: BRAND_COLOR, size: 'xxl', weight: 'bold' },
+          ],
+        }
+        : null,
+      createInfoRow('目的地', data.destination),
+      createInfoRow('日期', data.date),
+      createInfoRow('人數', data.passengers),
+      createInfoRow('狀態', data.status),
+    ],
+    note: data.note,
+    actions,
+  });
+}
+
+/**
+ * 付款連結卡
+ * @param {Object} data - { url, amount?, currency?, bookingRef?, description?, expiresAt? }
+ * @param {Array} [actions] - 額外的按鈕（付款按鈕會自動放在最前面）
+ */
+export function createPaymentLinkCard(data, actions = []) {
+  return createCardBubble({
+    title: '💳 付款通知',
+    body: [
+      data.amount
+        ? {
+          type: 'text',
+          text: `${data.currency || 'TWD'} ${Number(data.amount).toLocaleString()}`,
+          color: TEXT_COLOR,
+          size: 'xxl',
+          weight: 'bold',
+        }
+        : null,
+      createInfoRow('訂位代號', data.bookingRef),
+      createInfoRow('項目', data.description),
+      createInfoRow('付款期限', data.expiresAt),
+    ],
+    note: '請於期限內完成付款，逾期訂位將自動取消',
+    actions: [{ label: '前往付款', uri: data.url }, ...actions],
+  });
+}
+
+/**
+ * FAQ 回答卡
+ * @param {Object} data - { question?, answer }
+ * @param {Array} [actions] - 按鈕（通常為「還是需要真人」）
+ */
+export function createFaqAnswerCard(data, actions = []) {
+  return createCardBubble({
+    title: '💡 常見問題',
+    body: [
+      data.question
+        ? { type: 'text', text: data.question, weight: 'bold', size: 'sm', color: TEXT_COLOR, wrap: true }
+        : null,
+      { type: 'text', text: data.answer, size: 'sm', color: TEXT_COLOR, wrap: true, margin: 'md' },
+    ],
+    actions,
+  });
+}
+
+/**
+ * 滿意度調查卡（五個評分按鈕，不受 MAX_FOOTER_BUTTONS 限制）
+ * @param {Object} data - { question }
+ * @param {Array} [actions] - 評分按鈕（postback）
+ */
+export function createCsatSurveyCard(data, actions = []) {
+  const bubble = createCardBubble({
+    title: '⭐ 服務滿意度調查',
+    body: [
+      { type: 'text', text: data.question, size: 'sm', color: TEXT_COLOR, wrap: true },
+    ],
+    note: '您的回饋將幫助我們提供更好的服務',
+  });
+
+  bubble.footer = {
+    type: 'box',
+    layout: 'vertical',
+    spacing: 'sm',
+    contents: actions.map(action => ({
+      type: 'button',
+      style: 'secondary',
+      height: 'sm',
+      action: toFlexAction(action),
+    })),
+  };
+
+  return bubble;
+}
+
+const CARD_BUILDERS = {
+  FLIGHT_QUOTE: createFlightQuoteCard,
+  BOOKING_SUMMARY: createBookingSummaryCard,
+  PAYMENT_LINK: createPaymentLinkCard,
+  FAQ_ANSWER: createFaqAnswerCard,
+  CSAT_SURVEY: createCsatSurveyCard,
+};
+
+/**
+ * 將渠道無關的卡片訊息轉為 Flex Message
+ * @param {Object} reply - { card, data, text, actions }
+ * @returns {Object|null} Flex Message，不支援的卡片類型返回 null
+ */
+export function buildFlexMessage(reply) {
+  const builder = CARD_BUILDERS[reply.card];
+  if (!builder) {
+    return null;
+  }
+
+  return createFlexMessage(reply.text, builder(reply.data || {}, reply.actions || []));
+}
+
+export default {
+  createFlexMessage,
+  createFlightQuoteCard,
+  createBookingSummaryCard,
+  createPaymentLinkCard,
+  createFaqAnswerCard,
+  createCsatSurveyCard,
+  buildFlexMessage,
+};
@@ -1,35 +1,19 @@
 /**
- * 金龍永盛 AI 客服系統 - Gemini API 整合
+ * 金龍永盛 AI 客服系統 - AI 回覆（FAQ 回覆、對話、改寫）
+ *
+ * 經由 LLM 供應商產生（見 llm/index.js），由 config.llm.provider 決定使用 Gemini 或離線供應商
  */
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { config } from './config.js';
 import { FAQ_SYSTEM_PROMPT, FAQ_RETRIEVAL_PROMPT, INTENT_CLASSIFICATION_PROMPT } from './prompts.js';
 import { searchFAQ, formatFAQContext } from './faqRetriever.js';
-
-let genAI = null;
-let model = null;
+import { initLLMProvider, getLLMProvider } from './llm/index.js';
 
 /**
- * 初始化 Gemini API
+ * 初始化 LLM 供應商（沿用舊名稱）
+ * @returns {boolean} 是否可以使用
  */
 export function initGemini() {
-  if (!config.gemini.apiKey) {
-    console.error('❌ GEMINI_API_KEY 未設定');
-    return false;
-  }
-
-  try {
-    genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-    model = genAI.getGenerativeModel({
-      model: config.gemini.model,
-      systemInstruction: FAQ_SYSTEM_PROMPT,
-    });
-    console.log(`✅ Gemini API 初始化成功（模型：${config.gemini.model}）`);
-    return true;
-  } catch (error) {
-    console.error('❌ Gemini API 初始化失敗:', error);
-    return false;
-  }
+  return initLLMProvider();
 }
 
 /**
@@ -38,10 +22,7 @@ export function initGemini() {
  * @returns {Object} 回覆結果
  */
 export async function faqAutoReply(userMessage) {
-  if (!model) {
-    throw new Error('Gemini API 尚未初始化');
-  }
-
+  const provider = getLLMProvider();
   const startTime = Date.now();
 
   try {
@@ -54,17 +35,15 @@ export async function faqAutoReply(userMessage) {
       .replace('{faq_context}', faqContext)
       .replace('{user_question}', userMessage);
 
-    // 3. 呼叫 Gemini API
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: config.response.temperature,
-        maxOutputTokens: config.response.maxLength,
-      },
+    // 3. 呼叫 LLM
+    const result = await provider.generate({
+      systemInstruction: FAQ_SYSTEM_PROMPT,
+      contents: [{ role: 'user', text: prompt }],
+      temperature: config.response.temperature,
+      maxOutputTokens: config.response.maxLength,
+      context: { userMessage, faqs: relevantFAQs },
     });
-
-    const response = result.response;
-    const reply = response.text();
+    const reply = result.text;
 
     // 4. 計算處理時間和 token 使用
     const endTime = Date.now();
@@ -89,7 +68,7 @@ export async function faqAutoReply(userMessage) {
           output: outputTokens,
           total: inputTokens + outputTokens,
         },
-        model: config.gemini.model,
+        model: result.model,
       },
     };
   } catch (error) {
@@ -108,36 +87,28 @@ export async function faqAutoReply(userMessage) {
  * @returns {Object} 分類結果
  */
 export async function classifyIntent(userMessage) {
-  if (!model) {
-    throw new Error('Gemini API 尚未初始化');
-  }
+  const provider = getLLMProvider();
 
   try {
     const prompt = INTENT_CLASSIFICATION_PROMPT.replace('{user_message}', userMessage);
 
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.1,  // 分類任務用低溫度
-        maxOutputTokens: 500,
-      },
+    const { classification, raw } = await provider.classify({
+      systemInstruction: FAQ_SYSTEM_PROMPT,
+      message: userMessage,
+      prompt,
     });
 
-    const response = result.response.text();
-
-    // 解析 JSON 回覆
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
+    if (classification) {
       return {
         success: true,
-        classification: JSON.parse(jsonMatch[0]),
+        classification,
       };
     }
 
     return {
       success: false,
       error: '無法解析分類結果',
-      raw: response,
+      raw,
     };
   } catch (error) {
     console.error('❌ 意圖分類失敗:', error);
@@ -155,31 +126,26 @@ export async function classifyIntent(userMessage) {
  * @returns {Object} 回覆結果
  */
 export async function chat(userMessage, history = []) {
-  if (!model) {
-    throw new Error('Gemini API 尚未初始化');
-  }
+  const provider = getLLMProvider();
 
   try {
     // 構建對話歷史
     const contents = [
-      ...history.map(msg => ({
-        role: msg.role,
-        parts: [{ text: msg.content }],
-      })),
-      { role: 'user', parts: [{ text: userMessage }] },
+      ...history.map(msg => ({ role: msg.role, text: msg.content })),
+      { role: 'user', text: userMessage },
     ];
 
-    const result = await model.generateContent({
+    const result = await provider.generate({
+      systemInstruction: FAQ_SYSTEM_PROMPT,
       contents,
-      generationConfig: {
-        temperature: 0.5,
-        maxOutputTokens: config.response.maxLength,
-      },
+      temperature: 0.5,
+      maxOutputTokens: config.response.maxLength,
+      context: { userMessage, faqs: searchFAQ(userMessage, config.faq.maxResults) },
     });
 
     return {
       success: true,
-      reply: result.response.text().trim(),
+      reply: result.text.trim(),
     };
   } catch (error) {
     console.error('❌ 對話生成失敗:', error);
@@ -214,10 +180,7 @@ export function estimateCost(inputTokens, outputTokens) {
  * @returns {Object} 改寫結果
  */
 export async function rewriteText(text, mode, customInstruction = null) {
-  if (!genAI) {
-    throw new Error('Gemini API 尚未初始化');
-  }
-
+  const provider = getLLMProvider();
   const startTime = Date.now();
 
   // 模式對應的指令
@@ -233,31 +196,13 @@ export async function rewriteText(text, mode, customInstruction = null) {
   const instruction = modeInstructions[mode] || modeInstructions.correct;
 
   try {
-    // 使用輕量級設定進行快速回應
-    const flashModel = genAI.getGenerativeModel({
-      model: 'gemini-2.0-flash-exp', // 使用最快的模型
-    });
-
-    const prompt = `${instruction}
-
-原文：
-${text}
-
-改寫後的文字（只輸出改寫結果，不要加任何說明或標題）：`;
-
-    const result = await flashModel.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 1000,
-      },
-    });
+    const result = await provider.rewrite({ text, mode, instruction });
 
-    const rewrittenText = result.response.text().trim();
+    const rewrittenText = result.text.trim();
     const endTime = Date.now();
 
     // 估算 token
-    const inputTokens = Math.ceil(prompt.length / 2);
+    const inputTokens = Math.ceil((instruction.length + text.length) / 2);
     const outputTokens = Math.ceil(rewrittenText.length / 2);
 
     return {
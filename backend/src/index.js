@@ -3,23 +3,27 @@
  *
  * 提供 FAQ 自動回覆、意圖分類、客服管理後台 API 服務
  */
+import http from 'http';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { config } from './config.js';
 import { initGemini, faqAutoReply, classifyIntent as geminiClassifyIntent, estimateCost } from './gemini.js';
-import { loadFAQData, searchFAQ, getCategories, getFAQByCategory } from './faqRetriever.js';
+import { loadFAQData, searchFAQ, explainSearch, getCategories, getFAQByCategory } from './faqRetriever.js';
 import { initIntentClassifier, classifyIntent, INTENTS } from './intentClassifier.js';
 import { extractAllEntities, flattenEntities } from './entityExtractor.js';
 import { handleMessage, getSessionContext, clearSession } from './intentRouter.js';
-import { verifySignature, verifySignatureMultiChannel, handleLineWebhook, handleLineWebhookWithPersistence } from './lineHandler.js';
+import { verifySignature, handleLineWebhook } from './lineHandler.js';
+import { verifyFbWebhookToken } from './fbHandler.js';
+import { getChannel } from './channels/index.js';
 
 // 管理後台路由
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import regionRoutes from './routes/regions.js';
 import agentRoutes from './routes/agent.js';
+import supervisorRoutes from './routes/supervisor.js';
 import reportRoutes from './routes/reports.js';
 import customerRoutes from './routes/customers.js';
 import crmCustomerRoutes from './routes/crmCustomers.js';
@@ -27,6 +31,17 @@ import tagRoutes from './routes/tags.js';
 import uploadRoutes from './routes/upload.js';
 import quickReplyRoutes from './routes/quickReplies.js';
 import aiRoutes from './routes/ai.js';
+import webChatRoutes from './routes/webChat.js';
+import webhookEventRoutes from './routes/webhookEvents.js';
+import richMenuRoutes from './routes/richMenus.js';
+import faqRoutes from './routes/faqs.js';
+
+// 即時通訊（socket.io）
+import { initSocketServer } from './socket.js';
+
+// 認證與權限
+import { authMiddleware } from './middleware/auth.js';
+import { requireMinimumRole, ROLES } from './middleware/rbac.js';
 
 // 認證服務
 import { initializeAdmin } from './services/authService.js';
@@ -37,6 +52,12 @@ import { startScheduledTasks } from './services/scheduledTasks.js';
 // AI 推薦服務
 import { initAiSuggestionService } from './services/aiSuggestionService.js';
 
+// FAQ 知識庫
+import { initFaqKnowledgeBase } from './services/faqService.js';
+
+// Webhook 事件佇列
+import { enqueueLineEvents, enqueueFbEvents, hasDroppedEvents, startWebhookQueue } from './services/webhookQueueService.js';
+
 const app = express();
 
 // 安全中間件
@@ -73,9 +94,19 @@ const apiLimiter = rateLimit({
   message: { success: false, error: 'TooManyRequests', message: '請求過於頻繁，請稍後再試' },
 });
 
+// 官網聊天元件（公開 API，輪詢較頻繁，限制較寬鬆）
+const webChatLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 分鐘
+  max: 300, // 每個 IP 最多 300 個請求
+  message: { success: false, error: 'TooManyRequests', message: '請求過於頻繁，請稍後再試' },
+});
+
 // LINE Webhook 需要原始請求體來驗證簽名
 app.use('/webhook/line', express.raw({ type: 'application/json' }));
 
+// FB Messenger Webhook 同樣需要原始請求體來驗證簽名
+app.use('/webhook/fb', express.raw({ type: 'application/json' }));
+
 // 其他路由使用 JSON 解析
 app.use(express.json());
 
@@ -148,6 +179,37 @@ app.get('/api/faq/search', (req, res) => {
   });
 });
 
+/**
+ * FAQ 檢索評分說明（除錯用，列出切詞結果及各 FAQ 的 BM25、向量分數）
+ * 包含答案內容及評分細節，僅限區域管理員以上（非 SUPER_ADMIN 只列出全域及自己區域的 FAQ）
+ * GET /api/faq/search/debug?q=查詢關鍵字&limit=10
+ */
+app.get('/api/faq/search/debug', apiLimiter, authMiddleware, requireMinimumRole(ROLES.REGION_ADMIN), (req, res) => {
+  const { q, limit = 10 } = req.query;
+
+  if (!q) {
+    return res.status(400).json({
+      success: false,
+      error: '請提供 q 查詢參數',
+    });
+  }
+
+  const explanation = explainSearch(q, parseInt(limit), {
+    regionId: req.user.role === ROLES.SUPER_ADMIN ? req.query.regionId || null : req.user.regionId,
+  });
+  if (!explanation) {
+    return res.status(503).json({
+      success: false,
+      error: 'FAQ 資料尚未載入',
+    });
+  }
+
+  res.json({
+    success: true,
+    ...explanation,
+  });
+});
+
 /**
  * 取得 FAQ 類別
  * GET /api/faq/categories
@@ -303,22 +365,16 @@ app.post('/api/entity/extract', (req, res) => {
 // ============ LINE Webhook ============
 
 /**
- * LINE Messaging API Webhook
- * POST /webhook/line
- *
- * 接收 LINE 平台的訊息事件（支援多渠道）
+ * 處理 LINE Webhook 請求（兩個路由共用）
  */
-app.post('/webhook/line', async (req, res) => {
-  // 取得原始請求體和簽名
+async function handleLineWebhookRequest(req, res) {
   const body = req.body;
-  const signature = req.headers['x-line-signature'];
 
-  // 驗證簽名（多渠道模式）
-  const bodyString = Buffer.isBuffer(body) ? body.toString() : JSON.stringify(body);
-  const matchedRegion = await verifySignatureMultiChannel(bodyString, signature);
+  // 驗證簽名（依區域路由或多渠道模式找出對應區域）
+  const { valid, region: matchedRegion } = await getChannel('LINE').verifyInbound(req);
 
-  if (!matchedRegion) {
-    console.error('❌ LINE Webhook 簽名驗證失敗');
+  if (!valid) {
+    console.error(`❌ LINE Webhook 簽名驗證失敗${req.params.regionId ? ` [區域: ${req.params.regionId}]` : ''}`);
     return res.status(401).json({ error: 'Invalid signature' });
   }
 
@@ -332,20 +388,103 @@ app.post('/webhook/line', async (req, res) => {
     return res.status(400).json({ error: 'Invalid JSON' });
   }
 
+  // 先寫入佇列再回應，事件由佇列非同步處理（失敗會自動重試）
+  if (events.length > 0) {
+    console.log(`📨 收到 ${events.length} 個 LINE 事件 [區域: ${matchedRegion.name || '全域'}]`);
+
+    // 有事件沒寫入佇列時回應 5xx 讓 LINE 重送（已寫入的事件重送時會依事件 ID 去重）
+    try {
+      const results = await enqueueLineEvents(events, matchedRegion);
+      if (hasDroppedEvents(results)) {
+        return res.status(503).json({ error: 'Queue full' });
+      }
+    } catch (error) {
+      console.error('❌ LINE 事件寫入佇列錯誤:', error);
+      return res.status(503).json({ error: 'Queue unavailable' });
+    }
+  }
+
   // LINE 要求在 1 秒內回應 200
   res.status(200).json({ success: true });
+}
 
-  // 非同步處理事件（傳入匹配的區域）
-  if (events.length > 0) {
-    console.log(`📨 收到 ${events.length} 個 LINE 事件 [區域: ${matchedRegion.name || '全域'}]`);
+/**
+ * LINE Messaging API Webhook（區域專屬）
+ * POST /webhook/line/:regionId
+ *
+ * 由 GET /api/regions/:id/webhook 提供給管理員設定，只驗證該區域的 Channel Secret
+ */
+app.post('/webhook/line/:regionId', handleLineWebhookRequest);
+
+/**
+ * LINE Messaging API Webhook
+ * POST /webhook/line
+ *
+ * 接收 LINE 平台的訊息事件（舊版多渠道模式：嘗試所有區域的 Channel Secret）
+ */
+app.post('/webhook/line', handleLineWebhookRequest);
+
+// ============ Facebook Messenger Webhook ============
 
-    // 對每個事件傳入區域資訊
-    for (const event of events) {
-      handleLineWebhookWithPersistence([event], matchedRegion).catch(error => {
-        console.error('❌ 處理 LINE 事件錯誤:', error);
-      });
+/**
+ * Messenger Webhook 訂閱驗證
+ * GET /webhook/fb
+ *
+ * Facebook 設定 Webhook 時會以 hub.verify_token 進行握手
+ */
+app.get('/webhook/fb', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (!verifyFbWebhookToken(mode, token)) {
+    console.error('❌ FB Webhook 驗證失敗');
+    return res.status(403).send('Forbidden');
+  }
+
+  console.log('✅ FB Webhook 驗證成功');
+  res.status(200).send(challenge);
+});
+
+/**
+ * Messenger Webhook
+ * POST /webhook/fb
+ *
+ * 接收 Messenger 平台的訊息事件（依 entry.id 對應區域的粉絲專頁）
+ */
+app.post('/webhook/fb', async (req, res) => {
+  const { valid } = await getChannel('FB').verifyInbound(req);
+  if (!valid) {
+    console.error('❌ FB Webhook 簽名驗證失敗');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  let payload;
+  try {
+    payload = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString()) : req.body;
+  } catch (error) {
+    console.error('❌ 解析 FB Webhook 失敗:', error);
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+
+  if (payload.object !== 'page') {
+    return res.status(404).json({ error: 'Unsupported object' });
+  }
+
+  // 先寫入佇列再回應，事件由佇列非同步處理（失敗會自動重試）
+  // 有事件沒寫入佇列時回應 5xx 讓 Messenger 重送（已寫入的事件重送時會依事件 ID 去重）
+  try {
+    const results = await enqueueFbEvents(payload);
+    if (hasDroppedEvents(results)) {
+      return res.status(503).json({ error: 'Queue full' });
     }
+  } catch (error) {
+    console.error('❌ FB 事件寫入佇列錯誤:', error);
+    return res.status(503).json({ error: 'Queue unavailable' });
   }
+
+  // Messenger 要求盡快回應 200，否則會重送
+  res.status(200).send('EVENT_RECEIVED');
 });
 
 /**
@@ -369,12 +508,18 @@ app.use('/api/auth', authRoutes);
 // 用戶管理路由（需認證）
 app.use('/api/users', apiLimiter, userRoutes);
 
+// LINE 圖文選單路由（需認證，依區域管理；需在區域路由之前掛載，避免重複計算速率限制）
+app.use('/api/regions/:regionId/rich-menus', apiLimiter, richMenuRoutes);
+
 // 區域管理路由（需認證）
 app.use('/api/regions', apiLimiter, regionRoutes);
 
 // 客服工作台路由（需認證）
 app.use('/api/agent', agentRoutes);
 
+// 主管監控路由（需認證，區域管理員以上）
+app.use('/api/supervisor', supervisorRoutes);
+
 // 報表路由（需認證）
 app.use('/api/reports', apiLimiter, reportRoutes);
 
@@ -396,6 +541,22 @@ app.use('/api/ai', apiLimiter, aiRoutes);
 // 文件上傳
 app.use('/api/upload', uploadRoutes);
 
+// 官網聊天元件 API（公開，以訪客 Token 認證）
+app.use('/api/web-chat', webChatLimiter, webChatRoutes);
+
+// Webhook 事件佇列管理（死信查看與重新執行）
+app.use('/api/webhook-events', apiLimiter, webhookEventRoutes);
+
+// FAQ 知識庫管理（新增、修改、發布、回復、CSV 匯入匯出）
+app.use('/api/faqs', apiLimiter, faqRoutes);
+
+// 官網聊天元件腳本（允許外部網域載入）
+app.use('/widget', express.static('public', {
+  setHeaders: (res) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  },
+}));
+
 // 靜態文件服務（上傳的文件）
 app.use('/uploads', express.static('uploads'));
 
@@ -407,15 +568,17 @@ async function startServer() {
   // 1. 載入 FAQ 資料
   await loadFAQData();
 
-  // 2. 初始化 Gemini API（FAQ 回覆用）
+  // 2. 初始化 LLM 供應商（FAQ 回覆用）
   const geminiReady = initGemini();
 
   // 3. 初始化意圖分類器
   const intentReady = initIntentClassifier();
 
   if (!geminiReady || !intentReady) {
-    console.warn('⚠️ Gemini API 未完全初始化，部分功能將無法使用');
-    console.warn('   請設定 GEMINI_API_KEY 環境變數');
+    console.warn(`⚠️ LLM 供應商（${config.llm.provider}）未完全初始化，部分功能將無法使用`);
+    if (config.llm.provider === 'gemini') {
+      console.warn('   請設定 GEMINI_API_KEY 環境變數，或設定 LLM_PROVIDER=offline 使用離線供應商');
+    }
   }
 
   // 4. 初始化 AI 推薦服務
@@ -424,6 +587,9 @@ async function startServer() {
   // 5. 檢查 LINE 配置
   const lineReady = config.line?.channelAccessToken && config.line?.channelSecret;
 
+  // 5-1. 檢查 FB Messenger 配置
+  const fbReady = config.fb?.appSecret && config.fb?.verifyToken;
+
   // 6. 初始化管理員帳號（如果資料庫已連接）
   try {
     await initializeAdmin();
@@ -432,34 +598,55 @@ async function startServer() {
     console.warn('   執行 `npx prisma migrate dev` 來設定資料庫');
   }
 
+  // 6-1. 改用資料庫中已發布的 FAQ（資料庫沒有 FAQ 時先匯入 CSV）
+  try {
+    await initFaqKnowledgeBase();
+  } catch (error) {
+    console.warn('⚠️ 無法從資料庫載入 FAQ，使用 CSV 檔的 FAQ 資料');
+  }
+
   // 7. 啟動定時任務
   startScheduledTasks();
 
-  // 8. 啟動 HTTP 服務
-  app.listen(config.server.port, () => {
+  // 7-1. 啟動 Webhook 事件佇列（重試失敗的事件）
+  startWebhookQueue();
+
+  // 8. 啟動 HTTP 服務（含 socket.io 即時通訊）
+  const server = http.createServer(app);
+  initSocketServer(server);
+
+  server.listen(config.server.port, () => {
     console.log(`\n✅ 服務已啟動！`);
     console.log(`📍 http://localhost:${config.server.port}`);
     console.log(`\n============ AI 客服 API ============`);
     console.log(`  GET  /health               - 健康檢查`);
     console.log(`  POST /api/chat             - 統一對話入口`);
     console.log(`  POST /api/faq/reply        - FAQ 自動回覆`);
+    console.log(`  GET  /api/faq/search/debug - FAQ 檢索評分說明`);
     console.log(`  POST /api/intent/classify  - 意圖分類`);
-    console.log(`  POST /webhook/line         - LINE Webhook`);
+    console.log(`  POST /webhook/line/:id     - LINE Webhook（區域專屬）`);
+    console.log(`  POST /webhook/line         - LINE Webhook（多渠道相容）`);
+    console.log(`  POST /webhook/fb           - FB Messenger Webhook`);
+    console.log(`  POST /api/web-chat/session - 官網聊天元件`);
     console.log(`\n============ 管理後台 API ============`);
     console.log(`  POST /api/auth/login       - 登入`);
     console.log(`  GET  /api/auth/me          - 當前用戶`);
     console.log(`  GET  /api/users            - 用戶列表`);
     console.log(`  GET  /api/regions          - 區域列表`);
+    console.log(`  GET  /api/regions/:id/rich-menus - LINE 圖文選單`);
     console.log(`  GET  /api/agent/queue      - 等待佇列`);
     console.log(`  GET  /api/reports/overview - 報表總覽`);
     console.log(`  GET  /api/customers        - 顧客列表`);
     console.log(`  GET  /api/crm-customers    - CRM 客戶列表`);
     console.log(`  GET  /api/tags             - 標籤列表`);
+    console.log(`  GET  /api/webhook-events   - Webhook 死信事件`);
+    console.log(`  GET  /api/faqs             - FAQ 知識庫管理`);
     console.log(`\n============ 系統狀態 ============`);
     console.log(`🔑 Gemini API: ${geminiReady ? '✅ 已啟用' : '❌ 未啟用'}`);
     console.log(`🧠 意圖分類器: ${intentReady ? '✅ 已啟用' : '❌ 未啟用'}`);
     console.log(`💡 AI 推薦服務: ${aiSuggestionReady ? '✅ 已啟用' : '⚠️ 未啟用'}`);
     console.log(`📱 LINE Bot: ${lineReady ? '✅ 已設定' : '⚠️ 未設定'}`);
+    console.log(`💬 FB Messenger: ${fbReady ? '✅ 已設定' : '⚠️ 未設定'}`);
     console.log(`⏰ 定時任務: ✅ 已啟動`);
     console.log(`\n👤 管理員帳號: ${config.admin.email}`);
     console.log(`   （首次登入請使用 .env 中設定的密碼）`);
@@ -1,12 +1,20 @@
 /**
  * 金龍永盛 AI 客服系統 - 意圖分類模組
  *
- * 使用 Gemini 2.0 Flash 進行意圖識別和實體提取
+ * 經由 LLM 供應商（見 llm/index.js）進行意圖識別和實體提取，
+ * 明確的意圖及 LLM 無法使用時以規則分類（見 ruleClassifier.js）
  */
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { config } from './config.js';
-
-let model = null;
+import { initLLMProvider, getLLMProvider } from './llm/index.js';
+import { classifyByRules, preFilterIntent } from './ruleClassifier.js';
+
+// 意圖分類來源（記錄在 BOT 訊息的 metadata.classifierSource）
+export const CLASSIFIER_SOURCES = {
+  LLM: 'LLM',                       // LLM 供應商分類
+  RULE_PREFILTER: 'RULE_PREFILTER', // 規則預篩（問候、轉人工）
+  RULE_FALLBACK: 'RULE_FALLBACK',   // LLM 無法使用時的規則備援
+  POSTBACK: 'POSTBACK',             // 按鈕指定意圖
+  CONTINUATION: 'CONTINUATION',     // 多輪對話延續上一個意圖
+};
 
 // 16 種意圖定義
 export const INTENTS = {
@@ -123,39 +131,60 @@ const INTENT_SYSTEM_PROMPT = `你是金龍永盛旅行社的意圖分類器。
  * 初始化意圖分類器
  */
 export function initIntentClassifier() {
-  if (!config.gemini.apiKey) {
-    console.error('❌ GEMINI_API_KEY 未設定');
+  if (!initLLMProvider()) {
+    console.error('❌ 意圖分類器初始化失敗');
     return false;
   }
 
-  try {
-    const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-    model = genAI.getGenerativeModel({
-      model: config.gemini.model,
-      systemInstruction: INTENT_SYSTEM_PROMPT,
-    });
-    console.log('✅ 意圖分類器初始化成功');
-    return true;
-  } catch (error) {
-    console.error('❌ 意圖分類器初始化失敗:', error);
-    return false;
-  }
+  console.log('✅ 意圖分類器初始化成功');
+  return true;
+}
+
+/**
+ * 將分類結果整理為統一格式（補充意圖資訊）
+ * @param {Object} classification - LLM 或規則的分類結果
+ * @param {string} source - 分類來源（CLASSIFIER_SOURCES）
+ * @param {number} startTime - 開始時間
+ */
+function formatResult(classification, source, startTime) {
+  const intentInfo = INTENTS[classification.intent] || INTENTS.UNKNOWN;
+
+  return {
+    success: true,
+    intent: classification.intent,
+    intentName: intentInfo.name,
+    category: intentInfo.category,
+    confidence: classification.confidence || 0.8,
+    subIntent: classification.sub_intent || null,
+    entities: classification.entities || {},
+    requiresHuman: classification.requires_human || intentInfo.automation === 'none',
+    suggestedAction: classification.suggested_action || null,
+    automationLevel: intentInfo.automation,
+    source,
+    processingTime: Date.now() - startTime,
+  };
 }
 
 /**
  * 分類用戶意圖
+ * 問候、轉人工等明確的訊息由規則直接判定；LLM 無法使用或結果無法解析時改用規則分類
  * @param {string} userMessage - 用戶訊息
  * @param {Array} conversationHistory - 對話歷史（可選）
- * @returns {Object} 分類結果
+ * @returns {Object} 分類結果（source 為分類來源）
  */
 export async function classifyIntent(userMessage, conversationHistory = []) {
-  if (!model) {
-    throw new Error('意圖分類器尚未初始化');
-  }
-
   const startTime = Date.now();
 
+  // 預篩：明確的意圖不需要呼叫 LLM
+  const preFiltered = preFilterIntent(userMessage);
+  if (preFiltered) {
+    return formatResult(preFiltered, CLASSIFIER_SOURCES.RULE_PREFILTER, startTime);
+  }
+
+  let fallbackReason;
   try {
+    const provider = getLLMProvider();
+
     // 構建上下文
     let context = '';
     if (conversationHistory.length > 0) {
@@ -169,54 +198,28 @@ ${userMessage}
 
 請分析並以 JSON 格式回覆（只回覆 JSON，不要其他文字）：`;
 
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.1,  // 分類任務用低溫度
-        maxOutputTokens: 500,
-      },
+    const { classification, raw } = await provider.classify({
+      systemInstruction: INTENT_SYSTEM_PROMPT,
+      message: userMessage,
+      prompt,
     });
 
-    const response = result.response.text();
-    const processingTime = Date.now() - startTime;
-
-    // 解析 JSON 回覆
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const classification = JSON.parse(jsonMatch[0]);
-
-      // 補充意圖資訊
-      const intentInfo = INTENTS[classification.intent] || INTENTS.UNKNOWN;
-
-      return {
-        success: true,
-        intent: classification.intent,
-        intentName: intentInfo.name,
-        category: intentInfo.category,
-        confidence: classification.confidence || 0.8,
-        subIntent: classification.sub_intent || null,
-        entities: classification.entities || {},
-        requiresHuman: classification.requires_human || intentInfo.automation === 'none',
-        suggestedAction: classification.suggested_action || null,
-        automationLevel: intentInfo.automation,
-        processingTime,
-      };
+    if (classification) {
+      return formatResult(classification, CLASSIFIER_SOURCES.LLM, startTime);
     }
 
-    return {
-      success: false,
-      intent: 'UNKNOWN',
-      error: '無法解析分類結果',
-      raw: response,
-    };
+    fallbackReason = '無法解析分類結果';
+    console.warn(`⚠️ 無法解析分類結果，改用規則分類: ${raw}`);
   } catch (error) {
-    console.error('❌ 意圖分類失敗:', error);
-    return {
-      success: false,
-      intent: 'UNKNOWN',
-      error: error.message,
-    };
+    fallbackReason = error.message;
+    console.error('❌ 意圖分類失敗，改用規則分類:', error.message);
   }
+
+  // 備援：規則分類，避免 LLM 異常時所有訊息都轉人工
+  return {
+    ...formatResult(classifyByRules(userMessage), CLASSIFIER_SOURCES.RULE_FALLBACK, startTime),
+    fallbackReason,
+  };
 }
 
 /**
@@ -235,6 +238,7 @@ export async function batchClassify(messages) {
 
 export default {
   INTENTS,
+  CLASSIFIER_SOURCES,
   initIntentClassifier,
   classifyIntent,
   batchClassify,
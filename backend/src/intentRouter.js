@@ -4,11 +4,12 @@
  * 根據識別的意圖，路由到對應的處理函數
  * 支援資料庫和記憶體兩種 Session 模式
  */
-import { classifyIntent, INTENTS } from './intentClassifier.js';
+import { classifyIntent, INTENTS, CLASSIFIER_SOURCES } from './intentClassifier.js';
 import { extractAllEntities, flattenEntities } from './entityExtractor.js';
 // faqAutoReply 已移除，改用直接 FAQ 查詢以提升效能
 import { searchFAQ, formatFAQContext } from './faqRetriever.js';
 import { getConversationHistory } from './services/conversationService.js';
+import config from './config.js';
 
 // ============ Session 管理 ============
 
@@ -300,14 +301,51 @@ function updateSessionHistory(sessionId, userMessage, response, isFromDatabase =
 
 // ============ 訊息處理 ============
 
+/**
+ * 解析按鈕回傳資料（postback data）
+ * 格式為 URL query string，例如：intent=TICKET_BOOK&destination=東京
+ * - intent：直接指定意圖（略過 AI 分類）
+ * - action：非意圖類的操作（由呼叫端自行處理）
+ * - 其餘欄位作為實體
+ * @param {string} data - postback data
+ * @param {Object} [params] - 日期時間選擇器等附帶的參數（如 { date: '2025-01-01' }）
+ * @returns {Object} { intent, action, entities }
+ */
+export function parsePostbackData(data, params = {}) {
+  const searchParams = new URLSearchParams(data || '');
+  const entities = {};
+  let intent = null;
+  let action = null;
+
+  for (const [key, value] of searchParams) {
+    if (key === 'intent') {
+      intent = INTENTS[value] ? value : null;
+    } else if (key === 'action') {
+      action = value;
+    } else {
+      entities[key] = value;
+    }
+  }
+
+  return {
+    intent,
+    action,
+    entities: { ...entities, ...params },
+  };
+}
+
 /**
  * 處理用戶訊息的主入口
  * @param {string} userMessage - 用戶訊息
  * @param {string} sessionId - Session ID（用於追蹤對話）
  * @param {string} userId - 用戶 ID（可選）
+ * @param {Object} [options] - 選項
+ * @param {Object} [options.postback] - 按鈕回傳資料（parsePostbackData 的結果），有 intent 時略過 AI 分類
+ * @param {string} [options.regionId] - 區域 ID（搜尋全域及該區域的 FAQ）
  * @returns {Object} 處理結果
  */
-export async function handleMessage(userMessage, sessionId = 'default', userId = null) {
+export async function handleMessage(userMessage, sessionId = 'default', userId = null, options = {}) {
+  const { postback = null, regionId = null } = options;
   const startTime = Date.now();
 
   // 取得或創建 session（現在支援從資料庫讀取）
@@ -315,6 +353,8 @@ export async function handleMessage(userMessage, sessionId = 'default', userId =
   if (userId) {
     session.userId = userId;
   }
+  // 處理器以 context.regionId 搜尋區域適用的 FAQ
+  session.regionId = regionId;
 
   try {
     // 0. 檢查是否應該延續上一個意圖（多輪對話處理）
@@ -324,7 +364,19 @@ export async function handleMessage(userMessage, sessionId = 'default', userId =
     let intentResult;
     let isContinuation = false;
 
-    if (continuation && continuation.shouldContinue) {
+    if (postback?.intent) {
+      // 按鈕指定意圖，不需要分類
+      console.log(`🔘 按鈕意圖: ${postback.intent}`);
+      intentResult = {
+        success: true,
+        intent: postback.intent,
+        intentName: INTENTS[postback.intent].name,
+        category: INTENTS[postback.intent].category,
+        confidence: 1,
+        entities: postback.entities,
+        source: CLASSIFIER_SOURCES.POSTBACK,
+      };
+    } else if (continuation && continuation.shouldContinue) {
       // 延續上一個意圖，不重新分類
       console.log(`🔄 延續意圖: ${continuation.intent}（偵測到: ${continuation.matchedTypes.join(', ')}）`);
       isContinuation = true;
@@ -336,6 +388,7 @@ export async function handleMessage(userMessage, sessionId = 'default', userId =
         confidence: 0.9,
         entities: {},
         isContinuation: true,
+        source: CLASSIFIER_SOURCES.CONTINUATION,
       };
     } else {
       // 1. 意圖分類（傳入對話歷史以提供上下文）
@@ -352,6 +405,7 @@ export async function handleMessage(userMessage, sessionId = 'default', userId =
       ...session.entities,  // 保留 session 中已收集的實體
       ...flatEntities,
       ...intentResult.entities,
+      ...postback?.entities,
     };
 
     // 更新 session 實體
@@ -393,13 +447,16 @@ export async function handleMessage(userMessage, sessionId = 'default', userId =
       intentName: intentResult.intentName,
       category: intentResult.category,
       confidence: intentResult.confidence,
+      classifierSource: intentResult.source,
       entities: mergedEntities,
       reply: response.message,
       requiresHuman: response.requiresHuman || intentResult.requiresHuman,
       suggestedActions: response.suggestedActions || [],
+      card: response.card || null,
       processingTime,
       isContinuation,
       awaitingInfo: response.awaitingInfo || [],
+      faqGap: response.faqGap || null,
     };
   } catch (error) {
     console.error('❌ 訊息處理失敗:', error);
@@ -453,6 +510,21 @@ function getIntentHandler(intent) {
 
 // ============ 意圖處理器 ============
 
+// 卡片上的「轉真人」按鈕（postback 直接路由到轉人工意圖）
+const HUMAN_FALLBACK_ACTION = {
+  label: '還是需要真人',
+  text: '還是需要真人',
+  data: 'intent=TRANSFER_AGENT',
+};
+
+/**
+ * 將建議回覆轉為卡片按鈕
+ * @param {string[]} suggestedActions - 建議回覆
+ */
+function toCardActions(suggestedActions) {
+  return suggestedActions.map(action => ({ label: action, text: action }));
+}
+
 /**
  * 訂票請求處理
  */
@@ -489,6 +561,16 @@ async function handleTicketBook(message, entities, context, isContinuation = fal
         message: response,
         requiresHuman: true,
         suggestedActions,
+        card: {
+          type: 'BOOKING_SUMMARY',
+          data: {
+            title: '✅ 訂票需求已確認',
+            destination: dest,
+            date: dt,
+            passengers: pax,
+            note: '專人會盡快為您查詢航班並報價',
+          },
+        },
         conversationComplete: true,
       };
     }
@@ -513,6 +595,16 @@ ${hasDestination ? `目的地：${hasDestination}` : ''}
       message: response,
       requiresHuman: true,
       suggestedActions,
+      card: {
+        type: 'BOOKING_SUMMARY',
+        data: {
+          title: '🎫 開票請求已收到',
+          bookingRef: hasBookingRef,
+          destination: hasDestination,
+          status: '確認中',
+          note: '確認訂位資訊後會再通知您付款方式',
+        },
+      },
       conversationComplete: true,  // 資訊收集完成
     };
   }
@@ -568,6 +660,16 @@ ${hasDestination ? `目的地：${hasDestination}` : ''}
       message: response,
       requiresHuman: false,  // 還不需要轉人工，等確認後再轉
       suggestedActions,
+      card: {
+        type: 'BOOKING_SUMMARY',
+        data: {
+          title: '📋 請確認訂票資訊',
+          destination: hasDestination,
+          date: hasDate,
+          passengers: hasPassengers,
+        },
+        actions: toCardActions(suggestedActions),
+      },
       awaitingInfo,
       lastQuestion: '請確認訂票資訊',
     };
@@ -752,6 +854,15 @@ ${hasPassengers ? `- 人數：${hasPassengers}` : ''}
     message: response,
     requiresHuman: true,
     suggestedActions: ['提供詳細報價'],
+    card: {
+      type: 'FLIGHT_QUOTE',
+      data: {
+        destination: hasDestination,
+        date: hasDate,
+        travelClass: hasClass,
+        passengers: hasPassengers,
+      },
+    },
     conversationComplete: true,
   };
 }
@@ -855,7 +966,7 @@ async function handleVisaInquiry(message, entities, context) {
   const hasDestination = entities.destination || entities.DESTINATION;
 
   // 直接搜尋 FAQ（不呼叫 Gemini，節省 1.5 秒）
-  const faqs = searchFAQ(message);
+  const faqs = searchFAQ(message, 3, { regionId: context.regionId });
 
   if (faqs.length > 0) {
     // 直接使用最佳匹配的 FAQ 回覆
@@ -1106,18 +1217,43 @@ async function handleTransferAgent(message, entities, context) {
   };
 }
 
+/**
+ * 判斷 FAQ 搜尋結果是否為知識庫缺口（沒有匹配或最佳分數偏低），由呼叫端記錄為未解答問題
+ * @param {Array} faqs - searchFAQ 的結果
+ * @returns {Object|null} { reason, topFaqCode, topScore }
+ */
+function getFaqGap(faqs) {
+  if (faqs.length === 0) {
+    return { reason: 'NO_MATCH', topFaqCode: null, topScore: null };
+  }
+  if (faqs[0].score < config.faq.lowScoreThreshold) {
+    return { reason: 'LOW_SCORE', topFaqCode: faqs[0].id, topScore: faqs[0].score };
+  }
+  return null;
+}
+
 /**
  * 一般 FAQ 處理 - 直接使用 FAQ（不呼叫 Gemini）
  */
 async function handleFaqGeneral(message, entities, context) {
   // 直接搜尋 FAQ（不呼叫 Gemini，節省 1.5 秒）
-  const faqs = searchFAQ(message);
+  const faqs = searchFAQ(message, 3, { regionId: context.regionId });
+  const faqGap = getFaqGap(faqs);
 
   if (faqs.length > 0) {
     return {
       message: faqs[0].answer,
       requiresHuman: false,
       suggestedActions: [],
+      faqGap,
+      card: {
+        type: 'FAQ_ANSWER',
+        data: {
+          question: faqs[0].question,
+          answer: faqs[0].answer,
+        },
+        actions: [HUMAN_FALLBACK_ACTION],
+      },
     };
   }
 
@@ -1126,6 +1262,7 @@ async function handleFaqGeneral(message, entities, context) {
     message: '這個問題我需要請專人為您處理，請稍候。',
     requiresHuman: true,
     suggestedActions: [],
+    faqGap,
   };
 }
 
@@ -1134,13 +1271,15 @@ async function handleFaqGeneral(message, entities, context) {
  */
 async function handleUnknown(message, entities, context) {
   // 直接搜尋 FAQ（不呼叫 Gemini，節省 1.5 秒）
-  const faqs = searchFAQ(message);
+  const faqs = searchFAQ(message, 3, { regionId: context.regionId });
+  const faqGap = getFaqGap(faqs);
 
   if (faqs.length > 0) {
     return {
       message: faqs[0].answer,
       requiresHuman: false,
       suggestedActions: [],
+      faqGap,
     };
   }
 
@@ -1157,11 +1296,13 @@ async function handleUnknown(message, entities, context) {
 如需人工服務，請告訴我「找真人」。`,
     requiresHuman: false,
     suggestedActions: [],
+    faqGap,
   };
 }
 
 export default {
   handleMessage,
+  parsePostbackData,
   getSessionContext,
   clearSession,
 };
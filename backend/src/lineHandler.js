@@ -6,21 +6,44 @@
  */
 import crypto from 'crypto';
 import { config } from './config.js';
-import { handleMessage } from './intentRouter.js';
+import { handleMessage, parsePostbackData } from './intentRouter.js';
 import { faqAutoReply } from './gemini.js';
 import { prisma } from './db.js';
-import {
-  getOrCreateCustomer,
-  getOrCreateConversation,
-  saveMessage,
-  getConversation,
-} from './services/conversationService.js';
-import { isWithinWorkingHours, getOffHoursMessage } from './services/workingHoursService.js';
-import { handoffToHuman, markOffHoursPending, getPriorityByVipLevel } from './services/humanHandoffService.js';
-import { generateAndSaveSuggestedReply } from './services/aiSuggestionService.js';
+import { processInboundMessage } from './services/inboundMessageService.js';
+import { getOrCreateCustomer, setCustomerBlocked } from './services/conversationService.js';
+import { saveFileBuffer, MAX_FILE_SIZE } from './services/fileStorageService.js';
+import { HANDOFF_REASONS } from './services/humanHandoffService.js';
+import { getCachedRegion, getCachedActiveRegions } from './services/regionCacheService.js';
+import { buildFlexMessage } from './flexMessageBuilder.js';
+import { cardToTextReply } from './channels/messages.js';
 
 // LINE API 設定
 const LINE_API_BASE = 'https://api.line.me/v2/bot';
+const LINE_DATA_API_BASE = 'https://api-data.line.me/v2/bot';
+
+/**
+ * 比對 LINE Webhook 簽名
+ * @param {string} body - 請求原始內容
+ * @param {string} signature - X-Line-Signature header
+ * @param {string} channelSecret - Channel Secret
+ * @returns {boolean} 簽名是否相符
+ */
+function matchSignature(body, signature, channelSecret) {
+  if (!signature || !channelSecret) {
+    return false;
+  }
+
+  const hash = crypto
+    .createHmac('SHA256', channelSecret)
+    .update(body)
+    .digest('base64');
+
+  if (hash.length !== signature.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature));
+}
 
 /**
  * 驗證 LINE Webhook 簽名（單渠道）
@@ -34,54 +57,52 @@ export function verifySignature(body, signature) {
     return true; // 開發環境可跳過
   }
 
-  const hash = crypto
-    .createHmac('SHA256', config.line.channelSecret)
-    .update(body)
-    .digest('base64');
+  return matchSignature(body, signature, config.line.channelSecret);
+}
+
+/**
+ * 驗證指定區域的 LINE Webhook 簽名（/webhook/line/:regionId）
+ * 只使用該區域的 Channel Secret；區域未設定時使用全域配置
+ * @param {string} body - 請求原始內容
+ * @param {string} signature - X-Line-Signature header
+ * @param {Object} region - 區域資料
+ * @returns {boolean} 簽名是否有效
+ */
+export function verifyRegionSignature(body, signature, region) {
+  const channelSecret = region?.lineChannelSecret || config.line?.channelSecret;
+
+  if (!channelSecret) {
+    console.error(`❌ 區域 ${region?.name} 未設定 LINE Channel Secret`);
+    return false;
+  }
 
-  return hash === signature;
+  return matchSignature(body, signature, channelSecret);
 }
 
 /**
  * 驗證 LINE Webhook 簽名（多渠道支援）
- * 嘗試所有區域的 channelSecret 來驗證簽名
+ * 嘗試所有區域的 channelSecret 來驗證簽名（舊版 /webhook/line 使用）
  * @param {string} body - 請求原始內容
  * @param {string} signature - X-Line-Signature header
  * @returns {Promise<Object|null>} 匹配的區域資料，或 null 表示驗證失敗
  */
 export async function verifySignatureMultiChannel(body, signature) {
   try {
-    // 取得所有活躍區域
-    const regions = await prisma.region.findMany({
-      where: { isActive: true },
-    });
+    // 取得所有活躍區域（帶快取）
+    const regions = await getCachedActiveRegions();
 
     // 嘗試每個區域的 secret
     for (const region of regions) {
-      if (!region.lineChannelSecret) continue;
-
-      const hash = crypto
-        .createHmac('SHA256', region.lineChannelSecret)
-        .update(body)
-        .digest('base64');
-
-      if (hash === signature) {
+      if (matchSignature(body, signature, region.lineChannelSecret)) {
         console.log(`✅ 簽名驗證成功，區域: ${region.name} (${region.code})`);
         return region;
       }
     }
 
     // 如果都不匹配，嘗試全域配置（向後兼容）
-    if (config.line?.channelSecret) {
-      const hash = crypto
-        .createHmac('SHA256', config.line.channelSecret)
-        .update(body)
-        .digest('base64');
-
-      if (hash === signature) {
-        console.log('✅ 簽名驗證成功（使用全域配置）');
-        return { id: null, useGlobalConfig: true };
-      }
+    if (matchSignature(body, signature, config.line?.channelSecret)) {
+      console.log('✅ 簽名驗證成功（使用全域配置）');
+      return { id: null, useGlobalConfig: true };
     }
 
     console.error('❌ 簽名驗證失敗，無匹配的區域');
@@ -93,12 +114,28 @@ export async function verifySignatureMultiChannel(body, signature) {
 }
 
 /**
- * 回覆 LINE 訊息
- * @param {string} replyToken - LINE reply token
+ * 取得區域的 Channel Access Token（區域未設定時使用全域配置）
+ * @param {Object} [region] - 區域資料（不傳入時使用全域配置）
+ * @returns {string|null}
+ */
+function getChannelAccessToken(region) {
+  if (region && !region.useGlobalConfig && region.lineChannelAccessToken) {
+    return region.lineChannelAccessToken;
+  }
+  return config.line?.channelAccessToken || null;
+}
+
+/**
+ * 呼叫 LINE 訊息 API（reply / push 共用）
+ * @param {string} path - API 路徑（/message/reply 或 /message/push）
+ * @param {Object} body - 請求內容（不含 messages）
  * @param {Array|Object} messages - 要發送的訊息（單個或多個）
+ * @param {Object} [region] - 區域資料
  */
-export async function replyMessage(replyToken, messages) {
-  if (!config.line?.channelAccessToken) {
+async function sendLineMessages(path, body, messages, region) {
+  const accessToken = getChannelAccessToken(region);
+
+  if (!accessToken) {
     console.error('❌ LINE Channel Access Token 未設定');
     return { success: false, error: 'Channel Access Token 未設定' };
   }
@@ -107,188 +144,263 @@ export async function replyMessage(replyToken, messages) {
   const messageArray = Array.isArray(messages) ? messages : [messages];
 
   try {
-    const response = await fetch(`${LINE_API_BASE}/message/reply`, {
+    const response = await fetch(`${LINE_API_BASE}${path}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.line.channelAccessToken}`,
+        'Authorization': `Bearer ${accessToken}`,
       },
       body: JSON.stringify({
-        replyToken,
+        ...body,
         messages: messageArray,
       }),
     });
 
     if (!response.ok) {
       const error = await response.json();
-      console.error('❌ LINE API 錯誤:', error);
+      console.error(`❌ LINE API 錯誤 (${path}):`, error);
       return { success: false, error };
     }
 
     return { success: true };
   } catch (error) {
-    console.error('❌ 發送 LINE 訊息失敗:', error);
+    console.error(`❌ 發送 LINE 訊息失敗 (${path}):`, error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * 回覆 LINE 訊息
+ * @param {string} replyToken - LINE reply token
+ * @param {Array|Object} messages - 要發送的訊息（單個或多個）
+ */
+export async function replyMessage(replyToken, messages) {
+  return sendLineMessages('/message/reply', { replyToken }, messages, null);
+}
+
 /**
  * 主動推送訊息給用戶
  * @param {string} userId - LINE 用戶 ID
  * @param {Array|Object} messages - 要發送的訊息
  */
 export async function pushMessage(userId, messages) {
-  if (!config.line?.channelAccessToken) {
-    console.error('❌ LINE Channel Access Token 未設定');
-    return { success: false, error: 'Channel Access Token 未設定' };
-  }
+  return sendLineMessages('/message/push', { to: userId }, messages, null);
+}
 
-  const messageArray = Array.isArray(messages) ? messages : [messages];
+/**
+ * 回覆 LINE 訊息（多渠道版本）
+ * @param {string} replyToken - LINE reply token
+ * @param {Array|Object} messages - 要發送的訊息
+ * @param {Object} region - 區域資料（包含 lineChannelAccessToken）
+ */
+export async function replyMessageWithRegion(replyToken, messages, region) {
+  return sendLineMessages('/message/reply', { replyToken }, messages, region);
+}
+
+/**
+ * 主動推送訊息（多渠道版本）
+ * @param {string} userId - LINE 用戶 ID
+ * @param {Array|Object} messages - 要發送的訊息
+ * @param {Object} region - 區域資料
+ */
+export async function pushMessageWithRegion(userId, messages, region) {
+  return sendLineMessages('/message/push', { to: userId }, messages, region);
+}
+
+/**
+ * 取得用戶資料（多渠道版本）
+ * @param {string} userId - LINE 用戶 ID
+ * @param {Object} [region] - 區域資料（不傳入時使用全域配置）
+ */
+export async function getUserProfileWithRegion(userId, region) {
+  const accessToken = getChannelAccessToken(region);
+
+  if (!accessToken) {
+    return null;
+  }
 
   try {
-    const response = await fetch(`${LINE_API_BASE}/message/push`, {
-      method: 'POST',
+    const response = await fetch(`${LINE_API_BASE}/profile/${userId}`, {
       headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.line.channelAccessToken}`,
+        'Authorization': `Bearer ${accessToken}`,
       },
-      body: JSON.stringify({
-        to: userId,
-        messages: messageArray,
-      }),
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      console.error('❌ LINE Push API 錯誤:', error);
-      return { success: false, error };
+      return null;
     }
 
-    return { success: true };
+    return await response.json();
   } catch (error) {
-    console.error('❌ 推送 LINE 訊息失敗:', error);
-    return { success: false, error: error.message };
+    console.error('❌ 取得用戶資料失敗:', error);
+    return null;
   }
 }
 
 /**
- * 回覆 LINE 訊息（多渠道版本）
- * @param {string} replyToken - LINE reply token
- * @param {Array|Object} messages - 要發送的訊息
- * @param {Object} region - 區域資料（包含 lineChannelAccessToken）
+ * 下載用戶傳送的圖片、影片、語音或檔案內容（多渠道版本）
+ * @param {string} messageId - LINE 訊息 ID
+ * @param {Object} [region] - 區域資料（不傳入時使用全域配置）
+ * @returns {Promise<Object|null>} { buffer, contentType }，失敗時返回 null
  */
-export async function replyMessageWithRegion(replyToken, messages, region) {
-  const accessToken = region?.useGlobalConfig
-    ? config.line?.channelAccessToken
-    : region?.lineChannelAccessToken;
+export async function getMessageContentWithRegion(messageId, region) {
+  const accessToken = getChannelAccessToken(region);
 
   if (!accessToken) {
-    console.error('❌ LINE Channel Access Token 未設定');
-    return { success: false, error: 'Channel Access Token 未設定' };
+    return null;
   }
 
-  const messageArray = Array.isArray(messages) ? messages : [messages];
-
   try {
-    const response = await fetch(`${LINE_API_BASE}/message/reply`, {
-      method: 'POST',
+    const response = await fetch(`${LINE_DATA_API_BASE}/message/${messageId}/content`, {
       headers: {
-        'Content-Type': 'application/json',
         'Authorization': `Bearer ${accessToken}`,
       },
-      body: JSON.stringify({
-        replyToken,
-        messages: messageArray,
-      }),
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      console.error('❌ LINE API 錯誤:', error);
-      return { success: false, error };
+      console.error(`❌ 下載 LINE 訊息內容失敗: HTTP ${response.status}`);
+      return null;
     }
 
-    return { success: true };
+    return {
+      buffer: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type'),
+    };
   } catch (error) {
-    console.error('❌ 發送 LINE 訊息失敗:', error);
-    return { success: false, error: error.message };
+    console.error('❌ 下載 LINE 訊息內容失敗:', error);
+    return null;
   }
 }
 
+// ============ 圖文選單（Rich Menu）API ============
+
 /**
- * 主動推送訊息（多渠道版本）
- * @param {string} userId - LINE 用戶 ID
- * @param {Array|Object} messages - 要發送的訊息
- * @param {Object} region - 區域資料
+ * 呼叫 LINE 圖文選單 API
+ * @param {string} method - HTTP 方法
+ * @param {string} url - 完整 API 網址
+ * @param {Object} [region] - 區域資料
+ * @param {Object} [options]
+ * @param {Object|Buffer} [options.body] - 請求內容（Buffer 時以 contentType 原樣送出）
+ * @param {string} [options.contentType] - Content-Type（預設 application/json）
+ * @returns {Promise<Object>} { success, data?, error? }
  */
-export async function pushMessageWithRegion(userId, messages, region) {
-  const accessToken = region?.useGlobalConfig
-    ? config.line?.channelAccessToken
-    : region?.lineChannelAccessToken;
+async function callRichMenuApi(method, url, region, { body = null, contentType = 'application/json' } = {}) {
+  const accessToken = getChannelAccessToken(region);
 
   if (!accessToken) {
     console.error('❌ LINE Channel Access Token 未設定');
     return { success: false, error: 'Channel Access Token 未設定' };
   }
 
-  const messageArray = Array.isArray(messages) ? messages : [messages];
-
   try {
-    const response = await fetch(`${LINE_API_BASE}/message/push`, {
-      method: 'POST',
+    const response = await fetch(url, {
+      method,
       headers: {
-        'Content-Type': 'application/json',
+        'Content-Type': contentType,
         'Authorization': `Bearer ${accessToken}`,
       },
-      body: JSON.stringify({
-        to: userId,
-        messages: messageArray,
-      }),
+      body: body === null ? undefined : (Buffer.isBuffer(body) ? body : JSON.stringify(body)),
     });
 
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : {};
+
     if (!response.ok) {
-      const error = await response.json();
-      console.error('❌ LINE Push API 錯誤:', error);
-      return { success: false, error };
+      console.error(`❌ LINE 圖文選單 API 錯誤 (${method} ${url}):`, data);
+      return { success: false, error: data };
     }
 
-    return { success: true };
+    return { success: true, data };
   } catch (error) {
-    console.error('❌ 推送 LINE 訊息失敗:', error);
+    console.error(`❌ 呼叫 LINE 圖文選單 API 失敗 (${method} ${url}):`, error);
     return { success: false, error: error.message };
   }
 }
 
 /**
- * 取得用戶資料（多渠道版本）
- * @param {string} userId - LINE 用戶 ID
+ * 建立圖文選單
+ * @param {Object} richMenu - LINE rich menu 物件 { size, selected, name, chatBarText, areas }
  * @param {Object} region - 區域資料
+ * @returns {Promise<Object>} { success, richMenuId }
  */
-export async function getUserProfileWithRegion(userId, region) {
-  const accessToken = region?.useGlobalConfig
-    ? config.line?.channelAccessToken
-    : region?.lineChannelAccessToken;
+export async function createRichMenuWithRegion(richMenu, region) {
+  const result = await callRichMenuApi('POST', `${LINE_API_BASE}/richmenu`, region, { body: richMenu });
+  return result.success ? { success: true, richMenuId: result.data.richMenuId } : result;
+}
 
-  if (!accessToken) {
-    return null;
-  }
+/**
+ * 上傳圖文選單圖片（每個選單只能上傳一次）
+ * @param {string} richMenuId - LINE richMenuId
+ * @param {Buffer} buffer - 圖片內容（JPEG / PNG，1MB 以內）
+ * @param {string} contentType - image/jpeg 或 image/png
+ * @param {Object} region - 區域資料
+ */
+export async function uploadRichMenuImageWithRegion(richMenuId, buffer, contentType, region) {
+  return callRichMenuApi('POST', `${LINE_DATA_API_BASE}/richmenu/${richMenuId}/content`, region, {
+    body: buffer,
+    contentType,
+  });
+}
 
-  try {
-    const response = await fetch(`${LINE_API_BASE}/profile/${userId}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-      },
-    });
+/**
+ * 刪除圖文選單
+ * @param {string} richMenuId - LINE richMenuId
+ * @param {Object} region - 區域資料
+ */
+export async function deleteRichMenuWithRegion(richMenuId, region) {
+  return callRichMenuApi('DELETE', `${LINE_API_BASE}/richmenu/${richMenuId}`, region);
+}
 
-    if (!response.ok) {
-      return null;
+/**
+ * 設定預設圖文選單（未連結個人選單的用戶都會看到）
+ * @param {string} richMenuId - LINE richMenuId
+ * @param {Object} region - 區域資料
+ */
+export async function setDefaultRichMenuWithRegion(richMenuId, region) {
+  return callRichMenuApi('POST', `${LINE_API_BASE}/user/all/richmenu/${richMenuId}`, region);
+}
+
+/**
+ * 取消預設圖文選單
+ * @param {Object} region - 區域資料
+ */
+export async function cancelDefaultRichMenuWithRegion(region) {
+  return callRichMenuApi('DELETE', `${LINE_API_BASE}/user/all/richmenu`, region);
+}
+
+/**
+ * 將圖文選單連結給指定用戶（每次最多 500 人，超過時分批）
+ * @param {string} richMenuId - LINE richMenuId
+ * @param {string[]} userIds - LINE 用戶 ID
+ * @param {Object} region - 區域資料
+ */
+export async function linkRichMenuToUsersWithRegion(richMenuId, userIds, region) {
+  for (let i = 0; i < userIds.length; i += 500) {
+    const result = await callRichMenuApi('POST', `${LINE_API_BASE}/richmenu/bulk/link`, region, {
+      body: { richMenuId, userIds: userIds.slice(i, i + 500) },
+    });
+    if (!result.success) {
+      return result;
     }
+  }
+  return { success: true };
+}
 
-    return await response.json();
-  } catch (error) {
-    console.error('❌ 取得用戶資料失敗:', error);
-    return null;
+/**
+ * 解除用戶的個人圖文選單（恢復顯示預設選單，每次最多 500 人，超過時分批）
+ * @param {string[]} userIds - LINE 用戶 ID
+ * @param {Object} region - 區域資料
+ */
+export async function unlinkRichMenuFromUsersWithRegion(userIds, region) {
+  for (let i = 0; i < userIds.length; i += 500) {
+    const result = await callRichMenuApi('POST', `${LINE_API_BASE}/richmenu/bulk/unlink`, region, {
+      body: { userIds: userIds.slice(i, i + 500) },
+    });
+    if (!result.success) {
+      return result;
+    }
   }
+  return { success: true };
 }
 
 /**
@@ -337,6 +449,9 @@ export function createQuickReply(text, items) {
   };
 }
 
+// 確認模板的文字上限（超過時 LINE API 會拒絕整個回覆）
+const CONFIRM_TEXT_LIMIT = 240;
+
 /**
  * 建立確認模板
  * @param {string} text - 確認訊息
@@ -358,6 +473,41 @@ export function createConfirmTemplate(text, yes, no) {
   };
 }
 
+/**
+ * 將渠道無關的訊息轉換為 LINE 訊息物件（格式見 channels/messages.js）
+ * @param {Array} replies - 渠道無關的訊息
+ * @returns {Array} LINE 訊息物件
+ */
+export function toLineMessages(replies) {
+  return replies.map(reply => {
+    switch (reply.type) {
+      case 'image':
+        return createImageMessage(reply.url, reply.previewUrl);
+      case 'file':
+        // LINE 不支援直接發送文件，改為發送文字連結
+        return createTextMessage(`📎 檔案: ${reply.fileName || '附件'}\n${reply.url}`);
+      case 'template':
+        // 確認模板固定兩個按鈕且文字不超過 240 字，其餘情況以快速回覆呈現
+        if (reply.actions.length === 2 && reply.text.length <= CONFIRM_TEXT_LIMIT) {
+          return createConfirmTemplate(reply.text, reply.actions[0], reply.actions[1]);
+        }
+        return createQuickReply(reply.text, reply.actions);
+      case 'card':
+        // 不支援的卡片類型以文字呈現
+        return buildFlexMessage(reply) || toLineMessages([cardToTextReply(reply)])[0];
+      default:
+        if (reply.quickReplies && reply.quickReplies.length > 0) {
+          const quickItems = reply.quickReplies.map(action => ({
+            label: action.slice(0, 20),
+            text: action,
+          }));
+          return createQuickReply(reply.text, quickItems);
+        }
+        return createTextMessage(reply.text);
+    }
+  });
+}
+
 /**
  * 處理 LINE Webhook 事件
  * @param {Object} event - LINE webhook event
@@ -453,26 +603,7 @@ export async function handleLineWebhook(events) {
  * @param {string} userId - LINE 用戶 ID
  */
 export async function getUserProfile(userId) {
-  if (!config.line?.channelAccessToken) {
-    return null;
-  }
-
-  try {
-    const response = await fetch(`${LINE_API_BASE}/profile/${userId}`, {
-      headers: {
-        'Authorization': `Bearer ${config.line.channelAccessToken}`,
-      },
-    });
-
-    if (!response.ok) {
-      return null;
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('❌ 取得用戶資料失敗:', error);
-    return null;
-  }
+  return getUserProfileWithRegion(userId, null);
 }
 
 // ==================== 資料庫整合功能 ====================
@@ -505,6 +636,253 @@ export async function getDefaultRegion() {
 }
 
 
+// 媒體訊息的顯示名稱
+const MEDIA_LABELS = {
+  image: '圖片',
+  video: '影片',
+  audio: '語音訊息',
+  file: '檔案',
+};
+
+/**
+ * 下載媒體訊息內容並存入上傳目錄
+ * @param {Object} message - LINE message 物件
+ * @param {Object} region - 區域資料
+ * @returns {Promise<Object|null>} { fileUrl, fileName, size, mimeType }，失敗時返回 null
+ */
+async function storeLineMedia(message, region) {
+  // 外部提供的內容（如 LIFF 傳送的圖片）直接使用原始 URL
+  if (message.contentProvider?.type === 'external') {
+    return {
+      fileUrl: message.contentProvider.originalContentUrl,
+      fileName: message.fileName || null,
+    };
+  }
+
+  if (message.fileSize && message.fileSize > MAX_FILE_SIZE) {
+    console.warn(`⚠️ LINE 檔案過大，略過下載: ${message.fileName} (${message.fileSize} bytes)`);
+    return null;
+  }
+
+  const content = await getMessageContentWithRegion(message.id, region);
+  if (!content) {
+    return null;
+  }
+
+  try {
+    const stored = await saveFileBuffer(content.buffer, {
+      originalName: message.fileName || null,
+      mimeType: content.contentType,
+    });
+    console.log(`📎 已儲存 LINE ${MEDIA_LABELS[message.type]}: ${stored.fileName}`);
+    return {
+      fileUrl: stored.fileUrl,
+      fileName: message.fileName || stored.fileName,
+      size: stored.size,
+      mimeType: stored.mimeType,
+    };
+  } catch (error) {
+    console.error('❌ 儲存 LINE 媒體失敗:', error);
+    return null;
+  }
+}
+
+/**
+ * 將 LINE 訊息轉換為處理管線的輸入
+ * - 文字：交由 AI 處理
+ * - 圖片/影片/語音/檔案：下載後存為 IMAGE/FILE 訊息，直接轉人工
+ * - 貼圖/位置：以可讀的替代文字記錄，不回覆
+ * @param {Object} message - LINE message 物件
+ * @param {Object} region - 區域資料
+ * @returns {Promise<Object|null>} processInboundMessage 的參數，不支援的類型返回 null
+ */
+async function toInboundMessage(message, region) {
+  const metadata = { lineMessageId: message.id, lineMessageType: message.type };
+
+  switch (message.type) {
+    case 'text':
+      return { text: message.text, metadata: { lineMessageId: message.id } };
+
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'file': {
+      const label = MEDIA_LABELS[message.type];
+      const stored = await storeLineMedia(message, region);
+
+      if (stored?.size) metadata.fileSize = stored.size;
+      if (stored?.mimeType) metadata.mimeType = stored.mimeType;
+      if (message.duration) metadata.duration = message.duration;
+      if (!stored) metadata.downloadFailed = true;
+
+      // 下載失敗時仍以文字記錄，讓客服知道客戶傳過檔案
+      let contentType = 'TEXT';
+      if (stored) {
+        contentType = message.type === 'image' ? 'IMAGE' : 'FILE';
+      }
+
+      return {
+        text: stored
+          ? `[${label}] ${stored.fileName || ''}`.trim()
+          : `[${label}（無法下載）] ${message.fileName || ''}`.trim(),
+        contentType,
+        fileUrl: stored?.fileUrl || null,
+        fileName: stored?.fileName || message.fileName || null,
+        metadata,
+        handoffReason: HANDOFF_REASONS.MEDIA_MESSAGE,
+      };
+    }
+
+    case 'sticker':
+      return {
+        text: message.keywords?.length ? `[貼圖] ${message.keywords.slice(0, 3).join('、')}` : '[貼圖]',
+        metadata: { ...metadata, packageId: message.packageId, stickerId: message.stickerId },
+        recordOnly: true,
+      };
+
+    case 'location': {
+      const place = [message.title, message.address].filter(Boolean).join(' ');
+      return {
+        text: `📍 位置：${place || '（未命名）'}\nhttps://www.google.com/maps?q=${message.latitude},${message.longitude}`,
+        metadata: {
+          ...metadata,
+          title: message.title || null,
+          address: message.address || null,
+          latitude: message.latitude,
+          longitude: message.longitude,
+        },
+        recordOnly: true,
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * 將按鈕回傳（postback）轉換為處理管線的輸入
+ * data 帶有 intent 時直接路由到該意圖；否則以 displayText 交由 AI 分類，兩者皆無則只記錄
+ * @param {Object} postback - LINE postback 物件 { data, params }
+ * @param {string} [displayText] - 按鈕顯示在聊天室的文字
+ * @returns {Object} processInboundMessage 的參數
+ */
+function toInboundPostback(postback, displayText) {
+  const parsed = parsePostbackData(postback.data, postback.params);
+
+  return {
+    text: displayText || `[按鈕] ${postback.data}`,
+    metadata: {
+      lineMessageType: 'postback',
+      postbackData: postback.data,
+      postbackParams: postback.params || null,
+    },
+    postback: parsed,
+    recordOnly: !parsed.intent && !displayText,
+  };
+}
+
+/**
+ * 解析區域參數
+ * @param {Object|string} [regionOrId] - 區域物件或 ID（不傳入時使用預設區域）
+ * @returns {Promise<Object|null>} 區域資料
+ */
+async function resolveRegion(regionOrId) {
+  if (regionOrId && typeof regionOrId === 'object') {
+    // 直接傳入區域物件（多渠道模式）
+    return regionOrId;
+  }
+  if (regionOrId) {
+    // 傳入區域 ID
+    return getCachedRegion(regionOrId);
+  }
+  // 使用預設區域
+  return getDefaultRegion();
+}
+
+/**
+ * 取得區域設定的歡迎訊息
+ * @param {Object} region - 區域資料
+ * @returns {string|null}
+ */
+function getRegionWelcomeMessage(region) {
+  const settings = typeof region?.settings === 'string'
+    ? JSON.parse(region.settings)
+    : region?.settings;
+  return settings?.welcomeMessage || null;
+}
+
+/**
+ * 處理非訊息事件（加入好友、封鎖、加入群組、離開群組）
+ * @param {Object} event - LINE webhook event
+ * @param {Object|string} [regionOrId] - 區域物件或 ID
+ * @param {Object} [options] - 同 handleLineEventWithPersistence
+ * @returns {Object} 處理結果
+ */
+async function handleLineLifecycleEvent(event, regionOrId, options = {}) {
+  const { type, replyToken, source } = event;
+  const userId = source?.userId;
+
+  try {
+    const region = await resolveRegion(regionOrId);
+    if (!region?.id) {
+      console.error(`❌ 找不到區域設定，略過 ${type} 事件`);
+      return { success: false, error: 'Region not found' };
+    }
+
+    switch (type) {
+      case 'follow': {
+        // 加入好友（含解除封鎖）：建立客戶並發送歡迎訊息
+        const profile = await getUserProfileWithRegion(userId, region);
+        const customer = await getOrCreateCustomer(region.id, 'LINE', userId, profile || { displayName: userId });
+        if (customer.isBlocked) {
+          await setCustomerBlocked(region.id, 'LINE', userId, false);
+        }
+        console.log(`👋 LINE 用戶加入好友: ${customer.displayName} [區域: ${region.name}]`);
+
+        const welcomeMessage = getRegionWelcomeMessage(region);
+        if (welcomeMessage) {
+          await replyMessageWithRegion(replyToken, createTextMessage(welcomeMessage), region);
+        }
+        return { success: true, event: type, customerId: customer.id };
+      }
+
+      case 'unfollow': {
+        // 封鎖：停止對此用戶的主動推送
+        const count = await setCustomerBlocked(region.id, 'LINE', userId, true);
+        console.log(`🚫 LINE 用戶封鎖官方帳號: ${userId} [區域: ${region.name}]`);
+        return { success: true, event: type, updated: count };
+      }
+
+      case 'join': {
+        // 官方帳號被加入群組/多人聊天
+        const groupId = source?.groupId || source?.roomId;
+        console.log(`👥 加入${source?.type === 'room' ? '多人聊天' : '群組'}: ${groupId} [區域: ${region.name}]`);
+
+        const welcomeMessage = getRegionWelcomeMessage(region);
+        if (welcomeMessage) {
+          await replyMessageWithRegion(replyToken, createTextMessage(welcomeMessage), region);
+        }
+        return { success: true, event: type, groupId };
+      }
+
+      case 'leave':
+        console.log(`👋 離開群組: ${source?.groupId || source?.roomId}`);
+        return { success: true, event: type };
+
+      default:
+        console.log(`⏭️ 跳過不支援的事件: ${type}`);
+        return { success: true, skipped: true };
+    }
+  } catch (error) {
+    console.error(`❌ 處理 LINE ${type} 事件錯誤:`, error);
+    if (options.throwOnError) {
+      throw error;
+    }
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * 處理 LINE 事件（帶資料庫持久化）
  * 這是主要的訊息處理函數，整合了：
@@ -512,41 +890,42 @@ export async function getDefaultRegion() {
  * - 工作時段判斷
  * - 轉人工處理
  * - AI 推薦回覆（已接手對話）
+ * - 圖片/檔案下載存檔、貼圖/位置記錄
+ * - 按鈕回傳（postback）路由到指定意圖
+ * - 加入好友/封鎖/加入群組事件
  *
  * @param {Object} event - LINE webhook event
  * @param {Object|string} [regionOrId] - 區域物件或 ID（可選，用於多區域部署）
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.throwOnError] - 發生錯誤時拋出（由事件佇列重試），不回覆錯誤訊息
  * @returns {Object} 處理結果
  */
-export async function handleLineEventWithPersistence(event, regionOrId = null) {
+export async function handleLineEventWithPersistence(event, regionOrId = null, options = {}) {
   const { type, replyToken, source, message } = event;
   const startTime = Date.now();
   const timing = {};
 
-  // 只處理文字訊息
-  if (type !== 'message' || message?.type !== 'text') {
-    console.log(`⏭️ 跳過非文字事件: ${type}/${message?.type}`);
+  // 訊息與按鈕回傳之外的事件（加入好友、封鎖等）
+  if (type !== 'message' && type !== 'postback') {
+    return handleLineLifecycleEvent(event, regionOrId, options);
+  }
+
+  if (type === 'message' && !message) {
     return { success: true, skipped: true };
   }
 
   const userId = source?.userId;
-  const userMessage = message.text;
 
-  console.log(`📩 收到 LINE 訊息 [${userId}]: ${userMessage}`);
+  if (type === 'postback') {
+    console.log(`🔘 收到 LINE 按鈕回傳 [${userId}]: ${event.postback?.data}`);
+  } else {
+    console.log(`📩 收到 LINE 訊息 [${userId}]: ${message.type === 'text' ? message.text : `(${message.type})`}`);
+  }
 
   try {
     // 1. 確定區域
     let t1 = Date.now();
-    let region;
-    if (regionOrId && typeof regionOrId === 'object') {
-      // 直接傳入區域物件（多渠道模式）
-      region = regionOrId;
-    } else if (regionOrId) {
-      // 傳入區域 ID
-      region = await prisma.region.findUnique({ where: { id: regionOrId } });
-    } else {
-      // 使用預設區域
-      region = await getDefaultRegion();
-    }
+    const region = await resolveRegion(regionOrId);
     timing.region = Date.now() - t1;
 
     if (!region) {
@@ -562,120 +941,41 @@ export async function handleLineEventWithPersistence(event, regionOrId = null) {
     const profile = await getUserProfileWithRegion(userId, region);
     timing.profile = Date.now() - t1;
 
-    // 3. 建立/更新客戶記錄
-    t1 = Date.now();
-    const customer = await getOrCreateCustomer(
-      region.id,
-      'LINE',
-      userId,
-      profile || { displayName: userId }
-    );
-    timing.customer = Date.now() - t1;
-
-    // 4. 取得/建立對話
+    // 3. 轉換訊息（媒體訊息會先下載存檔）
     t1 = Date.now();
-    const { conversation, isNew } = await getOrCreateConversation(
-      customer.id,
-      region.id,
-      'LINE',
-      userId
-    );
-    timing.conversation = Date.now() - t1;
-
-    // 5. 儲存用戶訊息
-    t1 = Date.now();
-    await saveMessage(conversation.id, 'CUSTOMER', userMessage, {
-      metadata: { lineMessageId: message.id },
-    });
-    timing.saveUserMsg = Date.now() - t1;
-
-    // 6. 檢查對話狀態
-    if (conversation.status === 'ASSIGNED') {
-      // 已有客服處理，不進行 AI 自動回覆
-      // 但異步生成推薦回覆供客服參考（不阻塞主流程）
-      const latestMessage = await prisma.message.findFirst({
-        where: {
-          conversationId: conversation.id,
-          senderType: 'CUSTOMER',
-        },
-        orderBy: { createdAt: 'desc' },
-      });
-
-      if (latestMessage) {
-        // 異步生成推薦回覆，不等待結果
-        generateAndSaveSuggestedReply(latestMessage.id, conversation.id)
-          .then(() => console.log(`💡 已為對話 ${conversation.id} 生成推薦回覆`))
-          .catch(err => console.error('❌ 生成推薦回覆失敗:', err));
-      }
-
-      console.log(`💬 對話已由客服處理，訊息已記錄`);
-      return { success: true, handledByAgent: true };
+    const inbound = type === 'postback'
+      ? toInboundPostback(event.postback, event.postback?.displayText)
+      : await toInboundMessage(message, region);
+    timing.media = Date.now() - t1;
+
+    if (!inbound) {
+      console.log(`⏭️ 跳過不支援的訊息類型: ${message.type}`);
+      return { success: true, skipped: true };
     }
 
-    // 7. AI 處理訊息
-    t1 = Date.now();
-    const result = await handleMessage(userMessage, conversation.id, userId);
-    timing.aiProcessing = Date.now() - t1;
-
-    // 8. 判斷是否需要轉人工
-    let replyMessages = [];
-    let handoffPerformed = false;
-
-    if (result.requiresHuman) {
-      // 檢查工作時段
-      t1 = Date.now();
-      const withinWorkingHours = await isWithinWorkingHours(region.id);
-      timing.workingHours = Date.now() - t1;
-
-      if (withinWorkingHours) {
-        // 工作時間內：轉人工佇列
-        const priority = getPriorityByVipLevel(customer.vipLevel || 0);
-        await handoffToHuman(conversation.id, result.intent || 'USER_REQUEST', { priority });
-        handoffPerformed = true;
-
-        // 發送 AI 回覆 + 轉人工提示
-        replyMessages.push(createTextMessage(result.reply));
-        replyMessages.push(createTextMessage(
-          '💡 您的問題需要專人協助，已為您轉接客服人員，請稍候。'
-        ));
-      } else {
-        // 非工作時間：標記待處理，發送統一回覆
-        await markOffHoursPending(conversation.id);
-
-        const offHoursMsg = await getOffHoursMessage(region.id);
-        replyMessages.push(createTextMessage(offHoursMsg));
-      }
-    } else {
-      // 不需要轉人工：正常 AI 回覆
-      replyMessages.push(createTextMessage(result.reply));
+    // 4. 共用處理管線（客戶/對話/訊息存儲、AI 回覆、轉人工）
+    const result = await processInboundMessage({
+      region,
+      source: 'LINE',
+      sourceUserId: userId,
+      profile,
+      ...inbound,
+      timing,
+    });
 
-      // 如果有快速回覆選項
-      if (result.suggestedActions && result.suggestedActions.length > 0) {
-        const quickItems = result.suggestedActions.map(action => ({
-          label: action.slice(0, 20),
-          text: action,
-        }));
-        const lastMsg = replyMessages.pop();
-        replyMessages.push(createQuickReply(lastMsg.text, quickItems));
-      }
+    if (result.handledByAgent || result.replies.length === 0) {
+      return result;
     }
 
-    // 9. 儲存 BOT 回覆
-    t1 = Date.now();
-    const botReplyText = replyMessages.map(m => m.text || m.altText).join('\n');
-    await saveMessage(conversation.id, 'BOT', botReplyText, {
-      metadata: {
-        intent: result.intent,
-        confidence: result.confidence,
-        requiresHuman: result.requiresHuman,
-        handoffPerformed,
-      },
-    });
-    timing.saveBotMsg = Date.now() - t1;
-
-    // 10. 發送回覆到 LINE（使用區域的 token）
+    // 5. 發送回覆到 LINE（使用區域的 token）
     t1 = Date.now();
-    const sendResult = await replyMessageWithRegion(replyToken, replyMessages, region);
+    const lineMessages = toLineMessages(result.replies);
+    let sendResult = await replyMessageWithRegion(replyToken, lineMessages, region);
+    if (!sendResult.success && userId) {
+      // reply token 已過期（如重試的事件）時改用推送
+      console.warn('⚠️ LINE 回覆失敗，改用推送訊息');
+      sendResult = await pushMessageWithRegion(userId, lineMessages, region);
+    }
     timing.lineReply = Date.now() - t1;
 
     // 記錄總耗時
@@ -684,17 +984,22 @@ export async function handleLineEventWithPersistence(event, regionOrId = null) {
 
     return {
       success: sendResult.success,
-      conversationId: conversation.id,
-      customerId: customer.id,
+      conversationId: result.conversationId,
+      customerId: result.customerId,
+      regionId: region.id,
       intent: result.intent,
       requiresHuman: result.requiresHuman,
-      handoffPerformed,
+      handoffPerformed: result.handoffPerformed,
       processingTime: totalTime,
       timing,
     };
   } catch (error) {
     console.error('❌ handleLineEventWithPersistence 錯誤:', error);
 
+    if (options.throwOnError) {
+      throw error;
+    }
+
     // 嘗試發送錯誤訊息（這裡無法確定區域，使用全域配置）
     await replyMessage(replyToken, createTextMessage(
       '抱歉，系統發生錯誤，請稍後再試。'
@@ -727,6 +1032,7 @@ export default {
   createTextMessage,
   createQuickReply,
   createConfirmTemplate,
+  toLineMessages,
   handleLineEvent,
   handleLineWebhook,
   getUserProfile,
@@ -736,7 +1042,17 @@ export default {
   handleLineWebhookWithPersistence,
   // 多渠道支援
   verifySignatureMultiChannel,
+  verifyRegionSignature,
   replyMessageWithRegion,
   pushMessageWithRegion,
   getUserProfileWithRegion,
+  getMessageContentWithRegion,
+  // 圖文選單
+  createRichMenuWithRegion,
+  uploadRichMenuImageWithRegion,
+  deleteRichMenuWithRegion,
+  setDefaultRichMenuWithRegion,
+  cancelDefaultRichMenuWithRegion,
+  linkRichMenuToUsersWithRegion,
+  unlinkRichMenuFromUsersWithRegion,
 };
@@ -0,0 +1,119 @@
+/**
+ * Gemini 供應商
+ * 金龍永盛 AI 客服系統
+ *
+ * 模型名稱由 config.gemini 設定（GEMINI_MODEL、GEMINI_FAST_MODEL）
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { config } from '../config.js';
+
+let genAI = null;
+
+// 同一組模型名稱與 system prompt 共用同一個 model 物件
+const models = new Map();
+
+/**
+ * 取得 model 物件
+ * @param {string} modelName - 模型名稱
+ * @param {string} [systemInstruction] - System prompt
+ */
+function getModel(modelName, systemInstruction = null) {
+  const key = `${modelName}:${systemInstruction || ''}`;
+  if (!models.has(key)) {
+    models.set(key, genAI.getGenerativeModel({
+      model: modelName,
+      ...(systemInstruction ? { systemInstruction } : {}),
+    }));
+  }
+  return models.get(key);
+}
+
+/**
+ * 呼叫 generateContent
+ * @returns {Promise<string>} 回覆文字
+ */
+async function generateText({
+  modelName = config.gemini.model,
+  systemInstruction = null,
+  contents,
+  temperature,
+  maxOutputTokens,
+}) {
+  const result = await getModel(modelName, systemInstruction).generateContent({
+    contents: contents.map(content => ({ role: content.role, parts: [{ text: content.text }] })),
+    generationConfig: { temperature, maxOutputTokens },
+  });
+  return result.response.text();
+}
+
+export const geminiProvider = {
+  name: 'gemini',
+
+  init() {
+    if (!config.gemini.apiKey) {
+      console.error('❌ GEMINI_API_KEY 未設定');
+      return false;
+    }
+
+    try {
+      genAI = new GoogleGenerativeAI(config.gemini.apiKey);
+      console.log(`✅ Gemini API 初始化成功（模型：${config.gemini.model}）`);
+      return true;
+    } catch (error) {
+      console.error('❌ Gemini API 初始化失敗:', error);
+      return false;
+    }
+  },
+
+  async generate({ systemInstruction = null, contents, temperature = 0.5, maxOutputTokens = 500 }) {
+    const text = await generateText({ systemInstruction, contents, temperature, maxOutputTokens });
+    return { text, model: config.gemini.model };
+  },
+
+  async classify({ systemInstruction, prompt }) {
+    const raw = await generateText({
+      systemInstruction,
+      contents: [{ role: 'user', text: prompt }],
+      temperature: 0.1, // 分類任務用低溫度
+      maxOutputTokens: 500,
+    });
+
+    const jsonMatch = raw.match(/\{[\s\S]*\}/);
+    return {
+      classification: jsonMatch ? JSON.parse(jsonMatch[0]) : null,
+      raw,
+      model: config.gemini.model,
+    };
+  },
+
+  async rewrite({ text, instruction }) {
+    const prompt = `${instruction}
+
+原文：
+${text}
+
+改寫後的文字（只輸出改寫結果，不要加任何說明或標題）：`;
+
+    // 使用較快的模型
+    const rewritten = await generateText({
+      modelName: config.gemini.fastModel,
+      contents: [{ role: 'user', text: prompt }],
+      temperature: 0.7,
+      maxOutputTokens: 1000,
+    });
+    return { text: rewritten, model: config.gemini.fastModel };
+  },
+
+  async suggest({ systemInstruction, prompt }) {
+    const text = await generateText({
+      systemInstruction,
+      contents: [{ role: 'user', text: prompt }],
+      temperature: 0.7, // 稍高的溫度讓回覆更自然
+      maxOutputTokens: 500,
+    });
+    return { text, model: config.gemini.model };
+  },
+};
+
+export default geminiProvider;
@@ -0,0 +1,92 @@
+/**
+ * LLM 供應商註冊表
+ * 金龍永盛 AI 客服系統
+ *
+ * 需要語言模型的功能（FAQ 回覆、意圖分類、改寫、推薦回覆）都經由這裡取得供應商，
+ * 不直接使用特定 SDK。以 config.llm.provider（環境變數 LLM_PROVIDER）選擇：
+ * - gemini：Google Gemini（需要 GEMINI_API_KEY）
+ * - offline：本機規則式供應商，不需要網路及 API Key（本機開發、測試用）
+ *
+ * 新增供應商只需實作以下介面並註冊：
+ *
+ * {
+ *   name: 'gemini',
+ *   init(),                                                              // → 是否可以使用
+ *   generate({ systemInstruction, contents, temperature, maxOutputTokens, context }),
+ *                                                                        // → { text, model }
+ *   classify({ systemInstruction, message, prompt }),                    // → { classification, raw, model }
+ *   rewrite({ text, mode, instruction }),                                // → { text, model }
+ *   suggest({ systemInstruction, prompt, context }),                     // → { text, model }
+ * }
+ *
+ * contents 為 [{ role: 'user' | 'model', text }]；context 為原始資料（如客戶訊息、相關 FAQ），
+ * 讓不使用 prompt 的供應商（offline）也能產生合理的結果
+ */
+
+import { config } from '../config.js';
+import { geminiProvider } from './geminiProvider.js';
+import { offlineProvider } from './offlineProvider.js';
+
+const providers = new Map();
+let activeProvider = null;
+
+/**
+ * 註冊供應商
+ * @param {Object} provider - 供應商實作
+ */
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * 取得已註冊的供應商名稱
+ * @returns {string[]}
+ */
+export function getProviderNames() {
+  return [...providers.keys()];
+}
+
+/**
+ * 初始化設定的供應商（重複呼叫時直接返回結果）
+ * @returns {boolean} 是否可以使用
+ */
+export function initLLMProvider() {
+  if (activeProvider) {
+    return true;
+  }
+
+  const provider = providers.get(config.llm.provider);
+  if (!provider) {
+    console.error(`❌ 未知的 LLM 供應商: ${config.llm.provider}（可用: ${getProviderNames().join(', ')}）`);
+    return false;
+  }
+
+  if (!provider.init()) {
+    return false;
+  }
+
+  activeProvider = provider;
+  console.log(`✅ LLM 供應商: ${provider.name}`);
+  return true;
+}
+
+/**
+ * 取得目前的供應商
+ * @returns {Object} 供應商
+ */
+export function getLLMProvider() {
+  if (!activeProvider && !initLLMProvider()) {
+    throw new Error(`LLM 供應商（${config.llm.provider}）尚未初始化`);
+  }
+  return activeProvider;
+}
+
+registerProvider(geminiProvider);
+registerProvider(offlineProvider);
+
+export default {
+  registerProvider,
+  getProviderNames,
+  initLLMProvider,
+  getLLMProvider,
+};
@@ -0,0 +1,70 @@
+/**
+ * 離線供應商（規則式）
+ * 金龍永盛 AI 客服系統
+ *
+ * 不需要網路及 API Key，結果完全可重現，供本機開發與測試使用：
+ * - classify：以關鍵字規則判斷意圖（見 ruleClassifier.js）
+ * - generate / suggest：以 context 中最相關的 FAQ 答案回覆
+ * - rewrite：簡單的格式整理（不改變內容）
+ */
+
+import { classifyByRules } from '../ruleClassifier.js';
+
+const MODEL_NAME = 'offline-rules';
+
+const NO_ANSWER_REPLY = '感謝您的詢問！這個問題我們需要由專人為您確認，請稍候或輸入「找真人」聯繫客服人員。';
+
+/**
+ * 取得 context 中最相關的 FAQ 答案
+ * @param {Object} [context] - { faqs }
+ */
+function bestFaqAnswer(context) {
+  return context?.faqs?.[0]?.answer || null;
+}
+
+export const offlineProvider = {
+  name: 'offline',
+
+  init() {
+    console.log('🧪 使用離線 LLM 供應商（規則式，不需要網路及 API Key）');
+    return true;
+  },
+
+  async generate({ context = null }) {
+    return { text: bestFaqAnswer(context) || NO_ANSWER_REPLY, model: MODEL_NAME };
+  },
+
+  async classify({ message }) {
+    const { intent, confidence } = classifyByRules(message);
+    const classification = {
+      intent,
+      confidence,
+      sub_intent: null,
+      entities: {}, // 實體由 entityExtractor 規則提取
+      requires_human: intent === 'TRANSFER_AGENT',
+      suggested_action: null,
+    };
+    return { classification, raw: JSON.stringify(classification), model: MODEL_NAME };
+  },
+
+  async rewrite({ text, mode }) {
+    // 整理空白與標點，各模式只做不改變內容的調整
+    let rewritten = text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    if (mode === 'friendly' && !/[😊🙂]$/.test(rewritten)) {
+      rewritten = `${rewritten} 😊`;
+    } else if (mode === 'formal' && !/^您好/.test(rewritten)) {
+      rewritten = `您好，${rewritten}`;
+    }
+    return { text: rewritten, model: MODEL_NAME };
+  },
+
+  async suggest({ context = null }) {
+    const answer = bestFaqAnswer(context);
+    const text = answer
+      ? `您好，${answer}`
+      : `您好，關於您的問題「${context?.customerMessage || ''}」，我們正在為您確認，請稍候。`;
+    return { text, model: MODEL_NAME };
+  },
+};
+
+export default offlineProvider;
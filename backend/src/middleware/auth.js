@@ -33,13 +33,28 @@ export function generateTokens(user) {
 }
 
 /**
- * 驗證 Access Token
+ * 是否為後台用戶的 Token 內容
+ * 網站訪客 Token（有 type、aud）等其他用途的 Token 沒有 userId / role，不可用於後台 API
+ * @param {Object} payload - 解碼後的 payload
+ * @returns {boolean}
+ */
+export function isStaffTokenPayload(payload) {
+  return Boolean(payload)
+    && payload.type === undefined
+    && payload.aud === undefined
+    && typeof payload.userId === 'string'
+    && typeof payload.role === 'string';
+}
+
+/**
+ * 驗證 Access Token（只接受後台用戶的 Token）
  * @param {string} token
  * @returns {Object|null} 解碼後的 payload 或 null
  */
 export function verifyAccessToken(token) {
   try {
-    return jwt.verify(token, config.jwt.secret);
+    const decoded = jwt.verify(token, config.jwt.secret);
+    return isStaffTokenPayload(decoded) ? decoded : null;
   } catch (error) {
     return null;
   }
@@ -109,6 +124,7 @@ export function optionalAuthMiddleware(req, res, next) {
 
 export default {
   generateTokens,
+  isStaffTokenPayload,
   verifyAccessToken,
   verifyRefreshToken,
   authMiddleware,
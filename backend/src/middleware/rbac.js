@@ -37,6 +37,17 @@ export function hasMinimumRole(userRole, minRole) {
   return (ROLE_LEVELS[userRole] || 0) >= (ROLE_LEVELS[minRole] || 0);
 }
 
+/**
+ * 檢查用戶是否可訪問指定區域
+ * SUPER_ADMIN 可訪問所有區域，其他角色只能訪問自己的區域
+ * @param {Object} user - req.user
+ * @param {string} regionId - 區域 ID
+ * @returns {boolean}
+ */
+export function hasRegionAccess(user, regionId) {
+  return user.role === ROLES.SUPER_ADMIN || user.regionId === regionId;
+}
+
 /**
  * 角色限制中間件
  * 只允許指定角色訪問
@@ -109,11 +120,6 @@ export function requireRegionAccess(regionIdParam = 'regionId') {
       });
     }
 
-    // SUPER_ADMIN 可訪問所有區域
-    if (req.user.role === ROLES.SUPER_ADMIN) {
-      return next();
-    }
-
     // 從 params、query 或 body 取得 regionId
     const regionId =
       req.params[regionIdParam] ||
@@ -125,8 +131,8 @@ export function requireRegionAccess(regionIdParam = 'regionId') {
       return next();
     }
 
-    // 檢查是否為用戶所屬區域
-    if (req.user.regionId !== regionId) {
+    // 檢查是否為用戶所屬區域（SUPER_ADMIN 可訪問所有區域）
+    if (!hasRegionAccess(req.user, regionId)) {
       return res.status(403).json({
         success: false,
         error: 'Forbidden',
@@ -191,6 +197,7 @@ export default {
   ROLES,
   hasRole,
   hasMinimumRole,
+  hasRegionAccess,
   requireRole,
   requireMinimumRole,
   requireRegionAccess,
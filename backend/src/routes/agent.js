@@ -4,18 +4,56 @@
  *
  * 提供客服工作台所需的 API，包括：
  * - 對話佇列管理
- * - 對話接聽/轉接
- * - 客服回覆（推送到 LINE）
- * - 對話結束
+ * - 對話接聽/轉接（轉給客服、轉回佇列、轉到其他區域）
+ * - 客服回覆（經由渠道註冊表推送到客戶所在渠道）
+ * - 對話結束（客服處理過的對話發送滿意度調查）
+ * - 內部備註與 @提及
+ * - 回電／留言任務
+ * - 對話暫緩與跟進提醒
  */
 
 import { Router } from 'express';
 import { prisma } from '../db.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { ROLES } from '../middleware/rbac.js';
-import { pushMessage, pushMessageWithRegion, createTextMessage, createImageMessage } from '../lineHandler.js';
+import { ROLES, requireMinimumRole } from '../middleware/rbac.js';
+import { sendMessages, CHANNEL_REGION_SELECT } from '../channels/index.js';
+import { fromStoredMessage } from '../channels/messages.js';
 import { saveMessage } from '../services/conversationService.js';
 import { getLatestSuggestedReply } from '../services/aiSuggestionService.js';
+import {
+  notifyConversationAccepted,
+  notifyStatsDelta,
+} from '../services/agentNotificationService.js';
+import { sendWelcomeSignature, processWaitingQueue } from '../services/assignmentService.js';
+import {
+  SKILL_CATEGORIES,
+  SKILL_SELECT,
+  getRequiredSkills,
+  getMatchedSkills,
+} from '../services/skillService.js';
+import {
+  isInternalNote,
+  isVisibleTo,
+  getHiddenMessageIds,
+  validateNoteContent,
+  createInternalNote,
+  getMentionsForUser,
+  SYSTEM_CONTENT_TYPE,
+} from '../services/noteService.js';
+import {
+  TRANSFER_TYPES,
+  transferToAgent,
+  transferToQueue,
+  checkRegionTransfer,
+  getTransferHistory,
+} from '../services/transferService.js';
+import {
+  parseFollowUpTime,
+  snoozeConversation,
+  unsnoozeConversation,
+  createReminder,
+} from '../services/followUpService.js';
+import { createSurvey, buildSurveyReply } from '../services/csatService.js';
 
 const router = Router();
 
@@ -43,9 +81,17 @@ router.put('/status', authMiddleware, async (req, res) => {
         id: true,
         name: true,
         onlineStatus: true,
+        regionId: true,
       },
     });
 
+    // 上線後有空位，嘗試自動分派等待中的對話
+    if (status === 'ONLINE') {
+      processWaitingQueue(updated.regionId).catch(error => {
+        console.error('❌ 自動分派失敗:', error);
+      });
+    }
+
     res.json({
       success: true,
       message: '狀態已更新',
@@ -146,7 +192,7 @@ router.put('/welcome-signature', authMiddleware, async (req, res) => {
  */
 router.get('/queue', authMiddleware, async (req, res) => {
   try {
-    const { role, regionId } = req.user;
+    const { userId, role, regionId } = req.user;
 
     // 根據角色過濾區域
     let where = {
@@ -168,6 +214,8 @@ router.get('/queue', authMiddleware, async (req, res) => {
             pictureUrl: true,
             source: true,
             vipLevel: true,
+            isBlocked: true,
+            language: true,
             crmCustomer: {
               select: {
                 id: true,
@@ -200,17 +248,34 @@ router.get('/queue', authMiddleware, async (req, res) => {
       ],
     });
 
+    // 目前客服的技能
+    const agentSkills = await prisma.user.findUnique({
+      where: { id: userId },
+      select: SKILL_SELECT,
+    });
+
     // 格式化回應
-    const queue = conversations.map(conv => ({
-      id: conv.id,
-      customer: conv.customer,
-      region: conv.region,
-      priority: conv.priority,
-      waitingSince: conv.botHandoffAt || conv.createdAt,
-      botHandoffReason: conv.botHandoffReason,
-      lastMessage: conv.messages[0] || null,
-      messageCount: conv.messageCount,
-    }));
+    const queue = conversations.map(conv => {
+      const requiredSkills = getRequiredSkills(conv);
+      const matchedSkills = getMatchedSkills(agentSkills, requiredSkills);
+      return {
+        id: conv.id,
+        customer: conv.customer,
+        region: conv.region,
+        priority: conv.priority,
+        waitingSince: conv.botHandoffAt || conv.createdAt,
+        botHandoffReason: conv.botHandoffReason,
+        lastMessage: conv.messages[0] || null,
+        messageCount: conv.messageCount,
+        requiredSkills,
+        matchedSkills,
+      };
+    });
+
+    // 同優先級中，符合自己技能的對話排在前面
+    queue.sort((a, b) =>
+      b.priority - a.priority || b.matchedSkills.length - a.matchedSkills.length
+    );
 
     res.json({
       success: true,
@@ -241,6 +306,7 @@ router.post('/accept/:conversationId', authMiddleware, async (req, res) => {
     const agent = await prisma.user.findUnique({
       where: { id: userId },
       select: {
+        id: true,
         name: true,
         onlineStatus: true,
         welcomeSignature: true,
@@ -255,23 +321,21 @@ router.post('/accept/:conversationId', authMiddleware, async (req, res) => {
       });
     }
 
-    // 取得對話（含區域資訊用於多渠道 LINE 回覆）
+    // 取得對話（含區域資訊用於渠道發送）
     const conversation = await prisma.conversation.findUnique({
       where: { id: conversationId },
       include: {
         customer: {
           select: {
             id: true,
+            regionId: true,
             sourceUserId: true,
             source: true,
+            isBlocked: true,
           },
         },
         region: {
-          select: {
-            id: true,
-            name: true,
-            lineChannelAccessToken: true,
-          },
+          select: CHANNEL_REGION_SELECT,
         },
       },
     });
@@ -303,13 +367,36 @@ router.post('/accept/:conversationId', authMiddleware, async (req, res) => {
       });
     }
 
-    // 指派給客服
-    const updated = await prisma.conversation.update({
-      where: { id: conversationId },
+    // 指派給客服（以狀態條件更新，避免兩位客服同時接聽）
+    const claimed = await prisma.conversation.updateMany({
+      where: { id: conversationId, status: 'WAITING' },
       data: {
         status: 'ASSIGNED',
         assignedAgentId: userId,
+        assignedAt: new Date(),
+        firstResponseAt: null,
       },
+    });
+
+    if (claimed.count === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'AlreadyAccepted',
+        message: '此對話已被其他客服接聽',
+      });
+    }
+
+    // 手動接聽也計入輪流分派的順序
+    await prisma.user.update({
+      where: { id: userId },
+      data: { lastAssignedAt: new Date() },
+    });
+
+    // 通知其他客服從佇列移除
+    notifyConversationAccepted(conversation, { id: userId, name: agent.name });
+
+    const updated = await prisma.conversation.findUnique({
+      where: { id: conversationId },
       include: {
         customer: {
           select: {
@@ -328,31 +415,7 @@ router.post('/accept/:conversationId', authMiddleware, async (req, res) => {
     });
 
     // 自動發送歡迎簽名
-    const welcomeMessage = agent.welcomeSignature || `您好我是客服${agent.name}，很高興有機會為您服務！`;
-    let welcomePushResult = { success: false, skipped: true };
-
-    if (conversation.customer.source === 'LINE') {
-      const lineMessage = createTextMessage(welcomeMessage);
-
-      // 使用區域的 LINE Token 發送訊息
-      if (conversation.region?.lineChannelAccessToken) {
-        welcomePushResult = await pushMessageWithRegion(
-          conversation.customer.sourceUserId,
-          lineMessage,
-          conversation.region
-        );
-      } else {
-        welcomePushResult = await pushMessage(conversation.customer.sourceUserId, lineMessage);
-      }
-
-      // 儲存歡迎訊息到資料庫
-      if (welcomePushResult.success) {
-        await saveMessage(conversationId, 'AGENT', welcomeMessage, {
-          senderId: userId,
-          metadata: { source: 'WELCOME_SIGNATURE', autoSent: true },
-        });
-      }
-    }
+    const welcomePushResult = await sendWelcomeSignature(conversation, agent);
 
     res.json({
       success: true,
@@ -392,6 +455,7 @@ router.get('/active', authMiddleware, async (req, res) => {
             pictureUrl: true,
             source: true,
             vipLevel: true,
+            isBlocked: true,
             crmCustomer: {
               select: {
                 id: true,
@@ -439,15 +503,38 @@ router.get('/active', authMiddleware, async (req, res) => {
 
 /**
  * POST /api/agent/transfer/:conversationId
- * 轉接對話給其他客服
+ * 轉接對話
+ *
+ * Body:
+ * - targetType: AGENT（預設，轉給指定客服）| QUEUE（轉回佇列）| REGION（轉到其他區域的佇列）
+ * - targetAgentId: 目標客服（AGENT）
+ * - targetRegionId: 目標區域（REGION）
+ * - skillCategory: 技能群組（QUEUE / REGION，優先分派給具備此技能的客服）
+ * - reason: 轉接原因
+ * - note: 交接備註（存為內部備註，接手的客服可以看到）
  */
 router.post('/transfer/:conversationId', authMiddleware, async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { targetAgentId, reason } = req.body;
+    const {
+      targetType = TRANSFER_TYPES.AGENT,
+      targetAgentId,
+      targetRegionId,
+      skillCategory,
+      reason,
+      note,
+    } = req.body;
     const { userId, regionId, role } = req.user;
 
-    if (!targetAgentId) {
+    if (!Object.values(TRANSFER_TYPES).includes(targetType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: `無效的轉接類型（可用: ${Object.values(TRANSFER_TYPES).join(', ')}）`,
+      });
+    }
+
+    if (targetType === TRANSFER_TYPES.AGENT && !targetAgentId) {
       return res.status(400).json({
         success: false,
         error: 'ValidationError',
@@ -455,6 +542,33 @@ router.post('/transfer/:conversationId', authMiddleware, async (req, res) => {
       });
     }
 
+    if (targetType === TRANSFER_TYPES.REGION && !targetRegionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '請指定目標區域',
+      });
+    }
+
+    if (skillCategory && !SKILL_CATEGORIES.includes(skillCategory)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: `無效的技能類別（可用: ${SKILL_CATEGORIES.join(', ')}）`,
+      });
+    }
+
+    if (note !== undefined && note !== null && note !== '') {
+      const noteError = validateNoteContent(note);
+      if (noteError) {
+        return res.status(400).json({
+          success: false,
+          error: 'ValidationError',
+          message: noteError,
+        });
+      }
+    }
+
     // 取得對話
     const conversation = await prisma.conversation.findUnique({
       where: { id: conversationId },
@@ -477,6 +591,66 @@ router.post('/transfer/:conversationId', authMiddleware, async (req, res) => {
       });
     }
 
+    if (conversation.status !== 'ASSIGNED') {
+      return res.status(400).json({
+        success: false,
+        error: 'InvalidStatus',
+        message: '對話不在處理中，無法轉接',
+        currentStatus: conversation.status,
+      });
+    }
+
+    const fromUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true },
+    }) || { id: userId, name: null };
+    const options = { reason: reason || null, note: note || null };
+
+    // 轉回佇列／轉到其他區域
+    if (targetType !== TRANSFER_TYPES.AGENT) {
+      let targetRegion = null;
+      if (targetType === TRANSFER_TYPES.REGION) {
+        targetRegion = await prisma.region.findUnique({
+          where: { id: targetRegionId },
+          select: { id: true, name: true, isActive: true },
+        });
+
+        const blockedReason = await checkRegionTransfer(conversation, targetRegion);
+        if (blockedReason) {
+          return res.status(targetRegion ? 409 : 404).json({
+            success: false,
+            error: targetRegion ? 'TransferBlocked' : 'NotFound',
+            message: blockedReason,
+          });
+        }
+      }
+
+      const updated = await transferToQueue(conversation, fromUser, {
+        ...options,
+        targetRegion,
+        skillCategory: skillCategory || null,
+      });
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: '對話狀態已變更，請重新整理',
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: targetRegion ? `對話已轉到 ${targetRegion.name}` : '對話已轉回佇列',
+        data: {
+          conversationId,
+          status: updated.status,
+          regionId: updated.regionId,
+          skillCategory: updated.requiredSkillCategory,
+        },
+      });
+    }
+
     // 檢查目標客服
     const targetAgent = await prisma.user.findUnique({
       where: { id: targetAgentId },
@@ -505,7 +679,7 @@ router.post('/transfer/:conversationId', authMiddleware, async (req, res) => {
       });
     }
 
-    // 區域限制（非 SUPER_ADMIN 只能轉給同區域）
+    // 區域限制（非 SUPER_ADMIN 只能轉給同區域；轉到其他區域請使用 REGION）
     if (role !== ROLES.SUPER_ADMIN && targetAgent.regionId !== regionId) {
       return res.status(403).json({
         success: false,
@@ -514,29 +688,16 @@ router.post('/transfer/:conversationId', authMiddleware, async (req, res) => {
       });
     }
 
-    // 執行轉接
-    const updated = await prisma.conversation.update({
-      where: { id: conversationId },
-      data: {
-        assignedAgentId: targetAgentId,
-      },
-    });
+    if (targetAgent.regionId !== conversation.regionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '目標客服不屬於對話所在區域，請先轉到該區域',
+      });
+    }
 
-    // 記錄轉接訊息
-    await prisma.message.create({
-      data: {
-        conversationId,
-        senderType: 'BOT',
-        contentType: 'TEXT',
-        content: `對話已轉接給 ${targetAgent.name}${reason ? `（原因：${reason}）` : ''}`,
-        metadata: {
-          type: 'TRANSFER',
-          fromAgentId: userId,
-          toAgentId: targetAgentId,
-          reason,
-        },
-      },
-    });
+    // 執行轉接
+    await transferToAgent(conversation, fromUser, targetAgent, options);
 
     res.json({
       success: true,
@@ -557,6 +718,51 @@ router.post('/transfer/:conversationId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/agent/conversation/:conversationId/transfers
+ * 取得對話的轉接紀錄（含交接備註、主管接手）
+ */
+router.get('/conversation/:conversationId/transfers', authMiddleware, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { role, regionId } = req.user;
+
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: { id: true, regionId: true },
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '對話不存在',
+      });
+    }
+
+    // 區域權限檢查
+    if (role !== ROLES.SUPER_ADMIN && conversation.regionId !== regionId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: '無權查看此區域的對話',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getTransferHistory(conversationId),
+    });
+  } catch (error) {
+    console.error('❌ 取得轉接紀錄失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
 /**
  * GET /api/agent/online
  * 取得在線客服列表
@@ -618,7 +824,7 @@ router.get('/online', authMiddleware, async (req, res) => {
 
 /**
  * POST /api/agent/reply/:conversationId
- * 客服回覆訊息（推送到 LINE）
+ * 客服回覆訊息（推送到客戶所在渠道）
  */
 router.post('/reply/:conversationId', authMiddleware, async (req, res) => {
   try {
@@ -626,6 +832,15 @@ router.post('/reply/:conversationId', authMiddleware, async (req, res) => {
     const { content, contentType = 'TEXT', fileUrl, fileName } = req.body;
     const { userId, role, regionId } = req.user;
 
+    // 內部備註請使用 /conversation/:conversationId/notes，不可經由回覆推送給客戶
+    if (!['TEXT', 'IMAGE', 'FILE'].includes(contentType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '不支援的訊息類型',
+      });
+    }
+
     // 驗證：文字訊息必須有內容，圖片/文件必須有 fileUrl
     if (contentType === 'TEXT' && (!content || content.trim() === '')) {
       return res.status(400).json({
@@ -643,24 +858,22 @@ router.post('/reply/:conversationId', authMiddleware, async (req, res) => {
       });
     }
 
-    // 取得對話資訊（包含區域設定，用於多渠道 LINE 回覆）
+    // 取得對話資訊（包含區域設定，用於渠道發送）
     const conversation = await prisma.conversation.findUnique({
       where: { id: conversationId },
       include: {
         customer: {
           select: {
             id: true,
+            regionId: true,
             sourceUserId: true,
             source: true,
             displayName: true,
+            isBlocked: true,
           },
         },
         region: {
-          select: {
-            id: true,
-            name: true,
-            lineChannelAccessToken: true,
-          },
+          select: CHANNEL_REGION_SELECT,
         },
       },
     });
@@ -692,6 +905,15 @@ router.post('/reply/:conversationId', authMiddleware, async (req, res) => {
       });
     }
 
+    // 客戶已封鎖/取消追蹤，訊息無法送達
+    if (conversation.customer.isBlocked) {
+      return res.status(400).json({
+        success: false,
+        error: 'CustomerBlocked',
+        message: '客戶已封鎖或取消追蹤，無法發送訊息',
+      });
+    }
+
     // 儲存訊息到資料庫
     const messageContent = contentType === 'TEXT' ? content.trim() : (fileName || fileUrl);
     const message = await saveMessage(conversationId, 'AGENT', messageContent, {
@@ -702,40 +924,25 @@ router.post('/reply/:conversationId', authMiddleware, async (req, res) => {
       metadata: { source: 'AGENT_WORKBENCH' },
     });
 
-    // 根據來源推送訊息
-    let pushResult = { success: false, error: 'Unknown source' };
-
-    if (conversation.customer.source === 'LINE') {
-      // 根據內容類型選擇訊息格式
-      let lineMessage;
-      if (contentType === 'IMAGE') {
-        lineMessage = createImageMessage(fileUrl);
-      } else if (contentType === 'FILE') {
-        // LINE 不支援直接發送文件，改為發送文字連結
-        lineMessage = createTextMessage(`📎 檔案: ${fileName || '附件'}\n${fileUrl}`);
-      } else {
-        lineMessage = createTextMessage(content.trim());
-      }
-      // 使用區域的 LINE Token 發送訊息（支援多渠道）
-      if (conversation.region?.lineChannelAccessToken) {
-        pushResult = await pushMessageWithRegion(
-          conversation.customer.sourceUserId,
-          lineMessage,
-          conversation.region
-        );
-      } else {
-        // 降級使用全域配置
-        pushResult = await pushMessage(conversation.customer.sourceUserId, lineMessage);
-      }
-    } else {
-      // TODO: 支援其他來源（FB, WEB）
-      pushResult = { success: false, error: `${conversation.customer.source} 尚未支援推送` };
-    }
-
-    // 更新對話的最後訊息時間
+    // 推送到客戶所在渠道
+    const agent = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { name: true },
+    });
+    const pushResult = await sendMessages(
+      conversation.customer,
+      conversation.region,
+      fromStoredMessage(message),
+      { humanAgent: true, record: message, senderName: agent?.name }
+    );
+
+    // 更新對話的最後訊息時間（及 SLA 的首次回覆時間）
     await prisma.conversation.update({
       where: { id: conversationId },
-      data: { lastMessageAt: new Date() },
+      data: {
+        lastMessageAt: new Date(),
+        ...(conversation.firstResponseAt ? {} : { firstResponseAt: new Date() }),
+      },
     });
 
     res.json({
@@ -756,14 +963,47 @@ router.post('/reply/:conversationId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * 發送滿意度調查（區域未啟用、沒有客服處理或客戶已封鎖時不發送）
+ * 調查失敗不影響對話結束
+ * @param {Object} conversation - 對話（含 customer、region、assignedAgent）
+ * @returns {Promise<string|null>} 調查 ID
+ */
+async function sendSatisfactionSurvey(conversation) {
+  try {
+    if (conversation.customer.isBlocked) {
+      return null;
+    }
+
+    const survey = await createSurvey(conversation, conversation.region);
+    if (!survey) {
+      return null;
+    }
+
+    const reply = buildSurveyReply(survey, conversation.assignedAgent?.name);
+    const record = await saveMessage(conversation.id, 'BOT', reply.text, {
+      contentType: 'TEMPLATE',
+      metadata: { type: 'CSAT', action: 'SURVEY_SENT', surveyId: survey.id },
+    });
+    await sendMessages(conversation.customer, conversation.region, reply, { record });
+
+    return survey.id;
+  } catch (error) {
+    console.error('❌ 發送滿意度調查失敗:', error);
+    return null;
+  }
+}
+
 /**
  * POST /api/agent/close/:conversationId
  * 結束對話
+ *
+ * Body: { summary, sendSurvey }（sendSurvey: false 時不發送滿意度調查）
  */
 router.post('/close/:conversationId', authMiddleware, async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { summary } = req.body; // 可選的對話摘要
+    const { summary, sendSurvey = true } = req.body; // 可選的對話摘要
     const { userId, role } = req.user;
 
     // 取得對話
@@ -775,8 +1015,16 @@ router.post('/close/:conversationId', authMiddleware, async (req, res) => {
             id: true,
             sourceUserId: true,
             source: true,
+            regionId: true,
+            isBlocked: true,
           },
         },
+        region: {
+          select: { ...CHANNEL_REGION_SELECT, settings: true },
+        },
+        assignedAgent: {
+          select: { id: true, name: true },
+        },
       },
     });
 
@@ -812,15 +1060,22 @@ router.post('/close/:conversationId', authMiddleware, async (req, res) => {
       data: {
         status: 'CLOSED',
         closedAt: new Date(),
+        snoozedUntil: null,
       },
     });
 
+    if (conversation.status === 'ASSIGNED') {
+      notifyStatsDelta(conversation.regionId, { active: -1 });
+    } else if (conversation.status === 'WAITING') {
+      notifyStatsDelta(conversation.regionId, { waiting: -1 });
+    }
+
     // 記錄結束訊息
     await prisma.message.create({
       data: {
         conversationId,
         senderType: 'BOT',
-        contentType: 'TEXT',
+        contentType: SYSTEM_CONTENT_TYPE,
         content: `對話已結束${summary ? `（摘要：${summary}）` : ''}`,
         metadata: {
           type: 'CLOSE',
@@ -836,12 +1091,24 @@ router.post('/close/:conversationId', authMiddleware, async (req, res) => {
       data: { lastContactAt: new Date() },
     });
 
+    // 客服釋出空位，嘗試自動分派等待中的對話
+    if (conversation.status === 'ASSIGNED') {
+      processWaitingQueue(conversation.regionId).catch(error => {
+        console.error('❌ 自動分派失敗:', error);
+      });
+    }
+
+    const surveyId = sendSurvey !== false && conversation.status === 'ASSIGNED'
+      ? await sendSatisfactionSurvey(conversation)
+      : null;
+
     res.json({
       success: true,
       message: '對話已結束',
       data: {
         conversationId,
         closedAt: updated.closedAt,
+        surveyId,
       },
     });
   } catch (error) {
@@ -855,76 +1122,449 @@ router.post('/close/:conversationId', authMiddleware, async (req, res) => {
 });
 
 /**
- * GET /api/agent/conversation/:conversationId/messages
- * 取得對話訊息列表（分頁）
+ * 取得自己負責的處理中對話（暫緩用）
+ * @returns {Promise<Object|null>} 對話，不存在、無權限或不在處理中時已回應錯誤並返回 null
  */
-router.get('/conversation/:conversationId/messages', authMiddleware, async (req, res) => {
-  try {
-    const { conversationId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
-    const { userId, role, regionId } = req.user;
+async function findOwnAssignedConversation(req, res) {
+  const { userId, role } = req.user;
+
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: req.params.conversationId },
+    select: {
+      id: true,
+      regionId: true,
+      status: true,
+      assignedAgentId: true,
+      snoozedUntil: true,
+    },
+  });
+
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      error: 'NotFound',
+      message: '對話不存在',
+    });
+    return null;
+  }
 
-    // 取得對話
-    const conversation = await prisma.conversation.findUnique({
-      where: { id: conversationId },
-      select: {
-        id: true,
-        regionId: true,
-        assignedAgentId: true,
-        status: true,
-      },
+  if (conversation.assignedAgentId !== userId && role !== ROLES.SUPER_ADMIN) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: '您不是此對話的負責客服',
+    });
+    return null;
+  }
+
+  if (conversation.status !== 'ASSIGNED') {
+    res.status(400).json({
+      success: false,
+      error: 'InvalidStatus',
+      message: '只能暫緩處理中的對話',
+      currentStatus: conversation.status,
     });
+    return null;
+  }
 
-    if (!conversation) {
-      return res.status(404).json({
+  return conversation;
+}
+
+/**
+ * POST /api/agent/conversation/:conversationId/snooze
+ * 暫緩對話到指定時間（期間暫停 SLA 計時，客戶來訊或時間到時自動取消並通知）
+ *
+ * Body: { until }（ISO 時間，最多 30 天後）
+ */
+router.post('/conversation/:conversationId/snooze', authMiddleware, async (req, res) => {
+  try {
+    const { date, error } = parseFollowUpTime(req.body.until);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: 'NotFound',
-        message: '對話不存在',
+        error: 'ValidationError',
+        message: error,
       });
     }
 
-    // 區域權限檢查
-    if (role !== ROLES.SUPER_ADMIN && conversation.regionId !== regionId) {
-      return res.status(403).json({
+    const conversation = await findOwnAssignedConversation(req, res);
+    if (!conversation) {
+      return;
+    }
+
+    const updated = await snoozeConversation(conversation, date);
+    if (!updated) {
+      return res.status(409).json({
         success: false,
-        error: 'Forbidden',
-        message: '無權查看此區域的對話',
+        error: 'Conflict',
+        message: '對話狀態已變更，請重新整理',
       });
     }
 
-    // 取得訊息
-    const messages = await prisma.message.findMany({
-      where: { conversationId },
-      orderBy: { createdAt: 'asc' },
-      take: parseInt(limit),
-      skip: parseInt(offset),
-      include: {
-        senderAgent: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-      },
-    });
-
-    // 取得總數
-    const total = await prisma.message.count({
-      where: { conversationId },
-    });
-
     res.json({
       success: true,
-      data: messages,
-      pagination: {
-        total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: parseInt(offset) + messages.length < total,
+      message: '對話已暫緩',
+      data: {
+        conversationId: updated.id,
+        snoozedUntil: updated.snoozedUntil,
       },
     });
   } catch (error) {
-    console.error('❌ 取得對話訊息失敗:', error);
+    console.error('❌ 暫緩對話失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * DELETE /api/agent/conversation/:conversationId/snooze
+ * 取消暫緩
+ */
+router.delete('/conversation/:conversationId/snooze', authMiddleware, async (req, res) => {
+  try {
+    const conversation = await findOwnAssignedConversation(req, res);
+    if (!conversation) {
+      return;
+    }
+
+    if (!conversation.snoozedUntil) {
+      return res.status(400).json({
+        success: false,
+        error: 'InvalidStatus',
+        message: '對話沒有暫緩',
+      });
+    }
+
+    await unsnoozeConversation(conversation, 'AGENT');
+
+    res.json({
+      success: true,
+      message: '已取消暫緩',
+      data: {
+        conversationId: conversation.id,
+        snoozedUntil: null,
+      },
+    });
+  } catch (error) {
+    console.error('❌ 取消暫緩失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/agent/conversation/:conversationId/messages
+ * 取得對話訊息列表（分頁）
+ */
+router.get('/conversation/:conversationId/messages', authMiddleware, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+    const { userId, role, regionId } = req.user;
+
+    // 取得對話
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: {
+        id: true,
+        regionId: true,
+        assignedAgentId: true,
+        status: true,
+      },
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '對話不存在',
+      });
+    }
+
+    // 區域權限檢查
+    if (role !== ROLES.SUPER_ADMIN && conversation.regionId !== regionId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: '無權查看此區域的對話',
+      });
+    }
+
+    // 排除看不到的耳語後再分頁，總數也只計算看得到的訊息
+    const hiddenIds = await getHiddenMessageIds(conversationId, req.user);
+    const where = hiddenIds.length > 0
+      ? { conversationId, id: { notIn: hiddenIds } }
+      : { conversationId };
+
+    // 取得訊息
+    const messages = await prisma.message.findMany({
+      where,
+      orderBy: { createdAt: 'asc' },
+      take: parseInt(limit),
+      skip: parseInt(offset),
+      include: {
+        senderAgent: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+
+    // 取得總數
+    const total = await prisma.message.count({ where });
+
+    res.json({
+      success: true,
+      data: messages.map(message => ({ ...message, isInternalNote: isInternalNote(message) })),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + messages.length < total,
+      },
+    });
+  } catch (error) {
+    console.error('❌ 取得對話訊息失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/agent/conversation/:conversationId/notes
+ * 新增內部備註（不會推送給客戶）
+ *
+ * Body: { content, mentionedUserIds? }
+ * 內容中的「@姓名」會提及同區域的用戶，被提及的用戶會收到即時通知
+ */
+router.post('/conversation/:conversationId/notes', authMiddleware, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { content, mentionedUserIds = [] } = req.body;
+    const { userId, role, regionId } = req.user;
+
+    const validationError = validateNoteContent(content);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: validationError,
+      });
+    }
+
+    if (!Array.isArray(mentionedUserIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: 'mentionedUserIds 必須是陣列',
+      });
+    }
+
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: { id: true, regionId: true },
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '對話不存在',
+      });
+    }
+
+    // 區域權限檢查
+    if (role !== ROLES.SUPER_ADMIN && conversation.regionId !== regionId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: '無權查看此區域的對話',
+      });
+    }
+
+    const author = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true },
+    });
+
+    const { note, mentionedUsers } = await createInternalNote({
+      conversation,
+      author: author || { id: userId, name: null },
+      content,
+      mentionedUserIds,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '備註已新增',
+      data: {
+        ...note,
+        isInternalNote: true,
+        mentionedUsers,
+      },
+    });
+  } catch (error) {
+    console.error('❌ 新增內部備註失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/agent/mentions
+ * 取得提及自己的內部備註（離線期間錯過的通知）
+ *
+ * Query: since（ISO 時間，只取之後的備註）、limit（預設 50，最多 100）
+ */
+router.get('/mentions', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { since, limit = 50 } = req.query;
+
+    const sinceDate = since ? new Date(since) : null;
+    const mentions = await getMentionsForUser(userId, {
+      limit: Math.min(parseInt(limit) || 50, 100),
+      since: sinceDate && !isNaN(sinceDate.getTime()) ? sinceDate : null,
+    });
+
+    res.json({
+      success: true,
+      data: mentions,
+    });
+  } catch (error) {
+    console.error('❌ 取得提及通知失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * 對話紀錄文字檔的一行
+ */
+function formatTranscriptLine(message, customerName, timeZone) {
+  const time = message.createdAt.toLocaleString('zh-TW', { timeZone, hour12: false });
+  const sender = {
+    CUSTOMER: `客戶 ${customerName || ''}`.trim(),
+    BOT: '機器人',
+    AGENT: `客服 ${message.senderAgent?.name || ''}`.trim(),
+  }[message.senderType];
+  const prefix = isInternalNote(message)
+    ? '[內部備註] '
+    : (message.contentType === SYSTEM_CONTENT_TYPE ? '[系統紀錄] ' : '');
+  const content = message.contentType === 'IMAGE' || message.contentType === 'FILE'
+    ? `${message.content}（${message.fileUrl || ''}）`
+    : message.content;
+
+  return `[${time}] ${prefix}${sender}: ${content}`;
+}
+
+/**
+ * GET /api/agent/conversation/:conversationId/export
+ * 匯出對話紀錄（含內部備註，以 isInternalNote 標記）
+ *
+ * Query: format（json | txt，預設 json）
+ */
+router.get('/conversation/:conversationId/export', authMiddleware, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { format = 'json' } = req.query;
+    const { role, regionId } = req.user;
+
+    if (!['json', 'txt'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: 'format 必須是 json 或 txt',
+      });
+    }
+
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      include: {
+        customer: {
+          select: { id: true, displayName: true, name: true, phone: true, source: true },
+        },
+        region: {
+          select: { id: true, name: true, code: true, settings: true },
+        },
+        assignedAgent: {
+          select: { id: true, name: true },
+        },
+        messages: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            senderAgent: {
+              select: { id: true, name: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '對話不存在',
+      });
+    }
+
+    // 區域權限檢查
+    if (role !== ROLES.SUPER_ADMIN && conversation.regionId !== regionId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: '無權查看此區域的對話',
+      });
+    }
+
+    const { messages: allMessages, region, ...info } = conversation;
+    const messages = allMessages.filter(message => isVisibleTo(message, req.user));
+    const { settings, ...regionInfo } = region;
+
+    if (format === 'txt') {
+      const timeZone = settings?.workingHours?.timezone || 'Asia/Taipei';
+      const customerName = conversation.customer.displayName || conversation.customer.name;
+      const lines = [
+        `對話 ${conversation.id}（${regionInfo.name}／${conversation.source}）`,
+        `客戶：${customerName || conversation.customer.id}`,
+        `狀態：${conversation.status}${conversation.assignedAgent ? `（客服：${conversation.assignedAgent.name}）` : ''}`,
+        '',
+        ...messages.map(message => formatTranscriptLine(message, customerName, timeZone)),
+      ];
+
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="conversation-${conversation.id}.txt"`);
+      return res.send(lines.join('\n'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        conversation: { ...info, region: regionInfo },
+        messages: messages.map(message => ({ ...message, isInternalNote: isInternalNote(message) })),
+        exportedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error('❌ 匯出對話紀錄失敗:', error);
     res.status(500).json({
       success: false,
       error: 'ServerError',
@@ -1004,4 +1644,504 @@ router.get('/conversation/:conversationId/suggested-reply', authMiddleware, asyn
   }
 });
 
+const CALLBACK_STATUSES = ['PENDING', 'ASSIGNED', 'DONE', 'CANCELLED'];
+
+// 回電／留言任務的列表欄位
+const CALLBACK_INCLUDE = {
+  customer: {
+    select: { id: true, displayName: true, phone: true, vipLevel: true },
+  },
+  assignedAgent: {
+    select: { id: true, name: true },
+  },
+};
+
+/**
+ * 取得回電／留言任務並檢查區域權限
+ * @returns {Promise<Object|null>} 任務，不存在或無權限時已回應錯誤並返回 null
+ */
+async function findCallbackTask(req, res) {
+  const { role, regionId } = req.user;
+
+  const task = await prisma.callbackTask.findUnique({
+    where: { id: req.params.id },
+  });
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      error: 'NotFound',
+      message: '回電任務不存在',
+    });
+    return null;
+  }
+
+  if (role !== ROLES.SUPER_ADMIN && task.regionId !== regionId) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: '無權處理此區域的回電任務',
+    });
+    return null;
+  }
+
+  return task;
+}
+
+/**
+ * 已結束的任務不能再處理
+ */
+function rejectClosedTask(task, res) {
+  if (['DONE', 'CANCELLED'].includes(task.status)) {
+    res.status(400).json({
+      success: false,
+      error: 'InvalidStatus',
+      message: '此回電任務已結束',
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * GET /api/agent/callbacks
+ * 取得回電／留言任務（預設為待處理：PENDING、ASSIGNED）
+ *
+ * Query: status（逗號分隔）、type（CALLBACK | MESSAGE）、mine=true 只看指派給自己的
+ */
+router.get('/callbacks', authMiddleware, async (req, res) => {
+  try {
+    const { userId, role, regionId } = req.user;
+    const { status, type, mine } = req.query;
+
+    const statuses = status ? String(status).split(',') : ['PENDING', 'ASSIGNED'];
+    if (statuses.some(value => !CALLBACK_STATUSES.includes(value)) || (type && !['CALLBACK', 'MESSAGE'].includes(type))) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: `無效的篩選條件（status: ${CALLBACK_STATUSES.join(', ')}；type: CALLBACK, MESSAGE）`,
+      });
+    }
+
+    const where = {
+      status: { in: statuses },
+    };
+
+    if (role !== ROLES.SUPER_ADMIN) {
+      where.regionId = regionId;
+    }
+    if (type) {
+      where.type = type;
+    }
+    if (mine === 'true') {
+      where.assignedAgentId = userId;
+    }
+
+    const tasks = await prisma.callbackTask.findMany({
+      where,
+      include: CALLBACK_INCLUDE,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      data: tasks,
+    });
+  } catch (error) {
+    console.error('❌ 取得回電任務失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/agent/callbacks/:id/claim
+ * 客服認領回電／留言任務
+ */
+router.post('/callbacks/:id/claim', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const task = await findCallbackTask(req, res);
+    if (!task || rejectClosedTask(task, res)) {
+      return;
+    }
+
+    // 原子性認領，避免兩位客服同時認領
+    const claimed = await prisma.callbackTask.updateMany({
+      where: { id: task.id, status: 'PENDING' },
+      data: { status: 'ASSIGNED', assignedAgentId: userId },
+    });
+
+    if (claimed.count === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'AlreadyAssigned',
+        message: '此回電任務已被其他客服認領',
+      });
+    }
+
+    const updated = await prisma.callbackTask.findUnique({
+      where: { id: task.id },
+      include: CALLBACK_INCLUDE,
+    });
+
+    res.json({
+      success: true,
+      message: '已認領回電任務',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('❌ 認領回電任務失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/agent/callbacks/:id/assign
+ * 指派回電／留言任務給客服（區域管理員以上）
+ */
+router.post('/callbacks/:id/assign', authMiddleware, requireMinimumRole(ROLES.REGION_ADMIN), async (req, res) => {
+  try {
+    const { agentId } = req.body;
+
+    if (!agentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '請指定客服',
+      });
+    }
+
+    const task = await findCallbackTask(req, res);
+    if (!task || rejectClosedTask(task, res)) {
+      return;
+    }
+
+    const agent = await prisma.user.findUnique({
+      where: { id: agentId },
+      select: { id: true, regionId: true, status: true },
+    });
+
+    if (!agent || agent.status !== 'ACTIVE') {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '客服不存在或已停用',
+      });
+    }
+
+    if (agent.regionId !== task.regionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '只能指派給任務所屬區域的客服',
+      });
+    }
+
+    const updated = await prisma.callbackTask.update({
+      where: { id: task.id },
+      data: { status: 'ASSIGNED', assignedAgentId: agentId },
+      include: CALLBACK_INCLUDE,
+    });
+
+    res.json({
+      success: true,
+      message: '已指派回電任務',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('❌ 指派回電任務失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/agent/callbacks/:id/complete
+ * 完成回電／留言任務
+ *
+ * Body: { note }（處理結果）
+ */
+router.post('/callbacks/:id/complete', authMiddleware, async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+    const { note } = req.body;
+
+    const task = await findCallbackTask(req, res);
+    if (!task || rejectClosedTask(task, res)) {
+      return;
+    }
+
+    // 已指派的任務只有負責客服或管理員可以完成
+    if (task.assignedAgentId && task.assignedAgentId !== userId && role === ROLES.AGENT) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: '您不是此回電任務的負責客服',
+      });
+    }
+
+    const updated = await prisma.callbackTask.update({
+      where: { id: task.id },
+      data: {
+        status: 'DONE',
+        assignedAgentId: task.assignedAgentId || userId,
+        resolutionNote: note || null,
+        completedAt: new Date(),
+      },
+      include: CALLBACK_INCLUDE,
+    });
+
+    console.log(`✅ 回電任務 ${task.id} 已完成`);
+
+    res.json({
+      success: true,
+      message: '回電任務已完成',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('❌ 完成回電任務失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/agent/callbacks/:id/cancel
+ * 取消回電／留言任務（如客戶已另行聯繫）
+ *
+ * Body: { note }（取消原因）
+ */
+router.post('/callbacks/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+    const { note } = req.body;
+
+    const task = await findCallbackTask(req, res);
+    if (!task || rejectClosedTask(task, res)) {
+      return;
+    }
+
+    if (task.assignedAgentId && task.assignedAgentId !== userId && role === ROLES.AGENT) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: '您不是此回電任務的負責客服',
+      });
+    }
+
+    const updated = await prisma.callbackTask.update({
+      where: { id: task.id },
+      data: {
+        status: 'CANCELLED',
+        resolutionNote: note || null,
+        completedAt: new Date(),
+      },
+      include: CALLBACK_INCLUDE,
+    });
+
+    res.json({
+      success: true,
+      message: '回電任務已取消',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('❌ 取消回電任務失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+const REMINDER_STATUSES = ['PENDING', 'SENT', 'CANCELLED'];
+const MAX_REMINDER_NOTE_LENGTH = 500;
+
+const REMINDER_INCLUDE = {
+  conversation: {
+    select: {
+      id: true,
+      status: true,
+      customer: {
+        select: { id: true, displayName: true },
+      },
+    },
+  },
+};
+
+/**
+ * POST /api/agent/reminders
+ * 建立跟進提醒（時間到時即時通知自己）
+ *
+ * Body: { remindAt, note, conversationId }（conversationId 可選）
+ */
+router.post('/reminders', authMiddleware, async (req, res) => {
+  try {
+    const { userId, role, regionId } = req.user;
+    const { remindAt, note, conversationId } = req.body;
+
+    if (typeof note !== 'string' || note.trim() === '' || note.length > MAX_REMINDER_NOTE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: `提醒內容不能為空，且不能超過 ${MAX_REMINDER_NOTE_LENGTH} 字`,
+      });
+    }
+
+    const { date, error } = parseFollowUpTime(remindAt);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: error,
+      });
+    }
+
+    if (conversationId) {
+      const conversation = await prisma.conversation.findUnique({
+        where: { id: conversationId },
+        select: { id: true, regionId: true },
+      });
+
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: 'NotFound',
+          message: '對話不存在',
+        });
+      }
+
+      if (role !== ROLES.SUPER_ADMIN && conversation.regionId !== regionId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: '您無法訪問此區域的資源',
+        });
+      }
+    }
+
+    const reminder = await createReminder({
+      userId,
+      conversationId: conversationId || null,
+      note,
+      remindAt: date,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '已建立跟進提醒',
+      data: reminder,
+    });
+  } catch (error) {
+    console.error('❌ 建立跟進提醒失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/agent/reminders
+ * 取得自己的跟進提醒（預設為未提醒的，時間早的在前）
+ *
+ * Query: status（PENDING | SENT | CANCELLED）
+ */
+router.get('/reminders', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const status = req.query.status || 'PENDING';
+
+    if (!REMINDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: `無效的狀態（${REMINDER_STATUSES.join(', ')}）`,
+      });
+    }
+
+    const reminders = await prisma.followUpReminder.findMany({
+      where: { userId, status },
+      include: REMINDER_INCLUDE,
+      orderBy: { remindAt: status === 'PENDING' ? 'asc' : 'desc' },
+      take: 100,
+    });
+
+    res.json({
+      success: true,
+      data: reminders,
+    });
+  } catch (error) {
+    console.error('❌ 取得跟進提醒失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * DELETE /api/agent/reminders/:id
+ * 取消跟進提醒（只能取消自己未提醒的）
+ */
+router.delete('/reminders/:id', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const reminder = await prisma.followUpReminder.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!reminder || reminder.userId !== userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '提醒不存在',
+      });
+    }
+
+    const result = await prisma.followUpReminder.updateMany({
+      where: { id: reminder.id, status: 'PENDING' },
+      data: { status: 'CANCELLED' },
+    });
+
+    if (result.count === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'InvalidStatus',
+        message: '提醒已發送或已取消',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '已取消跟進提醒',
+    });
+  } catch (error) {
+    console.error('❌ 取消跟進提醒失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
 export default router;
@@ -7,6 +7,7 @@ import { Router } from 'express';
 import { prisma } from '../db.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { requireRole, requireMinimumRole, ROLES } from '../middleware/rbac.js';
+import { syncCustomerRichMenu } from '../services/richMenuService.js';
 
 const router = Router();
 
@@ -287,6 +288,12 @@ router.put(
         },
       });
 
+      // VIP 等級變更時同步 LINE 個人圖文選單（不阻塞回應）
+      if (updated.vipLevel !== customer.vipLevel) {
+        syncCustomerRichMenu(updated)
+          .catch(err => console.error('❌ 同步圖文選單失敗:', err));
+      }
+
       // 格式化標籤
       const formattedCustomer = {
         ...updated,
@@ -0,0 +1,737 @@
+/**
+ * FAQ 知識庫管理 API 路由
+ * 金龍永盛客服管理後台
+ *
+ * 掛載於 /api/faqs（公開的 FAQ 查詢為 /api/faq/*）
+ * - SUPER_ADMIN 可管理所有 FAQ（含全域 FAQ）
+ * - REGION_ADMIN 可查看全域及自己區域的 FAQ，只能修改自己區域的 FAQ
+ * - /api/faqs/gaps：機器人沒有答好的問題（FAQ 缺口），REGION_ADMIN 只能處理自己區域的問題
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import { prisma } from '../db.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { requireMinimumRole, ROLES } from '../middleware/rbac.js';
+import {
+  validateFaqContent,
+  createFaq,
+  updateFaq,
+  publishFaq,
+  rollbackFaq,
+  setFaqActive,
+  importFaqCsv,
+  exportFaqCsv,
+} from '../services/faqService.js';
+import {
+  getFaqGapReport,
+  createFaqDraftFromQueries,
+  ignoreUnansweredQueries,
+} from '../services/faqGapService.js';
+
+const router = Router();
+
+const MAX_CSV_SIZE = 2 * 1024 * 1024;
+// 一次建立草稿或忽略的未解答問題上限
+const MAX_GAP_QUERY_IDS = 1000;
+
+// CSV 檔暫存於記憶體
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_CSV_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error(`只支援 CSV 檔: ${file.mimetype}`), false);
+    }
+  },
+});
+
+// 所有路由都需要區域管理員以上權限
+router.use(authMiddleware, requireMinimumRole(ROLES.REGION_ADMIN));
+
+/**
+ * 可查看的 FAQ 範圍（非 SUPER_ADMIN 為全域及自己區域）
+ */
+function getViewScope(user) {
+  if (user.role === ROLES.SUPER_ADMIN) {
+    return {};
+  }
+  return { OR: [{ regionId: null }, { regionId: user.regionId }] };
+}
+
+/**
+ * 是否可修改 FAQ（全域 FAQ 只有 SUPER_ADMIN 可修改）
+ */
+function canManageFaq(user, entry) {
+  return user.role === ROLES.SUPER_ADMIN || (entry.regionId !== null && entry.regionId === user.regionId);
+}
+
+/**
+ * 取得新增 FAQ 的區域（非 SUPER_ADMIN 固定為自己的區域）
+ * @returns {Promise<Object>} { regionId } 或 { error }
+ */
+async function resolveRegionId(user, regionId) {
+  if (user.role !== ROLES.SUPER_ADMIN) {
+    return { regionId: user.regionId };
+  }
+  if (!regionId) {
+    return { regionId: null };
+  }
+
+  const region = await prisma.region.findUnique({
+    where: { id: regionId },
+    select: { id: true },
+  });
+  return region ? { regionId } : { error: '區域不存在' };
+}
+
+/**
+ * 可處理的未解答問題範圍（非 SUPER_ADMIN 為自己區域）
+ */
+function getGapScope(user) {
+  if (user.role === ROLES.SUPER_ADMIN) {
+    return {};
+  }
+  return { regionId: user.regionId };
+}
+
+/**
+ * 驗證未解答問題 ID 列表
+ * @returns {string|null} 錯誤訊息
+ */
+function validateQueryIds(queryIds) {
+  if (!Array.isArray(queryIds) || queryIds.length === 0 || queryIds.some(id => typeof id !== 'string')) {
+    return 'queryIds 必須是問題 ID 陣列';
+  }
+  if (queryIds.length > MAX_GAP_QUERY_IDS) {
+    return `queryIds 最多 ${MAX_GAP_QUERY_IDS} 筆`;
+  }
+  return null;
+}
+
+/**
+ * 載入 FAQ（限定在可查看的範圍，修改類操作另外檢查權限）
+ */
+router.param('id', async (req, res, next, id) => {
+  try {
+    const entry = await prisma.faqEntry.findFirst({
+      where: { id, ...getViewScope(req.user) },
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'FAQ 不存在',
+      });
+    }
+
+    if (req.method !== 'GET' && !canManageFaq(req.user, entry)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: '無權修改此 FAQ',
+      });
+    }
+
+    req.faq = entry;
+    next();
+  } catch (error) {
+    console.error('❌ 載入 FAQ 失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/faqs
+ * 取得 FAQ 列表
+ *
+ * Query params:
+ * - regionId: 區域（global 為只列出全域 FAQ）
+ * - category: 分類
+ * - active: true | false
+ * - status: published（已發布）| draft（有尚未發布的版本）
+ * - q: 搜尋編號、問題或答案
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { regionId, category, active, status, q } = req.query;
+
+    const where = { AND: [getViewScope(req.user)] };
+    if (regionId) {
+      where.AND.push({ regionId: regionId === 'global' ? null : regionId });
+    }
+    if (category) {
+      where.AND.push({ category });
+    }
+    if (active === 'true' || active === 'false') {
+      where.AND.push({ isActive: active === 'true' });
+    }
+    if (status === 'published') {
+      where.AND.push({ publishedVersion: { not: null } });
+    }
+    if (q) {
+      where.AND.push({
+        OR: [
+          { code: { contains: q, mode: 'insensitive' } },
+          { question: { contains: q, mode: 'insensitive' } },
+          { answer: { contains: q, mode: 'insensitive' } },
+        ],
+      });
+    }
+
+    const entries = await prisma.faqEntry.findMany({
+      where,
+      orderBy: { code: 'asc' },
+      include: {
+        region: {
+          select: { id: true, name: true, code: true },
+        },
+      },
+    });
+
+    const data = entries
+      .map(entry => ({ ...entry, hasDraft: entry.publishedVersion !== entry.latestVersion }))
+      .filter(entry => status !== 'draft' || entry.hasDraft);
+
+    res.json({
+      success: true,
+      data,
+      categories: [...new Set(entries.map(entry => entry.category))].sort(),
+    });
+  } catch (error) {
+    console.error('❌ 取得 FAQ 列表失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/faqs/export
+ * 匯出 CSV（格式與 data/faq_knowledge_base.csv 相同）
+ *
+ * Query params:
+ * - regionId: 區域（global 為只匯出全域 FAQ）
+ * - includeInactive: true 時包含停用的 FAQ
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { regionId, includeInactive } = req.query;
+
+    const where = { AND: [getViewScope(req.user)] };
+    if (regionId) {
+      where.AND.push({ regionId: regionId === 'global' ? null : regionId });
+    }
+    if (includeInactive !== 'true') {
+      where.AND.push({ isActive: true });
+    }
+
+    const csv = await exportFaqCsv(where);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="faq_knowledge_base.csv"');
+    res.send(csv);
+  } catch (error) {
+    console.error('❌ 匯出 FAQ 失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/faqs/import
+ * 匯入 CSV（multipart 欄位 file，或 JSON 的 csv 字串）
+ * 編號已存在的 FAQ 內容有變更時建立新版本，不存在時新增
+ *
+ * Body:
+ * - regionId: 新增的 FAQ 所屬區域（SUPER_ADMIN 未指定時為全域）
+ * - publish: true 時直接發布
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf-8') : req.body.csv;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '請上傳 CSV 檔',
+      });
+    }
+
+    const { regionId, error } = await resolveRegionId(req.user, req.body.regionId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: error,
+      });
+    }
+
+    const result = await importFaqCsv(content, {
+      regionId,
+      userId: req.user.userId,
+      publish: req.body.publish === true || req.body.publish === 'true',
+      canModify: entry => canManageFaq(req.user, entry),
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ 匯入 FAQ 失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/faqs/gaps
+ * FAQ 缺口報表：機器人沒有答好的問題（待處理），相似的問題分為一群，依問題數排序
+ *
+ * Query params:
+ * - startDate, endDate: 期間（預設最近 30 天）
+ * - regionId: 區域（僅 SUPER_ADMIN）
+ * - reason: NO_MATCH | LOW_SCORE | HANDOFF
+ * - limit: 最多列出幾群（預設 20，最多 100）
+ */
+router.get('/gaps', async (req, res) => {
+  try {
+    const { startDate, endDate, regionId, reason } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    // 日期範圍
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '日期格式錯誤',
+      });
+    }
+
+    if (reason && !['NO_MATCH', 'LOW_SCORE', 'HANDOFF'].includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: 'reason 必須是 NO_MATCH、LOW_SCORE 或 HANDOFF',
+      });
+    }
+
+    const where = {
+      ...getGapScope(req.user),
+      createdAt: { gte: start, lte: end },
+    };
+    if (regionId && req.user.role === ROLES.SUPER_ADMIN) {
+      where.regionId = regionId;
+    }
+    if (reason) {
+      where.reason = reason;
+    }
+
+    const report = await getFaqGapReport(where, { limit });
+
+    res.json({
+      success: true,
+      data: {
+        period: { start, end },
+        ...report,
+      },
+    });
+  } catch (error) {
+    console.error('❌ 取得 FAQ 缺口報表失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/faqs/gaps/draft
+ * 由一群未解答問題建立 FAQ 草稿（不發布），並將這些問題標記為已處理
+ * 未指定的內容由問題產生：問題為最具代表性的客戶問法，答案待補充
+ *
+ * Body: { queryIds, category?, question?, answer?, keywords?, regionId? }
+ */
+router.post('/gaps/draft', async (req, res) => {
+  try {
+    const { queryIds, category, question, answer, keywords } = req.body;
+
+    const idsError = validateQueryIds(queryIds);
+    if (idsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: idsError,
+      });
+    }
+
+    const { regionId, error } = await resolveRegionId(req.user, req.body.regionId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: error,
+      });
+    }
+
+    const result = await createFaqDraftFromQueries(
+      queryIds,
+      getGapScope(req.user),
+      { category, question, answer, keywords },
+      { regionId, userId: req.user.userId }
+    );
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: result.error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ 建立 FAQ 草稿失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/faqs/gaps/ignore
+ * 忽略未解答問題（不需要 FAQ，如：閒聊、個案問題），不再列入報表
+ *
+ * Body: { queryIds }
+ */
+router.post('/gaps/ignore', async (req, res) => {
+  try {
+    const { queryIds } = req.body;
+
+    const idsError = validateQueryIds(queryIds);
+    if (idsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: idsError,
+      });
+    }
+
+    const count = await ignoreUnansweredQueries(queryIds, getGapScope(req.user));
+
+    res.json({
+      success: true,
+      data: { ignoredCount: count },
+    });
+  } catch (error) {
+    console.error('❌ 忽略未解答問題失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/faqs/:id
+ * 取得 FAQ（含版本紀錄）
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const revisions = await prisma.faqRevision.findMany({
+      where: { faqId: req.faq.id },
+      orderBy: { version: 'desc' },
+      include: {
+        createdBy: {
+          select: { id: true, name: true },
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: { ...req.faq, revisions },
+    });
+  } catch (error) {
+    console.error('❌ 取得 FAQ 失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/faqs
+ * 新增 FAQ
+ * Body: { code?, category, question, answer, keywords?, source?, embeddingText?, regionId?, publish? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validationError = validateFaqContent(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: validationError,
+      });
+    }
+
+    const { regionId, error } = await resolveRegionId(req.user, req.body.regionId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: error,
+      });
+    }
+
+    if (req.body.code) {
+      const existing = await prisma.faqEntry.findUnique({
+        where: { code: req.body.code.trim() },
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: 'DuplicateCode',
+          message: 'FAQ 編號已存在',
+        });
+      }
+    }
+
+    const entry = await createFaq(req.body, {
+      regionId,
+      userId: req.user.userId,
+      publish: req.body.publish === true,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error('❌ 新增 FAQ 失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * PUT /api/faqs/:id
+ * 修改 FAQ（建立新版本，publish 為 true 時直接發布）
+ * Body: { category?, question?, answer?, keywords?, source?, embeddingText?, note?, publish? }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const validationError = validateFaqContent(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: validationError,
+      });
+    }
+
+    const updated = await updateFaq(req.faq, req.body, {
+      userId: req.user.userId,
+      note: req.body.note || null,
+      publish: req.body.publish === true,
+    });
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        error: 'InvalidOperation',
+        message: '內容沒有變更',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('❌ 修改 FAQ 失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/faqs/:id/publish
+ * 發布版本
+ * Body: { version? }（預設為最新版本）
+ */
+router.post('/:id/publish', async (req, res) => {
+  try {
+    const { version = req.faq.latestVersion } = req.body;
+
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: 'version 必須是整數',
+      });
+    }
+
+    if (version === req.faq.publishedVersion) {
+      return res.status(400).json({
+        success: false,
+        error: 'InvalidOperation',
+        message: '此版本已發布',
+      });
+    }
+
+    const updated = await publishFaq(req.faq, version);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '版本不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('❌ 發布 FAQ 失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/faqs/:id/rollback
+ * 回復到舊版本（以舊版本內容建立新版本並發布）
+ * Body: { version }
+ */
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const { version } = req.body;
+
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: 'version 必須是整數',
+      });
+    }
+
+    const updated = await rollbackFaq(req.faq, version, req.user.userId);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '版本不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('❌ 回復 FAQ 版本失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * PUT /api/faqs/:id/active
+ * 啟用／停用 FAQ（停用後立即從 AI 回覆中移除）
+ * Body: { isActive }
+ */
+router.put('/:id/active', async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: 'isActive 必須是布林值',
+      });
+    }
+
+    const updated = await setFaqActive(req.faq, isActive);
+
+    res.json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('❌ 更新 FAQ 狀態失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+// 錯誤處理中間件（CSV 上傳錯誤）
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      error: 'ValidationError',
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'CSV 檔大小超過限制（最大 2MB）' : error.message,
+    });
+  }
+
+  console.error('❌ FAQ API 錯誤:', error);
+  res.status(400).json({
+    success: false,
+    error: 'ValidationError',
+    message: error.message,
+  });
+});
+
+export default router;
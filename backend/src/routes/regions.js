@@ -6,11 +6,187 @@
 import { Router } from 'express';
 import { prisma } from '../db.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { requireRole, ROLES } from '../middleware/rbac.js';
+import { requireRole, requireMinimumRole, requireRegionAccess, ROLES } from '../middleware/rbac.js';
 import { config } from '../config.js';
+import { generateWidgetKey } from '../services/webChatService.js';
+import { invalidateRegionCache } from '../services/regionCacheService.js';
+import { ASSIGNMENT_STRATEGIES, processWaitingQueue } from '../services/assignmentService.js';
+import { getSlaPolicy, validateSlaPolicy } from '../services/slaService.js';
+import { validateReopenPolicy } from '../services/followUpService.js';
 
 const router = Router();
 
+/**
+ * 區域設定（settings JSON）中可由區域管理員更新的項目
+ * - fields：從 request body 取出的欄位
+ * - validate(value)：回傳錯誤訊息，通過時回傳 null
+ * - merge(current, value)：回傳新的設定值，未指定時只覆寫有傳入的欄位
+ */
+const REGION_SETTINGS = {
+  assignment: {
+    fields: ['strategy'],
+    validate: ({ strategy }) => (ASSIGNMENT_STRATEGIES[strategy]
+      ? null
+      : `無效的分派策略，必須是 ${Object.keys(ASSIGNMENT_STRATEGIES).join(', ')}`),
+  },
+  sla: {
+    fields: ['enabled', 'queueWait', 'firstResponse', 'agentIdle'],
+    validate: validateSlaPolicy,
+    // 各優先級的時限逐項合併，未傳入的優先級保留原設定
+    merge: (current, { enabled, queueWait, firstResponse, agentIdle }) => ({
+      ...current,
+      ...(enabled !== undefined ? { enabled } : {}),
+      ...(queueWait ? { queueWait: { ...current.queueWait, ...queueWait } } : {}),
+      ...(firstResponse ? { firstResponse: { ...current.firstResponse, ...firstResponse } } : {}),
+      ...(agentIdle ? { agentIdle: { ...current.agentIdle, ...agentIdle } } : {}),
+    }),
+  },
+  queueNotice: {
+    fields: ['thresholds'],
+    validate: ({ thresholds }) => (
+      !Array.isArray(thresholds)
+      || thresholds.length > 5
+      || thresholds.some(minutes => !Number.isInteger(minutes) || minutes < 1 || minutes > 1440)
+        ? 'thresholds 必須是最多 5 個 1-1440 的分鐘數'
+        : null
+    ),
+    merge: (current, { thresholds }) => ({
+      ...current,
+      thresholds: [...new Set(thresholds)].sort((a, b) => a - b),
+    }),
+  },
+  queueOptions: {
+    fields: ['enabled', 'maxWaitMinutes'],
+    validate: ({ enabled, maxWaitMinutes }) => {
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled 必須是布林值';
+      }
+      if (maxWaitMinutes !== undefined && (!Number.isInteger(maxWaitMinutes) || maxWaitMinutes < 1 || maxWaitMinutes > 1440)) {
+        return 'maxWaitMinutes 必須是 1-1440 的分鐘數';
+      }
+      return null;
+    },
+  },
+  reopen: {
+    fields: ['enabled', 'windowHours'],
+    validate: validateReopenPolicy,
+  },
+  csat: {
+    fields: ['enabled', 'askComment'],
+    validate: ({ enabled, askComment }) => (
+      (enabled !== undefined && typeof enabled !== 'boolean')
+      || (askComment !== undefined && typeof askComment !== 'boolean')
+        ? 'enabled、askComment 必須是布林值'
+        : null
+    ),
+  },
+};
+
+const SETTINGS_ERROR_STATUS = {
+  ValidationError: 400,
+  NotFound: 404,
+};
+
+/**
+ * 合併設定：只覆寫有傳入的欄位
+ */
+function mergeDefinedFields(current, value) {
+  const merged = { ...current };
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (fieldValue !== undefined) {
+      merged[field] = fieldValue;
+    }
+  }
+  return merged;
+}
+
+/**
+ * 更新區域設定的單一項目（驗證、與現有設定合併、清除區域快取）
+ * @param {string} regionId - 區域 ID
+ * @param {string} key - REGION_SETTINGS 的項目
+ * @param {Object} value - 傳入的欄位
+ * @returns {Promise<Object>} { region } 或 { error, message }
+ */
+async function updateRegionSettings(regionId, key, value) {
+  const { validate, merge = mergeDefinedFields } = REGION_SETTINGS[key];
+
+  const validationError = validate(value);
+  if (validationError) {
+    return { error: 'ValidationError', message: validationError };
+  }
+
+  const region = await prisma.region.findUnique({
+    where: { id: regionId },
+  });
+
+  if (!region) {
+    return { error: 'NotFound', message: '區域不存在' };
+  }
+
+  const settings = region.settings || {};
+  const updated = await prisma.region.update({
+    where: { id: regionId },
+    data: {
+      settings: { ...settings, [key]: merge(settings[key] || {}, value) },
+    },
+  });
+  invalidateRegionCache(regionId);
+
+  return { region: updated };
+}
+
+/**
+ * 建立更新區域設定的路由（區域管理員以上）
+ * @param {string} key - REGION_SETTINGS 的項目
+ * @param {Object} options
+ * @param {string} options.label - 設定名稱（用於回應訊息及錯誤日誌）
+ * @param {Function} [options.formatData] - 回應的 data，預設為 { id, [key] }
+ * @param {Function} [options.afterUpdate] - 更新成功後執行
+ * @returns {Array<Function>} middleware 及處理函式
+ */
+function regionSettingsRoute(key, { label, formatData, afterUpdate }) {
+  const { fields } = REGION_SETTINGS[key];
+
+  return [
+    authMiddleware,
+    requireMinimumRole(ROLES.REGION_ADMIN),
+    requireRegionAccess('id'),
+    async (req, res) => {
+      try {
+        const value = Object.fromEntries(fields.map(field => [field, req.body[field]]));
+        const { region, error, message } = await updateRegionSettings(req.params.id, key, value);
+
+        if (error) {
+          return res.status(SETTINGS_ERROR_STATUS[error]).json({
+            success: false,
+            error,
+            message,
+          });
+        }
+
+        if (afterUpdate) {
+          afterUpdate(region);
+        }
+
+        res.json({
+          success: true,
+          message: `${label}更新成功`,
+          data: formatData
+            ? formatData(region)
+            : { id: region.id, [key]: region.settings[key] },
+        });
+      } catch (error) {
+        console.error(`❌ 更新${label}失敗:`, error);
+        res.status(500).json({
+          success: false,
+          error: 'ServerError',
+          message: '伺服器錯誤',
+        });
+      }
+    },
+  ];
+}
+
 /**
  * GET /api/regions
  * 取得區域列表
@@ -33,6 +209,8 @@ router.get('/', authMiddleware, async (req, res) => {
         name: true,
         code: true,
         lineChannelId: true,
+        fbPageId: true,
+        webWidgetKey: true,
         settings: true,
         isActive: true,
         createdAt: true,
@@ -103,6 +281,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
     if (role !== ROLES.SUPER_ADMIN) {
       delete region.lineChannelSecret;
       delete region.lineChannelAccessToken;
+      delete region.fbPageAccessToken;
     }
 
     res.json({
@@ -135,6 +314,8 @@ router.post(
         lineChannelId,
         lineChannelSecret,
         lineChannelAccessToken,
+        fbPageId,
+        fbPageAccessToken,
         settings,
       } = req.body;
 
@@ -171,6 +352,20 @@ router.post(
         });
       }
 
+      // 檢查 FB 粉絲專頁 ID 是否重複
+      if (fbPageId) {
+        const existingPage = await prisma.region.findUnique({
+          where: { fbPageId },
+        });
+        if (existingPage) {
+          return res.status(400).json({
+            success: false,
+            error: 'DuplicatePage',
+            message: 'FB 粉絲專頁 ID 已被使用',
+          });
+        }
+      }
+
       const region = await prisma.region.create({
         data: {
           name,
@@ -178,6 +373,8 @@ router.post(
           lineChannelId,
           lineChannelSecret,
           lineChannelAccessToken,
+          fbPageId: fbPageId || null,
+          fbPageAccessToken: fbPageAccessToken || null,
           settings: settings || {
             workingHours: {
               start: '09:00',
@@ -190,6 +387,7 @@ router.post(
           },
         },
       });
+      invalidateRegionCache(region.id);
 
       res.status(201).json({
         success: true,
@@ -240,6 +438,7 @@ router.put(
           isActive: isActive !== undefined ? isActive : region.isActive,
         },
       });
+      invalidateRegionCache(id);
 
       res.json({
         success: true,
@@ -290,6 +489,7 @@ router.put(
           lineChannelAccessToken: lineChannelAccessToken || region.lineChannelAccessToken,
         },
       });
+      invalidateRegionCache(id);
 
       res.json({
         success: true,
@@ -310,6 +510,250 @@ router.put(
   }
 );
 
+/**
+ * PUT /api/regions/:id/fb
+ * 更新區域 FB Messenger 設定（僅 SUPER_ADMIN）
+ */
+router.put(
+  '/:id/fb',
+  authMiddleware,
+  requireRole(ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { fbPageId, fbPageAccessToken } = req.body;
+
+      const region = await prisma.region.findUnique({
+        where: { id },
+      });
+
+      if (!region) {
+        return res.status(404).json({
+          success: false,
+          error: 'NotFound',
+          message: '區域不存在',
+        });
+      }
+
+      // 檢查粉絲專頁 ID 是否已被其他區域使用
+      if (fbPageId && fbPageId !== region.fbPageId) {
+        const existingPage = await prisma.region.findUnique({
+          where: { fbPageId },
+        });
+        if (existingPage) {
+          return res.status(400).json({
+            success: false,
+            error: 'DuplicatePage',
+            message: 'FB 粉絲專頁 ID 已被使用',
+          });
+        }
+      }
+
+      const updated = await prisma.region.update({
+        where: { id },
+        data: {
+          fbPageId: fbPageId || region.fbPageId,
+          fbPageAccessToken: fbPageAccessToken || region.fbPageAccessToken,
+        },
+      });
+      invalidateRegionCache(id);
+
+      res.json({
+        success: true,
+        message: 'FB 設定更新成功',
+        data: {
+          id: updated.id,
+          fbPageId: updated.fbPageId,
+        },
+      });
+    } catch (error) {
+      console.error('❌ 更新 FB 設定失敗:', error);
+      res.status(500).json({
+        success: false,
+        error: 'ServerError',
+        message: '伺服器錯誤',
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/regions/:id/assignment
+ * 更新區域的對話自動分派策略（區域管理員以上）
+ *
+ * Body: { strategy: 'MANUAL' | 'ROUND_ROBIN' | 'LEAST_BUSY' | 'LONGEST_IDLE' }
+ */
+router.put(
+  '/:id/assignment',
+  regionSettingsRoute('assignment', {
+    label: '分派策略',
+    // 改為自動分派時，立即分派佇列中的對話
+    afterUpdate: region => {
+      processWaitingQueue(region.id).catch(error => {
+        console.error('❌ 自動分派失敗:', error);
+      });
+    },
+  })
+);
+
+/**
+ * GET /api/regions/:id/sla
+ * 取得區域的 SLA 設定（含預設值）
+ */
+router.get(
+  '/:id/sla',
+  authMiddleware,
+  requireMinimumRole(ROLES.REGION_ADMIN),
+  requireRegionAccess('id'),
+  async (req, res) => {
+    try {
+      const region = await prisma.region.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, settings: true },
+      });
+
+      if (!region) {
+        return res.status(404).json({
+          success: false,
+          error: 'NotFound',
+          message: '區域不存在',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: getSlaPolicy(region.settings),
+      });
+    } catch (error) {
+      console.error('❌ 取得 SLA 設定失敗:', error);
+      res.status(500).json({
+        success: false,
+        error: 'ServerError',
+        message: '伺服器錯誤',
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/regions/:id/sla
+ * 更新區域的 SLA 設定（區域管理員以上）
+ *
+ * Body: {
+ *   enabled?: boolean,
+ *   queueWait?: { [優先級 1-5]: 分鐘 },       // 等待接聽
+ *   firstResponse?: { [優先級 1-5]: 分鐘 },   // 接聽後首次回覆
+ *   agentIdle?: { [優先級 1-5]: 分鐘 }        // 客戶訊息未回覆
+ * }
+ */
+router.put(
+  '/:id/sla',
+  regionSettingsRoute('sla', {
+    label: 'SLA 設定',
+    formatData: region => getSlaPolicy(region.settings),
+  })
+);
+
+/**
+ * PUT /api/regions/:id/queue-notice
+ * 更新等待提醒門檻（區域管理員以上）
+ *
+ * Body: { thresholds: number[] }（分鐘，最多 5 個；空陣列為停用）
+ */
+router.put(
+  '/:id/queue-notice',
+  regionSettingsRoute('queueNotice', { label: '等待提醒設定' })
+);
+
+/**
+ * PUT /api/regions/:id/queue-options
+ * 更新等待過久時的回電／留言選項（區域管理員以上）
+ *
+ * Body: { enabled?: boolean, maxWaitMinutes?: number }
+ */
+router.put(
+  '/:id/queue-options',
+  regionSettingsRoute('queueOptions', { label: '回電／留言選項設定' })
+);
+
+/**
+ * PUT /api/regions/:id/reopen
+ * 更新對話重新開啟設定（區域管理員以上）
+ * 對話結束後 windowHours 小時內客戶再次來訊，重新開啟原對話並交回原客服
+ *
+ * Body: { enabled?: boolean, windowHours?: number }
+ */
+router.put(
+  '/:id/reopen',
+  regionSettingsRoute('reopen', { label: '重新開啟設定' })
+);
+
+/**
+ * PUT /api/regions/:id/csat
+ * 更新滿意度調查設定（區域管理員以上）
+ *
+ * Body: { enabled?: boolean, askComment?: boolean }
+ */
+router.put(
+  '/:id/csat',
+  regionSettingsRoute('csat', { label: '滿意度調查設定' })
+);
+
+/**
+ * POST /api/regions/:id/web-widget
+ * 產生（或重新產生）官網聊天元件金鑰，並返回嵌入程式碼（僅 SUPER_ADMIN）
+ * 重新產生後，舊金鑰立即失效
+ */
+router.post(
+  '/:id/web-widget',
+  authMiddleware,
+  requireRole(ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const region = await prisma.region.findUnique({
+        where: { id },
+      });
+
+      if (!region) {
+        return res.status(404).json({
+          success: false,
+          error: 'NotFound',
+          message: '區域不存在',
+        });
+      }
+
+      const updated = await prisma.region.update({
+        where: { id },
+        data: { webWidgetKey: generateWidgetKey() },
+      });
+      invalidateRegionCache(id);
+
+      const baseUrl = process.env.BASE_URL || `http://localhost:${config.server.port}`;
+      const embedCode = `<script src="${baseUrl}/widget/chat-widget.js" data-widget-key="${updated.webWidgetKey}" data-api-base="${baseUrl}" async></script>`;
+
+      res.json({
+        success: true,
+        message: '聊天元件金鑰已更新',
+        data: {
+          id: updated.id,
+          webWidgetKey: updated.webWidgetKey,
+          embedCode,
+          instruction: '請將此程式碼貼到官網頁面的 </body> 之前',
+        },
+      });
+    } catch (error) {
+      console.error('❌ 產生聊天元件金鑰失敗:', error);
+      res.status(500).json({
+        success: false,
+        error: 'ServerError',
+        message: '伺服器錯誤',
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/regions/:id
  * 刪除區域（僅 SUPER_ADMIN）
@@ -352,6 +796,7 @@ router.delete(
       await prisma.region.delete({
         where: { id },
       });
+      invalidateRegionCache(id);
 
       res.json({
         success: true,
@@ -382,7 +827,7 @@ router.get(
 
       const region = await prisma.region.findUnique({
         where: { id },
-        select: { id: true, code: true, name: true },
+        select: { id: true, code: true, name: true, fbPageId: true },
       });
 
       if (!region) {
@@ -405,6 +850,9 @@ router.get(
           regionName: region.name,
           webhookUrl,
           instruction: '請將此 URL 設定為 LINE Developers Console 中的 Webhook URL',
+          fbWebhookUrl: `${baseUrl}/webhook/fb`,
+          fbPageId: region.fbPageId,
+          fbInstruction: '請將此 URL 設定為 Meta 開發者後台 Messenger 的 Callback URL，並使用 FB_VERIFY_TOKEN 作為驗證權杖',
         },
       });
     } catch (error) {
@@ -7,12 +7,15 @@ import { Router } from 'express';
 import { prisma } from '../db.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { ROLES, getRegionFilter } from '../middleware/rbac.js';
+import { getSkillCoverage } from '../services/skillService.js';
+import { CUSTOMER_VISIBLE_FILTER } from '../services/noteService.js';
+import { getCsatSummary, getCsatByAgent } from '../services/csatService.js';
 
 const router = Router();
 
 /**
  * GET /api/reports/overview
- * 總覽報表
+ * 總覽報表（含滿意度調查統計）
  */
 router.get('/overview', authMiddleware, async (req, res) => {
   try {
@@ -89,6 +92,8 @@ router.get('/overview', authMiddleware, async (req, res) => {
       return acc;
     }, {});
 
+    const csat = await getCsatSummary(regionFilter, start, end);
+
     res.json({
       success: true,
       data: {
@@ -99,6 +104,7 @@ router.get('/overview', authMiddleware, async (req, res) => {
         summary,
         trend,
         intentBreakdown,
+        csat,
       },
     });
   } catch (error) {
@@ -160,6 +166,7 @@ router.get('/daily', authMiddleware, async (req, res) => {
           where: {
             conversation: regionFilter,
             createdAt: { gte: targetDate, lt: nextDay },
+            ...CUSTOMER_VISIBLE_FILTER,
           },
         }),
         prisma.conversation.count({
@@ -199,7 +206,7 @@ router.get('/daily', authMiddleware, async (req, res) => {
 
 /**
  * GET /api/reports/agents
- * 客服績效報表
+ * 客服績效報表（含各客服的滿意度調查統計）
  */
 router.get('/agents', authMiddleware, async (req, res) => {
   try {
@@ -234,6 +241,8 @@ router.get('/agents', authMiddleware, async (req, res) => {
       },
     });
 
+    const csatByAgent = await getCsatByAgent(agents.map(agent => agent.id), start, end);
+
     // 統計每個客服的績效
     const performance = await Promise.all(
       agents.map(async agent => {
@@ -260,6 +269,7 @@ router.get('/agents', authMiddleware, async (req, res) => {
               senderId: agent.id,
               senderType: 'AGENT',
               createdAt: { gte: start, lte: end },
+              ...CUSTOMER_VISIBLE_FILTER,
             },
           }),
         ]);
@@ -274,6 +284,7 @@ router.get('/agents', authMiddleware, async (req, res) => {
               totalConversations > 0
                 ? (totalMessages / totalConversations).toFixed(1)
                 : 0,
+            csat: csatByAgent.get(agent.id),
           },
         };
       })
@@ -302,6 +313,163 @@ router.get('/agents', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports/skill-coverage
+ * 各區域客服技能覆蓋率（每項技能的客服數、線上數及等待中需要此技能的對話數）
+ */
+router.get('/skill-coverage', authMiddleware, async (req, res) => {
+  try {
+    const coverage = await getSkillCoverage(getRegionFilter(req.user));
+
+    res.json({
+      success: true,
+      data: coverage,
+    });
+  } catch (error) {
+    console.error('❌ 取得技能覆蓋率失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/reports/sla
+ * SLA 違規統計（依類型、優先級、區域、客服、日期）
+ *
+ * Query: startDate?, endDate?, regionId?（僅 SUPER_ADMIN）
+ */
+router.get('/sla', authMiddleware, async (req, res) => {
+  try {
+    const { role, regionId } = req.user;
+    const { startDate, endDate, regionId: queryRegionId } = req.query;
+
+    // 日期範圍
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    // 區域過濾
+    let regionFilter = {};
+    if (role === ROLES.SUPER_ADMIN && queryRegionId) {
+      regionFilter.regionId = queryRegionId;
+    } else if (role !== ROLES.SUPER_ADMIN) {
+      regionFilter.regionId = regionId;
+    }
+
+    const where = {
+      ...regionFilter,
+      createdAt: { gte: start, lte: end },
+    };
+
+    const [byType, byPriority, byRegion, byAgent, breaches, handoffs] = await Promise.all([
+      prisma.slaBreach.groupBy({
+        by: ['type'],
+        where,
+        _count: true,
+        _avg: { actualMinutes: true, targetMinutes: true },
+      }),
+      prisma.slaBreach.groupBy({
+        by: ['priority'],
+        where,
+        _count: true,
+        orderBy: { priority: 'desc' },
+      }),
+      prisma.slaBreach.groupBy({
+        by: ['regionId'],
+        where,
+        _count: true,
+      }),
+      prisma.slaBreach.groupBy({
+        by: ['agentId'],
+        where: { ...where, agentId: { not: null } },
+        _count: true,
+      }),
+      prisma.slaBreach.findMany({
+        where,
+        select: { createdAt: true },
+      }),
+      // 期間內轉人工的對話數（計算違規率）
+      prisma.conversation.count({
+        where: {
+          ...regionFilter,
+          botHandoffAt: { gte: start, lte: end },
+        },
+      }),
+    ]);
+
+    const [regions, agents] = await Promise.all([
+      prisma.region.findMany({
+        where: { id: { in: byRegion.map(item => item.regionId) } },
+        select: { id: true, name: true, code: true },
+      }),
+      prisma.user.findMany({
+        where: { id: { in: byAgent.map(item => item.agentId) } },
+        select: { id: true, name: true },
+      }),
+    ]);
+
+    // 每日違規數
+    const dailyMap = {};
+    for (const breach of breaches) {
+      const day = breach.createdAt.toISOString().split('T')[0];
+      dailyMap[day] = (dailyMap[day] || 0) + 1;
+    }
+
+    const queueWaitBreaches = byType.find(item => item.type === 'QUEUE_WAIT')?._count || 0;
+
+    res.json({
+      success: true,
+      data: {
+        period: {
+          start: start.toISOString().split('T')[0],
+          end: end.toISOString().split('T')[0],
+        },
+        totalBreaches: breaches.length,
+        handoffs,
+        queueWaitBreachRate: handoffs > 0
+          ? ((queueWaitBreaches / handoffs) * 100).toFixed(1)
+          : 0,
+        byType: byType.map(item => ({
+          type: item.type,
+          count: item._count,
+          avgActualMinutes: Math.round(item._avg.actualMinutes || 0),
+          avgTargetMinutes: Math.round(item._avg.targetMinutes || 0),
+        })),
+        byPriority: byPriority.map(item => ({
+          priority: item.priority,
+          count: item._count,
+        })),
+        byRegion: byRegion
+          .map(item => ({
+            region: regions.find(region => region.id === item.regionId) || { id: item.regionId },
+            count: item._count,
+          }))
+          .sort((a, b) => b.count - a.count),
+        byAgent: byAgent
+          .map(item => ({
+            agent: agents.find(agent => agent.id === item.agentId) || { id: item.agentId },
+            count: item._count,
+          }))
+          .sort((a, b) => b.count - a.count),
+        daily: Object.entries(dailyMap)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([date, count]) => ({ date, count })),
+      },
+    });
+  } catch (error) {
+    console.error('❌ 取得 SLA 統計失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
 /**
  * GET /api/reports/conversations
  * 對話統計
@@ -425,6 +593,7 @@ router.get('/realtime', authMiddleware, async (req, res) => {
         where: {
           conversation: regionFilter,
           createdAt: { gte: today },
+          ...CUSTOMER_VISIBLE_FILTER,
         },
       }),
       prisma.conversation.count({
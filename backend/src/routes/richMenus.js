@@ -0,0 +1,427 @@
+/**
+ * LINE 圖文選單 API 路由
+ * 金龍永盛客服管理後台
+ *
+ * 掛載於 /api/regions/:regionId/rich-menus，區域管理員只能管理自己區域的選單
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import { prisma } from '../db.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { requireMinimumRole, requireRegionAccess, ROLES } from '../middleware/rbac.js';
+import {
+  MAX_IMAGE_SIZE,
+  ALLOWED_IMAGE_TYPES,
+  validateRichMenuDefinition,
+  createRichMenu,
+  uploadRichMenuImage,
+  setDefaultRichMenu,
+  cancelDefaultRichMenu,
+  linkRichMenuToCustomers,
+  unlinkRichMenuFromCustomers,
+  deleteRichMenu,
+} from '../services/richMenuService.js';
+
+const router = Router({ mergeParams: true });
+
+// 選單圖片先暫存於記憶體，上傳到 LINE 成功後才寫入上傳目錄
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`圖文選單圖片只支援 JPEG / PNG: ${file.mimetype}`), false);
+    }
+  },
+});
+
+// 所有路由都需要區域管理員以上權限
+router.use(authMiddleware, requireMinimumRole(ROLES.REGION_ADMIN), requireRegionAccess('regionId'));
+
+/**
+ * 載入區域（需包含 LINE 設定）
+ */
+router.use(async (req, res, next) => {
+  try {
+    const region = await prisma.region.findUnique({
+      where: { id: req.params.regionId },
+    });
+
+    if (!region) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '區域不存在',
+      });
+    }
+
+    req.region = region;
+    next();
+  } catch (error) {
+    console.error('❌ 載入區域失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * 載入選單（限定在目前區域）
+ */
+router.param('menuId', async (req, res, next, menuId) => {
+  try {
+    const menu = await prisma.richMenu.findFirst({
+      where: { id: menuId, regionId: req.region.id },
+    });
+
+    if (!menu) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '圖文選單不存在',
+      });
+    }
+
+    req.richMenu = menu;
+    next();
+  } catch (error) {
+    console.error('❌ 載入圖文選單失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * 回傳 LINE API 錯誤
+ */
+function sendLineError(res, error, message) {
+  res.status(502).json({
+    success: false,
+    error: 'LineApiError',
+    message,
+    details: error,
+  });
+}
+
+/**
+ * GET /api/regions/:id/rich-menus
+ * 取得區域的圖文選單列表
+ */
+router.get('/', async (req, res) => {
+  try {
+    const menus = await prisma.richMenu.findMany({
+      where: { regionId: req.region.id },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      success: true,
+      data: menus,
+    });
+  } catch (error) {
+    console.error('❌ 取得圖文選單列表失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/regions/:id/rich-menus
+ * 建立圖文選單
+ *
+ * Body: {
+ *   name, chatBarText, size: 'FULL' | 'HALF',
+ *   areas: [{ bounds: { x, y, width, height }, action: { type: 'message' | 'postback' | 'uri', ... } }]
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, chatBarText, size = 'FULL', areas } = req.body;
+
+    const validationError = validateRichMenuDefinition({ name, chatBarText, size, areas });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: validationError,
+      });
+    }
+
+    const result = await createRichMenu(req.region, { name, chatBarText, size, areas });
+    if (!result.success) {
+      return sendLineError(res, result.error, '建立 LINE 圖文選單失敗');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '圖文選單已建立，請上傳選單圖片',
+      data: result.menu,
+    });
+  } catch (error) {
+    console.error('❌ 建立圖文選單失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * DELETE /api/regions/:id/rich-menus/default
+ * 取消區域的預設選單
+ */
+router.delete('/default', async (req, res) => {
+  try {
+    const result = await cancelDefaultRichMenu(req.region);
+    if (!result.success) {
+      return sendLineError(res, result.error, '取消預設選單失敗');
+    }
+
+    res.json({
+      success: true,
+      message: '已取消預設選單',
+    });
+  } catch (error) {
+    console.error('❌ 取消預設選單失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/regions/:id/rich-menus/:menuId
+ * 取得圖文選單
+ */
+router.get('/:menuId', (req, res) => {
+  res.json({
+    success: true,
+    data: req.richMenu,
+  });
+});
+
+/**
+ * POST /api/regions/:id/rich-menus/:menuId/image
+ * 上傳選單圖片（multipart，欄位名稱 image；JPEG / PNG，1MB 以內，每個選單只能上傳一次）
+ */
+router.post('/:menuId/image', upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '請上傳選單圖片',
+      });
+    }
+
+    if (req.richMenu.imageUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'ImageAlreadyUploaded',
+        message: 'LINE 圖文選單的圖片只能上傳一次，如需更換請建立新選單',
+      });
+    }
+
+    const result = await uploadRichMenuImage(req.richMenu, req.region, req.file);
+    if (!result.success) {
+      return sendLineError(res, result.error, '上傳選單圖片失敗（圖片尺寸需與選單尺寸相同）');
+    }
+
+    res.json({
+      success: true,
+      message: '選單圖片已上傳',
+      data: result.menu,
+    });
+  } catch (error) {
+    console.error('❌ 上傳選單圖片失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/regions/:id/rich-menus/:menuId/default
+ * 設為區域的預設選單
+ */
+router.post('/:menuId/default', async (req, res) => {
+  try {
+    if (!req.richMenu.imageUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'ImageRequired',
+        message: '請先上傳選單圖片',
+      });
+    }
+
+    const result = await setDefaultRichMenu(req.richMenu, req.region);
+    if (!result.success) {
+      return sendLineError(res, result.error, '設定預設選單失敗');
+    }
+
+    res.json({
+      success: true,
+      message: `已將「${req.richMenu.name}」設為預設選單`,
+    });
+  } catch (error) {
+    console.error('❌ 設定預設選單失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/regions/:id/rich-menus/:menuId/link
+ * 將選單連結給客戶（個人選單）
+ *
+ * Body（擇一）:
+ * - customerIds: 指定客戶
+ * - minVipLevel: VIP 等級 >= 此值的客戶（之後 VIP 等級變更時自動同步）
+ */
+router.post('/:menuId/link', async (req, res) => {
+  try {
+    const { customerIds, minVipLevel } = req.body;
+
+    const hasCustomerIds = Array.isArray(customerIds) && customerIds.length > 0;
+    const vipLevel = parseInt(minVipLevel);
+    const hasVipLevel = !isNaN(vipLevel) && vipLevel >= 0 && vipLevel <= 5;
+
+    if (hasCustomerIds === hasVipLevel) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '請指定 customerIds 或 minVipLevel（0-5）其中一項',
+      });
+    }
+
+    if (!req.richMenu.imageUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'ImageRequired',
+        message: '請先上傳選單圖片',
+      });
+    }
+
+    const result = await linkRichMenuToCustomers(
+      req.richMenu,
+      req.region,
+      hasCustomerIds ? { customerIds } : { minVipLevel: vipLevel }
+    );
+    if (!result.success) {
+      return sendLineError(res, result.error, '連結選單失敗');
+    }
+
+    res.json({
+      success: true,
+      message: `已連結給 ${result.linked} 位客戶`,
+      data: { linked: result.linked },
+    });
+  } catch (error) {
+    console.error('❌ 連結選單失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * DELETE /api/regions/:id/rich-menus/:menuId/link
+ * 解除客戶的個人選單
+ *
+ * Body: { customerIds? }（未指定時解除 VIP 規則涵蓋的客戶並清除規則）
+ */
+router.delete('/:menuId/link', async (req, res) => {
+  try {
+    const { customerIds } = req.body || {};
+
+    const result = await unlinkRichMenuFromCustomers(
+      req.richMenu,
+      req.region,
+      Array.isArray(customerIds) && customerIds.length > 0 ? customerIds : null
+    );
+    if (!result.success) {
+      return sendLineError(res, result.error, '解除選單失敗');
+    }
+
+    res.json({
+      success: true,
+      message: `已解除 ${result.unlinked} 位客戶的個人選單`,
+      data: { unlinked: result.unlinked },
+    });
+  } catch (error) {
+    console.error('❌ 解除選單失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * DELETE /api/regions/:id/rich-menus/:menuId
+ * 刪除圖文選單
+ */
+router.delete('/:menuId', async (req, res) => {
+  try {
+    const result = await deleteRichMenu(req.richMenu, req.region);
+    if (!result.success) {
+      return sendLineError(res, result.error, '刪除 LINE 圖文選單失敗');
+    }
+
+    res.json({
+      success: true,
+      message: '圖文選單已刪除',
+    });
+  } catch (error) {
+    console.error('❌ 刪除圖文選單失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+// 錯誤處理中間件（圖片上傳錯誤）
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      error: 'ValidationError',
+      message: error.code === 'LIMIT_FILE_SIZE' ? '圖片大小超過限制（最大 1MB）' : error.message,
+    });
+  }
+
+  console.error('❌ 圖文選單 API 錯誤:', error);
+  res.status(400).json({
+    success: false,
+    error: 'ValidationError',
+    message: error.message,
+  });
+});
+
+export default router;
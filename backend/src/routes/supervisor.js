@@ -0,0 +1,229 @@
+/**
+ * 主管監控 API 路由
+ * 金龍永盛客服管理後台
+ *
+ * 提供區域管理員（主管）監看處理中的對話、對負責客服耳語及接手對話
+ * 區域管理員只能操作自己區域的對話，SUPER_ADMIN 可操作所有區域
+ */
+
+import { Router } from 'express';
+import { prisma } from '../db.js';
+import { authMiddleware } from '../middleware/auth.js';
+import {
+  ROLES,
+  requireMinimumRole,
+  hasRegionAccess,
+  getRegionFilter,
+} from '../middleware/rbac.js';
+import { validateNoteContent } from '../services/noteService.js';
+import { getLiveConversations, sendWhisper, bargeIn } from '../services/supervisorService.js';
+
+const router = Router();
+
+/**
+ * 取得處理中的對話並檢查區域權限
+ * @returns {Promise<Object|null>} 對話，不存在、無權限或不在處理中時已回應錯誤並返回 null
+ */
+async function findLiveConversation(req, res) {
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: req.params.conversationId },
+    select: {
+      id: true,
+      regionId: true,
+      status: true,
+      assignedAgentId: true,
+    },
+  });
+
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      error: 'NotFound',
+      message: '對話不存在',
+    });
+    return null;
+  }
+
+  if (!hasRegionAccess(req.user, conversation.regionId)) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: '您無法訪問此區域的資源',
+    });
+    return null;
+  }
+
+  if (conversation.status !== 'ASSIGNED' || !conversation.assignedAgentId) {
+    res.status(400).json({
+      success: false,
+      error: 'InvalidStatus',
+      message: '對話不在處理中',
+      currentStatus: conversation.status,
+    });
+    return null;
+  }
+
+  return conversation;
+}
+
+/**
+ * GET /api/supervisor/conversations
+ * 取得處理中的對話（含閒置時間，等待回覆最久的在前）
+ *
+ * Query: agentId（只看指定客服）
+ */
+router.get('/conversations', authMiddleware, requireMinimumRole(ROLES.REGION_ADMIN), async (req, res) => {
+  try {
+    const { agentId } = req.query;
+
+    const conversations = await getLiveConversations(getRegionFilter(req.user));
+    const data = agentId
+      ? conversations.filter(conv => conv.assignedAgent?.id === agentId)
+      : conversations;
+
+    res.json({
+      success: true,
+      data,
+      summary: {
+        total: data.length,
+        awaitingReply: data.filter(conv => conv.awaitingReplyMinutes !== null).length,
+        maxAwaitingReplyMinutes: Math.max(0, ...data.map(conv => conv.awaitingReplyMinutes ?? 0)),
+      },
+    });
+  } catch (error) {
+    console.error('❌ 取得監控對話失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/supervisor/conversations/:conversationId/whisper
+ * 對負責客服耳語（只有負責客服看得到，不會推送給客戶）
+ *
+ * Body: { content }
+ */
+router.post(
+  '/conversations/:conversationId/whisper',
+  authMiddleware,
+  requireMinimumRole(ROLES.REGION_ADMIN),
+  async (req, res) => {
+    try {
+      const { content } = req.body;
+      const { userId } = req.user;
+
+      const validationError = validateNoteContent(content);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'ValidationError',
+          message: validationError,
+        });
+      }
+
+      const conversation = await findLiveConversation(req, res);
+      if (!conversation) {
+        return;
+      }
+
+      if (conversation.assignedAgentId === userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'ValidationError',
+          message: '您是此對話的負責客服',
+        });
+      }
+
+      const supervisor = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, name: true },
+      });
+
+      const whisper = await sendWhisper(conversation, supervisor || { id: userId, name: null }, content);
+
+      res.status(201).json({
+        success: true,
+        message: '已傳送給負責客服',
+        data: {
+          ...whisper,
+          isInternalNote: true,
+        },
+      });
+    } catch (error) {
+      console.error('❌ 主管耳語失敗:', error);
+      res.status(500).json({
+        success: false,
+        error: 'ServerError',
+        message: '伺服器錯誤',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/supervisor/conversations/:conversationId/barge-in
+ * 主管接手對話（原負責客服會收到通知，並記錄系統訊息）
+ *
+ * Body: { reason }（可選）
+ */
+router.post(
+  '/conversations/:conversationId/barge-in',
+  authMiddleware,
+  requireMinimumRole(ROLES.REGION_ADMIN),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+      const { userId } = req.user;
+
+      const conversation = await findLiveConversation(req, res);
+      if (!conversation) {
+        return;
+      }
+
+      if (conversation.assignedAgentId === userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'ValidationError',
+          message: '您已是此對話的負責客服',
+        });
+      }
+
+      const supervisor = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, name: true },
+      });
+
+      const updated = await bargeIn(conversation, supervisor || { id: userId, name: null }, reason || null);
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: '對話狀態已變更，請重新整理',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: '已接手對話',
+        data: {
+          conversationId: updated.id,
+          previousAgentId: conversation.assignedAgentId,
+          assignedAgentId: updated.assignedAgentId,
+        },
+      });
+    } catch (error) {
+      console.error('❌ 接手對話失敗:', error);
+      res.status(500).json({
+        success: false,
+        error: 'ServerError',
+        message: '伺服器錯誤',
+      });
+    }
+  }
+);
+
+export default router;
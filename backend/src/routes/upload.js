@@ -6,27 +6,28 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import fs from 'fs';
 import { authMiddleware } from '../middleware/auth.js';
+import {
+  UPLOAD_DIR,
+  MAX_FILE_SIZE,
+  ensureUploadDir,
+  generateFileName,
+  getPublicFileUrl,
+} from '../services/fileStorageService.js';
 
 const router = express.Router();
 
 // 確保上傳目錄存在
-const uploadDir = './uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+ensureUploadDir();
 
 // 配置 multer 存儲
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadDir);
+    cb(null, UPLOAD_DIR);
   },
   filename: (req, file, cb) => {
     // 生成唯一檔名：時間戳-隨機字串.副檔名
-    const uniqueSuffix = `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
-    const ext = path.extname(file.originalname);
-    cb(null, `${uniqueSuffix}${ext}`);
+    cb(null, generateFileName(path.extname(file.originalname)));
   }
 });
 
@@ -50,7 +51,7 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB 限制
+    fileSize: MAX_FILE_SIZE, // 10MB 限制
   },
   fileFilter,
 });
@@ -69,9 +70,7 @@ router.post('/', authMiddleware, upload.single('file'), async (req, res) => {
     }
 
     // 構建文件 URL
-    const protocol = req.protocol;
-    const host = req.get('host');
-    const fileUrl = `${protocol}://${host}/uploads/${req.file.filename}`;
+    const fileUrl = getPublicFileUrl(req.file.filename, `${req.protocol}://${req.get('host')}`);
 
     // 判斷是圖片還是文件
     const isImage = req.file.mimetype.startsWith('image/');
@@ -8,6 +8,8 @@ import { prisma } from '../db.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { requireRole, requireMinimumRole, ROLES, getRegionFilter } from '../middleware/rbac.js';
 import { hashPassword, checkPasswordStrength } from '../utils/password.js';
+import { processWaitingQueue } from '../services/assignmentService.js';
+import { SKILL_CATEGORIES, SKILL_SELECT, validateSkills } from '../services/skillService.js';
 
 const router = Router();
 
@@ -109,6 +111,7 @@ router.get(
           },
           status: true,
           onlineStatus: true,
+          maxConcurrentConversations: true,
           lastLoginAt: true,
           createdAt: true,
           updatedAt: true,
@@ -286,9 +289,19 @@ router.put(
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { name, role: newRole, regionId: newRegionId, status } = req.body;
+      const { name, role: newRole, regionId: newRegionId, status, maxConcurrentConversations } = req.body;
       const { role: currentRole, regionId: currentRegionId } = req.user;
 
+      // 同時處理對話上限（自動分派使用）
+      const capacity = maxConcurrentConversations !== undefined ? parseInt(maxConcurrentConversations) : undefined;
+      if (capacity !== undefined && (isNaN(capacity) || capacity < 1 || capacity > 50)) {
+        return res.status(400).json({
+          success: false,
+          error: 'ValidationError',
+          message: '同時處理對話上限必須是 1-50',
+        });
+      }
+
       const user = await prisma.user.findUnique({
         where: { id },
       });
@@ -337,6 +350,7 @@ router.put(
           role: newRole || user.role,
           regionId: newRegionId !== undefined ? newRegionId : user.regionId,
           status: status || user.status,
+          maxConcurrentConversations: capacity ?? user.maxConcurrentConversations,
         },
         select: {
           id: true,
@@ -345,10 +359,18 @@ router.put(
           role: true,
           regionId: true,
           status: true,
+          maxConcurrentConversations: true,
           updatedAt: true,
         },
       });
 
+      // 上限提高後可能有空位，嘗試自動分派
+      if (capacity > user.maxConcurrentConversations) {
+        processWaitingQueue(updated.regionId).catch(error => {
+          console.error('❌ 自動分派失敗:', error);
+        });
+      }
+
       res.json({
         success: true,
         message: '用戶更新成功',
@@ -435,6 +457,139 @@ router.put(
   }
 );
 
+/**
+ * GET /api/users/:id/skills
+ * 取得客服技能（附可設定的技能類別）
+ */
+router.get(
+  '/:id/skills',
+  authMiddleware,
+  requireMinimumRole(ROLES.REGION_ADMIN),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { role: currentRole, regionId: currentRegionId } = req.user;
+
+      const user = await prisma.user.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          name: true,
+          regionId: true,
+          ...SKILL_SELECT,
+        },
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'NotFound',
+          message: '用戶不存在',
+        });
+      }
+
+      // 權限檢查：REGION_ADMIN 只能看同區域用戶
+      if (currentRole === ROLES.REGION_ADMIN && user.regionId !== currentRegionId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: '無權查看此用戶',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: user,
+        availableCategories: SKILL_CATEGORIES,
+      });
+    } catch (error) {
+      console.error('❌ 取得客服技能失敗:', error);
+      res.status(500).json({
+        success: false,
+        error: 'ServerError',
+        message: '伺服器錯誤',
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/users/:id/skills
+ * 更新客服技能
+ *
+ * Body: { skillCategories?: string[], languages?: string[], handlesVip?: boolean }
+ */
+router.put(
+  '/:id/skills',
+  authMiddleware,
+  requireMinimumRole(ROLES.REGION_ADMIN),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { skillCategories, languages, handlesVip } = req.body;
+      const { role: currentRole, regionId: currentRegionId } = req.user;
+
+      const validationError = validateSkills({ skillCategories, languages, handlesVip });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'ValidationError',
+          message: validationError,
+        });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id },
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'NotFound',
+          message: '用戶不存在',
+        });
+      }
+
+      // 權限檢查
+      if (currentRole === ROLES.REGION_ADMIN && user.regionId !== currentRegionId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: '無權修改此用戶',
+        });
+      }
+
+      const updated = await prisma.user.update({
+        where: { id },
+        data: {
+          skillCategories: skillCategories ? [...new Set(skillCategories)] : user.skillCategories,
+          languages: languages ? [...new Set(languages)] : user.languages,
+          handlesVip: handlesVip ?? user.handlesVip,
+        },
+        select: {
+          id: true,
+          name: true,
+          regionId: true,
+          ...SKILL_SELECT,
+        },
+      });
+
+      res.json({
+        success: true,
+        message: '客服技能已更新',
+        data: updated,
+      });
+    } catch (error) {
+      console.error('❌ 更新客服技能失敗:', error);
+      res.status(500).json({
+        success: false,
+        error: 'ServerError',
+        message: '伺服器錯誤',
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/users/:id
  * 刪除用戶
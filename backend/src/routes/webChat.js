@@ -0,0 +1,216 @@
+/**
+ * 網站聊天 API 路由（公開）
+ * 金龍永盛客服管理後台
+ *
+ * 供官網嵌入式聊天元件使用：
+ * - 以區域的 widgetKey 建立訪客 Session
+ * - 訪客發送訊息（由 AI 自動回覆或轉人工）
+ * - 取得歷史訊息（socket 斷線時的補抓）
+ */
+
+import crypto from 'crypto';
+import { Router } from 'express';
+import { prisma } from '../db.js';
+import { getOrCreateCustomer } from '../services/conversationService.js';
+import { processInboundMessage } from '../services/inboundMessageService.js';
+import { processWaitingQueue } from '../services/assignmentService.js';
+import { CUSTOMER_VISIBLE_FILTER } from '../services/noteService.js';
+import { cardToTextReply } from '../channels/messages.js';
+import {
+  findRegionByWidgetKey,
+  generateVisitorToken,
+  verifyVisitorToken,
+  visitorAuthMiddleware,
+  formatWebMessage,
+} from '../services/webChatService.js';
+
+const router = Router();
+
+// 單則訊息長度上限
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * POST /api/web-chat/session
+ * 建立或恢復訪客 Session
+ *
+ * Body: { widgetKey, visitorToken?, displayName? }
+ */
+router.post('/session', async (req, res) => {
+  try {
+    const { widgetKey, visitorToken, displayName } = req.body;
+
+    const region = await findRegionByWidgetKey(widgetKey);
+    if (!region) {
+      return res.status(401).json({
+        success: false,
+        error: 'InvalidWidgetKey',
+        message: '聊天元件金鑰無效',
+      });
+    }
+
+    // 沿用既有訪客身分（同一區域）或建立新的訪客 ID
+    const previous = verifyVisitorToken(visitorToken);
+    const visitorId = previous && previous.regionId === region.id
+      ? previous.visitorId
+      : crypto.randomUUID();
+
+    const profile = {};
+    if (displayName && typeof displayName === 'string' && displayName.trim()) {
+      profile.displayName = displayName.trim().slice(0, 50);
+    } else if (!previous) {
+      profile.displayName = `網站訪客-${visitorId.slice(0, 6)}`;
+    }
+
+    const customer = await getOrCreateCustomer(region.id, 'WEB', visitorId, profile);
+
+    const token = generateVisitorToken({
+      regionId: region.id,
+      visitorId,
+      customerId: customer.id,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        visitorToken: token,
+        visitorId,
+        displayName: customer.displayName,
+        region: {
+          name: region.name,
+          welcomeMessage: region.settings?.welcomeMessage || null,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('❌ 建立網站聊天 Session 失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/web-chat/messages
+ * 取得訪客的歷史訊息
+ *
+ * Query: since（ISO 時間，只取之後的訊息）, limit
+ */
+router.get('/messages', visitorAuthMiddleware, async (req, res) => {
+  try {
+    const { customerId } = req.visitor;
+    const { since, limit = 50 } = req.query;
+
+    const where = {
+      conversation: { customerId },
+      ...CUSTOMER_VISIBLE_FILTER, // 內部備註不給訪客看
+    };
+    if (since) {
+      const sinceDate = new Date(since);
+      if (!isNaN(sinceDate.getTime())) {
+        where.createdAt = { gt: sinceDate };
+      }
+    }
+
+    const messages = await prisma.message.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(parseInt(limit) || 50, 100),
+      include: {
+        senderAgent: {
+          select: { id: true, name: true },
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: messages.reverse().map(formatWebMessage),
+    });
+  } catch (error) {
+    console.error('❌ 取得網站聊天訊息失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/web-chat/messages
+ * 訪客發送訊息
+ *
+ * Body: { text }
+ */
+router.post('/messages', visitorAuthMiddleware, async (req, res) => {
+  try {
+    const { regionId, visitorId } = req.visitor;
+    const { text } = req.body;
+
+    if (!text || typeof text !== 'string' || text.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: '訊息內容不能為空',
+      });
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: `訊息長度不能超過 ${MAX_MESSAGE_LENGTH} 字`,
+      });
+    }
+
+    const region = await prisma.region.findUnique({ where: { id: regionId } });
+    if (!region || !region.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '服務區域不存在或已停用',
+      });
+    }
+
+    console.log(`📩 收到網站訊息 [${visitorId}]: ${text.trim()}`);
+
+    const result = await processInboundMessage({
+      region,
+      source: 'WEB',
+      sourceUserId: visitorId,
+      profile: {},
+      text: text.trim(),
+      metadata: { channel: 'WEB_WIDGET' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conversationId: result.conversationId,
+        messageId: result.customerMessageId,
+        replyMessageId: result.botMessageId || null,
+        handledByAgent: result.handledByAgent,
+        handoffPerformed: result.handoffPerformed || false,
+        // 卡片訊息以文字 + 快速回覆呈現
+        replies: result.replies.map(reply => (reply.type === 'card' ? cardToTextReply(reply) : reply)),
+      },
+    });
+
+    if (result.handoffPerformed) {
+      processWaitingQueue(region.id).catch(error => {
+        console.error('❌ 自動分派失敗:', error);
+      });
+    }
+  } catch (error) {
+    console.error('❌ 處理網站訊息失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '抱歉，系統發生錯誤，請稍後再試。',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,230 @@
+/**
+ * Webhook 事件佇列管理 API 路由
+ * 金龍永盛客服管理後台
+ *
+ * 查看處理失敗（死信）的 Webhook 事件並重新執行，僅限超級管理員
+ */
+
+import { Router } from 'express';
+import { prisma } from '../db.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { requireRole, ROLES } from '../middleware/rbac.js';
+import {
+  replayWebhookEvent,
+  getMemoryQueueEvents,
+  processPendingEvents,
+} from '../services/webhookQueueService.js';
+
+const router = Router();
+
+const VALID_STATUSES = ['PENDING', 'PROCESSING', 'DONE', 'DEAD'];
+
+// 所有路由都需要超級管理員權限
+router.use(authMiddleware, requireRole(ROLES.SUPER_ADMIN));
+
+/**
+ * GET /api/webhook-events
+ * 取得 Webhook 事件列表
+ *
+ * Query params:
+ * - status: 狀態篩選（預設 DEAD）
+ * - source: 來源篩選 (LINE | FB)
+ * - limit, offset: 分頁
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'DEAD', source, limit = 50, offset = 0 } = req.query;
+
+    if (!VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: `無效的狀態，可用值：${VALID_STATUSES.join(', ')}`,
+      });
+    }
+
+    const where = { status };
+    if (source) {
+      where.source = source;
+    }
+
+    const [events, total] = await Promise.all([
+      prisma.webhookEvent.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(parseInt(limit) || 50, 200),
+        skip: parseInt(offset) || 0,
+      }),
+      prisma.webhookEvent.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: events,
+      // 資料庫無法寫入時暫存於記憶體的事件
+      memoryQueue: getMemoryQueueEvents().filter(e =>
+        e.status === status && (!source || e.source === source)
+      ),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + events.length < total,
+      },
+    });
+  } catch (error) {
+    console.error('❌ 取得 Webhook 事件列表失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/webhook-events/stats
+ * 取得各狀態的事件數量
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const groups = await prisma.webhookEvent.groupBy({
+      by: ['source', 'status'],
+      _count: { _all: true },
+    });
+
+    const stats = {};
+    for (const group of groups) {
+      stats[group.source] = stats[group.source] || {};
+      stats[group.source][group.status] = group._count._all;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        stats,
+        memoryQueueSize: getMemoryQueueEvents().length,
+      },
+    });
+  } catch (error) {
+    console.error('❌ 取得 Webhook 事件統計失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * GET /api/webhook-events/:id
+ * 取得單一事件（含原始內容）
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await prisma.webhookEvent.findUnique({ where: { id } })
+      || getMemoryQueueEvents().find(e => e.id === id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '事件不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    console.error('❌ 取得 Webhook 事件失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/webhook-events/:id/replay
+ * 重新執行事件
+ */
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await replayWebhookEvent(id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: '事件不存在',
+      });
+    }
+
+    console.log(`🔁 ${req.user.email} 重新執行 Webhook 事件 ${id}`);
+
+    // 立即處理，不等下一次輪詢
+    await processPendingEvents();
+
+    res.json({
+      success: true,
+      message: '事件已重新執行',
+    });
+  } catch (error) {
+    console.error('❌ 重新執行 Webhook 事件失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+/**
+ * POST /api/webhook-events/replay-dead
+ * 重新執行所有死信事件
+ *
+ * Body: { source? }
+ */
+router.post('/replay-dead', async (req, res) => {
+  try {
+    const { source } = req.body || {};
+
+    const where = { status: 'DEAD' };
+    if (source) {
+      where.source = source;
+    }
+
+    const result = await prisma.webhookEvent.updateMany({
+      where,
+      data: {
+        status: 'PENDING',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lastError: null,
+      },
+    });
+
+    console.log(`🔁 ${req.user.email} 重新執行 ${result.count} 個死信事件`);
+
+    res.json({
+      success: true,
+      data: { count: result.count },
+      message: `已將 ${result.count} 個事件放回佇列`,
+    });
+  } catch (error) {
+    console.error('❌ 重新執行死信事件失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ServerError',
+      message: '伺服器錯誤',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,114 @@
+/**
+ * 金龍永盛 AI 客服系統 - 規則式意圖分類
+ *
+ * 以關鍵字規則判斷意圖，規則依 INTENT_SYSTEM_PROMPT（intentClassifier.js）列出的範例語句整理：
+ * - 預篩：問候、轉人工這類明確的訊息直接判定，不呼叫 LLM
+ * - 備援：LLM 無法使用（未初始化、呼叫失敗、結果無法解析）時改用規則分類，避免所有訊息都轉人工
+ * - 離線供應商（llm/offlineProvider.js）的分類也使用這裡的規則
+ */
+
+// 規則命中時的信心度
+const RULE_CONFIDENCE = 0.8;
+const PREFILTER_CONFIDENCE = 0.95;
+// 沒有規則命中時視為一般 FAQ 問題，由 FAQ 檢索回覆
+const DEFAULT_RESULT = { intent: 'FAQ_GENERAL', confidence: 0.4 };
+
+// 整則訊息都是問候/感謝/確認/結束語時才判定為 GREETING（「好的，我要訂票」不算）
+const GREETING_PHRASES = [
+  '早安', '午安', '晚安', '您好', '你好', '嗨', '哈囉', 'hi', 'hello',
+  '謝謝您', '謝謝你', '謝謝', '感謝您', '感謝你', '感謝', '辛苦了', '麻煩你了', '麻煩您了',
+  '好的', '好', 'ok', 'okay', '收到', '了解', '知道了', '沒問題', '可以',
+  '掰掰', '拜拜', '再見', '88',
+];
+const GREETING_PATTERN = new RegExp(`^(?:${GREETING_PHRASES.join('|')})+$`, 'i');
+// 比對問候語前移除的空白、標點及表情符號
+const GREETING_SEPARATORS = /[\s,，.。、!！?？~～]|\p{Extended_Pictographic}|\uFE0F/gu;
+
+// 轉人工（偵測到任一表達即判定）
+const TRANSFER_AGENT_PATTERN = new RegExp([
+  // 直接要求
+  '找真人', '找人工', '要人工', '人工客服', '轉人工', '轉接客服', '轉接真人',
+  // 電話要求
+  '客服打給我', '打電話給我', '真人聯絡我', '轉接電話',
+  // 表達不滿
+  '太複雜了', '聽不懂', '看不懂', '這樣不對', '答非所問', '沒有回答我的問題',
+  // 質疑 AI
+  '機器人', '這是AI', '是AI嗎', '不要AI',
+  // 要求真人
+  '跟人說話', '真人回覆', '跟真人講', '真人來處理',
+  // 複雜問題
+  '問題很複雜', '需要專人', '專人處理', '情況比較特殊',
+].join('|'), 'i');
+
+// 依序比對，先符合者為準（較明確的意圖放在前面）
+export const INTENT_RULES = [
+  { intent: 'TRANSFER_AGENT', pattern: TRANSFER_AGENT_PATTERN },
+  // 「XXX了嗎」、「XXX好了沒」等疑問句式為進度查詢
+  { intent: 'VISA_PROGRESS', pattern: /(簽證|台胞證|護照).*(好了[嗎沒]|進度|辦好|下來了[嗎沒])/ },
+  { intent: 'BOOKING_STATUS', pattern: /(訂位|開票|出票|機票|票).*(了嗎|好了[嗎沒]|了沒|進度|狀態)|開好了|有訂到嗎|收到機票/ },
+  // 改票、退票、開票的費用及規定為一般 FAQ 問題
+  { intent: 'FAQ_GENERAL', pattern: /(改票|退票|開票).*(費用|手續費|期限|規定|多久)/ },
+  { intent: 'TICKET_CANCEL', pattern: /退票|退掉|取消訂位|不去了/ },
+  { intent: 'TICKET_CHANGE', pattern: /改票|改機票|改期|改[成為到]|升等|換(日期|班機|航班)/ },
+  { intent: 'PASSENGER_INFO', pattern: /護照資料|英文名|出生日期|旅客資料/ },
+  { intent: 'VISA_INQUIRY', pattern: /簽證|台胞證|免簽|護照/ },
+  { intent: 'PAYMENT_REQUEST', pattern: /付款|刷卡|匯款|繳費|付錢/ },
+  { intent: 'RECEIPT_REQUEST', pattern: /收據|發票|統編/ },
+  { intent: 'SEAT_REQUEST', pattern: /靠窗|靠走道|走道|選位|座位|位子/ },
+  { intent: 'BAGGAGE_INQUIRY', pattern: /行李|公斤|托運|手提/ },
+  { intent: 'QUOTE_REQUEST', pattern: /多少|報價|票價|費用|價格|價錢/ },
+  { intent: 'FLIGHT_QUERY', pattern: /航班|班機|幾班|機位/ },
+  { intent: 'TICKET_BOOK', pattern: /訂|開票|機票/ },
+];
+
+/**
+ * 是否整則訊息都是問候語
+ * @param {string} text - 用戶訊息
+ */
+function isGreeting(text) {
+  const stripped = text.replace(GREETING_SEPARATORS, '');
+  return stripped.length > 0 && GREETING_PATTERN.test(stripped);
+}
+
+/**
+ * 規則式意圖分類
+ * @param {string} message - 用戶訊息
+ * @returns {Object} { intent, confidence }，沒有規則命中時為 FAQ_GENERAL
+ */
+export function classifyByRules(message) {
+  const text = (message || '').trim();
+
+  if (isGreeting(text)) {
+    return { intent: 'GREETING', confidence: RULE_CONFIDENCE };
+  }
+
+  const rule = INTENT_RULES.find(r => r.pattern.test(text));
+  if (rule) {
+    return { intent: rule.intent, confidence: RULE_CONFIDENCE };
+  }
+
+  return { ...DEFAULT_RESULT };
+}
+
+/**
+ * 預篩明確的意圖（問候、轉人工），命中時不需要呼叫 LLM
+ * @param {string} message - 用戶訊息
+ * @returns {Object|null} { intent, confidence }，沒有命中時返回 null
+ */
+export function preFilterIntent(message) {
+  const text = (message || '').trim();
+
+  if (isGreeting(text)) {
+    return { intent: 'GREETING', confidence: PREFILTER_CONFIDENCE };
+  }
+  if (TRANSFER_AGENT_PATTERN.test(text)) {
+    return { intent: 'TRANSFER_AGENT', confidence: PREFILTER_CONFIDENCE };
+  }
+  return null;
+}
+
+export default {
+  INTENT_RULES,
+  classifyByRules,
+  preFilterIntent,
+};
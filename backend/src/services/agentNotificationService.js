@@ -0,0 +1,392 @@
+/**
+ * 客服工作台即時通知服務
+ * 金龍永盛客服管理後台
+ *
+ * 透過 socket.io /agent 命名空間推送事件給客服，取代輪詢 /api/agent/queue：
+ * - 客服以 handshake.auth.token 傳入 Access Token（與 REST API 相同的 JWT）
+ * - 連線後加入所屬區域的房間（SUPER_ADMIN 加入全區域房間）及個人房間，區域管理員另加入管理員房間
+ */
+
+import { verifyAccessToken, isStaffTokenPayload } from '../middleware/auth.js';
+import { ROLES } from '../middleware/rbac.js';
+
+export const AGENT_NAMESPACE = '/agent';
+
+// 推送的事件名稱
+export const AGENT_EVENTS = {
+  CONVERSATION_WAITING: 'conversation:waiting',   // 新對話進入等待佇列
+  CONVERSATION_ACCEPTED: 'conversation:accepted', // 對話已被客服接聽
+  CONVERSATION_ASSIGNED: 'conversation:assigned', // 對話已自動分派給客服
+  CUSTOMER_MESSAGE: 'message:customer',           // 處理中的對話收到客戶訊息
+  SUGGESTION_READY: 'suggestion:ready',           // AI 推薦回覆已生成
+  TRANSFER_RECEIVED: 'transfer:received',         // 收到轉接的對話
+  STATS_DELTA: 'stats:delta',                     // 即時統計變化量
+  SLA_BREACH: 'sla:breach',                       // SLA 違規（管理員及負責客服）
+  CALLBACK_CREATED: 'callback:created',           // 客戶要求回電或留言
+  NOTE_MENTION: 'note:mention',                   // 在內部備註中被提及
+  SUPERVISOR_WHISPER: 'supervisor:whisper',       // 主管耳語（只給負責客服）
+  CONVERSATION_TAKEN_OVER: 'conversation:taken-over', // 對話已被主管接手
+  CONVERSATION_REOPENED: 'conversation:reopened', // 客戶再次來訊，已結束的對話交回原客服
+  SNOOZE_ENDED: 'conversation:snooze-ended',      // 暫緩的對話時間到或客戶來訊
+  REMINDER_DUE: 'reminder:due',                   // 跟進提醒時間到
+};
+
+// SUPER_ADMIN 的全區域房間
+const ALL_REGIONS_ROOM = 'region:*';
+
+let agentNamespace = null;
+
+/**
+ * 區域房間名稱
+ * @param {string} regionId - 區域 ID
+ */
+function regionRoom(regionId) {
+  return `region:${regionId}`;
+}
+
+/**
+ * 區域管理員房間名稱
+ * @param {string} regionId - 區域 ID
+ */
+function adminRoom(regionId) {
+  return `admins:${regionId}`;
+}
+
+/**
+ * 客服個人房間名稱
+ * @param {string} userId - 用戶 ID
+ */
+function agentRoom(userId) {
+  return `agent:${userId}`;
+}
+
+/**
+ * /agent 命名空間的連線驗證
+ * 只接受後台用戶的 Token（需有 userId 及 role），網站訪客 Token 不可加入區域房間
+ * @param {import('socket.io').Socket} socket - 連線
+ * @param {Function} next - socket.io 中間件回呼
+ */
+export function authenticateAgentSocket(socket, next) {
+  const user = verifyAccessToken(socket.handshake.auth?.token);
+  if (!user || !isStaffTokenPayload(user)) {
+    return next(new Error('Unauthorized'));
+  }
+  socket.data.user = user;
+  next();
+}
+
+/**
+ * 註冊 /agent 命名空間
+ * @param {import('socket.io').Server} io - socket.io 伺服器
+ */
+export function registerAgentNamespace(io) {
+  agentNamespace = io.of(AGENT_NAMESPACE);
+
+  agentNamespace.use(authenticateAgentSocket);
+
+  agentNamespace.on('connection', socket => {
+    const { userId, role, regionId } = socket.data.user;
+
+    socket.join(agentRoom(userId));
+    if (role === ROLES.SUPER_ADMIN) {
+      socket.join(ALL_REGIONS_ROOM);
+    } else if (regionId) {
+      socket.join(regionRoom(regionId));
+      if (role === ROLES.REGION_ADMIN) {
+        socket.join(adminRoom(regionId));
+      }
+    }
+  });
+
+  return agentNamespace;
+}
+
+/**
+ * 推送給區域內的客服（含 SUPER_ADMIN）
+ */
+function emitToRegion(regionId, event, payload) {
+  if (!agentNamespace) {
+    return;
+  }
+  agentNamespace.to(regionRoom(regionId)).to(ALL_REGIONS_ROOM).emit(event, payload);
+}
+
+/**
+ * 推送給區域管理員（含 SUPER_ADMIN）
+ */
+function emitToRegionAdmins(regionId, event, payload) {
+  if (!agentNamespace) {
+    return;
+  }
+  agentNamespace.to(adminRoom(regionId)).to(ALL_REGIONS_ROOM).emit(event, payload);
+}
+
+/**
+ * 推送給指定客服
+ */
+function emitToAgent(userId, event, payload) {
+  if (!agentNamespace || !userId) {
+    return;
+  }
+  agentNamespace.to(agentRoom(userId)).emit(event, payload);
+}
+
+/**
+ * 推送統計變化量（如 { waiting: 1 }、{ waiting: -1, active: 1 }）
+ * @param {string} regionId - 區域 ID
+ * @param {Object} delta - 各統計項目的變化量
+ */
+export function notifyStatsDelta(regionId, delta) {
+  emitToRegion(regionId, AGENT_EVENTS.STATS_DELTA, {
+    regionId,
+    ...delta,
+    at: new Date().toISOString(),
+  });
+}
+
+/**
+ * 新對話進入等待佇列
+ * @param {Object} conversation - 對話（含 customer）
+ */
+export function notifyConversationWaiting(conversation) {
+  emitToRegion(conversation.regionId, AGENT_EVENTS.CONVERSATION_WAITING, {
+    conversationId: conversation.id,
+    regionId: conversation.regionId,
+    source: conversation.source,
+    priority: conversation.priority,
+    reason: conversation.botHandoffReason,
+    waitingSince: conversation.botHandoffAt,
+    customer: conversation.customer
+      ? {
+        id: conversation.customer.id,
+        displayName: conversation.customer.displayName,
+        vipLevel: conversation.customer.vipLevel,
+      }
+      : null,
+  });
+  notifyStatsDelta(conversation.regionId, { waiting: 1 });
+}
+
+/**
+ * 對話已被客服接聽（其他客服應從佇列移除）
+ * @param {Object} conversation - 對話
+ * @param {Object} agent - 接聽的客服 { id, name }
+ */
+export function notifyConversationAccepted(conversation, agent) {
+  emitToRegion(conversation.regionId, AGENT_EVENTS.CONVERSATION_ACCEPTED, {
+    conversationId: conversation.id,
+    regionId: conversation.regionId,
+    agentId: agent.id,
+    agentName: agent.name,
+  });
+  notifyStatsDelta(conversation.regionId, { waiting: -1, active: 1 });
+}
+
+/**
+ * 對話已自動分派給客服
+ * @param {Object} conversation - 對話
+ * @param {string} agentId - 被分派的客服 ID
+ * @param {string} strategy - 分派策略
+ */
+export function notifyConversationAssigned(conversation, agentId, strategy) {
+  emitToAgent(agentId, AGENT_EVENTS.CONVERSATION_ASSIGNED, {
+    conversationId: conversation.id,
+    regionId: conversation.regionId,
+    strategy,
+  });
+}
+
+/**
+ * 處理中的對話收到客戶訊息
+ * @param {Object} conversation - 對話（含 assignedAgentId）
+ * @param {Object} message - Message 記錄
+ */
+export function notifyCustomerMessage(conversation, message) {
+  emitToAgent(conversation.assignedAgentId, AGENT_EVENTS.CUSTOMER_MESSAGE, {
+    conversationId: conversation.id,
+    message,
+  });
+}
+
+/**
+ * AI 推薦回覆已生成
+ * @param {Object} conversation - 對話（含 assignedAgentId）
+ * @param {string} messageId - 客戶訊息 ID
+ * @param {string} suggestedReply - 推薦回覆內容
+ */
+export function notifySuggestionReady(conversation, messageId, suggestedReply) {
+  emitToAgent(conversation.assignedAgentId, AGENT_EVENTS.SUGGESTION_READY, {
+    conversationId: conversation.id,
+    messageId,
+    suggestedReply,
+  });
+}
+
+/**
+ * 收到轉接的對話
+ * @param {Object} conversation - 對話
+ * @param {Object} fromAgent - 轉出的客服 { id, name }
+ * @param {string} toAgentId - 接收的客服 ID
+ * @param {string} [reason] - 轉接原因
+ * @param {string} [note] - 轉接備註（給接收客服的交接內容）
+ */
+export function notifyTransferReceived(conversation, fromAgent, toAgentId, reason = null, note = null) {
+  emitToAgent(toAgentId, AGENT_EVENTS.TRANSFER_RECEIVED, {
+    conversationId: conversation.id,
+    regionId: conversation.regionId,
+    fromAgentId: fromAgent.id,
+    fromAgentName: fromAgent.name,
+    reason,
+    note,
+  });
+}
+
+/**
+ * SLA 違規（通知區域管理員及負責客服）
+ * @param {Object} breach - SlaBreach 記錄
+ */
+export function notifySlaBreach(breach) {
+  const payload = {
+    breachId: breach.id,
+    conversationId: breach.conversationId,
+    regionId: breach.regionId,
+    agentId: breach.agentId,
+    type: breach.type,
+    priority: breach.priority,
+    targetMinutes: breach.targetMinutes,
+    actualMinutes: breach.actualMinutes,
+  };
+  emitToRegionAdmins(breach.regionId, AGENT_EVENTS.SLA_BREACH, payload);
+  emitToAgent(breach.agentId, AGENT_EVENTS.SLA_BREACH, payload);
+}
+
+/**
+ * 客戶要求回電或留言
+ * @param {Object} task - CallbackTask 記錄（含 customer）
+ */
+export function notifyCallbackCreated(task) {
+  emitToRegion(task.regionId, AGENT_EVENTS.CALLBACK_CREATED, {
+    callbackId: task.id,
+    conversationId: task.conversationId,
+    regionId: task.regionId,
+    type: task.type,
+    phone: task.phone,
+    customer: task.customer
+      ? { id: task.customer.id, displayName: task.customer.displayName }
+      : null,
+  });
+}
+
+/**
+ * 在內部備註中被提及
+ * @param {Object} note - Message 記錄（contentType = NOTE）
+ * @param {Object} conversation - 對話 { id, regionId }
+ * @param {Object} author - 備註者 { id, name }
+ * @param {string[]} userIds - 被提及的用戶 ID
+ */
+export function notifyNoteMention(note, conversation, author, userIds) {
+  const payload = {
+    noteId: note.id,
+    conversationId: conversation.id,
+    regionId: conversation.regionId,
+    authorId: author.id,
+    authorName: author.name,
+    content: note.content,
+    createdAt: note.createdAt,
+  };
+  for (const userId of userIds) {
+    emitToAgent(userId, AGENT_EVENTS.NOTE_MENTION, payload);
+  }
+}
+
+/**
+ * 主管耳語（只推送給負責客服）
+ * @param {Object} whisper - Message 記錄（contentType = NOTE）
+ * @param {Object} conversation - 對話（含 assignedAgentId）
+ * @param {Object} supervisor - 主管 { id, name }
+ */
+export function notifyWhisper(whisper, conversation, supervisor) {
+  emitToAgent(conversation.assignedAgentId, AGENT_EVENTS.SUPERVISOR_WHISPER, {
+    messageId: whisper.id,
+    conversationId: conversation.id,
+    supervisorId: supervisor.id,
+    supervisorName: supervisor.name,
+    content: whisper.content,
+    createdAt: whisper.createdAt,
+  });
+}
+
+/**
+ * 對話已被主管接手（通知原負責客服）
+ * @param {Object} conversation - 對話
+ * @param {Object} supervisor - 主管 { id, name }
+ * @param {string} previousAgentId - 原負責客服 ID
+ */
+export function notifyConversationTakenOver(conversation, supervisor, previousAgentId) {
+  emitToAgent(previousAgentId, AGENT_EVENTS.CONVERSATION_TAKEN_OVER, {
+    conversationId: conversation.id,
+    regionId: conversation.regionId,
+    supervisorId: supervisor.id,
+    supervisorName: supervisor.name,
+  });
+}
+
+/**
+ * 已結束的對話重新開啟並交回原客服
+ * @param {Object} conversation - 對話（含 assignedAgentId）
+ */
+export function notifyConversationReopened(conversation) {
+  emitToAgent(conversation.assignedAgentId, AGENT_EVENTS.CONVERSATION_REOPENED, {
+    conversationId: conversation.id,
+    regionId: conversation.regionId,
+  });
+  notifyStatsDelta(conversation.regionId, { active: 1 });
+}
+
+/**
+ * 暫緩的對話恢復處理
+ * @param {Object} conversation - 對話（含 assignedAgentId）
+ * @param {string} reason - TIME_UP（時間到）| CUSTOMER_MESSAGE（客戶來訊）
+ */
+export function notifySnoozeEnded(conversation, reason) {
+  emitToAgent(conversation.assignedAgentId, AGENT_EVENTS.SNOOZE_ENDED, {
+    conversationId: conversation.id,
+    regionId: conversation.regionId,
+    reason,
+  });
+}
+
+/**
+ * 跟進提醒時間到
+ * @param {Object} reminder - FollowUpReminder 記錄
+ */
+export function notifyReminderDue(reminder) {
+  emitToAgent(reminder.userId, AGENT_EVENTS.REMINDER_DUE, {
+    reminderId: reminder.id,
+    conversationId: reminder.conversationId,
+    note: reminder.note,
+    remindAt: reminder.remindAt,
+  });
+}
+
+export default {
+  AGENT_NAMESPACE,
+  AGENT_EVENTS,
+  authenticateAgentSocket,
+  registerAgentNamespace,
+  notifyStatsDelta,
+  notifyConversationWaiting,
+  notifyConversationAccepted,
+  notifyConversationAssigned,
+  notifyCustomerMessage,
+  notifySuggestionReady,
+  notifyTransferReceived,
+  notifySlaBreach,
+  notifyCallbackCreated,
+  notifyNoteMention,
+  notifyWhisper,
+  notifyConversationTakenOver,
+  notifyConversationReopened,
+  notifySnoozeEnded,
+  notifyReminderDue,
+};
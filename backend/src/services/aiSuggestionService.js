@@ -5,13 +5,12 @@
  * 為客服人員生成 AI 推薦回覆
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { config } from '../config.js';
+import { initLLMProvider, getLLMProvider } from '../llm/index.js';
 import { searchFAQ, formatFAQContext } from '../faqRetriever.js';
 import { prisma } from '../db.js';
+import { CUSTOMER_VISIBLE_FILTER } from './noteService.js';
 
-let genAI = null;
-let suggestionModel = null;
+let initialized = false;
 
 /**
  * AI 推薦回覆的系統 Prompt
@@ -44,23 +43,14 @@ const AGENT_SUGGESTION_SYSTEM_PROMPT = `你是金龍永盛旅行社的 AI 助理
  * 初始化 AI 推薦服務
  */
 export function initAiSuggestionService() {
-  if (!config.gemini.apiKey) {
-    console.warn('⚠️ GEMINI_API_KEY 未設定，AI 推薦服務無法使用');
+  if (!initLLMProvider()) {
+    console.warn('⚠️ LLM 供應商無法使用，AI 推薦服務無法使用');
     return false;
   }
 
-  try {
-    genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-    suggestionModel = genAI.getGenerativeModel({
-      model: config.gemini.model,
-      systemInstruction: AGENT_SUGGESTION_SYSTEM_PROMPT,
-    });
-    console.log('✅ AI 推薦回覆服務初始化成功');
-    return true;
-  } catch (error) {
-    console.error('❌ AI 推薦服務初始化失敗:', error);
-    return false;
-  }
+  initialized = true;
+  console.log('✅ AI 推薦回覆服務初始化成功');
+  return true;
 }
 
 /**
@@ -78,9 +68,9 @@ export async function generateSuggestedReply(conversationId, options = {}) {
   } = options;
 
   // 確保服務已初始化
-  if (!suggestionModel) {
+  if (!initialized) {
     initAiSuggestionService();
-    if (!suggestionModel) {
+    if (!initialized) {
       return {
         success: false,
         error: 'AI 推薦服務未初始化',
@@ -103,6 +93,7 @@ export async function generateSuggestedReply(conversationId, options = {}) {
           },
         },
         messages: {
+          where: CUSTOMER_VISIBLE_FILTER,
           take: historyLimit,
           orderBy: { createdAt: 'desc' },
           select: {
@@ -146,16 +137,14 @@ export async function generateSuggestedReply(conversationId, options = {}) {
     // 2. 搜尋相關 FAQ（如果啟用）
     let faqContext = '';
     let matchedFAQs = [];
-    if (includeFAQ) {
-      const relevantFAQs = searchFAQ(lastCustomerMessage.content, 5);
-      if (relevantFAQs.length > 0) {
-        faqContext = formatFAQContext(relevantFAQs);
-        matchedFAQs = relevantFAQs.map(f => ({
-          id: f.id,
-          question: f.question,
-          score: f.score,
-        }));
-      }
+    const relevantFAQs = includeFAQ ? searchFAQ(lastCustomerMessage.content, 5, { regionId: conversation.regionId }) : [];
+    if (relevantFAQs.length > 0) {
+      faqContext = formatFAQContext(relevantFAQs);
+      matchedFAQs = relevantFAQs.map(f => ({
+        id: f.id,
+        question: f.question,
+        score: f.score,
+      }));
     }
 
     // 3. 構建對話上下文
@@ -191,17 +180,16 @@ ${faqContext}
 
 推薦回覆：`;
 
-    // 5. 呼叫 Gemini API
-    const result = await suggestionModel.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.7,  // 稍高的溫度讓回覆更自然
-        maxOutputTokens: 500,
+    // 5. 呼叫 LLM
+    const result = await getLLMProvider().suggest({
+      systemInstruction: AGENT_SUGGESTION_SYSTEM_PROMPT,
+      prompt,
+      context: {
+        customerMessage: lastCustomerMessage.content,
+        faqs: relevantFAQs,
       },
     });
-
-    const response = result.response;
-    const suggestedReply = response.text().trim();
+    const suggestedReply = result.text.trim();
 
     const endTime = Date.now();
 
@@ -213,7 +201,7 @@ ${faqContext}
         customerMessage: lastCustomerMessage.content,
         matchedFAQs,
         processingTime: endTime - startTime,
-        model: config.gemini.model,
+        model: result.model,
         generatedAt: new Date().toISOString(),
       },
     };
@@ -0,0 +1,382 @@
+/**
+ * 對話自動分派服務
+ * 金龍永盛客服管理後台
+ *
+ * 依區域設定（Region.settings.assignment.strategy）將等待中的對話自動分派給線上客服：
+ * - MANUAL：不自動分派（預設），由客服從佇列接聽
+ * - ROUND_ROBIN：輪流分派（最久沒被分派的客服優先）
+ * - LEAST_BUSY：處理中對話最少的客服優先
+ * - LONGEST_IDLE：閒置最久的客服優先（沒有處理中對話者優先）
+ *
+ * 只分派給 ONLINE 且未達同時處理上限（User.maxConcurrentConversations）的客服，
+ * 並優先選擇技能符合對話需求的客服（見 skillService），再依策略挑選；
+ * 分派時在交易中重新確認客服的處理中對話數，多個分派同時進行也不會超過上限；
+ * 全部客服都滿載時對話留在佇列，等有空位時再分派
+ */
+
+import { prisma } from '../db.js';
+import { sendText, CHANNEL_REGION_SELECT } from '../channels/index.js';
+import { saveMessage } from './conversationService.js';
+import { notifyConversationAccepted, notifyConversationAssigned } from './agentNotificationService.js';
+import { SKILL_SELECT, getRequiredSkills, preferSkilledAgents } from './skillService.js';
+import { SYSTEM_CONTENT_TYPE } from './noteService.js';
+
+export const ASSIGNMENT_STRATEGIES = {
+  MANUAL: 'MANUAL',
+  ROUND_ROBIN: 'ROUND_ROBIN',
+  LEAST_BUSY: 'LEAST_BUSY',
+  LONGEST_IDLE: 'LONGEST_IDLE',
+};
+
+/**
+ * 取得區域的分派策略
+ * @param {Object} region - 區域資料（含 settings）
+ * @returns {string} 分派策略
+ */
+export function getAssignmentStrategy(region) {
+  const strategy = region?.settings?.assignment?.strategy;
+  return ASSIGNMENT_STRATEGIES[strategy] || ASSIGNMENT_STRATEGIES.MANUAL;
+}
+
+/**
+ * 取得區域內可接新對話的客服（在線且未達上限）
+ * @param {string} regionId - 區域 ID
+ * @returns {Promise<Array>} [{ id, name, welcomeSignature, activeCount, lastAssignedAt, idleSince, ...技能 }]
+ */
+export async function getAvailableAgents(regionId) {
+  const agents = await prisma.user.findMany({
+    where: {
+      regionId,
+      status: 'ACTIVE',
+      onlineStatus: 'ONLINE',
+      role: { in: ['AGENT', 'REGION_ADMIN'] },
+    },
+    select: {
+      id: true,
+      name: true,
+      welcomeSignature: true,
+      maxConcurrentConversations: true,
+      lastAssignedAt: true,
+      ...SKILL_SELECT,
+      _count: {
+        select: {
+          assignedConversations: {
+            where: { status: 'ASSIGNED' },
+          },
+        },
+      },
+    },
+  });
+
+  if (agents.length === 0) {
+    return [];
+  }
+
+  // 各客服最近一次結束對話的時間（計算閒置時間用）
+  const lastClosed = await prisma.conversation.groupBy({
+    by: ['assignedAgentId'],
+    where: {
+      assignedAgentId: { in: agents.map(a => a.id) },
+      status: 'CLOSED',
+    },
+    _max: { closedAt: true },
+  });
+  const lastClosedMap = new Map(lastClosed.map(row => [row.assignedAgentId, row._max.closedAt]));
+
+  return agents
+    .map(agent => {
+      const closedAt = lastClosedMap.get(agent.id);
+      const lastActivity = Math.max(
+        agent.lastAssignedAt?.getTime() || 0,
+        closedAt?.getTime() || 0
+      );
+      return {
+        id: agent.id,
+        name: agent.name,
+        welcomeSignature: agent.welcomeSignature,
+        maxConcurrentConversations: agent.maxConcurrentConversations,
+        activeCount: agent._count.assignedConversations,
+        lastAssignedAt: agent.lastAssignedAt,
+        idleSince: lastActivity,
+        skillCategories: agent.skillCategories,
+        languages: agent.languages,
+        handlesVip: agent.handlesVip,
+      };
+    })
+    .filter(agent => agent.activeCount < agent.maxConcurrentConversations);
+}
+
+/**
+ * 依策略選出客服
+ * @param {string} strategy - 分派策略
+ * @param {Array} agents - getAvailableAgents 的結果
+ * @returns {Object|null} 選中的客服
+ */
+export function pickAgent(strategy, agents) {
+  if (agents.length === 0) {
+    return null;
+  }
+
+  const lastAssigned = agent => agent.lastAssignedAt?.getTime() || 0;
+  const sorted = [...agents];
+
+  switch (strategy) {
+    case ASSIGNMENT_STRATEGIES.ROUND_ROBIN:
+      sorted.sort((a, b) => lastAssigned(a) - lastAssigned(b));
+      break;
+    case ASSIGNMENT_STRATEGIES.LEAST_BUSY:
+      sorted.sort((a, b) => a.activeCount - b.activeCount || lastAssigned(a) - lastAssigned(b));
+      break;
+    case ASSIGNMENT_STRATEGIES.LONGEST_IDLE:
+      // 沒有處理中對話的客服優先，再依閒置時間排序
+      sorted.sort((a, b) =>
+        Math.min(a.activeCount, 1) - Math.min(b.activeCount, 1) || a.idleSince - b.idleSince
+      );
+      break;
+    default:
+      return null;
+  }
+
+  return sorted[0];
+}
+
+/**
+ * 發送客服歡迎簽名給客戶（接聽或自動分派後）
+ * 先存入資料庫，官網聊天需以訊息 ID 去重
+ * @param {Object} conversation - 對話（含 customer、region）
+ * @param {Object} agent - 客服 { id, name, welcomeSignature }
+ * @returns {Promise<Object>} 渠道發送結果
+ */
+export async function sendWelcomeSignature(conversation, agent) {
+  const welcomeMessage = agent.welcomeSignature || `您好我是客服${agent.name}，很高興有機會為您服務！`;
+  const welcomeSaved = await saveMessage(conversation.id, 'AGENT', welcomeMessage, {
+    senderId: agent.id,
+    metadata: { source: 'WELCOME_SIGNATURE', autoSent: true },
+  });
+
+  return sendText(
+    conversation.customer,
+    conversation.region,
+    welcomeMessage,
+    { humanAgent: true, record: welcomeSaved, senderName: agent.name }
+  );
+}
+
+/**
+ * 在交易中將等待中的對話分派給客服
+ * 先更新客服的 lastAssignedAt 取得該列的鎖，同一客服的分派依序執行，
+ * 再重新計算處理中對話數，避免多個分派同時進行時超過同時處理上限
+ * @param {string} conversationId - 對話 ID
+ * @param {string} agentId - 客服 ID
+ * @returns {Promise<string>} CLAIMED | AGENT_FULL | NOT_WAITING
+ */
+async function claimConversation(conversationId, agentId) {
+  try {
+    return await prisma.$transaction(async tx => {
+      const now = new Date();
+      const agent = await tx.user.update({
+        where: { id: agentId },
+        data: { lastAssignedAt: now },
+        select: { maxConcurrentConversations: true },
+      });
+
+      const activeCount = await tx.conversation.count({
+        where: { assignedAgentId: agentId, status: 'ASSIGNED' },
+      });
+      if (activeCount >= agent.maxConcurrentConversations) {
+        throw claimRejected('AGENT_FULL');
+      }
+
+      // 以狀態條件更新，避免與手動接聽衝突
+      const claimed = await tx.conversation.updateMany({
+        where: { id: conversationId, status: 'WAITING' },
+        data: {
+          status: 'ASSIGNED',
+          assignedAgentId: agentId,
+          assignedAt: now,
+          firstResponseAt: null,
+        },
+      });
+      if (claimed.count === 0) {
+        throw claimRejected('NOT_WAITING');
+      }
+
+      return 'CLAIMED';
+    });
+  } catch (error) {
+    // 拋出錯誤以回滾 lastAssignedAt 的更新
+    if (error.claimRejected) {
+      return error.claimRejected;
+    }
+    throw error;
+  }
+}
+
+function claimRejected(reason) {
+  const error = new Error(`分派失敗: ${reason}`);
+  error.claimRejected = reason;
+  return error;
+}
+
+/**
+ * 自動分派單一等待中的對話
+ * @param {string} conversationId - 對話 ID
+ * @returns {Promise<Object>} { assigned, agentId?, reason? }
+ *   reason: NOT_WAITING | MANUAL | NO_CAPACITY | ALREADY_TAKEN
+ */
+export async function autoAssignConversation(conversationId) {
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: conversationId },
+    include: {
+      customer: {
+        select: {
+          id: true,
+          regionId: true,
+          displayName: true,
+          source: true,
+          sourceUserId: true,
+          isBlocked: true,
+          language: true,
+          vipLevel: true,
+        },
+      },
+      region: {
+        select: { ...CHANNEL_REGION_SELECT, settings: true },
+      },
+    },
+  });
+
+  if (!conversation || conversation.status !== 'WAITING') {
+    return { assigned: false, reason: 'NOT_WAITING' };
+  }
+
+  const strategy = getAssignmentStrategy(conversation.region);
+  if (strategy === ASSIGNMENT_STRATEGIES.MANUAL) {
+    return { assigned: false, reason: 'MANUAL' };
+  }
+
+  const available = await getAvailableAgents(conversation.regionId);
+  const requiredSkills = getRequiredSkills(conversation);
+
+  // 選中的客服在分派前已滿載（同時有其他分派）時，改選下一位
+  let agent = null;
+  while (!agent) {
+    const candidate = pickAgent(strategy, preferSkilledAgents(available, requiredSkills));
+    if (!candidate) {
+      // 全部客服都滿載：留在佇列等待手動接聽或下次分派
+      return { assigned: false, reason: 'NO_CAPACITY' };
+    }
+
+    const claim = await claimConversation(conversationId, candidate.id);
+    if (claim === 'NOT_WAITING') {
+      return { assigned: false, reason: 'ALREADY_TAKEN' };
+    }
+    if (claim === 'CLAIMED') {
+      agent = candidate;
+    } else {
+      available.splice(available.findIndex(a => a.id === candidate.id), 1);
+    }
+  }
+
+  // 記錄分派訊息（與轉接訊息相同格式）
+  await prisma.message.create({
+    data: {
+      conversationId,
+      senderType: 'BOT',
+      contentType: SYSTEM_CONTENT_TYPE,
+      content: `對話已自動分派給 ${agent.name}`,
+      metadata: {
+        type: 'ASSIGNMENT',
+        strategy,
+        toAgentId: agent.id,
+        matchedSkills: agent.matchedSkills,
+        auto: true,
+      },
+    },
+  });
+
+  notifyConversationAccepted(conversation, agent);
+  notifyConversationAssigned(conversation, agent.id, strategy);
+
+  console.log(`🎯 對話 ${conversationId} 已自動分派給 ${agent.name}（${strategy}）`);
+
+  const welcomeResult = await sendWelcomeSignature(conversation, agent);
+  if (!welcomeResult.success) {
+    console.warn(`⚠️ 對話 ${conversationId} 的歡迎訊息發送失敗:`, welcomeResult.error);
+  }
+
+  return { assigned: true, agentId: agent.id };
+}
+
+/**
+ * 依佇列順序（優先級高、等待久者優先）自動分派區域內等待中的對話，直到客服都滿載
+ * @param {string} regionId - 區域 ID
+ * @returns {Promise<Object>} { assigned }
+ */
+export async function processWaitingQueue(regionId) {
+  if (!regionId) {
+    return { assigned: 0 };
+  }
+
+  const region = await prisma.region.findUnique({
+    where: { id: regionId },
+    select: { settings: true },
+  });
+  if (getAssignmentStrategy(region) === ASSIGNMENT_STRATEGIES.MANUAL) {
+    return { assigned: 0 };
+  }
+
+  const waiting = await prisma.conversation.findMany({
+    where: { regionId, status: 'WAITING' },
+    orderBy: [{ priority: 'desc' }, { botHandoffAt: 'asc' }],
+    select: { id: true },
+  });
+
+  let assigned = 0;
+  for (const { id } of waiting) {
+    const result = await autoAssignConversation(id);
+    if (result.assigned) {
+      assigned++;
+    } else if (result.reason === 'NO_CAPACITY' || result.reason === 'MANUAL') {
+      break;
+    }
+  }
+
+  return { assigned };
+}
+
+/**
+ * 所有啟用自動分派的區域都執行一次佇列分派（定時任務使用）
+ * @returns {Promise<Object>} { assigned }
+ */
+export async function processAllWaitingQueues() {
+  const regions = await prisma.region.findMany({
+    where: { isActive: true },
+    select: { id: true, settings: true },
+  });
+
+  let assigned = 0;
+  for (const region of regions) {
+    if (getAssignmentStrategy(region) === ASSIGNMENT_STRATEGIES.MANUAL) {
+      continue;
+    }
+    const result = await processWaitingQueue(region.id);
+    assigned += result.assigned;
+  }
+
+  if (assigned > 0) {
+    console.log(`🎯 定時分派完成: ${assigned} 個對話`);
+  }
+  return { assigned };
+}
+
+export default {
+  ASSIGNMENT_STRATEGIES,
+  getAssignmentStrategy,
+  getAvailableAgents,
+  pickAgent,
+  sendWelcomeSignature,
+  autoAssignConversation,
+  processWaitingQueue,
+  processAllWaitingQueues,
+};
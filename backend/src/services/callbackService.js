@@ -0,0 +1,266 @@
+/**
+ * 回電／留言服務
+ * 金龍永盛客服管理後台
+ *
+ * 工作時間內要轉人工，但預估等待過久或沒有客服在線時，先讓客戶選擇：
+ * - 繼續等候：照常進入等待佇列
+ * - 請專人回電：請客戶留下電話，建立 CALLBACK 任務
+ * - 留言給客服：記錄客戶留言，建立 MESSAGE 任務
+ *
+ * 選擇流程的狀態記錄在 Conversation.botHandoffReason（對話維持 BOT 狀態），
+ * 與非工作時間的 OFF_HOURS_PENDING 相同做法
+ */
+
+import { prisma } from '../db.js';
+import { extractPhones } from '../entityExtractor.js';
+import {
+  HANDOFF_REASONS,
+  handoffToHuman,
+  getQueueStats,
+  estimateWaitMinutes,
+  getQueueStatus,
+  formatQueueStatus,
+  getPriorityByVipLevel,
+} from './humanHandoffService.js';
+import { createTextReply, createTemplateReply } from '../channels/messages.js';
+import { notifyCallbackCreated } from './agentNotificationService.js';
+
+// 預設：預估等待超過 15 分鐘時提供選項
+const DEFAULT_MAX_WAIT_MINUTES = 15;
+
+export const QUEUE_OPTIONS = {
+  KEEP_WAITING: '繼續等候',
+  CALLBACK: '請專人回電',
+  LEAVE_MESSAGE: '留言給客服',
+};
+
+const KEEP_WAITING_PATTERN = /繼續等|等候|排隊/;
+const CALLBACK_PATTERN = /回電|打給我|打電話/;
+const LEAVE_MESSAGE_PATTERN = /留言/;
+const CANCEL_PATTERN = /^(取消|算了|不用了?)$/;
+
+// 選擇流程中的狀態
+const OPTION_STATES = [
+  HANDOFF_REASONS.QUEUE_OPTIONS_OFFERED,
+  HANDOFF_REASONS.CALLBACK_PHONE_PENDING,
+  HANDOFF_REASONS.LEAVE_MESSAGE_PENDING,
+];
+
+/**
+ * 對話是否正在選擇轉人工方式
+ * @param {Object} conversation - 對話
+ */
+export function isAwaitingQueueOption(conversation) {
+  return conversation.status === 'BOT' && OPTION_STATES.includes(conversation.botHandoffReason);
+}
+
+/**
+ * 檢查是否需要提供回電／留言選項
+ * @param {Object} region - 區域（含 settings）
+ * @returns {Promise<Object|null>} { noAgentsOnline, etaMinutes }，不需要時返回 null
+ */
+export async function checkQueueOptions(region) {
+  const options = region.settings?.queueOptions || {};
+  if (options.enabled === false) {
+    return null;
+  }
+
+  const maxWaitMinutes = options.maxWaitMinutes || DEFAULT_MAX_WAIT_MINUTES;
+  const stats = await getQueueStats(region.id);
+  const etaMinutes = await estimateWaitMinutes(region.id, stats.waiting + 1);
+
+  if (etaMinutes === null) {
+    return { noAgentsOnline: true, etaMinutes: null };
+  }
+  if (etaMinutes > maxWaitMinutes || stats.maxWaitMinutes > maxWaitMinutes) {
+    return { noAgentsOnline: false, etaMinutes };
+  }
+  return null;
+}
+
+/**
+ * 提供選項：記錄狀態並返回選單訊息
+ * @param {string} conversationId - 對話 ID
+ * @param {Object} queueCheck - checkQueueOptions 的結果
+ * @returns {Promise<Object>} 選單訊息（template）
+ */
+export async function offerQueueOptions(conversationId, queueCheck) {
+  await prisma.conversation.update({
+    where: { id: conversationId },
+    data: { botHandoffReason: HANDOFF_REASONS.QUEUE_OPTIONS_OFFERED },
+  });
+
+  const situation = queueCheck.noAgentsOnline
+    ? '目前客服人員都在忙線中'
+    : `目前等候人數較多（預計約 ${queueCheck.etaMinutes} 分鐘）`;
+
+  return createTemplateReply(
+    `💡 您的問題需要專人協助，${situation}。請選擇：`,
+    Object.values(QUEUE_OPTIONS).map(label => ({ label, text: label }))
+  );
+}
+
+/**
+ * 設定選擇流程狀態（null 為結束流程）
+ */
+async function setOptionState(conversationId, state) {
+  await prisma.conversation.update({
+    where: { id: conversationId },
+    data: { botHandoffReason: state },
+  });
+}
+
+/**
+ * 建立回電／留言任務
+ * @param {Object} params
+ * @param {Object} params.conversation - 對話
+ * @param {Object} params.customer - 客戶
+ * @param {string} params.type - CALLBACK | MESSAGE
+ * @param {string} [params.phone] - 回電號碼
+ * @param {string} [params.message] - 留言內容
+ * @returns {Promise<Object>} CallbackTask 記錄
+ */
+export async function createCallbackTask({ conversation, customer, type, phone = null, message = null }) {
+  const task = await prisma.callbackTask.create({
+    data: {
+      regionId: conversation.regionId,
+      conversationId: conversation.id,
+      customerId: customer.id,
+      type,
+      phone,
+      message,
+    },
+    include: {
+      customer: {
+        select: { id: true, displayName: true },
+      },
+    },
+  });
+
+  // 客戶資料沒有電話時順便補上
+  if (phone && !customer.phone) {
+    await prisma.customer.update({
+      where: { id: customer.id },
+      data: { phone },
+    });
+  }
+
+  notifyCallbackCreated(task);
+  console.log(`📞 建立${type === 'CALLBACK' ? '回電' : '留言'}任務: ${task.id} (對話: ${conversation.id})`);
+
+  return task;
+}
+
+/**
+ * 處理客戶在選擇流程中的回覆
+ * @param {Object} conversation - 對話（botHandoffReason 為選擇流程狀態）
+ * @param {Object} customer - 客戶
+ * @param {string} text - 客戶訊息
+ * @returns {Promise<Object|null>} { replies, handoffPerformed, action }，不是流程內的回覆時返回 null（交由 AI 處理）
+ */
+export async function handleQueueOptionReply(conversation, customer, text) {
+  const input = (text || '').trim();
+  const state = conversation.botHandoffReason;
+
+  if (CANCEL_PATTERN.test(input)) {
+    await setOptionState(conversation.id, null);
+    return {
+      action: 'CANCELLED',
+      handoffPerformed: false,
+      replies: [createTextReply('好的，如有其他問題歡迎隨時詢問。')],
+    };
+  }
+
+  if (state === HANDOFF_REASONS.QUEUE_OPTIONS_OFFERED) {
+    if (KEEP_WAITING_PATTERN.test(input)) {
+      await handoffToHuman(conversation.id, HANDOFF_REASONS.USER_REQUEST, {
+        priority: getPriorityByVipLevel(customer.vipLevel || 0),
+      });
+      const queueStatus = await getQueueStatus(conversation.id);
+      return {
+        action: 'KEEP_WAITING',
+        handoffPerformed: true,
+        replies: [createTextReply(`好的，已為您轉接客服人員。${formatQueueStatus(queueStatus)}`)],
+      };
+    }
+
+    if (CALLBACK_PATTERN.test(input)) {
+      // 選擇時已附上電話，直接建立任務
+      const phones = extractPhones(input);
+      if (phones.length > 0) {
+        return completeCallback(conversation, customer, phones[0].normalized);
+      }
+      await setOptionState(conversation.id, HANDOFF_REASONS.CALLBACK_PHONE_PENDING);
+      return {
+        action: 'ASK_PHONE',
+        handoffPerformed: false,
+        replies: [createTextReply('請留下您的聯絡電話（例如 0912-345-678），專人將盡快回電給您。')],
+      };
+    }
+
+    if (LEAVE_MESSAGE_PATTERN.test(input)) {
+      await setOptionState(conversation.id, HANDOFF_REASONS.LEAVE_MESSAGE_PENDING);
+      return {
+        action: 'ASK_MESSAGE',
+        handoffPerformed: false,
+        replies: [createTextReply('請直接輸入您的留言，客服人員會盡快回覆您。')],
+      };
+    }
+
+    // 沒有選擇任何選項：結束流程，當作一般訊息處理
+    await setOptionState(conversation.id, null);
+    return null;
+  }
+
+  if (state === HANDOFF_REASONS.CALLBACK_PHONE_PENDING) {
+    const phones = extractPhones(input);
+    if (phones.length > 0) {
+      return completeCallback(conversation, customer, phones[0].normalized);
+    }
+
+    // 看起來是在輸入號碼但格式不對時再問一次，否則當作一般訊息處理
+    if (/\d{4,}/.test(input)) {
+      return {
+        action: 'ASK_PHONE',
+        handoffPerformed: false,
+        replies: [createTextReply('無法辨識電話號碼，請重新輸入（例如 0912-345-678），或輸入「取消」。')],
+      };
+    }
+    await setOptionState(conversation.id, null);
+    return null;
+  }
+
+  if (state === HANDOFF_REASONS.LEAVE_MESSAGE_PENDING && input) {
+    await createCallbackTask({ conversation, customer, type: 'MESSAGE', message: input });
+    await setOptionState(conversation.id, null);
+    return {
+      action: 'MESSAGE_LEFT',
+      handoffPerformed: false,
+      replies: [createTextReply('✅ 已收到您的留言，客服人員會盡快回覆您。')],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 建立回電任務並結束流程
+ */
+async function completeCallback(conversation, customer, phone) {
+  await createCallbackTask({ conversation, customer, type: 'CALLBACK', phone });
+  await setOptionState(conversation.id, null);
+  return {
+    action: 'CALLBACK_REQUESTED',
+    handoffPerformed: false,
+    replies: [createTextReply(`✅ 已登記回電需求，專人將盡快撥打 ${phone} 與您聯繫。`)],
+  };
+}
+
+export default {
+  QUEUE_OPTIONS,
+  isAwaitingQueueOption,
+  checkQueueOptions,
+  offerQueueOptions,
+  createCallbackTask,
+  handleQueueOptionReply,
+};
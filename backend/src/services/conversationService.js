@@ -6,6 +6,8 @@
  */
 
 import { prisma } from '../db.js';
+import { CUSTOMER_VISIBLE_FILTER } from './noteService.js';
+import { reopenRecentConversation } from './followUpService.js';
 
 /**
  * 取得或建立客戶記錄
@@ -15,6 +17,7 @@ import { prisma } from '../db.js';
  * @param {Object} profile - 用戶資料
  * @param {string} profile.displayName - 顯示名稱
  * @param {string} [profile.pictureUrl] - 頭像 URL
+ * @param {string} [profile.language] - 語言（LINE Profile 提供）
  * @returns {Promise<Object>} 客戶記錄
  */
 export async function getOrCreateCustomer(regionId, source, sourceUserId, profile = {}) {
@@ -39,6 +42,9 @@ export async function getOrCreateCustomer(regionId, source, sourceUserId, profil
       if (profile.pictureUrl && profile.pictureUrl !== customer.avatarUrl) {
         updates.avatarUrl = profile.pictureUrl;
       }
+      if (profile.language && profile.language !== customer.language) {
+        updates.language = profile.language;
+      }
 
       if (Object.keys(updates).length > 0) {
         customer = await prisma.customer.update({
@@ -58,6 +64,7 @@ export async function getOrCreateCustomer(regionId, source, sourceUserId, profil
         sourceUserId,
         displayName: profile.displayName || sourceUserId,
         avatarUrl: profile.pictureUrl || null,
+        language: profile.language || null,
       },
     });
 
@@ -71,12 +78,12 @@ export async function getOrCreateCustomer(regionId, source, sourceUserId, profil
 
 /**
  * 取得或建立對話
- * 查找客戶的活躍對話（非 CLOSED），如果沒有則建立新對話
+ * 查找客戶的活躍對話（非 CLOSED），其次重新開啟剛結束的對話，都沒有則建立新對話
  * @param {string} customerId - 客戶 ID
  * @param {string} regionId - 區域 ID
  * @param {string} source - 來源
  * @param {string} sourceUserId - 來源用戶 ID
- * @returns {Promise<Object>} { conversation, isNew }
+ * @returns {Promise<Object>} { conversation, isNew, reopened }
  */
 export async function getOrCreateConversation(customerId, regionId, source, sourceUserId) {
   try {
@@ -93,6 +100,12 @@ export async function getOrCreateConversation(customerId, regionId, source, sour
       return { conversation, isNew: false };
     }
 
+    // 剛結束不久的對話：重新開啟並交回原客服（見 followUpService）
+    conversation = await reopenRecentConversation(customerId);
+    if (conversation) {
+      return { conversation, isNew: false, reopened: true };
+    }
+
     // 建立新對話
     conversation = await prisma.conversation.create({
       data: {
@@ -178,6 +191,58 @@ export async function saveMessage(conversationId, senderType, content, options =
   }
 }
 
+/**
+ * 取得 metadata 中的平台訊息 ID（LINE message id / Messenger mid）
+ * @param {Object} metadata - 訊息 metadata
+ * @returns {Array|null} [欄位名稱, 訊息 ID]，沒有平台訊息 ID 時返回 null
+ */
+export function getPlatformMessageId(metadata) {
+  for (const field of ['lineMessageId', 'fbMessageId']) {
+    if (metadata?.[field]) {
+      return [field, metadata[field]];
+    }
+  }
+  return null;
+}
+
+/**
+ * 找出已儲存的客戶訊息（Webhook 事件重試時使用，避免重複儲存訊息及重複回覆）
+ * @param {string} customerId - 客戶 ID
+ * @param {Object} metadata - 訊息 metadata（含平台訊息 ID）
+ * @returns {Promise<Object|null>} { message, replied }，沒有平台訊息 ID 或尚未儲存時返回 null
+ */
+export async function findStoredCustomerMessage(customerId, metadata) {
+  const platformMessageId = getPlatformMessageId(metadata);
+  if (!platformMessageId) {
+    return null;
+  }
+
+  const [field, value] = platformMessageId;
+  const message = await prisma.message.findFirst({
+    where: {
+      senderType: 'CUSTOMER',
+      conversation: { customerId },
+      metadata: { path: [field], equals: value },
+    },
+  });
+
+  if (!message) {
+    return null;
+  }
+
+  // 之後已有機器人回覆：上次已處理完成，只是發送回覆時或之後才失敗
+  const reply = await prisma.message.findFirst({
+    where: {
+      conversationId: message.conversationId,
+      senderType: 'BOT',
+      createdAt: { gte: message.createdAt },
+    },
+    select: { id: true },
+  });
+
+  return { message, replied: Boolean(reply) };
+}
+
 /**
  * 取得對話（包含客戶資訊）
  * @param {string} conversationId - 對話 ID
@@ -264,7 +329,7 @@ export async function getMessages(conversationId, options = {}) {
 export async function getConversationHistory(conversationId, limit = 20) {
   try {
     const messages = await prisma.message.findMany({
-      where: { conversationId },
+      where: { conversationId, ...CUSTOMER_VISIBLE_FILTER },
       orderBy: { createdAt: 'desc' },
       take: limit,
       select: {
@@ -301,12 +366,39 @@ export async function updateCustomerLastContact(customerId) {
   }
 }
 
+/**
+ * 更新客戶的封鎖狀態（LINE follow / unfollow）
+ * @param {string} regionId - 區域 ID
+ * @param {string} source - 來源
+ * @param {string} sourceUserId - 來源用戶 ID
+ * @param {boolean} blocked - 是否封鎖
+ * @returns {Promise<number>} 更新的客戶數
+ */
+export async function setCustomerBlocked(regionId, source, sourceUserId, blocked) {
+  try {
+    const result = await prisma.customer.updateMany({
+      where: { regionId, source, sourceUserId },
+      data: {
+        isBlocked: blocked,
+        blockedAt: blocked ? new Date() : null,
+      },
+    });
+    return result.count;
+  } catch (error) {
+    console.error('❌ setCustomerBlocked 失敗:', error);
+    throw error;
+  }
+}
+
 export default {
   getOrCreateCustomer,
   getOrCreateConversation,
   saveMessage,
+  getPlatformMessageId,
+  findStoredCustomerMessage,
   getConversation,
   getMessages,
   getConversationHistory,
   updateCustomerLastContact,
+  setCustomerBlocked,
 };
@@ -0,0 +1,335 @@
+/**
+ * 滿意度調查（CSAT）服務
+ * 金龍永盛客服管理後台
+ *
+ * 客服處理過的對話結束後（區域 settings.csat.enabled），發送 1-5 星的滿意度調查：
+ * - LINE 以 Flex 卡片的按鈕回傳（postback: action=csat&survey=<id>&rating=<n>），其他渠道為快速回覆
+ * - 評分後可再留下一段意見（可略過）
+ * - 調查的回覆記在原對話，不交給 AI 判斷意圖，也不會重新開啟對話
+ *
+ * 客戶沒有評分而是問了其他問題時，調查標記為 EXPIRED，訊息照常處理
+ */
+
+import { prisma } from '../db.js';
+import { createCardReply, createTextReply } from '../channels/messages.js';
+
+export const CSAT_POSTBACK_ACTION = 'csat';
+
+// 發送後多久內的回覆視為評分
+const SURVEY_EXPIRY_HOURS = 24;
+// 評分後多久內的訊息視為意見
+const COMMENT_WINDOW_MINUTES = 10;
+const MAX_COMMENT_LENGTH = 1000;
+
+const RATING_LABELS = {
+  5: '非常滿意',
+  4: '滿意',
+  3: '普通',
+  2: '不滿意',
+  1: '非常不滿意',
+};
+
+const SKIP_COMMENT_PATTERN = /^(略過|跳過|不用了?|沒有|無|no)$/i;
+
+/**
+ * 取得區域的滿意度調查設定（預設不啟用）
+ * @param {Object} [settings] - Region.settings
+ * @returns {Object} { enabled, askComment }
+ */
+export function getCsatPolicy(settings) {
+  const csat = settings?.csat || {};
+  return {
+    enabled: csat.enabled === true,
+    askComment: csat.askComment !== false,
+  };
+}
+
+/**
+ * 解析評分（按鈕回傳、星號或數字）
+ * @param {string} text - 客戶訊息
+ * @param {Object} [postback] - parsePostbackData 的結果
+ * @returns {number|null} 1-5 分，無法辨識時返回 null
+ */
+export function parseRating(text, postback = null) {
+  const valid = value => (Number.isInteger(value) && value >= 1 && value <= 5 ? value : null);
+
+  if (postback?.action === CSAT_POSTBACK_ACTION) {
+    return valid(Number(postback.entities?.rating));
+  }
+
+  const input = (text || '').trim();
+  const stars = input.match(/[⭐★]/g);
+  if (stars && input.replace(/[⭐★\s\uFE0F]/g, '') === '') {
+    return valid(stars.length);
+  }
+
+  const number = input.match(/^([1-5])\s*(分|顆星|星)?$/);
+  return number ? Number(number[1]) : null;
+}
+
+/**
+ * 建立調查訊息（LINE 為 Flex 卡片，其他渠道降級為文字 + 快速回覆）
+ * @param {Object} survey - CsatSurvey 記錄
+ * @param {string} [agentName] - 負責客服名稱
+ */
+export function buildSurveyReply(survey, agentName = null) {
+  const question = agentName
+    ? `請問您對 ${agentName} 這次的服務滿意嗎？`
+    : '請問您對這次的服務滿意嗎？';
+
+  return createCardReply(
+    'CSAT_SURVEY',
+    { question },
+    `${question}請點選 1-5 顆星評分（5 顆星為非常滿意）`,
+    [5, 4, 3, 2, 1].map(rating => ({
+      label: `${'⭐'.repeat(rating)} ${RATING_LABELS[rating]}`,
+      text: '⭐'.repeat(rating),
+      data: `action=${CSAT_POSTBACK_ACTION}&survey=${survey.id}&rating=${rating}`,
+    }))
+  );
+}
+
+/**
+ * 建立滿意度調查（區域未啟用或對話沒有客服處理時返回 null）
+ * @param {Object} conversation - 對話 { id, regionId, customerId, assignedAgentId }
+ * @param {Object} region - 區域（含 settings）
+ * @returns {Promise<Object|null>} CsatSurvey 記錄
+ */
+export async function createSurvey(conversation, region) {
+  if (!conversation.assignedAgentId || !getCsatPolicy(region?.settings).enabled) {
+    return null;
+  }
+
+  // 同一位客戶只保留最新一份進行中的調查
+  await prisma.csatSurvey.updateMany({
+    where: { customerId: conversation.customerId, status: 'SENT' },
+    data: { status: 'EXPIRED' },
+  });
+
+  return prisma.csatSurvey.create({
+    data: {
+      regionId: conversation.regionId,
+      conversationId: conversation.id,
+      customerId: conversation.customerId,
+      agentId: conversation.assignedAgentId,
+    },
+  });
+}
+
+/**
+ * 找出客戶進行中的調查（逾時的順便結束）
+ * @param {string} customerId - 客戶 ID
+ * @returns {Promise<Object|null>} CsatSurvey 記錄
+ */
+async function findActiveSurvey(customerId) {
+  const survey = await prisma.csatSurvey.findFirst({
+    where: { customerId, status: { in: ['SENT', 'RATED'] } },
+    orderBy: { sentAt: 'desc' },
+  });
+
+  if (!survey) {
+    return null;
+  }
+
+  const expired = survey.status === 'SENT'
+    ? Date.now() - survey.sentAt.getTime() > SURVEY_EXPIRY_HOURS * 60 * 60 * 1000
+    : Date.now() - survey.ratedAt.getTime() > COMMENT_WINDOW_MINUTES * 60 * 1000;
+
+  if (expired) {
+    await prisma.csatSurvey.update({
+      where: { id: survey.id },
+      data: { status: survey.status === 'SENT' ? 'EXPIRED' : 'COMPLETED' },
+    });
+    return null;
+  }
+
+  return survey;
+}
+
+/**
+ * 處理客戶對調查的回覆
+ * @param {string} customerId - 客戶 ID
+ * @param {string} text - 客戶訊息
+ * @param {Object} [postback] - parsePostbackData 的結果
+ * @returns {Promise<Object|null>} { conversationId, action, replies }，不是調查回覆時返回 null（照常處理）
+ */
+export async function handleSurveyReply(customerId, text, postback = null) {
+  const input = (text || '').trim();
+
+  // 按鈕回傳：以調查 ID 為準（舊卡片重複點選時不會誤判為新問題）
+  if (postback?.action === CSAT_POSTBACK_ACTION) {
+    const survey = await prisma.csatSurvey.findUnique({
+      where: { id: postback.entities?.survey || '' },
+    });
+    if (!survey || survey.customerId !== customerId) {
+      return null;
+    }
+    if (survey.status !== 'SENT') {
+      return {
+        conversationId: survey.conversationId,
+        action: 'ALREADY_ANSWERED',
+        replies: [createTextReply('您已完成這次的評分，感謝您的回饋！')],
+      };
+    }
+    return recordRating(survey, parseRating(input, postback));
+  }
+
+  const survey = await findActiveSurvey(customerId);
+  if (!survey) {
+    return null;
+  }
+
+  if (survey.status === 'SENT') {
+    const rating = parseRating(input);
+    if (!rating) {
+      // 客戶改問其他問題：結束調查，訊息照常處理
+      await prisma.csatSurvey.update({
+        where: { id: survey.id },
+        data: { status: 'EXPIRED' },
+      });
+      return null;
+    }
+    return recordRating(survey, rating);
+  }
+
+  // 已評分：這段時間內的訊息視為意見
+  const comment = SKIP_COMMENT_PATTERN.test(input) ? null : input.slice(0, MAX_COMMENT_LENGTH);
+  await prisma.csatSurvey.update({
+    where: { id: survey.id },
+    data: { status: 'COMPLETED', comment },
+  });
+  console.log(`⭐ 滿意度調查 ${survey.id} 已完成${comment ? '（含意見）' : ''}`);
+
+  return {
+    conversationId: survey.conversationId,
+    action: comment ? 'COMMENTED' : 'COMMENT_SKIPPED',
+    replies: [createTextReply('感謝您的寶貴意見，我們會持續改進！')],
+  };
+}
+
+/**
+ * 記錄評分，區域設定要問意見時請客戶留下意見
+ */
+async function recordRating(survey, rating) {
+  if (!rating) {
+    return null;
+  }
+
+  const region = await prisma.region.findUnique({
+    where: { id: survey.regionId },
+    select: { settings: true },
+  });
+  const { askComment } = getCsatPolicy(region?.settings);
+
+  await prisma.csatSurvey.update({
+    where: { id: survey.id },
+    data: {
+      rating,
+      ratedAt: new Date(),
+      status: askComment ? 'RATED' : 'COMPLETED',
+    },
+  });
+  console.log(`⭐ 滿意度調查 ${survey.id} 評分: ${rating}`);
+
+  return {
+    conversationId: survey.conversationId,
+    action: 'RATED',
+    rating,
+    replies: [
+      askComment
+        ? createTextReply('感謝您的評分！如有其他意見，歡迎直接留言告訴我們。', ['略過'])
+        : createTextReply('感謝您的評分！'),
+    ],
+  };
+}
+
+/**
+ * 彙總評分
+ * @param {Array} rows - groupBy rating 的結果 [{ rating, _count: { _all } }]
+ * @param {number} sent - 發送的調查數
+ * @returns {Object} { surveysSent, responses, responseRate, averageRating, satisfactionRate, distribution }
+ */
+function summarizeRatings(rows, sent) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const row of rows) {
+    distribution[row.rating] = row._count._all;
+  }
+
+  const responses = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+  const total = Object.entries(distribution).reduce((sum, [rating, count]) => sum + Number(rating) * count, 0);
+
+  return {
+    surveysSent: sent,
+    responses,
+    responseRate: sent > 0 ? (responses / sent).toFixed(2) : 0,
+    averageRating: responses > 0 ? (total / responses).toFixed(2) : null,
+    // 4-5 顆星的比例
+    satisfactionRate: responses > 0 ? ((distribution[4] + distribution[5]) / responses).toFixed(2) : null,
+    distribution,
+  };
+}
+
+/**
+ * 取得滿意度統計（依調查發送時間）
+ * @param {Object} filter - 過濾條件（如 { regionId }）
+ * @param {Date} start - 開始時間
+ * @param {Date} end - 結束時間
+ * @returns {Promise<Object>} 見 summarizeRatings
+ */
+export async function getCsatSummary(filter, start, end) {
+  const where = { ...filter, sentAt: { gte: start, lte: end } };
+
+  const [sent, rows] = await Promise.all([
+    prisma.csatSurvey.count({ where }),
+    prisma.csatSurvey.groupBy({
+      by: ['rating'],
+      where: { ...where, rating: { not: null } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  return summarizeRatings(rows, sent);
+}
+
+/**
+ * 取得各客服的滿意度統計
+ * @param {string[]} agentIds - 客服 ID
+ * @param {Date} start - 開始時間
+ * @param {Date} end - 結束時間
+ * @returns {Promise<Map>} agentId → 見 summarizeRatings
+ */
+export async function getCsatByAgent(agentIds, start, end) {
+  const where = { agentId: { in: agentIds }, sentAt: { gte: start, lte: end } };
+
+  const [sentRows, ratingRows] = await Promise.all([
+    prisma.csatSurvey.groupBy({
+      by: ['agentId'],
+      where,
+      _count: { _all: true },
+    }),
+    prisma.csatSurvey.groupBy({
+      by: ['agentId', 'rating'],
+      where: { ...where, rating: { not: null } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  return new Map(agentIds.map(agentId => [
+    agentId,
+    summarizeRatings(
+      ratingRows.filter(row => row.agentId === agentId),
+      sentRows.find(row => row.agentId === agentId)?._count._all || 0
+    ),
+  ]));
+}
+
+export default {
+  CSAT_POSTBACK_ACTION,
+  getCsatPolicy,
+  parseRating,
+  buildSurveyReply,
+  createSurvey,
+  handleSurveyReply,
+  getCsatSummary,
+  getCsatByAgent,
+};
@@ -0,0 +1,312 @@
+/**
+ * FAQ 缺口分析服務
+ * 金龍永盛客服管理後台
+ *
+ * 記錄機器人沒有答好的客戶問題（UnansweredQuery），供內容團隊補充 FAQ：
+ * - NO_MATCH：一般 FAQ / 未知意圖找不到相關的 FAQ
+ * - LOW_SCORE：有 FAQ 回覆，但最佳分數低於 config.faq.lowScoreThreshold
+ * - HANDOFF：轉人工（客戶主動要求轉人工的訊息除外）
+ *
+ * 報表將相似的問題分群（TF-IDF 向量的餘弦相似度），依問題數排序列出缺口，
+ * 可由一群問題直接建立 FAQ 草稿，草稿發布後 AI 回覆才會使用
+ */
+
+import { prisma } from '../db.js';
+import { tokenize, cosineSimilarity, buildTextVectors } from '../faqSearchEngine.js';
+import { validateFaqContent, createFaq } from './faqService.js';
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// 與群中心的相似度達到此值才歸入同一群
+const CLUSTER_SIMILARITY = 0.4;
+// 報表最多分析的問題數（最新的優先）
+const MAX_REPORT_QUERIES = 1000;
+const MAX_EXAMPLES = 5;
+const MAX_KEYWORDS = 5;
+// FAQ 草稿的 embedding_text 最多包含幾則客戶原話
+const MAX_EMBEDDING_EXAMPLES = 10;
+
+// 建立 FAQ 草稿時未指定的欄位
+const DRAFT_CATEGORY = '待分類';
+const DRAFT_ANSWER = '（待補充答案）';
+const DRAFT_SOURCE = '未解答問題';
+
+/**
+ * 記錄未解答問題（記錄失敗不影響回覆客戶）
+ * @param {Object} params
+ * @param {string} params.regionId - 區域 ID
+ * @param {string} params.conversationId - 對話 ID
+ * @param {string} params.message - 客戶訊息
+ * @param {string} params.reason - NO_MATCH | LOW_SCORE | HANDOFF
+ * @param {string} [params.intent] - 意圖
+ * @param {string} [params.topFaqCode] - 分數最高的 FAQ 編號
+ * @param {number} [params.topScore] - 最高分數
+ */
+export async function recordUnansweredQuery({
+  regionId,
+  conversationId,
+  message,
+  reason,
+  intent = null,
+  topFaqCode = null,
+  topScore = null,
+}) {
+  const text = (message || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return await prisma.unansweredQuery.create({
+      data: {
+        regionId,
+        conversationId,
+        message: text.slice(0, MAX_MESSAGE_LENGTH),
+        reason,
+        intent,
+        topFaqCode,
+        topScore,
+      },
+    });
+  } catch (error) {
+    console.error('❌ 記錄未解答問題失敗:', error);
+    return null;
+  }
+}
+
+/**
+ * 計算群中心（成員向量正規化後加總，每則問題的權重相同）
+ */
+function addToCentroid(centroid, vector) {
+  for (const [term, weight] of vector.weights) {
+    centroid.weights.set(term, (centroid.weights.get(term) || 0) + weight / vector.norm);
+  }
+  let sum = 0;
+  for (const weight of centroid.weights.values()) {
+    sum += weight * weight;
+  }
+  centroid.norm = Math.sqrt(sum);
+}
+
+/**
+ * 將相似的問題分群（單次掃描：歸入最相似的群，都不夠相似時自成一群）
+ * @param {Array} queries - UnansweredQuery 列表
+ * @returns {Array<Object>} 群列表 { queries, vectors, centroid }
+ */
+export function clusterQueries(queries) {
+  const vectors = buildTextVectors(queries.map(query => query.message));
+  const clusters = [];
+
+  queries.forEach((query, i) => {
+    const vector = vectors[i];
+    // 沒有可比對的詞（如：只有表情符號）
+    if (vector.norm === 0) {
+      return;
+    }
+
+    let best = null;
+    let bestSimilarity = CLUSTER_SIMILARITY;
+    for (const cluster of clusters) {
+      const similarity = cosineSimilarity(vector, cluster.centroid);
+      if (similarity >= bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best) {
+      best = { queries: [], vectors: [], centroid: { weights: new Map(), norm: 0 } };
+      clusters.push(best);
+    }
+    best.queries.push(query);
+    best.vectors.push(vector);
+    addToCentroid(best.centroid, vector);
+  });
+
+  return clusters;
+}
+
+/**
+ * 統計各值出現次數，依次數排序
+ * @returns {Array<Object>} [{ value, count }]
+ */
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * 整理一群問題：代表問題（最接近群中心）、關鍵詞、原因及意圖分布
+ * @param {Object} cluster - clusterQueries 的結果
+ */
+export function summarizeCluster({ queries, vectors, centroid }) {
+  let representative = queries[0];
+  let bestSimilarity = -1;
+  vectors.forEach((vector, i) => {
+    const similarity = cosineSimilarity(vector, centroid);
+    if (similarity > bestSimilarity) {
+      representative = queries[i];
+      bestSimilarity = similarity;
+    }
+  });
+
+  // 關鍵詞：至少兩則問題共同出現的詞，依群中心權重排序（只有一則問題時無法判斷哪些詞重要）
+  const termFrequency = new Map();
+  for (const query of queries) {
+    for (const term of new Set(tokenize(query.message))) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+  }
+  const keywords = [...centroid.weights]
+    .filter(([term]) => termFrequency.get(term) >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .map(([term]) => term)
+    .slice(0, MAX_KEYWORDS);
+
+  const createdAts = queries.map(query => query.createdAt.getTime());
+
+  return {
+    size: queries.length,
+    conversationCount: new Set(queries.map(query => query.conversationId).filter(Boolean)).size,
+    representative: representative.message,
+    keywords,
+    reasons: Object.fromEntries(countValues(queries.map(query => query.reason)).map(({ value, count }) => [value, count])),
+    intents: countValues(queries.map(query => query.intent)),
+    // 分數偏低時最常被回覆的 FAQ（可能需要修改而非新增）
+    topFaqCodes: countValues(queries.map(query => query.topFaqCode)),
+    firstSeenAt: new Date(Math.min(...createdAts)),
+    lastSeenAt: new Date(Math.max(...createdAts)),
+  };
+}
+
+/**
+ * FAQ 缺口報表
+ * @param {Object} where - 問題的篩選條件（區域、時間）
+ * @param {Object} [options]
+ * @param {number} [options.limit] - 最多列出幾群
+ * @returns {Promise<Object>} { totalQueries, analyzedQueries, reasons, clusters }
+ */
+export async function getFaqGapReport(where, { limit = 20 } = {}) {
+  const openWhere = { ...where, status: 'OPEN' };
+
+  const [totalQueries, byReason, queries] = await Promise.all([
+    prisma.unansweredQuery.count({ where: openWhere }),
+    prisma.unansweredQuery.groupBy({
+      by: ['reason'],
+      where: openWhere,
+      _count: true,
+    }),
+    prisma.unansweredQuery.findMany({
+      where: openWhere,
+      orderBy: { createdAt: 'desc' },
+      take: MAX_REPORT_QUERIES,
+    }),
+  ]);
+
+  const clusters = clusterQueries(queries)
+    .map(cluster => ({
+      ...summarizeCluster(cluster),
+      // 建立 FAQ 草稿或忽略時傳回這些 ID
+      queryIds: cluster.queries.map(query => query.id),
+      examples: cluster.queries.slice(0, MAX_EXAMPLES).map(query => ({
+        id: query.id,
+        message: query.message,
+        reason: query.reason,
+        conversationId: query.conversationId,
+        createdAt: query.createdAt,
+      })),
+    }))
+    .sort((a, b) => b.size - a.size || b.lastSeenAt - a.lastSeenAt)
+    .slice(0, limit);
+
+  return {
+    totalQueries,
+    analyzedQueries: queries.length,
+    reasons: Object.fromEntries(byReason.map(item => [item.reason, item._count])),
+    clusters,
+  };
+}
+
+/**
+ * 由一群未解答問題建立 FAQ 草稿，並將這些問題標記為已處理
+ * @param {string[]} queryIds - 問題 ID
+ * @param {Object} scope - 可處理的問題範圍（區域）
+ * @param {Object} [data] - 指定的 FAQ 內容 { category, question, answer, keywords }，未指定時由問題產生
+ * @param {Object} [options] - { regionId, userId }
+ * @returns {Promise<Object>} { faq, resolvedCount } 或 { error }
+ */
+export async function createFaqDraftFromQueries(queryIds, scope, data = {}, { regionId = null, userId = null } = {}) {
+  const queries = await prisma.unansweredQuery.findMany({
+    where: { ...scope, id: { in: queryIds }, status: 'OPEN' },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  if (queries.length === 0) {
+    return { error: '找不到待處理的問題' };
+  }
+
+  const vectors = buildTextVectors(queries.map(query => query.message));
+  const centroid = { weights: new Map(), norm: 0 };
+  for (const vector of vectors.filter(v => v.norm > 0)) {
+    addToCentroid(centroid, vector);
+  }
+  const summary = summarizeCluster({ queries, vectors, centroid });
+
+  const content = {
+    category: data.category || DRAFT_CATEGORY,
+    question: data.question || summary.representative,
+    answer: data.answer || DRAFT_ANSWER,
+    keywords: data.keywords || summary.keywords,
+    source: DRAFT_SOURCE,
+    // 客戶的原話讓向量相似度能比對到不同的問法
+    embeddingText: queries.slice(0, MAX_EMBEDDING_EXAMPLES).map(query => query.message).join(' '),
+  };
+
+  const validationError = validateFaqContent(content);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  const faq = await createFaq(content, {
+    regionId,
+    userId,
+    note: `由 ${queries.length} 則未解答問題建立`,
+  });
+
+  const { count } = await prisma.unansweredQuery.updateMany({
+    where: { id: { in: queries.map(query => query.id) }, status: 'OPEN' },
+    data: { status: 'RESOLVED', faqEntryId: faq.id, resolvedAt: new Date() },
+  });
+
+  return { faq, resolvedCount: count };
+}
+
+/**
+ * 忽略未解答問題（不需要 FAQ，如：閒聊、個案問題）
+ * @param {string[]} queryIds - 問題 ID
+ * @param {Object} scope - 可處理的問題範圍（區域）
+ * @returns {Promise<number>} 更新的筆數
+ */
+export async function ignoreUnansweredQueries(queryIds, scope) {
+  const { count } = await prisma.unansweredQuery.updateMany({
+    where: { ...scope, id: { in: queryIds }, status: 'OPEN' },
+    data: { status: 'IGNORED', resolvedAt: new Date() },
+  });
+  return count;
+}
+
+export default {
+  recordUnansweredQuery,
+  clusterQueries,
+  summarizeCluster,
+  getFaqGapReport,
+  createFaqDraftFromQueries,
+  ignoreUnansweredQueries,
+};
@@ -0,0 +1,419 @@
+/**
+ * FAQ 知識庫服務
+ * 金龍永盛客服管理後台
+ *
+ * FAQ 存放於資料庫，每次修改都保存為新版本（FaqRevision）：
+ * - 新增、修改：建立新版本（草稿），發布後 AI 回覆才會使用
+ * - 發布：將指定版本的內容設為目前內容
+ * - 回復：以舊版本的內容建立新版本並發布（版本紀錄不會被覆寫）
+ * - 停用：立即從 AI 回覆中移除
+ *
+ * 發布的內容變更後即時重建 FAQ 檢索索引；多個實例時由定時任務比對最後更新時間同步
+ */
+
+import fs from 'fs';
+import { prisma } from '../db.js';
+import { FAQ_CSV_PATH, setFAQData, parseFAQCsv, formatFAQCsv } from '../faqRetriever.js';
+
+// 版本保存的內容欄位
+const CONTENT_FIELDS = ['category', 'question', 'answer', 'keywords', 'source', 'embeddingText'];
+
+const MAX_QUESTION_LENGTH = 200;
+const MAX_ANSWER_LENGTH = 5000;
+
+// 目前索引的資料版本（筆數 + 最後更新時間）
+let loadedSignature = null;
+
+/**
+ * 驗證 FAQ 內容
+ * @param {Object} data - { category, question, answer, keywords, source, embeddingText }
+ * @param {boolean} [partial] - 是否只驗證有提供的欄位（修改時）
+ * @returns {string|null} 錯誤訊息，驗證通過返回 null
+ */
+export function validateFaqContent(data, partial = false) {
+  for (const field of ['category', 'question', 'answer']) {
+    if (data[field] === undefined && partial) {
+      continue;
+    }
+    if (typeof data[field] !== 'string' || !data[field].trim()) {
+      return `${field} 為必填`;
+    }
+  }
+  if (data.question !== undefined && data.question.length > MAX_QUESTION_LENGTH) {
+    return `question 不能超過 ${MAX_QUESTION_LENGTH} 字`;
+  }
+  if (data.answer !== undefined && data.answer.length > MAX_ANSWER_LENGTH) {
+    return `answer 不能超過 ${MAX_ANSWER_LENGTH} 字`;
+  }
+  if (data.keywords !== undefined
+    && (!Array.isArray(data.keywords) || data.keywords.some(keyword => typeof keyword !== 'string'))) {
+    return 'keywords 必須是字串陣列';
+  }
+  return null;
+}
+
+/**
+ * 取出內容欄位（去除空白）
+ * @param {Object} data - 輸入資料
+ * @returns {Object} 只含有提供的內容欄位
+ */
+function pickContent(data) {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    if (data[field] === undefined) {
+      continue;
+    }
+    if (field === 'keywords') {
+      content.keywords = data.keywords.map(keyword => keyword.trim()).filter(Boolean);
+    } else {
+      content[field] = typeof data[field] === 'string' ? data[field].trim() || null : data[field];
+    }
+  }
+  return content;
+}
+
+/**
+ * 內容是否相同
+ */
+function isSameContent(a, b) {
+  return CONTENT_FIELDS.every(field => (field === 'keywords'
+    ? a.keywords.join(' ') === b.keywords.join(' ')
+    : (a[field] || null) === (b[field] || null)));
+}
+
+/**
+ * 產生下一個 FAQ 編號（FAQ + 三位數字）
+ */
+async function nextFaqCode() {
+  const entries = await prisma.faqEntry.findMany({
+    where: { code: { startsWith: 'FAQ' } },
+    select: { code: true },
+  });
+  const max = entries.reduce((result, entry) => {
+    const number = parseInt(entry.code.slice(3), 10);
+    return Number.isNaN(number) ? result : Math.max(result, number);
+  }, 0);
+  return `FAQ${String(max + 1).padStart(3, '0')}`;
+}
+
+/**
+ * 重新載入已發布的 FAQ 到檢索索引
+ * @returns {Promise<number>} 載入的筆數
+ */
+export async function reloadFaqIndex() {
+  const [entries, signature] = await Promise.all([
+    prisma.faqEntry.findMany({
+      where: { isActive: true, publishedVersion: { not: null } },
+      orderBy: { code: 'asc' },
+    }),
+    getFaqSignature(),
+  ]);
+
+  setFAQData(entries.map(entry => ({
+    id: entry.code,
+    category: entry.category,
+    question: entry.question,
+    answer: entry.answer,
+    keywords: entry.keywords,
+    source: entry.source,
+    embeddingText: entry.embeddingText,
+    regionId: entry.regionId,
+  })));
+  loadedSignature = signature;
+
+  console.log(`📚 已載入 ${entries.length} 筆已發布的 FAQ`);
+  return entries.length;
+}
+
+/**
+ * 取得 FAQ 資料版本（筆數 + 最後更新時間）
+ */
+async function getFaqSignature() {
+  const result = await prisma.faqEntry.aggregate({
+    _count: { _all: true },
+    _max: { updatedAt: true },
+  });
+  return `${result._count._all}:${result._max.updatedAt?.getTime() || 0}`;
+}
+
+/**
+ * 資料有變更時重新載入（定時任務呼叫，同步其他實例的修改）
+ * @returns {Promise<boolean>} 是否重新載入
+ */
+export async function refreshFaqIndexIfChanged() {
+  if (loadedSignature === null || await getFaqSignature() === loadedSignature) {
+    return false;
+  }
+  await reloadFaqIndex();
+  return true;
+}
+
+/**
+ * 初始化 FAQ 知識庫：資料庫沒有 FAQ 時匯入 CSV 檔，再載入已發布的 FAQ
+ * （資料庫未連接時會拋出錯誤，沿用啟動時載入的 CSV 資料）
+ */
+export async function initFaqKnowledgeBase() {
+  if (await prisma.faqEntry.count() === 0) {
+    const result = await importFaqCsv(fs.readFileSync(FAQ_CSV_PATH, 'utf-8'), {
+      publish: true,
+      note: '初始匯入',
+    });
+    console.log(`📥 已從 CSV 匯入 ${result.created} 筆 FAQ 到資料庫`);
+  }
+  return reloadFaqIndex();
+}
+
+/**
+ * 建立新版本（不重建索引）
+ * @param {Object} entry - FaqEntry
+ * @param {Object} content - 新版本的完整內容
+ * @param {Object} options - { userId, note, publish }
+ * @returns {Promise<Object>} 更新後的 FaqEntry
+ */
+async function saveRevision(entry, content, { userId = null, note = null, publish = false }) {
+  const version = entry.latestVersion + 1;
+
+  const [, updated] = await prisma.$transaction([
+    prisma.faqRevision.create({
+      data: { faqId: entry.id, version, ...content, note, createdById: userId },
+    }),
+    prisma.faqEntry.update({
+      where: { id: entry.id },
+      data: {
+        latestVersion: version,
+        // 發布中的內容不變，直到發布新版本
+        ...(publish || entry.publishedVersion === null ? content : {}),
+        ...(publish ? { publishedVersion: version, publishedAt: new Date() } : {}),
+      },
+    }),
+  ]);
+  return updated;
+}
+
+/**
+ * 新增 FAQ（不重建索引）
+ */
+async function insertFaq(data, { regionId = null, userId = null, note = null, publish = false }) {
+  const content = pickContent(data);
+  const code = data.code?.trim() || await nextFaqCode();
+
+  return prisma.faqEntry.create({
+    data: {
+      code,
+      regionId,
+      ...content,
+      latestVersion: 1,
+      publishedVersion: publish ? 1 : null,
+      publishedAt: publish ? new Date() : null,
+      revisions: {
+        create: { version: 1, ...content, note, createdById: userId },
+      },
+    },
+  });
+}
+
+/**
+ * 新增 FAQ
+ * @param {Object} data - 內容（可指定 code，未指定時自動產生）
+ * @param {Object} [options] - { regionId, userId, publish }
+ * @returns {Promise<Object>} FaqEntry
+ */
+export async function createFaq(data, options = {}) {
+  const entry = await insertFaq(data, options);
+  if (options.publish) {
+    await reloadFaqIndex();
+  }
+  console.log(`📝 新增 FAQ ${entry.code}${options.publish ? '（已發布）' : ''}`);
+  return entry;
+}
+
+/**
+ * 取得最新版本的內容
+ */
+async function getLatestContent(entry) {
+  const revision = await prisma.faqRevision.findUnique({
+    where: { faqId_version: { faqId: entry.id, version: entry.latestVersion } },
+  });
+  return Object.fromEntries(CONTENT_FIELDS.map(field => [field, revision[field]]));
+}
+
+/**
+ * 修改 FAQ（以最新版本為基礎建立新版本）
+ * @param {Object} entry - FaqEntry
+ * @param {Object} data - 要修改的內容欄位
+ * @param {Object} [options] - { userId, note, publish }
+ * @returns {Promise<Object|null>} 更新後的 FaqEntry，內容沒有變更時返回 null
+ */
+export async function updateFaq(entry, data, options = {}) {
+  const latest = await getLatestContent(entry);
+  const content = { ...latest, ...pickContent(data) };
+
+  if (isSameContent(content, latest)) {
+    return null;
+  }
+
+  const updated = await saveRevision(entry, content, options);
+  if (options.publish) {
+    await reloadFaqIndex();
+  }
+  console.log(`📝 FAQ ${entry.code} 新增第 ${updated.latestVersion} 版${options.publish ? '（已發布）' : ''}`);
+  return updated;
+}
+
+/**
+ * 發布指定版本
+ * @param {Object} entry - FaqEntry
+ * @param {number} [version] - 版本（預設為最新版本）
+ * @returns {Promise<Object|null>} 更新後的 FaqEntry，版本不存在時返回 null
+ */
+export async function publishFaq(entry, version = entry.latestVersion) {
+  const revision = await prisma.faqRevision.findUnique({
+    where: { faqId_version: { faqId: entry.id, version } },
+  });
+  if (!revision) {
+    return null;
+  }
+
+  const updated = await prisma.faqEntry.update({
+    where: { id: entry.id },
+    data: {
+      ...Object.fromEntries(CONTENT_FIELDS.map(field => [field, revision[field]])),
+      publishedVersion: version,
+      publishedAt: new Date(),
+    },
+  });
+
+  await reloadFaqIndex();
+  console.log(`🚀 發布 FAQ ${entry.code} 第 ${version} 版`);
+  return updated;
+}
+
+/**
+ * 回復到舊版本（以舊版本內容建立新版本並發布）
+ * @param {Object} entry - FaqEntry
+ * @param {number} version - 要回復的版本
+ * @param {string} [userId] - 操作者
+ * @returns {Promise<Object|null>} 更新後的 FaqEntry，版本不存在時返回 null
+ */
+export async function rollbackFaq(entry, version, userId = null) {
+  const revision = await prisma.faqRevision.findUnique({
+    where: { faqId_version: { faqId: entry.id, version } },
+  });
+  if (!revision) {
+    return null;
+  }
+
+  const content = Object.fromEntries(CONTENT_FIELDS.map(field => [field, revision[field]]));
+  const updated = await saveRevision(entry, content, {
+    userId,
+    note: `回復到第 ${version} 版`,
+    publish: true,
+  });
+
+  await reloadFaqIndex();
+  console.log(`⏪ FAQ ${entry.code} 回復到第 ${version} 版（第 ${updated.latestVersion} 版）`);
+  return updated;
+}
+
+/**
+ * 啟用／停用 FAQ
+ * @param {Object} entry - FaqEntry
+ * @param {boolean} isActive - 是否啟用
+ * @returns {Promise<Object>} 更新後的 FaqEntry
+ */
+export async function setFaqActive(entry, isActive) {
+  const updated = await prisma.faqEntry.update({
+    where: { id: entry.id },
+    data: { isActive },
+  });
+  await reloadFaqIndex();
+  return updated;
+}
+
+/**
+ * 匯入 CSV（格式與 data/faq_knowledge_base.csv 相同）
+ * 編號已存在的 FAQ 內容有變更時建立新版本，不存在時新增
+ * @param {string} content - CSV 內容
+ * @param {Object} [options]
+ * @param {string} [options.regionId] - 新增的 FAQ 所屬區域（null = 全域）
+ * @param {string} [options.userId] - 操作者
+ * @param {boolean} [options.publish] - 是否直接發布
+ * @param {string} [options.note] - 版本說明
+ * @param {Function} [options.canModify] - (entry) => boolean，是否可修改已存在的 FAQ
+ * @returns {Promise<Object>} { created, updated, unchanged, errors: [{ line, code, message }] }
+ */
+export async function importFaqCsv(content, {
+  regionId = null,
+  userId = null,
+  publish = false,
+  note = 'CSV 匯入',
+  canModify = () => true,
+} = {}) {
+  const result = { created: 0, updated: 0, unchanged: 0, errors: [] };
+  const seen = new Set();
+
+  for (const { line, id: code, ...row } of parseFAQCsv(content)) {
+    const error = seen.has(code) ? '編號重複' : validateFaqContent(row);
+    if (error) {
+      result.errors.push({ line, code, message: error });
+      continue;
+    }
+    seen.add(code);
+
+    const entry = await prisma.faqEntry.findUnique({ where: { code } });
+    if (!entry) {
+      await insertFaq({ code, ...row }, { regionId, userId, note, publish });
+      result.created++;
+      continue;
+    }
+
+    if (!canModify(entry)) {
+      result.errors.push({ line, code, message: '無權修改此 FAQ' });
+      continue;
+    }
+
+    const latest = await getLatestContent(entry);
+    const next = { ...latest, ...pickContent(row) };
+    if (isSameContent(next, latest)) {
+      result.unchanged++;
+      continue;
+    }
+    await saveRevision(entry, next, { userId, note, publish });
+    result.updated++;
+  }
+
+  if (publish && (result.created > 0 || result.updated > 0)) {
+    await reloadFaqIndex();
+  }
+
+  console.log(`📥 FAQ CSV 匯入：新增 ${result.created}、更新 ${result.updated}、未變更 ${result.unchanged}、錯誤 ${result.errors.length}`);
+  return result;
+}
+
+/**
+ * 匯出 CSV（已發布的內容；尚未發布的 FAQ 為最新版本的內容）
+ * @param {Object} where - 查詢條件
+ * @returns {Promise<string>} CSV 內容
+ */
+export async function exportFaqCsv(where) {
+  const entries = await prisma.faqEntry.findMany({
+    where,
+    orderBy: { code: 'asc' },
+  });
+
+  return formatFAQCsv(entries.map(entry => ({ ...entry, id: entry.code })));
+}
+
+export default {
+  validateFaqContent,
+  reloadFaqIndex,
+  refreshFaqIndexIfChanged,
+  initFaqKnowledgeBase,
+  createFaq,
+  updateFaq,
+  publishFaq,
+  rollbackFaq,
+  setFaqActive,
+  importFaqCsv,
+  exportFaqCsv,
+};
@@ -0,0 +1,118 @@
+/**
+ * 檔案存儲服務
+ * 金龍永盛客服管理後台
+ *
+ * 客服上傳（/api/upload）與客戶從渠道傳來的檔案共用同一個上傳目錄，
+ * 由 /uploads 靜態路由提供存取
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+
+// 上傳目錄
+export const UPLOAD_DIR = './uploads';
+
+// 單檔大小上限（10MB）
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// MIME 類型對應的副檔名（不在清單內的類型一律存為 .bin，避免被瀏覽器直接執行）
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/zip': '.zip',
+  'text/plain': '.txt',
+  'audio/m4a': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/mp4': '.m4a',
+  'audio/mpeg': '.mp3',
+  'video/mp4': '.mp4',
+};
+
+const SAFE_EXTENSIONS = new Set(Object.values(MIME_EXTENSIONS));
+
+/**
+ * 確保上傳目錄存在
+ */
+export function ensureUploadDir() {
+  if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  }
+}
+
+/**
+ * 產生唯一檔名：時間戳-隨機字串.副檔名
+ * @param {string} ext - 副檔名（含 .）
+ */
+export function generateFileName(ext) {
+  const uniqueSuffix = `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+  return `${uniqueSuffix}${ext}`;
+}
+
+/**
+ * 依原始檔名或 MIME 類型決定副檔名
+ * @param {string} [originalName] - 原始檔名
+ * @param {string} [mimeType] - MIME 類型
+ */
+export function getSafeExtension(originalName, mimeType) {
+  const ext = originalName ? path.extname(originalName).toLowerCase() : '';
+  if (SAFE_EXTENSIONS.has(ext)) {
+    return ext;
+  }
+  const baseType = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return MIME_EXTENSIONS[baseType] || '.bin';
+}
+
+/**
+ * 取得檔案的公開 URL
+ * @param {string} fileName - 存儲檔名
+ * @param {string} [baseUrl] - 服務網址（預設使用 BASE_URL 環境變數）
+ */
+export function getPublicFileUrl(fileName, baseUrl = null) {
+  const base = baseUrl || process.env.BASE_URL || `http://localhost:${config.server.port}`;
+  return `${base.replace(/\/$/, '')}/uploads/${fileName}`;
+}
+
+/**
+ * 將檔案內容存入上傳目錄
+ * @param {Buffer} buffer - 檔案內容
+ * @param {Object} [options]
+ * @param {string} [options.originalName] - 原始檔名
+ * @param {string} [options.mimeType] - MIME 類型
+ * @returns {Promise<Object>} { fileName, originalName, fileUrl, size, mimeType }
+ */
+export async function saveFileBuffer(buffer, { originalName = null, mimeType = null } = {}) {
+  if (buffer.length > MAX_FILE_SIZE) {
+    throw new Error(`檔案大小超過限制（最大 ${MAX_FILE_SIZE / 1024 / 1024}MB）`);
+  }
+
+  ensureUploadDir();
+
+  const fileName = generateFileName(getSafeExtension(originalName, mimeType));
+  await fs.promises.writeFile(path.join(UPLOAD_DIR, fileName), buffer);
+
+  return {
+    fileName,
+    originalName: originalName || fileName,
+    fileUrl: getPublicFileUrl(fileName),
+    size: buffer.length,
+    mimeType,
+  };
+}
+
+export default {
+  UPLOAD_DIR,
+  MAX_FILE_SIZE,
+  ensureUploadDir,
+  generateFileName,
+  getSafeExtension,
+  getPublicFileUrl,
+  saveFileBuffer,
+};
@@ -0,0 +1,316 @@
+/**
+ * 對話跟進服務
+ * 金龍永盛客服管理後台
+ *
+ * - 重新開啟：對話結束後在區域設定的時間內（settings.reopen.windowHours）客戶再次來訊，
+ *   重新開啟原對話並交回原客服；原客服不在線時改回等待佇列
+ * - 暫緩（snooze）：處理中的對話暫緩到指定時間，期間暫停 SLA 計時，客戶來訊或時間到時自動取消
+ * - 跟進提醒：客服設定提醒時間，由定時任務到期時即時通知
+ */
+
+import { prisma } from '../db.js';
+import { getCachedRegion } from './regionCacheService.js';
+import { HANDOFF_REASONS } from './humanHandoffService.js';
+import {
+  notifyConversationReopened,
+  notifyConversationWaiting,
+  notifySnoozeEnded,
+  notifyReminderDue,
+} from './agentNotificationService.js';
+import { SYSTEM_CONTENT_TYPE } from './noteService.js';
+
+// 預設：結束後 24 小時內再次來訊時重新開啟
+export const DEFAULT_REOPEN_WINDOW_HOURS = 24;
+export const MAX_REOPEN_WINDOW_HOURS = 720;
+
+// 暫緩及提醒最多設定到 30 天後
+export const MAX_FOLLOW_UP_DAYS = 30;
+
+/**
+ * 取得區域的重新開啟設定
+ * @param {Object} [settings] - Region.settings
+ * @returns {Object} { enabled, windowHours }
+ */
+export function getReopenPolicy(settings) {
+  const reopen = settings?.reopen || {};
+  return {
+    enabled: reopen.enabled !== false,
+    windowHours: reopen.windowHours || DEFAULT_REOPEN_WINDOW_HOURS,
+  };
+}
+
+/**
+ * 驗證重新開啟設定
+ * @param {Object} body - { enabled, windowHours }
+ * @returns {string|null} 錯誤訊息，驗證通過返回 null
+ */
+export function validateReopenPolicy({ enabled, windowHours }) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled 必須是布林值';
+  }
+  if (windowHours !== undefined
+    && (!Number.isInteger(windowHours) || windowHours < 1 || windowHours > MAX_REOPEN_WINDOW_HOURS)) {
+    return `windowHours 必須是 1-${MAX_REOPEN_WINDOW_HOURS} 的小時數`;
+  }
+  return null;
+}
+
+/**
+ * 解析跟進時間（必須在未來，且不超過 MAX_FOLLOW_UP_DAYS 天）
+ * @param {string} value - ISO 時間字串
+ * @returns {Object} { date } 或 { error }
+ */
+export function parseFollowUpTime(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return { error: '請提供有效的時間' };
+  }
+  if (date.getTime() <= Date.now()) {
+    return { error: '時間必須晚於現在' };
+  }
+  if (date.getTime() - Date.now() > MAX_FOLLOW_UP_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `時間不能超過 ${MAX_FOLLOW_UP_DAYS} 天後` };
+  }
+  return { date };
+}
+
+/**
+ * 重新開啟客戶最近結束的對話
+ * 只處理曾由客服接聽、且在區域設定時間內結束的對話
+ * 原客服在線時直接交回原客服，否則轉回等待佇列（由定時任務自動分派）
+ * @param {string} customerId - 客戶 ID
+ * @returns {Promise<Object|null>} 重新開啟的對話，不符合條件時返回 null
+ */
+export async function reopenRecentConversation(customerId) {
+  const last = await prisma.conversation.findFirst({
+    where: {
+      customerId,
+      status: 'CLOSED',
+      assignedAgentId: { not: null },
+      closedAt: { not: null },
+    },
+    orderBy: { closedAt: 'desc' },
+  });
+
+  if (!last) {
+    return null;
+  }
+
+  const region = await getCachedRegion(last.regionId);
+  const policy = getReopenPolicy(region?.settings);
+  if (!policy.enabled || Date.now() - last.closedAt.getTime() > policy.windowHours * 60 * 60 * 1000) {
+    return null;
+  }
+
+  const previousAgent = await prisma.user.findUnique({
+    where: { id: last.assignedAgentId },
+    select: { id: true, name: true, status: true, onlineStatus: true, regionId: true },
+  });
+  const agentAvailable = previousAgent?.status === 'ACTIVE'
+    && previousAgent.onlineStatus === 'ONLINE'
+    && previousAgent.regionId === last.regionId;
+
+  const now = new Date();
+  const data = agentAvailable
+    ? {
+      status: 'ASSIGNED',
+      assignedAt: now,
+      firstResponseAt: null,
+    }
+    : {
+      status: 'WAITING',
+      assignedAgentId: null,
+      assignedAt: null,
+      firstResponseAt: null,
+      botHandoffReason: HANDOFF_REASONS.REOPENED,
+      botHandoffAt: now,
+    };
+
+  // 以狀態條件更新，避免同一客戶的多則訊息重複開啟
+  const result = await prisma.conversation.updateMany({
+    where: { id: last.id, status: 'CLOSED' },
+    data: { ...data, closedAt: null, snoozedUntil: null },
+  });
+
+  if (result.count === 0) {
+    return null;
+  }
+
+  await prisma.message.create({
+    data: {
+      conversationId: last.id,
+      senderType: 'BOT',
+      contentType: SYSTEM_CONTENT_TYPE,
+      content: agentAvailable
+        ? `客戶再次來訊，對話已重新開啟並交回 ${previousAgent.name}`
+        : '客戶再次來訊，對話已重新開啟（原客服不在線，轉回等待佇列）',
+      metadata: {
+        type: 'SYSTEM',
+        action: 'REOPEN',
+        previousAgentId: last.assignedAgentId,
+        routedTo: agentAvailable ? 'AGENT' : 'QUEUE',
+      },
+    },
+  });
+
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: last.id },
+    include: {
+      customer: {
+        select: { id: true, displayName: true, vipLevel: true },
+      },
+    },
+  });
+
+  if (agentAvailable) {
+    notifyConversationReopened(conversation);
+  } else {
+    notifyConversationWaiting(conversation);
+  }
+  console.log(`🔁 重新開啟對話 ${last.id}（${agentAvailable ? `交回客服 ${previousAgent.id}` : '轉回等待佇列'}）`);
+
+  return conversation;
+}
+
+/**
+ * 暫緩對話
+ * @param {Object} conversation - 對話（ASSIGNED）
+ * @param {Date} until - 暫緩到此時間
+ * @returns {Promise<Object|null>} 更新後的對話，對話已不在處理中時返回 null
+ */
+export async function snoozeConversation(conversation, until) {
+  const result = await prisma.conversation.updateMany({
+    where: {
+      id: conversation.id,
+      status: 'ASSIGNED',
+      assignedAgentId: conversation.assignedAgentId,
+    },
+    data: { snoozedUntil: until },
+  });
+
+  if (result.count === 0) {
+    return null;
+  }
+
+  console.log(`😴 對話 ${conversation.id} 暫緩到 ${until.toISOString()}`);
+
+  return prisma.conversation.findUnique({
+    where: { id: conversation.id },
+  });
+}
+
+/**
+ * 取消暫緩並通知負責客服
+ * @param {Object} conversation - 對話 { id, regionId, assignedAgentId }
+ * @param {string} reason - TIME_UP | CUSTOMER_MESSAGE | AGENT
+ * @returns {Promise<boolean>} 是否有取消（對話本來就沒有暫緩時返回 false）
+ */
+export async function unsnoozeConversation(conversation, reason) {
+  const result = await prisma.conversation.updateMany({
+    where: { id: conversation.id, snoozedUntil: { not: null } },
+    data: { snoozedUntil: null },
+  });
+
+  if (result.count === 0) {
+    return false;
+  }
+
+  // 客服自行取消時不需要通知
+  if (reason !== 'AGENT' && conversation.assignedAgentId) {
+    notifySnoozeEnded(conversation, reason);
+  }
+  return true;
+}
+
+/**
+ * 喚醒暫緩時間已到的對話（定時任務呼叫）
+ * @returns {Promise<number>} 喚醒的對話數
+ */
+export async function wakeSnoozedConversations() {
+  const due = await prisma.conversation.findMany({
+    where: { snoozedUntil: { lte: new Date() } },
+    select: { id: true, regionId: true, status: true, assignedAgentId: true },
+  });
+
+  let woken = 0;
+  for (const conversation of due) {
+    // 對話已結束或轉走時只清除暫緩
+    const reason = conversation.status === 'ASSIGNED' ? 'TIME_UP' : 'AGENT';
+    if (await unsnoozeConversation(conversation, reason) && reason === 'TIME_UP') {
+      woken++;
+    }
+  }
+
+  if (woken > 0) {
+    console.log(`⏰ 已喚醒 ${woken} 個暫緩的對話`);
+  }
+  return woken;
+}
+
+/**
+ * 建立跟進提醒
+ * @param {Object} params
+ * @param {string} params.userId - 提醒對象（建立者）
+ * @param {string} [params.conversationId] - 相關對話
+ * @param {string} params.note - 提醒內容
+ * @param {Date} params.remindAt - 提醒時間
+ * @returns {Promise<Object>} FollowUpReminder 記錄
+ */
+export async function createReminder({ userId, conversationId = null, note, remindAt }) {
+  const reminder = await prisma.followUpReminder.create({
+    data: {
+      userId,
+      conversationId,
+      note: note.trim(),
+      remindAt,
+    },
+  });
+
+  console.log(`🔔 建立跟進提醒: ${reminder.id}（${remindAt.toISOString()}）`);
+  return reminder;
+}
+
+/**
+ * 發送到期的跟進提醒（定時任務呼叫）
+ * @returns {Promise<number>} 發送的提醒數
+ */
+export async function sendDueReminders() {
+  const due = await prisma.followUpReminder.findMany({
+    where: { status: 'PENDING', remindAt: { lte: new Date() } },
+    orderBy: { remindAt: 'asc' },
+  });
+
+  let sent = 0;
+  for (const reminder of due) {
+    // 以狀態條件更新，避免多個實例重複發送
+    const result = await prisma.followUpReminder.updateMany({
+      where: { id: reminder.id, status: 'PENDING' },
+      data: { status: 'SENT', sentAt: new Date() },
+    });
+
+    if (result.count > 0) {
+      notifyReminderDue(reminder);
+      sent++;
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`🔔 已發送 ${sent} 則跟進提醒`);
+  }
+  return sent;
+}
+
+export default {
+  DEFAULT_REOPEN_WINDOW_HOURS,
+  MAX_REOPEN_WINDOW_HOURS,
+  MAX_FOLLOW_UP_DAYS,
+  getReopenPolicy,
+  validateReopenPolicy,
+  parseFollowUpTime,
+  reopenRecentConversation,
+  snoozeConversation,
+  unsnoozeConversation,
+  wakeSnoozedConversations,
+  createReminder,
+  sendDueReminders,
+};
@@ -6,6 +6,7 @@
  */
 
 import { prisma } from '../db.js';
+import { notifyConversationWaiting } from './agentNotificationService.js';
 
 /**
  * 轉人工原因常量
@@ -17,6 +18,12 @@ export const HANDOFF_REASONS = {
   SENSITIVE_TOPIC: 'SENSITIVE_TOPIC',     // 敏感話題
   ESCALATION: 'ESCALATION',               // 升級處理
   OFF_HOURS_PENDING: 'OFF_HOURS_PENDING', // 非工作時間待處理
+  MEDIA_MESSAGE: 'MEDIA_MESSAGE',         // 客戶傳送圖片/檔案（機器人無法處理）
+  QUEUE_OPTIONS_OFFERED: 'QUEUE_OPTIONS_OFFERED',   // 等待過久，等待客戶選擇繼續等候／回電／留言
+  CALLBACK_PHONE_PENDING: 'CALLBACK_PHONE_PENDING', // 等待客戶提供回電號碼
+  LEAVE_MESSAGE_PENDING: 'LEAVE_MESSAGE_PENDING',   // 等待客戶輸入留言
+  AGENT_TRANSFER: 'AGENT_TRANSFER',       // 客服轉回佇列或轉到其他區域
+  REOPENED: 'REOPENED',                   // 結束的對話重新開啟，原客服不在線
 };
 
 /**
@@ -64,8 +71,8 @@ export async function handoffToHuman(conversationId, reason, options = {}) {
 
     console.log(`🔄 對話 ${conversationId} 已轉人工 (原因: ${reason})`);
 
-    // TODO: 未來可以在這裡發送通知給線上客服
-    // await notifyOnlineAgents(conversation.regionId, conversation);
+    // 通知區域內的線上客服
+    await notifyOnlineAgents(conversation.regionId, conversation);
 
     return conversation;
   } catch (error) {
@@ -141,6 +148,163 @@ export async function getQueuePosition(conversationId) {
   }
 }
 
+// 沒有足夠的歷史資料時，預設每個對話的處理時間（分鐘）
+const DEFAULT_HANDLE_MINUTES = 10;
+// 計算平均處理時間的樣本數（最近結束的對話）
+const HANDLE_TIME_SAMPLE_SIZE = 30;
+// 預設的等待提醒門檻（分鐘）
+const DEFAULT_QUEUE_NOTICE_THRESHOLDS = [5, 15, 30];
+
+// 詢問等待時間的訊息（如「還要等多久」「我排第幾」）
+const WAIT_TIME_QUERY_PATTERN = /(還要|要|得)等(多久|多長)|等(了)?(很久|好久|半天)|還要多久|多久(才|會)*(有人|輪到|回覆|回)|排(在)?第幾|第幾(位|個|號)|前面(還)?有幾|怎麼還沒(有)?人/;
+
+/**
+ * 取得區域的等待提醒門檻（Region.settings.queueNotice.thresholds）
+ * @param {Object} settings - Region.settings
+ * @returns {number[]} 由小到大的分鐘數
+ */
+export function getQueueNoticeThresholds(settings) {
+  const thresholds = settings?.queueNotice?.thresholds;
+  if (!Array.isArray(thresholds)) {
+    return DEFAULT_QUEUE_NOTICE_THRESHOLDS;
+  }
+  return [...thresholds].sort((a, b) => a - b);
+}
+
+/**
+ * 是否為詢問等待時間的訊息
+ * @param {string} text - 客戶訊息
+ */
+export function isWaitTimeQuery(text) {
+  return typeof text === 'string' && WAIT_TIME_QUERY_PATTERN.test(text);
+}
+
+/**
+ * 區域最近的平均處理時間（接聽到結束）
+ * @param {string} regionId - 區域 ID
+ * @returns {Promise<number>} 分鐘
+ */
+export async function getAverageHandleMinutes(regionId) {
+  const recent = await prisma.conversation.findMany({
+    where: {
+      regionId,
+      status: 'CLOSED',
+      assignedAt: { not: null },
+      closedAt: { not: null },
+    },
+    orderBy: { closedAt: 'desc' },
+    take: HANDLE_TIME_SAMPLE_SIZE,
+    select: { assignedAt: true, closedAt: true },
+  });
+
+  if (recent.length === 0) {
+    return DEFAULT_HANDLE_MINUTES;
+  }
+
+  const totalMinutes = recent.reduce(
+    (sum, conv) => sum + (conv.closedAt.getTime() - conv.assignedAt.getTime()) / 60000,
+    0
+  );
+  return Math.max(1, totalMinutes / recent.length);
+}
+
+/**
+ * 估計佇列中第 position 位的等待時間
+ * 以線上客服的總同時處理量及最近的平均處理時間估算
+ * @param {string} regionId - 區域 ID
+ * @param {number} position - 佇列位置（從 1 開始）
+ * @returns {Promise<number|null>} 分鐘，沒有線上客服時返回 null
+ */
+export async function estimateWaitMinutes(regionId, position) {
+  const onlineAgents = await prisma.user.findMany({
+    where: {
+      regionId,
+      status: 'ACTIVE',
+      onlineStatus: 'ONLINE',
+      role: { in: ['AGENT', 'REGION_ADMIN'] },
+    },
+    select: {
+      maxConcurrentConversations: true,
+      _count: {
+        select: {
+          assignedConversations: {
+            where: { status: 'ASSIGNED' },
+          },
+        },
+      },
+    },
+  });
+
+  const capacity = onlineAgents.reduce((sum, agent) => sum + agent.maxConcurrentConversations, 0);
+  if (capacity === 0) {
+    return null;
+  }
+
+  return calculateWaitMinutes({
+    capacity,
+    active: onlineAgents.reduce((sum, agent) => sum + agent._count.assignedConversations, 0),
+    handleMinutes: await getAverageHandleMinutes(regionId),
+    position,
+  });
+}
+
+/**
+ * 依客服處理量計算佇列中第 position 位的等待時間
+ * @param {Object} params
+ * @param {number} params.capacity - 線上客服的總同時處理量
+ * @param {number} params.active - 處理中的對話數
+ * @param {number} params.handleMinutes - 平均處理時間（分鐘）
+ * @param {number} params.position - 佇列位置（從 1 開始）
+ * @returns {number|null} 分鐘（至少 1），沒有處理量時返回 null
+ */
+export function calculateWaitMinutes({ capacity, active, handleMinutes, position }) {
+  if (capacity <= 0) {
+    return null;
+  }
+
+  // 有空位時很快就會被接聽；否則需等前面的對話陸續結束
+  const freeSlots = Math.max(0, capacity - active);
+  const waitingForSlot = Math.max(0, position - freeSlots);
+  return Math.max(1, Math.ceil((waitingForSlot * handleMinutes) / capacity));
+}
+
+/**
+ * 取得等待中對話的佇列狀態
+ * @param {string} conversationId - 對話 ID
+ * @returns {Promise<Object|null>} { position, etaMinutes }，不在佇列中時返回 null
+ */
+export async function getQueueStatus(conversationId) {
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: conversationId },
+    select: { regionId: true },
+  });
+  const position = await getQueuePosition(conversationId);
+
+  if (!conversation || position === 0) {
+    return null;
+  }
+
+  return {
+    position,
+    etaMinutes: await estimateWaitMinutes(conversation.regionId, position),
+  };
+}
+
+/**
+ * 佇列狀態的客戶提示文字
+ * @param {Object} status - getQueueStatus 的結果
+ * @returns {string}
+ */
+export function formatQueueStatus(status) {
+  if (!status) {
+    return '客服人員即將為您服務，請稍候。';
+  }
+  if (status.etaMinutes === null) {
+    return `目前排在第 ${status.position} 位，客服人員忙線中，請稍候。`;
+  }
+  return `目前排在第 ${status.position} 位，預計等待約 ${status.etaMinutes} 分鐘。`;
+}
+
 /**
  * 取得區域的等待佇列統計
  * @param {string} regionId - 區域 ID
@@ -148,51 +312,30 @@ export async function getQueuePosition(conversationId) {
  */
 export async function getQueueStats(regionId) {
   try {
-    const [waiting, avgWaitTime] = await Promise.all([
-      // 等待中的對話數
-      prisma.conversation.count({
-        where: {
-          regionId,
-          status: 'WAITING',
-        },
-      }),
-      // 平均等待時間
-      prisma.conversation.aggregate({
-        where: {
-          regionId,
-          status: 'WAITING',
-          botHandoffAt: { not: null },
-        },
-        _avg: {
-          // 這裡無法直接計算等待時間，需要在應用層處理
-        },
-      }),
-    ]);
-
-    // 取得最長等待時間
-    const oldestWaiting = await prisma.conversation.findFirst({
+    // 等待時間需要在應用層計算（Prisma 無法聚合時間差）
+    const waitingConversations = await prisma.conversation.findMany({
       where: {
         regionId,
         status: 'WAITING',
       },
-      orderBy: { botHandoffAt: 'asc' },
-      select: { botHandoffAt: true },
+      select: { botHandoffAt: true, createdAt: true },
     });
 
-    let maxWaitMinutes = 0;
-    if (oldestWaiting?.botHandoffAt) {
-      maxWaitMinutes = Math.floor(
-        (Date.now() - oldestWaiting.botHandoffAt.getTime()) / 60000
-      );
-    }
+    const now = Date.now();
+    const waitMinutes = waitingConversations.map(conv =>
+      (now - (conv.botHandoffAt || conv.createdAt).getTime()) / 60000
+    );
 
     return {
-      waiting,
-      maxWaitMinutes,
+      waiting: waitingConversations.length,
+      avgWaitMinutes: waitMinutes.length > 0
+        ? Math.floor(waitMinutes.reduce((sum, minutes) => sum + minutes, 0) / waitMinutes.length)
+        : 0,
+      maxWaitMinutes: waitMinutes.length > 0 ? Math.floor(Math.max(...waitMinutes)) : 0,
     };
   } catch (error) {
     console.error('❌ getQueueStats 失敗:', error);
-    return { waiting: 0, maxWaitMinutes: 0 };
+    return { waiting: 0, avgWaitMinutes: 0, maxWaitMinutes: 0 };
   }
 }
 
@@ -211,13 +354,12 @@ export function getPriorityByVipLevel(vipLevel) {
 }
 
 /**
- * 通知線上客服有新對話（未來擴展用）
+ * 通知線上客服有新對話（透過 socket.io /agent 命名空間推送）
  * @param {string} regionId - 區域 ID
  * @param {Object} conversation - 對話資訊
  */
 export async function notifyOnlineAgents(regionId, conversation) {
-  // TODO: 實現 WebSocket 或推送通知
-  // 目前只記錄日誌
+  notifyConversationWaiting({ ...conversation, regionId });
   console.log(`📢 通知區域 ${regionId} 的線上客服：新對話等待中`);
 }
 
@@ -226,6 +368,13 @@ export default {
   handoffToHuman,
   markOffHoursPending,
   getQueuePosition,
+  getQueueNoticeThresholds,
+  isWaitTimeQuery,
+  getAverageHandleMinutes,
+  estimateWaitMinutes,
+  calculateWaitMinutes,
+  getQueueStatus,
+  formatQueueStatus,
   getQueueStats,
   getPriorityByVipLevel,
   notifyOnlineAgents,
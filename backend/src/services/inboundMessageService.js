@@ -0,0 +1,375 @@
+/**
+ * 訊息處理管線服務
+ * 金龍永盛客服管理後台
+ *
+ * 各渠道（LINE / FB / WEB）共用的入站訊息處理流程，整合了：
+ * - 客戶/對話/訊息的資料庫存儲
+ * - 工作時段判斷
+ * - 轉人工處理（等待過久時提供回電／留言選項）
+ * - 剛結束的對話重新開啟、暫緩中的對話恢復處理
+ * - 滿意度調查的回覆（記在原對話，不交給 AI 判斷意圖）
+ * - AI 推薦回覆（已接手對話）
+ * - Webhook 事件重試時不重複儲存客戶訊息、不重複回覆
+ *
+ * 回覆以渠道無關的格式返回（見 channels/messages.js），由各渠道轉換成自己的訊息格式後發送
+ */
+
+import { handleMessage } from '../intentRouter.js';
+import {
+  getOrCreateCustomer,
+  getOrCreateConversation,
+  saveMessage,
+  findStoredCustomerMessage,
+} from './conversationService.js';
+import { isWithinWorkingHours, getOffHoursMessage } from './workingHoursService.js';
+import {
+  handoffToHuman,
+  markOffHoursPending,
+  getPriorityByVipLevel,
+  isWaitTimeQuery,
+  getQueueStatus,
+  formatQueueStatus,
+} from './humanHandoffService.js';
+import { generateAndSaveSuggestedReply } from './aiSuggestionService.js';
+import {
+  isAwaitingQueueOption,
+  handleQueueOptionReply,
+  checkQueueOptions,
+  offerQueueOptions,
+} from './callbackService.js';
+import { unsnoozeConversation } from './followUpService.js';
+import { handleSurveyReply } from './csatService.js';
+import { recordUnansweredQuery } from './faqGapService.js';
+import { createTextReply, createCardReply } from '../channels/messages.js';
+import { notifyCustomerMessage, notifySuggestionReady } from './agentNotificationService.js';
+
+/**
+ * 處理入站訊息（帶資料庫持久化）
+ *
+ * 文字訊息交由 AI 處理；機器人無法處理的訊息（圖片、檔案等）指定 handoffReason 直接轉人工；
+ * 不需要回覆的訊息（貼圖、位置等）指定 recordOnly 只做記錄
+ *
+ * @param {Object} params
+ * @param {Object} params.region - 區域資料
+ * @param {string} params.source - 來源 (LINE | FB | WEB)
+ * @param {string} params.sourceUserId - 來源用戶 ID
+ * @param {Object} [params.profile] - 用戶資料 { displayName, pictureUrl }
+ * @param {string} params.text - 訊息內容（非文字訊息為顯示用的替代文字）
+ * @param {string} [params.contentType] - 訊息類型 (TEXT | IMAGE | FILE)
+ * @param {string} [params.fileUrl] - 檔案 URL
+ * @param {string} [params.fileName] - 檔案名稱
+ * @param {Object} [params.metadata] - 客戶訊息的元數據（如渠道訊息 ID）
+ * @param {string} [params.handoffReason] - 不經 AI 直接轉人工的原因
+ * @param {boolean} [params.recordOnly] - 只記錄訊息，不回覆
+ * @param {Object} [params.postback] - 按鈕回傳資料（見 intentRouter.parsePostbackData）
+ * @param {Object} [params.timing] - 耗時記錄物件（會被填入各步驟耗時）
+ * @returns {Promise<Object>} 處理結果（含 replies）
+ */
+export async function processInboundMessage({
+  region,
+  source,
+  sourceUserId,
+  profile = null,
+  text,
+  contentType = 'TEXT',
+  fileUrl = null,
+  fileName = null,
+  metadata = {},
+  handoffReason = null,
+  recordOnly = false,
+  postback = null,
+  timing = {},
+}) {
+  // 1. 建立/更新客戶記錄
+  let t1 = Date.now();
+  const customer = await getOrCreateCustomer(
+    region.id,
+    source,
+    sourceUserId,
+    profile || { displayName: sourceUserId }
+  );
+  timing.customer = Date.now() - t1;
+
+  // 1-0. Webhook 事件重試：已回覆過的訊息不再處理；已儲存但未處理完成時沿用已儲存的訊息
+  const stored = await findStoredCustomerMessage(customer.id, metadata);
+  if (stored?.replied) {
+    console.log(`⏭️ 訊息已處理過，略過重試: ${stored.message.id}`);
+    return {
+      success: true,
+      duplicate: true,
+      handledByAgent: false,
+      conversationId: stored.message.conversationId,
+      customerId: customer.id,
+      isNewConversation: false,
+      customerMessageId: stored.message.id,
+      requiresHuman: false,
+      handoffPerformed: false,
+      replies: [],
+    };
+  }
+  const saveCustomerMessage = (conversationId, options) => (
+    stored?.message.conversationId === conversationId
+      ? stored.message
+      : saveMessage(conversationId, 'CUSTOMER', text, options)
+  );
+
+  // 1-1. 滿意度調查的回覆：記在原對話，不重新開啟對話，也不交給 AI 判斷意圖
+  if (contentType === 'TEXT' && !handoffReason) {
+    const survey = await handleSurveyReply(customer.id, text, postback);
+    if (survey) {
+      const customerMessage = await saveCustomerMessage(survey.conversationId, {
+        metadata: { ...metadata, type: 'CSAT' },
+      });
+      const botMessage = await saveMessage(survey.conversationId, 'BOT', survey.replies.map(r => r.text).join('\n'), {
+        metadata: { type: 'CSAT', action: survey.action, rating: survey.rating ?? null },
+      });
+
+      return {
+        success: true,
+        handledByAgent: false,
+        conversationId: survey.conversationId,
+        customerId: customer.id,
+        isNewConversation: false,
+        customerMessageId: customerMessage.id,
+        botMessageId: botMessage.id,
+        intent: null,
+        requiresHuman: false,
+        handoffPerformed: false,
+        replies: survey.replies,
+      };
+    }
+  }
+
+  // 2. 取得/建立對話
+  t1 = Date.now();
+  const { conversation, isNew } = await getOrCreateConversation(
+    customer.id,
+    region.id,
+    source,
+    sourceUserId
+  );
+  timing.conversation = Date.now() - t1;
+
+  // 3. 儲存用戶訊息
+  t1 = Date.now();
+  const customerMessage = await saveCustomerMessage(conversation.id, {
+    contentType,
+    fileUrl,
+    fileName,
+    metadata,
+  });
+  timing.saveUserMsg = Date.now() - t1;
+
+  // 4. 檢查對話狀態
+  if (conversation.status === 'ASSIGNED') {
+    // 已有客服處理，不進行 AI 自動回覆，即時通知負責客服
+    notifyCustomerMessage(conversation, customerMessage);
+
+    // 客戶來訊時取消暫緩
+    if (conversation.snoozedUntil) {
+      await unsnoozeConversation(conversation, 'CUSTOMER_MESSAGE');
+    }
+
+    // 異步生成推薦回覆供客服參考（不阻塞主流程），完成後通知負責客服
+    if (contentType === 'TEXT' && !recordOnly) {
+      generateAndSaveSuggestedReply(customerMessage.id, conversation.id)
+        .then(updated => {
+          if (updated) {
+            console.log(`💡 已為對話 ${conversation.id} 生成推薦回覆`);
+            notifySuggestionReady(conversation, customerMessage.id, updated.metadata?.suggestedReply);
+          }
+        })
+        .catch(err => console.error('❌ 生成推薦回覆失敗:', err));
+    }
+
+    console.log(`💬 對話已由客服處理，訊息已記錄`);
+    return {
+      success: true,
+      handledByAgent: true,
+      conversationId: conversation.id,
+      customerId: customer.id,
+      isNewConversation: isNew,
+      customerMessageId: customerMessage.id,
+      replies: [],
+    };
+  }
+
+  if (recordOnly) {
+    return {
+      success: true,
+      handledByAgent: false,
+      conversationId: conversation.id,
+      customerId: customer.id,
+      isNewConversation: isNew,
+      customerMessageId: customerMessage.id,
+      requiresHuman: false,
+      handoffPerformed: false,
+      replies: [],
+    };
+  }
+
+  // 等待中的客戶詢問等待時間：直接回覆即時的佇列位置，不重新判斷意圖
+  if (conversation.status === 'WAITING' && contentType === 'TEXT' && isWaitTimeQuery(text)) {
+    const queueStatus = await getQueueStatus(conversation.id);
+    const reply = createTextReply(`⏳ ${formatQueueStatus(queueStatus)}`);
+    const botMessage = await saveMessage(conversation.id, 'BOT', reply.text, {
+      metadata: {
+        type: 'QUEUE_STATUS',
+        queuePosition: queueStatus?.position ?? null,
+        etaMinutes: queueStatus?.etaMinutes ?? null,
+      },
+    });
+
+    return {
+      success: true,
+      handledByAgent: false,
+      conversationId: conversation.id,
+      customerId: customer.id,
+      isNewConversation: isNew,
+      customerMessageId: customerMessage.id,
+      botMessageId: botMessage.id,
+      intent: null,
+      requiresHuman: false,
+      handoffPerformed: false,
+      replies: [reply],
+    };
+  }
+
+  // 正在選擇繼續等候／回電／留言：處理選擇流程，不屬於流程的訊息交由 AI 處理
+  if (isAwaitingQueueOption(conversation) && contentType === 'TEXT' && !handoffReason) {
+    const option = await handleQueueOptionReply(conversation, customer, text);
+    if (option) {
+      const botMessage = await saveMessage(conversation.id, 'BOT', option.replies.map(r => r.text).join('\n'), {
+        metadata: {
+          type: 'QUEUE_OPTION',
+          action: option.action,
+          handoffPerformed: option.handoffPerformed,
+        },
+      });
+
+      return {
+        success: true,
+        handledByAgent: false,
+        conversationId: conversation.id,
+        customerId: customer.id,
+        isNewConversation: isNew,
+        customerMessageId: customerMessage.id,
+        botMessageId: botMessage.id,
+        intent: null,
+        requiresHuman: option.handoffPerformed,
+        handoffPerformed: option.handoffPerformed,
+        replies: option.replies,
+      };
+    }
+  }
+
+  // 5. AI 處理訊息（機器人無法處理的訊息直接轉人工）
+  let result;
+  if (handoffReason) {
+    result = {
+      intent: null,
+      confidence: null,
+      classifierSource: null,
+      requiresHuman: true,
+      reply: contentType === 'IMAGE' ? '已收到您傳送的圖片。' : '已收到您傳送的檔案。',
+    };
+  } else {
+    t1 = Date.now();
+    result = await handleMessage(text, conversation.id, sourceUserId, { postback, regionId: region.id });
+    timing.aiProcessing = Date.now() - t1;
+  }
+
+  // 6. 判斷是否需要轉人工
+  // 處理器提供卡片內容時以卡片回覆（LINE 為 Flex Message，其他渠道降級為文字）
+  const mainReply = result.card
+    ? createCardReply(result.card.type, result.card.data, result.reply, result.card.actions)
+    : null;
+  const replies = [];
+  let handoffPerformed = false;
+
+  if (result.requiresHuman) {
+    // 檢查工作時段
+    t1 = Date.now();
+    const withinWorkingHours = await isWithinWorkingHours(region.id);
+    timing.workingHours = Date.now() - t1;
+
+    // 尚未在佇列中且預估等待過久：先讓客戶選擇繼續等候、回電或留言
+    const queueCheck = withinWorkingHours && conversation.status !== 'WAITING'
+      ? await checkQueueOptions(region)
+      : null;
+
+    if (queueCheck) {
+      replies.push(mainReply || createTextReply(result.reply));
+      replies.push(await offerQueueOptions(conversation.id, queueCheck));
+    } else if (withinWorkingHours) {
+      // 工作時間內：轉人工佇列
+      const priority = getPriorityByVipLevel(customer.vipLevel || 0);
+      // 已在佇列中的對話不重新排隊，避免失去原本的順位
+      if (conversation.status !== 'WAITING') {
+        await handoffToHuman(conversation.id, handoffReason || result.intent || 'USER_REQUEST', { priority });
+      }
+      handoffPerformed = true;
+
+      // 發送 AI 回覆 + 轉人工提示（含佇列位置及預估等待時間）
+      const queueStatus = await getQueueStatus(conversation.id);
+      replies.push(mainReply || createTextReply(result.reply));
+      replies.push(createTextReply(`💡 您的問題需要專人協助，已為您轉接客服人員。${formatQueueStatus(queueStatus)}`));
+    } else {
+      // 非工作時間：標記待處理，發送統一回覆
+      await markOffHoursPending(conversation.id);
+
+      const offHoursMsg = await getOffHoursMessage(region.id);
+      replies.push(createTextReply(offHoursMsg));
+    }
+  } else {
+    // 不需要轉人工：正常 AI 回覆（附帶快速回覆選項）
+    replies.push(mainReply || createTextReply(result.reply, result.suggestedActions || []));
+  }
+
+  // 記錄機器人沒有答好的問題（FAQ 缺口）
+  // 轉人工只記錄尚未在佇列中的對話；按鈕、圖片、處理失敗及客戶主動要求轉人工的訊息本身不是問題，不記錄
+  const isNewHandoff = result.requiresHuman && conversation.status !== 'WAITING'
+    && !handoffReason && !postback && result.success !== false && result.intent !== 'TRANSFER_AGENT';
+  const faqGap = result.faqGap || (isNewHandoff ? { reason: 'HANDOFF' } : null);
+  if (faqGap) {
+    await recordUnansweredQuery({
+      regionId: region.id,
+      conversationId: conversation.id,
+      message: text,
+      intent: result.intent,
+      ...faqGap,
+    });
+  }
+
+  // 7. 儲存 BOT 回覆
+  t1 = Date.now();
+  const botReplyText = replies.map(r => r.text).join('\n');
+  const botMessage = await saveMessage(conversation.id, 'BOT', botReplyText, {
+    metadata: {
+      intent: result.intent,
+      confidence: result.confidence,
+      classifierSource: result.classifierSource,
+      requiresHuman: result.requiresHuman,
+      handoffPerformed,
+    },
+  });
+  timing.saveBotMsg = Date.now() - t1;
+
+  return {
+    success: true,
+    handledByAgent: false,
+    conversationId: conversation.id,
+    customerId: customer.id,
+    isNewConversation: isNew,
+    customerMessageId: customerMessage.id,
+    botMessageId: botMessage.id,
+    intent: result.intent,
+    requiresHuman: result.requiresHuman,
+    handoffPerformed,
+    replies,
+  };
+}
+
+export default {
+  processInboundMessage,
+};
@@ -0,0 +1,211 @@
+/**
+ * 內部備註服務
+ * 金龍永盛客服管理後台
+ *
+ * 客服可在對話中留下內部備註（Message.contentType = NOTE）：
+ * - 只在工作台的訊息列表及對話匯出中顯示（標記為內部備註），不會推送給客戶
+ * - 以「@姓名」提及同區域的其他用戶時，即時通知被提及的用戶
+ *
+ * 結束摘要、轉接原因、自動分派、主管接手等系統紀錄（Message.contentType = SYSTEM）同樣只給工作台看
+ */
+
+import { prisma } from '../db.js';
+import { notifyNoteMention } from './agentNotificationService.js';
+import { ROLES, hasMinimumRole } from '../middleware/rbac.js';
+
+export const NOTE_CONTENT_TYPE = 'NOTE';
+export const SYSTEM_CONTENT_TYPE = 'SYSTEM';
+
+// 客戶可見的訊息（排除內部備註及系統紀錄），用於聊天元件歷史、AI 上下文等
+export const CUSTOMER_VISIBLE_FILTER = {
+  contentType: { notIn: [NOTE_CONTENT_TYPE, SYSTEM_CONTENT_TYPE] },
+};
+
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * 是否為內部備註
+ * @param {Object} message - Message 記錄
+ */
+export function isInternalNote(message) {
+  return message.contentType === NOTE_CONTENT_TYPE;
+}
+
+/**
+ * 訊息是否對指定用戶可見
+ * 主管耳語（metadata.type = WHISPER）只有負責客服、耳語的主管及管理員看得到
+ * @param {Object} message - Message 記錄
+ * @param {Object} user - req.user
+ */
+export function isVisibleTo(message, user) {
+  if (!isInternalNote(message) || message.metadata?.type !== 'WHISPER') {
+    return true;
+  }
+  return message.metadata.toAgentId === user.userId
+    || message.senderId === user.userId
+    || hasMinimumRole(user.role, ROLES.REGION_ADMIN);
+}
+
+/**
+ * 取得對話中指定用戶看不到的訊息 ID（其他客服的主管耳語），用於訊息查詢的 where 條件，
+ * 讓分頁及總數只計算看得到的訊息
+ * @param {string} conversationId - 對話 ID
+ * @param {Object} user - req.user
+ * @returns {Promise<string[]>} 訊息 ID 列表
+ */
+export async function getHiddenMessageIds(conversationId, user) {
+  if (hasMinimumRole(user.role, ROLES.REGION_ADMIN)) {
+    return [];
+  }
+
+  const notes = await prisma.message.findMany({
+    where: { conversationId, contentType: NOTE_CONTENT_TYPE },
+    select: { id: true, contentType: true, senderId: true, metadata: true },
+  });
+
+  return notes.filter(note => !isVisibleTo(note, user)).map(note => note.id);
+}
+
+/**
+ * 驗證備註內容
+ * @param {string} content - 備註內容
+ * @returns {string|null} 錯誤訊息，驗證通過返回 null
+ */
+export function validateNoteContent(content) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    return '備註內容不能為空';
+  }
+  if (content.length > MAX_NOTE_LENGTH) {
+    return `備註內容不能超過 ${MAX_NOTE_LENGTH} 字`;
+  }
+  return null;
+}
+
+/**
+ * 找出備註中提及的用戶（同區域的啟用用戶）
+ * 姓名較長的優先比對，避免「@王小明」同時符合「王小」
+ * @param {string} content - 備註內容
+ * @param {string} regionId - 對話所屬區域 ID
+ * @param {string[]} [mentionedUserIds] - 前端明確指定的被提及用戶
+ * @returns {Promise<Array>} 被提及的用戶 [{ id, name }]
+ */
+export async function findMentionedUsers(content, regionId, mentionedUserIds = []) {
+  const users = await prisma.user.findMany({
+    where: { regionId, status: 'ACTIVE' },
+    select: { id: true, name: true },
+  });
+
+  const mentioned = new Map();
+  let remaining = content.toLowerCase();
+
+  for (const user of [...users].sort((a, b) => b.name.length - a.name.length)) {
+    const tag = `@${user.name.toLowerCase()}`;
+    if (remaining.includes(tag)) {
+      mentioned.set(user.id, user);
+      remaining = remaining.split(tag).join(' ');
+    }
+  }
+
+  for (const userId of mentionedUserIds) {
+    const user = users.find(u => u.id === userId);
+    if (user) {
+      mentioned.set(user.id, user);
+    }
+  }
+
+  return [...mentioned.values()];
+}
+
+/**
+ * 新增內部備註並通知被提及的用戶
+ * 備註不更新對話的最後訊息時間及訊息數（不影響閒置判斷與統計）
+ * @param {Object} params
+ * @param {Object} params.conversation - 對話 { id, regionId }
+ * @param {Object} params.author - 備註者 { id, name }
+ * @param {string} params.content - 備註內容
+ * @param {string[]} [params.mentionedUserIds] - 前端明確指定的被提及用戶
+ * @returns {Promise<Object>} { note, mentionedUsers }
+ */
+export async function createInternalNote({ conversation, author, content, mentionedUserIds = [] }) {
+  const mentionedUsers = (await findMentionedUsers(content, conversation.regionId, mentionedUserIds))
+    .filter(user => user.id !== author.id);
+
+  const note = await prisma.message.create({
+    data: {
+      conversationId: conversation.id,
+      senderType: 'AGENT',
+      senderId: author.id,
+      contentType: NOTE_CONTENT_TYPE,
+      content: content.trim(),
+      metadata: {
+        mentionedUserIds: mentionedUsers.map(user => user.id),
+      },
+    },
+    include: {
+      senderAgent: {
+        select: { id: true, name: true },
+      },
+    },
+  });
+
+  if (mentionedUsers.length > 0) {
+    notifyNoteMention(note, conversation, author, mentionedUsers.map(user => user.id));
+  }
+
+  console.log(`📝 對話 ${conversation.id} 新增內部備註（提及 ${mentionedUsers.length} 人）`);
+
+  return { note, mentionedUsers };
+}
+
+/**
+ * 取得提及指定用戶的備註（新的在前）
+ * @param {string} userId - 用戶 ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] - 最多幾筆
+ * @param {Date} [options.since] - 只取此時間之後的備註
+ * @returns {Promise<Array>} 備註列表（含對話及客戶資訊）
+ */
+export async function getMentionsForUser(userId, options = {}) {
+  const { limit = 50, since = null } = options;
+
+  return prisma.message.findMany({
+    where: {
+      contentType: NOTE_CONTENT_TYPE,
+      metadata: {
+        path: ['mentionedUserIds'],
+        array_contains: [userId],
+      },
+      ...(since ? { createdAt: { gt: since } } : {}),
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+    include: {
+      senderAgent: {
+        select: { id: true, name: true },
+      },
+      conversation: {
+        select: {
+          id: true,
+          status: true,
+          regionId: true,
+          customer: {
+            select: { id: true, displayName: true },
+          },
+        },
+      },
+    },
+  });
+}
+
+export default {
+  NOTE_CONTENT_TYPE,
+  SYSTEM_CONTENT_TYPE,
+  CUSTOMER_VISIBLE_FILTER,
+  isInternalNote,
+  isVisibleTo,
+  getHiddenMessageIds,
+  validateNoteContent,
+  findMentionedUsers,
+  createInternalNote,
+  getMentionsForUser,
+};
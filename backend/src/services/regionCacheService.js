@@ -0,0 +1,81 @@
+/**
+ * 區域快取服務
+ * 金龍永盛客服管理後台
+ *
+ * Webhook 每個請求都需要區域的渠道憑證（LINE Channel Secret / Access Token），
+ * 以記憶體快取避免重複查詢資料庫。
+ * 區域資料變更時由 routes/regions.js 主動清除；多實例部署時其他實例依 TTL 過期更新。
+ */
+
+import { prisma } from '../db.js';
+
+const CACHE_TTL = 5 * 60 * 1000; // 5 分鐘
+
+// 區域 ID → { data, timestamp }
+const regionCache = new Map();
+
+// 所有活躍區域 { data, timestamp }
+let activeRegionsCache = null;
+
+function isFresh(entry) {
+  return entry && Date.now() - entry.timestamp < CACHE_TTL;
+}
+
+/**
+ * 取得區域（帶快取，包含渠道憑證）
+ * 只快取存在的區域：未驗證的 Webhook 請求可帶入任意區域 ID，快取查無結果會讓快取無限增長
+ * @param {string} regionId - 區域 ID
+ * @returns {Promise<Object|null>} 區域資料
+ */
+export async function getCachedRegion(regionId) {
+  const cached = regionCache.get(regionId);
+  if (isFresh(cached)) {
+    return cached.data;
+  }
+  regionCache.delete(regionId);
+
+  const region = await prisma.region.findUnique({
+    where: { id: regionId },
+  });
+
+  if (region) {
+    regionCache.set(regionId, { data: region, timestamp: Date.now() });
+  }
+  return region;
+}
+
+/**
+ * 取得所有活躍區域（帶快取，包含渠道憑證）
+ * @returns {Promise<Array>} 區域列表
+ */
+export async function getCachedActiveRegions() {
+  if (isFresh(activeRegionsCache)) {
+    return activeRegionsCache.data;
+  }
+
+  const regions = await prisma.region.findMany({
+    where: { isActive: true },
+  });
+
+  activeRegionsCache = { data: regions, timestamp: Date.now() };
+  return regions;
+}
+
+/**
+ * 清除區域快取（區域資料或憑證變更時呼叫）
+ * @param {string} [regionId] - 區域 ID（不傳入時清除全部）
+ */
+export function invalidateRegionCache(regionId = null) {
+  if (regionId) {
+    regionCache.delete(regionId);
+  } else {
+    regionCache.clear();
+  }
+  activeRegionsCache = null;
+}
+
+export default {
+  getCachedRegion,
+  getCachedActiveRegions,
+  invalidateRegionCache,
+};
@@ -0,0 +1,394 @@
+/**
+ * LINE 圖文選單服務
+ * 金龍永盛客服管理後台
+ *
+ * 每個區域使用自己的 LINE Channel，圖文選單也依區域管理：
+ * - 選單定義存於 RichMenu 資料表，建立時同步建立 LINE 端的選單（LINE 選單建立後不可修改）
+ * - 選單圖片存放於上傳目錄，再上傳到 LINE
+ * - 預設選單（所有用戶）與個人選單（如 VIP 等級 >= 4 的客戶）
+ */
+
+import { prisma } from '../db.js';
+import { saveFileBuffer } from './fileStorageService.js';
+import {
+  createRichMenuWithRegion,
+  uploadRichMenuImageWithRegion,
+  deleteRichMenuWithRegion,
+  setDefaultRichMenuWithRegion,
+  cancelDefaultRichMenuWithRegion,
+  linkRichMenuToUsersWithRegion,
+  unlinkRichMenuFromUsersWithRegion,
+} from '../lineHandler.js';
+
+// 選單尺寸（LINE 規格）
+export const RICH_MENU_SIZES = {
+  FULL: { width: 2500, height: 1686 },
+  HALF: { width: 2500, height: 843 },
+};
+
+// LINE 限制
+const MAX_AREAS = 20;
+const MAX_NAME_LENGTH = 300;
+const MAX_CHAT_BAR_TEXT_LENGTH = 14;
+export const MAX_IMAGE_SIZE = 1024 * 1024; // 1MB
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * 驗證點擊區域的動作
+ * @param {Object} action - { type: 'message' | 'postback' | 'uri', label?, text?, data?, displayText?, uri? }
+ * @returns {string|null} 錯誤訊息
+ */
+function validateAction(action) {
+  if (!action || typeof action !== 'object') {
+    return '缺少動作設定';
+  }
+
+  switch (action.type) {
+    case 'message':
+      return action.text ? null : 'message 動作需要 text';
+    case 'postback':
+      return action.data ? null : 'postback 動作需要 data';
+    case 'uri':
+      return /^(https?|tel|line):/.test(action.uri || '') ? null : 'uri 動作需要有效的網址';
+    default:
+      return `不支援的動作類型: ${action.type}`;
+  }
+}
+
+/**
+ * 驗證選單定義
+ * @param {Object} definition - { name, chatBarText, size, areas }
+ * @returns {string|null} 錯誤訊息，驗證通過返回 null
+ */
+export function validateRichMenuDefinition({ name, chatBarText, size = 'FULL', areas }) {
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return `選單名稱為必填，且不能超過 ${MAX_NAME_LENGTH} 字`;
+  }
+  if (!chatBarText || chatBarText.length > MAX_CHAT_BAR_TEXT_LENGTH) {
+    return `選單列文字為必填，且不能超過 ${MAX_CHAT_BAR_TEXT_LENGTH} 字`;
+  }
+
+  const dimensions = RICH_MENU_SIZES[size];
+  if (!dimensions) {
+    return `無效的選單尺寸，可用值：${Object.keys(RICH_MENU_SIZES).join(', ')}`;
+  }
+
+  if (!Array.isArray(areas) || areas.length === 0 || areas.length > MAX_AREAS) {
+    return `點擊區域需要 1 到 ${MAX_AREAS} 個`;
+  }
+
+  for (const [index, area] of areas.entries()) {
+    const { x, y, width, height } = area.bounds || {};
+    const isValidBounds = [x, y, width, height].every(Number.isInteger)
+      && x >= 0 && y >= 0 && width > 0 && height > 0
+      && x + width <= dimensions.width
+      && y + height <= dimensions.height;
+
+    if (!isValidBounds) {
+      return `第 ${index + 1} 個區域的範圍無效（選單尺寸 ${dimensions.width}x${dimensions.height}）`;
+    }
+
+    const actionError = validateAction(area.action);
+    if (actionError) {
+      return `第 ${index + 1} 個區域：${actionError}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 轉換為 LINE 的 action 物件
+ */
+function toLineAction(action) {
+  const label = action.label ? action.label.slice(0, 20) : undefined;
+
+  switch (action.type) {
+    case 'postback':
+      return { type: 'postback', label, data: action.data, displayText: action.displayText };
+    case 'uri':
+      return { type: 'uri', label, uri: action.uri };
+    default:
+      return { type: 'message', label, text: action.text };
+  }
+}
+
+/**
+ * 轉換為 LINE 的 rich menu 物件
+ * @param {Object} menu - 選單定義 { name, chatBarText, size, areas }
+ */
+export function toLineRichMenu(menu) {
+  return {
+    size: RICH_MENU_SIZES[menu.size] || RICH_MENU_SIZES.FULL,
+    selected: true,
+    name: menu.name,
+    chatBarText: menu.chatBarText,
+    areas: menu.areas.map(area => ({
+      bounds: area.bounds,
+      action: toLineAction(area.action),
+    })),
+  };
+}
+
+/**
+ * 建立圖文選單（先建立 LINE 端選單，成功後才寫入資料庫）
+ * @param {Object} region - 區域資料
+ * @param {Object} definition - { name, chatBarText, size, areas }
+ * @returns {Promise<Object>} { success, menu?, error? }
+ */
+export async function createRichMenu(region, definition) {
+  const { name, chatBarText, size = 'FULL', areas } = definition;
+
+  const result = await createRichMenuWithRegion(toLineRichMenu({ name, chatBarText, size, areas }), region);
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  const menu = await prisma.richMenu.create({
+    data: {
+      regionId: region.id,
+      lineRichMenuId: result.richMenuId,
+      name,
+      chatBarText,
+      size,
+      areas,
+    },
+  });
+
+  console.log(`📋 已建立圖文選單: ${name} [區域: ${region.name}]`);
+  return { success: true, menu };
+}
+
+/**
+ * 上傳選單圖片（存入上傳目錄後上傳到 LINE）
+ * @param {Object} menu - RichMenu 記錄
+ * @param {Object} region - 區域資料
+ * @param {Object} file - { buffer, mimetype, originalname }
+ * @returns {Promise<Object>} { success, menu?, error? }
+ */
+export async function uploadRichMenuImage(menu, region, file) {
+  const result = await uploadRichMenuImageWithRegion(menu.lineRichMenuId, file.buffer, file.mimetype, region);
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  const saved = await saveFileBuffer(file.buffer, {
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+  });
+
+  const updated = await prisma.richMenu.update({
+    where: { id: menu.id },
+    data: { imageUrl: saved.fileUrl },
+  });
+
+  return { success: true, menu: updated };
+}
+
+/**
+ * 設為區域的預設選單
+ * @param {Object} menu - RichMenu 記錄
+ * @param {Object} region - 區域資料
+ * @returns {Promise<Object>} { success, error? }
+ */
+export async function setDefaultRichMenu(menu, region) {
+  const result = await setDefaultRichMenuWithRegion(menu.lineRichMenuId, region);
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  await prisma.$transaction([
+    prisma.richMenu.updateMany({
+      where: { regionId: region.id, isDefault: true },
+      data: { isDefault: false },
+    }),
+    prisma.richMenu.update({
+      where: { id: menu.id },
+      data: { isDefault: true },
+    }),
+  ]);
+
+  return { success: true };
+}
+
+/**
+ * 取消區域的預設選單
+ * @param {Object} region - 區域資料
+ * @returns {Promise<Object>} { success, error? }
+ */
+export async function cancelDefaultRichMenu(region) {
+  const result = await cancelDefaultRichMenuWithRegion(region);
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  await prisma.richMenu.updateMany({
+    where: { regionId: region.id, isDefault: true },
+    data: { isDefault: false },
+  });
+
+  return { success: true };
+}
+
+/**
+ * 查詢要連結選單的 LINE 客戶
+ * @param {string} regionId - 區域 ID
+ * @param {Object} criteria - { customerIds?, minVipLevel? }
+ */
+async function findLineCustomers(regionId, { customerIds = null, minVipLevel = null }) {
+  const where = {
+    regionId,
+    source: 'LINE',
+    isBlocked: false,
+  };
+  if (customerIds) {
+    where.id = { in: customerIds };
+  } else {
+    where.vipLevel = { gte: parseInt(minVipLevel) };
+  }
+
+  return prisma.customer.findMany({
+    where,
+    select: { id: true, sourceUserId: true },
+  });
+}
+
+/**
+ * 將選單連結給客戶（個人選單）
+ * 指定 minVipLevel 時會記錄在選單上，之後客戶 VIP 等級變更時自動連結/解除
+ * @param {Object} menu - RichMenu 記錄
+ * @param {Object} region - 區域資料
+ * @param {Object} criteria - { customerIds?, minVipLevel? }（擇一）
+ * @returns {Promise<Object>} { success, linked?, error? }
+ */
+export async function linkRichMenuToCustomers(menu, region, criteria) {
+  const customers = await findLineCustomers(region.id, criteria);
+
+  if (customers.length > 0) {
+    const result = await linkRichMenuToUsersWithRegion(
+      menu.lineRichMenuId,
+      customers.map(c => c.sourceUserId),
+      region
+    );
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+  }
+
+  if (!criteria.customerIds) {
+    // 同一區域只保留一個 VIP 選單規則
+    await prisma.$transaction([
+      prisma.richMenu.updateMany({
+        where: { regionId: region.id, minVipLevel: { not: null }, id: { not: menu.id } },
+        data: { minVipLevel: null },
+      }),
+      prisma.richMenu.update({
+        where: { id: menu.id },
+        data: { minVipLevel: parseInt(criteria.minVipLevel) },
+      }),
+    ]);
+  }
+
+  console.log(`🔗 圖文選單 ${menu.name} 已連結給 ${customers.length} 位客戶`);
+  return { success: true, linked: customers.length };
+}
+
+/**
+ * 解除客戶的個人選單（恢復顯示預設選單）
+ * 未指定 customerIds 時，解除選單 VIP 規則涵蓋的客戶並清除規則
+ * @param {Object} menu - RichMenu 記錄
+ * @param {Object} region - 區域資料
+ * @param {string[]} [customerIds] - 客戶 ID
+ * @returns {Promise<Object>} { success, unlinked?, error? }
+ */
+export async function unlinkRichMenuFromCustomers(menu, region, customerIds = null) {
+  if (!customerIds && menu.minVipLevel === null) {
+    return { success: true, unlinked: 0 };
+  }
+
+  const customers = await findLineCustomers(region.id, {
+    customerIds,
+    minVipLevel: menu.minVipLevel,
+  });
+
+  if (customers.length > 0) {
+    const result = await unlinkRichMenuFromUsersWithRegion(customers.map(c => c.sourceUserId), region);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+  }
+
+  if (!customerIds) {
+    await prisma.richMenu.update({
+      where: { id: menu.id },
+      data: { minVipLevel: null },
+    });
+  }
+
+  return { success: true, unlinked: customers.length };
+}
+
+/**
+ * 刪除圖文選單（LINE 端與資料庫）
+ * @param {Object} menu - RichMenu 記錄
+ * @param {Object} region - 區域資料
+ * @returns {Promise<Object>} { success, error? }
+ */
+export async function deleteRichMenu(menu, region) {
+  if (menu.lineRichMenuId) {
+    const result = await deleteRichMenuWithRegion(menu.lineRichMenuId, region);
+    // LINE 端已不存在（如從 LINE 後台刪除）時仍刪除本地記錄
+    if (!result.success && !String(result.error?.message || '').toLowerCase().includes('not found')) {
+      return { success: false, error: result.error };
+    }
+  }
+
+  await prisma.richMenu.delete({ where: { id: menu.id } });
+  return { success: true };
+}
+
+/**
+ * 依客戶的 VIP 等級同步個人選單（客戶資料更新後呼叫）
+ * @param {Object} customer - { id, regionId, source, sourceUserId, vipLevel, isBlocked }
+ * @returns {Promise<Object>} { success, action }
+ */
+export async function syncCustomerRichMenu(customer) {
+  if (customer.source !== 'LINE' || customer.isBlocked) {
+    return { success: true, action: 'skipped' };
+  }
+
+  const [menu, region] = await Promise.all([
+    prisma.richMenu.findFirst({
+      where: { regionId: customer.regionId, minVipLevel: { not: null } },
+    }),
+    prisma.region.findUnique({ where: { id: customer.regionId } }),
+  ]);
+
+  if (!menu || !region) {
+    return { success: true, action: 'skipped' };
+  }
+
+  if (customer.vipLevel >= menu.minVipLevel) {
+    const result = await linkRichMenuToUsersWithRegion(menu.lineRichMenuId, [customer.sourceUserId], region);
+    return { success: result.success, action: 'linked' };
+  }
+
+  const result = await unlinkRichMenuFromUsersWithRegion([customer.sourceUserId], region);
+  return { success: result.success, action: 'unlinked' };
+}
+
+export default {
+  RICH_MENU_SIZES,
+  MAX_IMAGE_SIZE,
+  ALLOWED_IMAGE_TYPES,
+  validateRichMenuDefinition,
+  toLineRichMenu,
+  createRichMenu,
+  uploadRichMenuImage,
+  setDefaultRichMenu,
+  cancelDefaultRichMenu,
+  linkRichMenuToCustomers,
+  unlinkRichMenuFromCustomers,
+  deleteRichMenu,
+  syncCustomerRichMenu,
+};
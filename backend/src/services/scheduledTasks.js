@@ -4,12 +4,26 @@
  *
  * 處理定時執行的任務，包括：
  * - 將非工作時間的對話在上班時加入佇列
+ * - 喚醒暫緩到期的對話、發送跟進提醒
+ * - 同步其他實例修改的 FAQ
  * - 清理過期的對話
  * - 統計報表生成
  */
 
 import { prisma } from '../db.js';
-import { HANDOFF_REASONS } from './humanHandoffService.js';
+import {
+  HANDOFF_REASONS,
+  notifyOnlineAgents,
+  getQueueNoticeThresholds,
+  getQueueStatus,
+  formatQueueStatus,
+} from './humanHandoffService.js';
+import { sendText, CHANNEL_REGION_SELECT } from '../channels/index.js';
+import { cleanupWebhookEvents } from './webhookQueueService.js';
+import { processAllWaitingQueues } from './assignmentService.js';
+import { checkSlaBreaches } from './slaService.js';
+import { wakeSnoozedConversations, sendDueReminders } from './followUpService.js';
+import { refreshFaqIndexIfChanged } from './faqService.js';
 
 // 簡易定時任務管理
 let scheduledTasks = [];
@@ -109,10 +123,10 @@ export async function processOffHoursPendingConversations() {
       },
       include: {
         region: {
-          select: { id: true, name: true, settings: true },
+          select: { ...CHANNEL_REGION_SELECT, settings: true },
         },
         customer: {
-          select: { vipLevel: true },
+          select: { id: true, regionId: true, displayName: true, vipLevel: true, source: true, sourceUserId: true, isBlocked: true },
         },
       },
     });
@@ -148,7 +162,7 @@ export async function processOffHoursPendingConversations() {
         const priority = vipLevel >= 4 ? 5 : (vipLevel >= 2 ? 4 : 3);
 
         // 更新對話狀態為 WAITING
-        await prisma.conversation.update({
+        const queued = await prisma.conversation.update({
           where: { id: conv.id },
           data: {
             status: 'WAITING',
@@ -156,14 +170,16 @@ export async function processOffHoursPendingConversations() {
             botHandoffAt: new Date(), // 重設轉人工時間
           },
         });
+        await notifyOnlineAgents(conv.regionId, { ...queued, customer: conv.customer });
 
-        // 新增系統訊息
-        await prisma.message.create({
+        // 新增系統訊息並通知客戶（含佇列位置）
+        const queueStatus = await getQueueStatus(conv.id);
+        const notice = await prisma.message.create({
           data: {
             conversationId: conv.id,
             senderType: 'BOT',
             contentType: 'TEXT',
-            content: '工作時間已開始，您的問題已加入客服佇列，請稍候。',
+            content: `工作時間已開始，您的問題已加入客服佇列。${formatQueueStatus(queueStatus)}`,
             metadata: {
               type: 'SYSTEM',
               action: 'OFF_HOURS_TO_QUEUE',
@@ -171,6 +187,11 @@ export async function processOffHoursPendingConversations() {
           },
         });
 
+        const noticeResult = await sendText(conv.customer, conv.region, notice.content, { record: notice });
+        if (!noticeResult.success) {
+          console.warn(`⚠️ 對話 ${conv.id} 的佇列通知發送失敗:`, noticeResult.error);
+        }
+
         processed++;
         console.log(`📋 對話 ${conv.id} 已加入佇列 (區域: ${conv.region?.name})`);
       } catch (err) {
@@ -179,6 +200,11 @@ export async function processOffHoursPendingConversations() {
     }
 
     console.log(`✅ 處理完成: ${processed} 個對話已加入佇列, ${skipped} 個跳過`);
+
+    // 佇列通知送出後，依各區域的分派策略自動分派
+    if (processed > 0) {
+      await processAllWaitingQueues();
+    }
     return { processed, skipped, total: conversations.length };
   } catch (error) {
     console.error('❌ processOffHoursPendingConversations 失敗:', error);
@@ -186,6 +212,97 @@ export async function processOffHoursPendingConversations() {
   }
 }
 
+/**
+ * 等待超過門檻（Region.settings.queueNotice.thresholds）的客戶，通知目前的佇列位置及預估等待時間
+ * 每個門檻只通知一次（以 lastQueueNoticeAt 與轉人工時間比較）
+ * @returns {Promise<Object>} 處理結果
+ */
+export async function sendQueueWaitNotices() {
+  const regions = await prisma.region.findMany({
+    where: { isActive: true },
+    select: { ...CHANNEL_REGION_SELECT, settings: true },
+  });
+
+  let notified = 0;
+  const now = Date.now();
+
+  for (const region of regions) {
+    const thresholds = getQueueNoticeThresholds(region.settings);
+    if (thresholds.length === 0) {
+      continue;
+    }
+
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        regionId: region.id,
+        status: 'WAITING',
+        botHandoffAt: { not: null },
+        customer: { isBlocked: false },
+      },
+      select: {
+        id: true,
+        botHandoffAt: true,
+        lastQueueNoticeAt: true,
+        customer: {
+          select: { id: true, regionId: true, source: true, sourceUserId: true, isBlocked: true },
+        },
+      },
+    });
+
+    for (const conv of conversations) {
+      try {
+        const waitedMinutes = Math.floor((now - conv.botHandoffAt.getTime()) / 60000);
+        const passed = thresholds.filter(minutes => minutes <= waitedMinutes);
+        if (passed.length === 0) {
+          continue;
+        }
+
+        // 已針對最近通過的門檻通知過
+        const dueAt = conv.botHandoffAt.getTime() + passed[passed.length - 1] * 60000;
+        if (conv.lastQueueNoticeAt && conv.lastQueueNoticeAt.getTime() >= dueAt) {
+          continue;
+        }
+
+        const queueStatus = await getQueueStatus(conv.id);
+        const notice = await prisma.message.create({
+          data: {
+            conversationId: conv.id,
+            senderType: 'BOT',
+            contentType: 'TEXT',
+            content: `⏳ 感謝您耐心等候，${formatQueueStatus(queueStatus)}`,
+            metadata: {
+              type: 'SYSTEM',
+              action: 'QUEUE_WAIT_NOTICE',
+              waitedMinutes,
+              queuePosition: queueStatus?.position ?? null,
+              etaMinutes: queueStatus?.etaMinutes ?? null,
+            },
+          },
+        });
+
+        await prisma.conversation.update({
+          where: { id: conv.id },
+          data: { lastQueueNoticeAt: new Date() },
+        });
+
+        const noticeResult = await sendText(conv.customer, region, notice.content, { record: notice });
+        if (!noticeResult.success) {
+          console.warn(`⚠️ 對話 ${conv.id} 的等待提醒發送失敗:`, noticeResult.error);
+        }
+
+        notified++;
+      } catch (err) {
+        console.error(`❌ 發送對話 ${conv.id} 的等待提醒失敗:`, err);
+      }
+    }
+  }
+
+  if (notified > 0) {
+    console.log(`⏳ 已發送 ${notified} 則等待提醒`);
+  }
+  return { notified };
+}
+
 /**
  * 清理已關閉且超過保留期限的對話
  * @param {number} [retentionDays=90] - 保留天數
@@ -326,6 +443,57 @@ export function startScheduledTasks() {
   }, 5 * 60 * 1000); // 5 分鐘
   scheduledTasks.push(offHoursTask);
 
+  // 任務 1-1: 每分鐘自動分派等待中的對話（補上客服空出位置但沒有觸發分派的情況）
+  const assignmentTask = setInterval(async () => {
+    try {
+      await processAllWaitingQueues();
+    } catch (err) {
+      console.error('❌ 定時任務錯誤 (assignment):', err);
+    }
+  }, 60 * 1000); // 1 分鐘
+  scheduledTasks.push(assignmentTask);
+
+  // 任務 1-2: 每分鐘檢查 SLA 違規（提高優先級並通知區域管理員）
+  const slaTask = setInterval(async () => {
+    try {
+      await checkSlaBreaches();
+    } catch (err) {
+      console.error('❌ 定時任務錯誤 (sla):', err);
+    }
+  }, 60 * 1000); // 1 分鐘
+  scheduledTasks.push(slaTask);
+
+  // 任務 1-3: 每分鐘檢查等待提醒
+  const queueNoticeTask = setInterval(async () => {
+    try {
+      await sendQueueWaitNotices();
+    } catch (err) {
+      console.error('❌ 定時任務錯誤 (queueNotice):', err);
+    }
+  }, 60 * 1000); // 1 分鐘
+  scheduledTasks.push(queueNoticeTask);
+
+  // 任務 1-4: 每分鐘喚醒暫緩到期的對話、發送跟進提醒
+  const followUpTask = setInterval(async () => {
+    try {
+      await wakeSnoozedConversations();
+      await sendDueReminders();
+    } catch (err) {
+      console.error('❌ 定時任務錯誤 (followUp):', err);
+    }
+  }, 60 * 1000); // 1 分鐘
+  scheduledTasks.push(followUpTask);
+
+  // 任務 1-5: 每分鐘檢查 FAQ 是否有變更（同步其他實例的修改）
+  const faqSyncTask = setInterval(async () => {
+    try {
+      await refreshFaqIndexIfChanged();
+    } catch (err) {
+      console.error('❌ 定時任務錯誤 (faqSync):', err);
+    }
+  }, 60 * 1000); // 1 分鐘
+  scheduledTasks.push(faqSyncTask);
+
   // 任務 2: 每天凌晨 3:00 清理舊對話
   const cleanupTask = setInterval(async () => {
     const now = new Date();
@@ -340,6 +508,7 @@ export function startScheduledTasks() {
     if (hour === 3) {
       try {
         await cleanupOldConversations(90);
+        await cleanupWebhookEvents(7);
         await updateDailyStats();
       } catch (err) {
         console.error('❌ 定時任務錯誤 (cleanup):', err);
@@ -350,7 +519,13 @@ export function startScheduledTasks() {
 
   console.log('✅ 定時任務服務已啟動');
   console.log('   - 非工作時間對話處理: 每 5 分鐘');
+  console.log('   - 等待佇列自動分派: 每 1 分鐘');
+  console.log('   - SLA 違規檢查: 每 1 分鐘');
+  console.log('   - 等待提醒: 每 1 分鐘');
+  console.log('   - 暫緩喚醒／跟進提醒: 每 1 分鐘');
+  console.log('   - FAQ 同步: 每 1 分鐘');
   console.log('   - 舊對話清理: 每天 03:00');
+  console.log('   - 已完成 Webhook 事件清理: 每天 03:00（保留 7 天）');
 }
 
 /**
@@ -377,6 +552,7 @@ export async function triggerOffHoursProcessing() {
 
 export default {
   processOffHoursPendingConversations,
+  sendQueueWaitNotices,
   cleanupOldConversations,
   updateDailyStats,
   startScheduledTasks,
@@ -0,0 +1,222 @@
+/**
+ * 客服技能服務
+ * 金龍永盛客服管理後台
+ *
+ * 客服可設定三種技能：
+ * - skillCategories：擅長的意圖類別（來自 intentClassifier 的 INTENTS 類別）
+ * - languages：可服務的語言
+ * - handlesVip：可處理高等級 VIP 客戶
+ *
+ * 對話的需求由轉接指定的技能群組（或轉人工時的意圖，無法判斷時使用最後意圖）、客戶語言及 VIP 等級決定，
+ * 分派與佇列排序時優先選擇技能最符合的客服；沒有符合的客服時仍分派給一般客服
+ */
+
+import { prisma } from '../db.js';
+import { INTENTS } from '../intentClassifier.js';
+
+// 非業務類別，不作為技能
+const NON_SKILL_CATEGORIES = ['對話管理', '其他'];
+
+// 可設定的技能類別
+export const SKILL_CATEGORIES = [...new Set(Object.values(INTENTS).map(intent => intent.category))]
+  .filter(category => !NON_SKILL_CATEGORIES.includes(category));
+
+// 需要 VIP 技能的客戶等級（與最高佇列優先級相同門檻）
+export const VIP_SKILL_LEVEL = 4;
+
+// 查詢客服時需要的技能欄位
+export const SKILL_SELECT = {
+  skillCategories: true,
+  languages: true,
+  handlesVip: true,
+};
+
+/**
+ * 語言是否符合（不分大小寫；客服設定 zh 可服務 zh-TW、zh-CN）
+ * @param {string[]} agentLanguages - 客服可服務的語言
+ * @param {string} language - 客戶語言
+ */
+function matchesLanguage(agentLanguages, language) {
+  const target = language.toLowerCase();
+  const primary = target.split('-')[0];
+  return agentLanguages.some(lang => {
+    const value = lang.toLowerCase();
+    return value === target || value === primary;
+  });
+}
+
+/**
+ * 驗證技能設定
+ * @param {Object} skills - { skillCategories?, languages?, handlesVip? }
+ * @returns {string|null} 錯誤訊息，驗證通過返回 null
+ */
+export function validateSkills({ skillCategories, languages, handlesVip }) {
+  if (skillCategories !== undefined) {
+    if (!Array.isArray(skillCategories)) {
+      return 'skillCategories 必須是陣列';
+    }
+    const invalid = skillCategories.filter(category => !SKILL_CATEGORIES.includes(category));
+    if (invalid.length > 0) {
+      return `無效的技能類別: ${invalid.join(', ')}（可用: ${SKILL_CATEGORIES.join(', ')}）`;
+    }
+  }
+
+  if (languages !== undefined) {
+    if (!Array.isArray(languages) || languages.some(lang => typeof lang !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(lang))) {
+      return 'languages 必須是語言代碼陣列（如 zh-TW、en）';
+    }
+  }
+
+  if (handlesVip !== undefined && typeof handlesVip !== 'boolean') {
+    return 'handlesVip 必須是布林值';
+  }
+
+  return null;
+}
+
+/**
+ * 取得對話需要的技能
+ * @param {Object} conversation - 對話（含 requiredSkillCategory、botHandoffReason、lastIntent、customer.language、customer.vipLevel）
+ * @returns {Object} { category, language, vip }
+ */
+export function getRequiredSkills(conversation) {
+  // 轉接到技能群組時以指定的類別為準；轉人工原因為意圖時（如 TICKET_CHANGE）以它為準，否則使用最後意圖
+  const intent = INTENTS[conversation.botHandoffReason]
+    ? conversation.botHandoffReason
+    : conversation.lastIntent;
+  const category = conversation.requiredSkillCategory || INTENTS[intent]?.category;
+
+  return {
+    category: SKILL_CATEGORIES.includes(category) ? category : null,
+    language: conversation.customer?.language || null,
+    vip: (conversation.customer?.vipLevel || 0) >= VIP_SKILL_LEVEL,
+  };
+}
+
+/**
+ * 計算客服符合的技能
+ * @param {Object} agent - 客服（含 skillCategories、languages、handlesVip）
+ * @param {Object} required - getRequiredSkills 的結果
+ * @returns {string[]} 符合的技能（CATEGORY / LANGUAGE / VIP）
+ */
+export function getMatchedSkills(agent, required) {
+  const matched = [];
+
+  if (required.category && agent.skillCategories?.includes(required.category)) {
+    matched.push('CATEGORY');
+  }
+  if (required.language && agent.languages?.length && matchesLanguage(agent.languages, required.language)) {
+    matched.push('LANGUAGE');
+  }
+  if (required.vip && agent.handlesVip) {
+    matched.push('VIP');
+  }
+
+  return matched;
+}
+
+/**
+ * 篩選技能最符合的客服（沒有任何客服符合時返回全部）
+ * @param {Array} agents - 客服列表
+ * @param {Object} required - getRequiredSkills 的結果
+ * @returns {Array} 符合技能數最多的客服（附 matchedSkills）
+ */
+export function preferSkilledAgents(agents, required) {
+  const scored = agents.map(agent => ({ ...agent, matchedSkills: getMatchedSkills(agent, required) }));
+  const best = Math.max(0, ...scored.map(agent => agent.matchedSkills.length));
+  return scored.filter(agent => agent.matchedSkills.length === best);
+}
+
+/**
+ * 區域技能覆蓋率報表
+ * @param {Object} regionFilter - 區域過濾條件（{} 為全部區域）
+ * @returns {Promise<Array>} 各區域的技能覆蓋情況
+ */
+export async function getSkillCoverage(regionFilter = {}) {
+  const [regions, agents, waiting] = await Promise.all([
+    prisma.region.findMany({
+      where: { isActive: true, ...(regionFilter.regionId ? { id: regionFilter.regionId } : {}) },
+      select: { id: true, name: true, code: true },
+      orderBy: { code: 'asc' },
+    }),
+    prisma.user.findMany({
+      where: {
+        ...regionFilter,
+        status: 'ACTIVE',
+        role: { in: ['AGENT', 'REGION_ADMIN'] },
+      },
+      select: {
+        id: true,
+        regionId: true,
+        onlineStatus: true,
+        ...SKILL_SELECT,
+      },
+    }),
+    prisma.conversation.findMany({
+      where: { ...regionFilter, status: 'WAITING' },
+      select: {
+        regionId: true,
+        requiredSkillCategory: true,
+        botHandoffReason: true,
+        lastIntent: true,
+        customer: { select: { language: true, vipLevel: true } },
+      },
+    }),
+  ]);
+
+  return regions.map(region => {
+    const regionAgents = agents.filter(agent => agent.regionId === region.id);
+    const regionWaiting = waiting
+      .filter(conv => conv.regionId === region.id)
+      .map(getRequiredSkills);
+
+    const summarize = (hasSkill, needsSkill) => {
+      const skilled = regionAgents.filter(hasSkill);
+      return {
+        agents: skilled.length,
+        online: skilled.filter(agent => agent.onlineStatus === 'ONLINE').length,
+        waiting: regionWaiting.filter(needsSkill).length,
+      };
+    };
+
+    // 客服設定的語言 + 等待中客戶的語言
+    const languages = [...new Set([
+      ...regionAgents.flatMap(agent => agent.languages),
+      ...regionWaiting.map(required => required.language).filter(Boolean),
+    ])];
+
+    return {
+      region,
+      totalAgents: regionAgents.length,
+      generalists: regionAgents.filter(agent =>
+        agent.skillCategories.length === 0 && agent.languages.length === 0 && !agent.handlesVip
+      ).length,
+      categories: SKILL_CATEGORIES.map(category => ({
+        category,
+        ...summarize(
+          agent => agent.skillCategories.includes(category),
+          required => required.category === category
+        ),
+      })),
+      languages: languages.map(language => ({
+        language,
+        ...summarize(
+          agent => agent.languages.length > 0 && matchesLanguage(agent.languages, language),
+          required => required.language === language
+        ),
+      })),
+      vip: summarize(agent => agent.handlesVip, required => required.vip),
+    };
+  });
+}
+
+export default {
+  SKILL_CATEGORIES,
+  VIP_SKILL_LEVEL,
+  SKILL_SELECT,
+  validateSkills,
+  getRequiredSkills,
+  getMatchedSkills,
+  preferSkilledAgents,
+  getSkillCoverage,
+};
@@ -0,0 +1,303 @@
+/**
+ * SLA 服務
+ * 金龍永盛客服管理後台
+ *
+ * 三種計時（目標分鐘數依對話優先級而定，可在 Region.settings.sla 覆寫）：
+ * - QUEUE_WAIT：轉人工後等待接聽的時間
+ * - FIRST_RESPONSE：接聽／分派後到客服第一次回覆的時間
+ * - AGENT_IDLE：客戶訊息到客服回覆的時間（客服已回覆過之後）
+ *
+ * 定時任務偵測違規後：記錄 SlaBreach、提高對話優先級、通知區域管理員
+ * 同一段計時（timerStartedAt）只記錄一次違規；客服暫緩中（snoozedUntil）的對話暫停計時
+ */
+
+import { prisma } from '../db.js';
+import { notifySlaBreach } from './agentNotificationService.js';
+import { CUSTOMER_VISIBLE_FILTER } from './noteService.js';
+
+export const SLA_TYPES = {
+  QUEUE_WAIT: 'QUEUE_WAIT',
+  FIRST_RESPONSE: 'FIRST_RESPONSE',
+  AGENT_IDLE: 'AGENT_IDLE',
+};
+
+// SLA 類型對應的設定欄位
+const POLICY_KEYS = {
+  QUEUE_WAIT: 'queueWait',
+  FIRST_RESPONSE: 'firstResponse',
+  AGENT_IDLE: 'agentIdle',
+};
+
+/**
+ * 預設 SLA 目標（分鐘，依優先級 1-5）
+ */
+const DEFAULT_SLA_POLICY = {
+  enabled: true,
+  queueWait: { 5: 2, 4: 5, 3: 10, 2: 15, 1: 30 },
+  firstResponse: { 5: 2, 4: 3, 3: 5, 2: 10, 1: 15 },
+  agentIdle: { 5: 5, 4: 10, 3: 15, 2: 20, 1: 30 },
+};
+
+const MAX_PRIORITY = 5;
+
+/**
+ * 取得區域的 SLA 設定（與預設值合併）
+ * @param {Object} settings - Region.settings
+ * @returns {Object} SLA 設定
+ */
+export function getSlaPolicy(settings) {
+  const sla = settings?.sla || {};
+
+  return {
+    enabled: sla.enabled !== false,
+    queueWait: { ...DEFAULT_SLA_POLICY.queueWait, ...sla.queueWait },
+    firstResponse: { ...DEFAULT_SLA_POLICY.firstResponse, ...sla.firstResponse },
+    agentIdle: { ...DEFAULT_SLA_POLICY.agentIdle, ...sla.agentIdle },
+  };
+}
+
+/**
+ * 驗證 SLA 設定
+ * @param {Object} sla - { enabled?, queueWait?, firstResponse?, agentIdle? }
+ * @returns {string|null} 錯誤訊息，驗證通過返回 null
+ */
+export function validateSlaPolicy(sla) {
+  if (!sla || typeof sla !== 'object') {
+    return '請提供 SLA 設定';
+  }
+
+  if (sla.enabled !== undefined && typeof sla.enabled !== 'boolean') {
+    return 'enabled 必須是布林值';
+  }
+
+  for (const key of Object.values(POLICY_KEYS)) {
+    const targets = sla[key];
+    if (targets === undefined) {
+      continue;
+    }
+    if (typeof targets !== 'object' || Array.isArray(targets)) {
+      return `${key} 必須是 { 優先級: 分鐘數 } 物件`;
+    }
+    for (const [priority, minutes] of Object.entries(targets)) {
+      if (!/^[1-5]$/.test(priority)) {
+        return `${key} 的優先級必須是 1-5`;
+      }
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+        return `${key} 的目標必須是 1-1440 分鐘`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 經過的分鐘數
+ */
+function minutesSince(date, now) {
+  return Math.floor((now - date.getTime()) / 60000);
+}
+
+/**
+ * 計算一段計時是否違規
+ * @param {Object} policy - getSlaPolicy 的結果
+ * @param {string} type - SLA 類型
+ * @param {number} priority - 對話優先級
+ * @param {Date} timerStartedAt - 計時開始時間
+ * @param {number} now - 目前時間（毫秒）
+ * @returns {Object|null} 違規時返回 { targetMinutes, actualMinutes }
+ */
+export function getSlaBreach(policy, type, priority, timerStartedAt, now) {
+  const targetMinutes = policy[POLICY_KEYS[type]][priority];
+  const actualMinutes = minutesSince(timerStartedAt, now);
+  if (!targetMinutes || actualMinutes < targetMinutes) {
+    return null;
+  }
+  return { targetMinutes, actualMinutes };
+}
+
+/**
+ * 取得對話進行中的等待接聽或首次回覆計時（客戶訊息未回覆的計時另外計算）
+ * @param {Object} conversation - { status, botHandoffAt, assignedAt, firstResponseAt }
+ * @returns {Object|null} { type, timerStartedAt }
+ */
+export function getPendingTimer(conversation) {
+  if (conversation.status === 'WAITING' && conversation.botHandoffAt) {
+    return { type: SLA_TYPES.QUEUE_WAIT, timerStartedAt: conversation.botHandoffAt };
+  }
+  if (conversation.status === 'ASSIGNED' && conversation.assignedAt && !conversation.firstResponseAt) {
+    return { type: SLA_TYPES.FIRST_RESPONSE, timerStartedAt: conversation.assignedAt };
+  }
+  return null;
+}
+
+/**
+ * 記錄違規：寫入 SlaBreach、提高優先級、通知區域管理員
+ * @returns {Promise<Object|null>} 違規記錄，此段計時已記錄過時返回 null
+ */
+async function recordBreach(conversation, type, timerStartedAt, targetMinutes, actualMinutes) {
+  let breach;
+  try {
+    breach = await prisma.slaBreach.create({
+      data: {
+        regionId: conversation.regionId,
+        conversationId: conversation.id,
+        agentId: conversation.assignedAgentId || null,
+        type,
+        priority: conversation.priority,
+        timerStartedAt,
+        targetMinutes,
+        actualMinutes,
+      },
+    });
+  } catch (error) {
+    // 唯一約束衝突：此段計時已記錄過
+    if (error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+
+  if (conversation.priority < MAX_PRIORITY) {
+    await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { priority: conversation.priority + 1 },
+    });
+  }
+
+  notifySlaBreach(breach);
+  console.warn(`⏱️ SLA 違規: 對話 ${conversation.id} ${type}（${actualMinutes} / ${targetMinutes} 分鐘）`);
+
+  return breach;
+}
+
+/**
+ * 檢查單一區域的 SLA
+ * @param {Object} region - { id, settings }
+ * @param {number} now - 目前時間（毫秒）
+ * @returns {Promise<number>} 新增的違規數
+ */
+async function checkRegionSla(region, now) {
+  const policy = getSlaPolicy(region.settings);
+  if (!policy.enabled) {
+    return 0;
+  }
+
+  let breaches = 0;
+
+  const check = async (conversation, type, timerStartedAt) => {
+    const breach = getSlaBreach(policy, type, conversation.priority, timerStartedAt, now);
+    if (!breach) {
+      return;
+    }
+    if (await recordBreach(conversation, type, timerStartedAt, breach.targetMinutes, breach.actualMinutes)) {
+      breaches++;
+    }
+  };
+
+  const conversations = await prisma.conversation.findMany({
+    where: {
+      regionId: region.id,
+      status: { in: ['WAITING', 'ASSIGNED'] },
+      OR: [
+        { snoozedUntil: null },
+        { snoozedUntil: { lte: new Date(now) } },
+      ],
+    },
+    select: {
+      id: true,
+      regionId: true,
+      status: true,
+      priority: true,
+      assignedAgentId: true,
+      botHandoffAt: true,
+      assignedAt: true,
+      firstResponseAt: true,
+    },
+  });
+
+  // 等待接聽、首次回覆
+  for (const conv of conversations) {
+    const timer = getPendingTimer(conv);
+    if (timer) {
+      await check(conv, timer.type, timer.timerStartedAt);
+    }
+  }
+
+  // 客戶訊息未回覆（客服已回覆過的對話）
+  const responded = conversations.filter(conv => conv.status === 'ASSIGNED' && conv.firstResponseAt);
+  if (responded.length === 0) {
+    return breaches;
+  }
+
+  const latest = await prisma.message.groupBy({
+    by: ['conversationId', 'senderType'],
+    where: {
+      conversationId: { in: responded.map(conv => conv.id) },
+      senderType: { in: ['CUSTOMER', 'AGENT'] },
+      ...CUSTOMER_VISIBLE_FILTER, // 內部備註不算回覆
+    },
+    _max: { createdAt: true },
+  });
+  const latestOf = (conversationId, senderType) => latest.find(row =>
+    row.conversationId === conversationId && row.senderType === senderType
+  )?._max.createdAt;
+
+  for (const conv of responded) {
+    const lastCustomerAt = latestOf(conv.id, 'CUSTOMER');
+    const lastAgentAt = latestOf(conv.id, 'AGENT');
+    if (!lastCustomerAt || (lastAgentAt && lastAgentAt >= lastCustomerAt)) {
+      continue;
+    }
+
+    // 從第一則未回覆的客戶訊息開始計時
+    const firstUnanswered = await prisma.message.findFirst({
+      where: {
+        conversationId: conv.id,
+        senderType: 'CUSTOMER',
+        ...(lastAgentAt ? { createdAt: { gt: lastAgentAt } } : {}),
+      },
+      orderBy: { createdAt: 'asc' },
+      select: { createdAt: true },
+    });
+
+    if (firstUnanswered) {
+      await check(conv, SLA_TYPES.AGENT_IDLE, firstUnanswered.createdAt);
+    }
+  }
+
+  return breaches;
+}
+
+/**
+ * 檢查所有區域的 SLA（定時任務使用）
+ * @returns {Promise<Object>} { breaches }
+ */
+export async function checkSlaBreaches() {
+  const regions = await prisma.region.findMany({
+    where: { isActive: true },
+    select: { id: true, settings: true },
+  });
+
+  const now = Date.now();
+  let breaches = 0;
+
+  for (const region of regions) {
+    try {
+      breaches += await checkRegionSla(region, now);
+    } catch (error) {
+      console.error(`❌ 檢查區域 ${region.id} 的 SLA 失敗:`, error);
+    }
+  }
+
+  return { breaches };
+}
+
+export default {
+  SLA_TYPES,
+  getSlaPolicy,
+  validateSlaPolicy,
+  getSlaBreach,
+  getPendingTimer,
+  checkSlaBreaches,
+};
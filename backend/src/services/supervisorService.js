@@ -0,0 +1,193 @@
+/**
+ * 主管監控服務
+ * 金龍永盛客服管理後台
+ *
+ * 區域管理員（主管）可以：
+ * - 監看區域內所有處理中的對話及閒置時間
+ * - 對負責客服耳語（whisper）：以內部備註記錄，只有負責客服看得到，不會推送給客戶
+ * - 接手（barge-in）對話：改由主管負責，並記錄系統訊息
+ */
+
+import { prisma } from '../db.js';
+import { NOTE_CONTENT_TYPE, SYSTEM_CONTENT_TYPE, CUSTOMER_VISIBLE_FILTER } from './noteService.js';
+import { notifyWhisper, notifyConversationTakenOver } from './agentNotificationService.js';
+
+/**
+ * 經過的分鐘數
+ */
+function minutesSince(date, now) {
+  return date ? Math.floor((now - date.getTime()) / 60000) : null;
+}
+
+/**
+ * 取得處理中的對話（含閒置時間）
+ * - idleMinutes：距離最後一則客戶或客服訊息的時間
+ * - awaitingReplyMinutes：客戶訊息尚未回覆時，客服已經多久沒有回應（已回覆時為 null）
+ * @param {Object} regionFilter - 區域過濾條件（{} 為全部區域）
+ * @returns {Promise<Array>} 對話列表（等待回覆最久的在前）
+ */
+export async function getLiveConversations(regionFilter = {}) {
+  const conversations = await prisma.conversation.findMany({
+    where: { ...regionFilter, status: 'ASSIGNED' },
+    select: {
+      id: true,
+      regionId: true,
+      source: true,
+      priority: true,
+      lastIntent: true,
+      assignedAt: true,
+      firstResponseAt: true,
+      lastMessageAt: true,
+      snoozedUntil: true,
+      customer: {
+        select: { id: true, displayName: true, vipLevel: true },
+      },
+      assignedAgent: {
+        select: { id: true, name: true, onlineStatus: true },
+      },
+    },
+  });
+
+  if (conversations.length === 0) {
+    return [];
+  }
+
+  const latest = await prisma.message.groupBy({
+    by: ['conversationId', 'senderType'],
+    where: {
+      conversationId: { in: conversations.map(conv => conv.id) },
+      senderType: { in: ['CUSTOMER', 'AGENT'] },
+      ...CUSTOMER_VISIBLE_FILTER,
+    },
+    _max: { createdAt: true },
+  });
+  const latestOf = (conversationId, senderType) => latest.find(row =>
+    row.conversationId === conversationId && row.senderType === senderType
+  )?._max.createdAt || null;
+
+  const latestDate = dates => dates.filter(Boolean).reduce((max, date) => (date > max ? date : max), null);
+  const now = Date.now();
+  const live = [];
+
+  for (const conv of conversations) {
+    const lastCustomerAt = latestOf(conv.id, 'CUSTOMER');
+    const lastAgentAt = latestOf(conv.id, 'AGENT');
+    // 接手前的客戶訊息不算在目前客服的回覆時間內
+    const repliedAt = latestDate([lastAgentAt, conv.assignedAt]);
+
+    // 從第一則未回覆的客戶訊息開始計算
+    let awaitingReplyMinutes = null;
+    if (lastCustomerAt && (!repliedAt || lastCustomerAt > repliedAt)) {
+      const firstUnanswered = await prisma.message.findFirst({
+        where: {
+          conversationId: conv.id,
+          senderType: 'CUSTOMER',
+          ...(repliedAt ? { createdAt: { gt: repliedAt } } : {}),
+        },
+        orderBy: { createdAt: 'asc' },
+        select: { createdAt: true },
+      });
+      awaitingReplyMinutes = minutesSince(firstUnanswered?.createdAt || lastCustomerAt, now);
+    }
+
+    live.push({
+      ...conv,
+      lastCustomerAt,
+      lastAgentAt,
+      idleMinutes: minutesSince(latestDate([lastCustomerAt, lastAgentAt, conv.assignedAt]), now),
+      awaitingReplyMinutes,
+    });
+  }
+
+  // 等待回覆最久的在前，其次為閒置最久
+  return live.sort((a, b) => (b.awaitingReplyMinutes ?? -1) - (a.awaitingReplyMinutes ?? -1)
+    || (b.idleMinutes ?? 0) - (a.idleMinutes ?? 0));
+}
+
+/**
+ * 對負責客服耳語
+ * @param {Object} conversation - 對話 { id, regionId, assignedAgentId }
+ * @param {Object} supervisor - 主管 { id, name }
+ * @param {string} content - 耳語內容
+ * @returns {Promise<Object>} Message 記錄（contentType = NOTE）
+ */
+export async function sendWhisper(conversation, supervisor, content) {
+  const whisper = await prisma.message.create({
+    data: {
+      conversationId: conversation.id,
+      senderType: 'AGENT',
+      senderId: supervisor.id,
+      contentType: NOTE_CONTENT_TYPE,
+      content: content.trim(),
+      metadata: {
+        type: 'WHISPER',
+        toAgentId: conversation.assignedAgentId,
+      },
+    },
+    include: {
+      senderAgent: {
+        select: { id: true, name: true },
+      },
+    },
+  });
+
+  notifyWhisper(whisper, conversation, supervisor);
+  console.log(`🤫 主管 ${supervisor.id} 對對話 ${conversation.id} 的負責客服耳語`);
+
+  return whisper;
+}
+
+/**
+ * 主管接手對話
+ * @param {Object} conversation - 對話 { id, regionId, assignedAgentId }
+ * @param {Object} supervisor - 主管 { id, name }
+ * @param {string} [reason] - 接手原因
+ * @returns {Promise<Object|null>} 更新後的對話，對話已不在處理中時返回 null
+ */
+export async function bargeIn(conversation, supervisor, reason = null) {
+  const previousAgentId = conversation.assignedAgentId;
+
+  // 原子性更新，避免與結束／轉接同時發生
+  const result = await prisma.conversation.updateMany({
+    where: { id: conversation.id, status: 'ASSIGNED', assignedAgentId: previousAgentId },
+    data: {
+      assignedAgentId: supervisor.id,
+      assignedAt: new Date(),
+      firstResponseAt: null,
+      snoozedUntil: null,
+    },
+  });
+
+  if (result.count === 0) {
+    return null;
+  }
+
+  await prisma.message.create({
+    data: {
+      conversationId: conversation.id,
+      senderType: 'BOT',
+      contentType: SYSTEM_CONTENT_TYPE,
+      content: `主管 ${supervisor.name} 已接手此對話${reason ? `（原因：${reason}）` : ''}`,
+      metadata: {
+        type: 'SYSTEM',
+        action: 'BARGE_IN',
+        fromAgentId: previousAgentId,
+        toAgentId: supervisor.id,
+        reason,
+      },
+    },
+  });
+
+  notifyConversationTakenOver(conversation, supervisor, previousAgentId);
+  console.log(`🛟 主管 ${supervisor.id} 接手對話 ${conversation.id}（原客服: ${previousAgentId}）`);
+
+  return prisma.conversation.findUnique({
+    where: { id: conversation.id },
+  });
+}
+
+export default {
+  getLiveConversations,
+  sendWhisper,
+  bargeIn,
+};
@@ -0,0 +1,246 @@
+/**
+ * 對話轉接服務
+ * 金龍永盛客服管理後台
+ *
+ * 處理中的對話可以：
+ * - 轉給指定客服（AGENT）
+ * - 轉回佇列（QUEUE），可指定技能群組（requiredSkillCategory）
+ * - 轉到其他區域的佇列（REGION），推送仍經由客戶進線的渠道，渠道無法推送時不允許轉接
+ *
+ * 每次轉接都記錄 TRANSFER 系統訊息；附上備註時另存內部備註，讓接手的客服看到交接內容
+ */
+
+import { prisma } from '../db.js';
+import { checkChannelReachable } from '../channels/index.js';
+import { HANDOFF_REASONS } from './humanHandoffService.js';
+import { createInternalNote, SYSTEM_CONTENT_TYPE } from './noteService.js';
+import { processWaitingQueue } from './assignmentService.js';
+import {
+  notifyTransferReceived,
+  notifyConversationWaiting,
+  notifyStatsDelta,
+} from './agentNotificationService.js';
+
+export const TRANSFER_TYPES = {
+  AGENT: 'AGENT',
+  QUEUE: 'QUEUE',
+  REGION: 'REGION',
+};
+
+/**
+ * 記錄轉接訊息（及交接備註）
+ * @returns {Promise<Object|null>} 交接備註，沒有備註時返回 null
+ */
+async function recordTransfer(conversation, fromUser, content, details, note) {
+  const transferNote = note
+    ? (await createInternalNote({ conversation, author: fromUser, content: note })).note
+    : null;
+
+  await prisma.message.create({
+    data: {
+      conversationId: conversation.id,
+      senderType: 'BOT',
+      contentType: SYSTEM_CONTENT_TYPE,
+      content: `${content}${details.reason ? `（原因：${details.reason}）` : ''}`,
+      metadata: {
+        type: 'TRANSFER',
+        fromAgentId: fromUser.id,
+        noteId: transferNote?.id || null,
+        ...details,
+      },
+    },
+  });
+
+  return transferNote;
+}
+
+/**
+ * 轉給指定客服
+ * @param {Object} conversation - 對話
+ * @param {Object} fromUser - 轉出的用戶 { id, name }
+ * @param {Object} targetAgent - 接收的客服 { id, name, regionId }
+ * @param {Object} [options] - { reason, note }
+ * @returns {Promise<Object>} 更新後的對話
+ */
+export async function transferToAgent(conversation, fromUser, targetAgent, { reason = null, note = null } = {}) {
+  const updated = await prisma.conversation.update({
+    where: { id: conversation.id },
+    data: {
+      assignedAgentId: targetAgent.id,
+      assignedAt: new Date(), // 接手的客服重新計算首次回覆時間
+      firstResponseAt: null,
+      snoozedUntil: null,
+    },
+  });
+
+  await recordTransfer(updated, fromUser, `對話已轉接給 ${targetAgent.name}`, {
+    transferType: TRANSFER_TYPES.AGENT,
+    toAgentId: targetAgent.id,
+    reason,
+  }, note);
+
+  notifyTransferReceived(updated, fromUser, targetAgent.id, reason, note);
+
+  return updated;
+}
+
+/**
+ * 轉回佇列（可轉到其他區域、指定技能群組）
+ * @param {Object} conversation - 對話（ASSIGNED）
+ * @param {Object} fromUser - 轉出的用戶 { id, name }
+ * @param {Object} [options]
+ * @param {Object} [options.targetRegion] - 目標區域 { id, name }（不指定為原區域）
+ * @param {string} [options.skillCategory] - 技能群組
+ * @param {string} [options.reason] - 轉接原因
+ * @param {string} [options.note] - 交接備註
+ * @returns {Promise<Object|null>} 更新後的對話，對話狀態已變更時返回 null
+ */
+export async function transferToQueue(conversation, fromUser, {
+  targetRegion = null,
+  skillCategory = null,
+  reason = null,
+  note = null,
+} = {}) {
+  const regionId = targetRegion?.id || conversation.regionId;
+
+  // 以狀態條件更新，避免與結束／接手同時發生
+  const result = await prisma.conversation.updateMany({
+    where: {
+      id: conversation.id,
+      status: 'ASSIGNED',
+      assignedAgentId: conversation.assignedAgentId,
+    },
+    data: {
+      regionId,
+      status: 'WAITING',
+      assignedAgentId: null,
+      assignedAt: null,
+      firstResponseAt: null,
+      botHandoffReason: HANDOFF_REASONS.AGENT_TRANSFER,
+      botHandoffAt: new Date(),
+      requiredSkillCategory: skillCategory,
+      snoozedUntil: null,
+    },
+  });
+
+  if (result.count === 0) {
+    return null;
+  }
+
+  const updated = await prisma.conversation.findUnique({
+    where: { id: conversation.id },
+    include: {
+      customer: {
+        select: { id: true, displayName: true, vipLevel: true },
+      },
+    },
+  });
+
+  const destination = [
+    targetRegion ? targetRegion.name : null,
+    skillCategory ? `${skillCategory}群組` : null,
+  ].filter(Boolean).join('／');
+
+  await recordTransfer(updated, fromUser, `對話已轉回${destination ? ` ${destination} ` : ''}佇列`, {
+    transferType: targetRegion ? TRANSFER_TYPES.REGION : TRANSFER_TYPES.QUEUE,
+    fromRegionId: conversation.regionId,
+    toRegionId: regionId,
+    skillCategory,
+    reason,
+  }, note);
+
+  notifyStatsDelta(conversation.regionId, { active: -1 });
+  notifyConversationWaiting(updated);
+  console.log(`🔀 對話 ${conversation.id} 已轉回佇列（區域: ${regionId}${skillCategory ? `，技能: ${skillCategory}` : ''}）`);
+
+  processWaitingQueue(regionId).catch(error => {
+    console.error('❌ 自動分派失敗:', error);
+  });
+
+  return updated;
+}
+
+/**
+ * 檢查對話能否轉到其他區域（客戶進線的渠道必須仍可推送）
+ * @param {Object} conversation - 對話
+ * @param {Object} targetRegion - 目標區域 { id, isActive }
+ * @returns {Promise<string|null>} 不能轉接的原因，可以轉接時返回 null
+ */
+export async function checkRegionTransfer(conversation, targetRegion) {
+  if (!targetRegion || !targetRegion.isActive) {
+    return '目標區域不存在或已停用';
+  }
+  if (targetRegion.id === conversation.regionId) {
+    return '對話已在此區域';
+  }
+
+  const customer = await prisma.customer.findUnique({
+    where: { id: conversation.customerId },
+    select: { source: true, regionId: true, isBlocked: true },
+  });
+  const { reachable, reason } = await checkChannelReachable(customer);
+
+  return reachable ? null : `客戶的渠道無法推送，不能轉到其他區域：${reason}`;
+}
+
+/**
+ * 取得對話的轉接紀錄（含主管接手）
+ * @param {string} conversationId - 對話 ID
+ * @returns {Promise<Array>} 依時間排序的轉接紀錄
+ */
+export async function getTransferHistory(conversationId) {
+  const records = await prisma.message.findMany({
+    where: {
+      conversationId,
+      senderType: 'BOT',
+      OR: [
+        { metadata: { path: ['type'], equals: 'TRANSFER' } },
+        { metadata: { path: ['action'], equals: 'BARGE_IN' } },
+      ],
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const noteIds = records.map(record => record.metadata.noteId).filter(Boolean);
+  const userIds = [...new Set(records.flatMap(record => [record.metadata.fromAgentId, record.metadata.toAgentId]))]
+    .filter(Boolean);
+
+  const [notes, users, regions] = await Promise.all([
+    prisma.message.findMany({
+      where: { id: { in: noteIds } },
+      select: { id: true, content: true },
+    }),
+    prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, name: true },
+    }),
+    prisma.region.findMany({
+      select: { id: true, name: true },
+    }),
+  ]);
+  const nameOf = (list, id) => list.find(item => item.id === id)?.name || null;
+
+  return records.map(record => {
+    const meta = record.metadata;
+    return {
+      id: record.id,
+      transferType: meta.action === 'BARGE_IN' ? 'BARGE_IN' : (meta.transferType || TRANSFER_TYPES.AGENT),
+      fromAgent: meta.fromAgentId ? { id: meta.fromAgentId, name: nameOf(users, meta.fromAgentId) } : null,
+      toAgent: meta.toAgentId ? { id: meta.toAgentId, name: nameOf(users, meta.toAgentId) } : null,
+      fromRegion: meta.fromRegionId ? { id: meta.fromRegionId, name: nameOf(regions, meta.fromRegionId) } : null,
+      toRegion: meta.toRegionId ? { id: meta.toRegionId, name: nameOf(regions, meta.toRegionId) } : null,
+      skillCategory: meta.skillCategory || null,
+      reason: meta.reason || null,
+      note: notes.find(note => note.id === meta.noteId)?.content || null,
+      createdAt: record.createdAt,
+    };
+  });
+}
+
+export default {
+  TRANSFER_TYPES,
+  transferToAgent,
+  transferToQueue,
+  checkRegionTransfer,
+  getTransferHistory,
+};
@@ -0,0 +1,215 @@
+/**
+ * 網站聊天服務（WEB 渠道）
+ * 金龍永盛客服管理後台
+ *
+ * 提供官網嵌入式聊天元件所需的功能：
+ * - 訪客 Token 簽發與驗證（以區域的 widgetKey 換取）
+ * - socket.io /web-chat 命名空間（即時接收客服回覆）
+ * - 推送訊息給網站訪客
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { config } from '../config.js';
+import { prisma } from '../db.js';
+
+// 訪客 Token 類型標記及 audience（避免與後台用戶 Token 混用，後台 API 會拒絕有 aud 的 Token）
+const VISITOR_TOKEN_TYPE = 'WEB_VISITOR';
+const VISITOR_TOKEN_AUDIENCE = 'web-chat-visitor';
+
+// socket.io 命名空間
+export const WEB_CHAT_NAMESPACE = '/web-chat';
+
+let webChatNamespace = null;
+
+/**
+ * 產生新的聊天元件金鑰
+ * @returns {string} 金鑰
+ */
+export function generateWidgetKey() {
+  return `wk_${crypto.randomBytes(18).toString('hex')}`;
+}
+
+/**
+ * 依聊天元件金鑰取得區域
+ * @param {string} widgetKey - 聊天元件金鑰
+ * @returns {Promise<Object|null>} 區域資料
+ */
+export async function findRegionByWidgetKey(widgetKey) {
+  if (!widgetKey) return null;
+
+  try {
+    const region = await prisma.region.findUnique({
+      where: { webWidgetKey: widgetKey },
+    });
+
+    if (!region || !region.isActive) {
+      return null;
+    }
+
+    return region;
+  } catch (error) {
+    console.error('❌ findRegionByWidgetKey 失敗:', error);
+    return null;
+  }
+}
+
+/**
+ * 簽發訪客 Token
+ * @param {Object} payload
+ * @param {string} payload.regionId - 區域 ID
+ * @param {string} payload.visitorId - 訪客 ID（Customer.sourceUserId）
+ * @param {string} payload.customerId - 客戶 ID
+ * @returns {string} 訪客 Token
+ */
+export function generateVisitorToken({ regionId, visitorId, customerId }) {
+  return jwt.sign(
+    { type: VISITOR_TOKEN_TYPE, regionId, visitorId, customerId },
+    config.jwt.secret,
+    { expiresIn: config.webChat.visitorTokenExpiresIn, audience: VISITOR_TOKEN_AUDIENCE }
+  );
+}
+
+/**
+ * 驗證訪客 Token
+ * @param {string} token
+ * @returns {Object|null} { regionId, visitorId, customerId } 或 null
+ */
+export function verifyVisitorToken(token) {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, config.jwt.secret, { audience: VISITOR_TOKEN_AUDIENCE });
+    if (decoded.type !== VISITOR_TOKEN_TYPE) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 訪客認證中間件
+ * 驗證請求中的 Bearer 訪客 Token
+ */
+export function visitorAuthMiddleware(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: '請提供有效的訪客 Token',
+    });
+  }
+
+  const decoded = verifyVisitorToken(authHeader.substring(7));
+
+  if (!decoded) {
+    return res.status(401).json({
+      success: false,
+      error: 'InvalidToken',
+      message: '訪客 Token 無效或已過期',
+    });
+  }
+
+  req.visitor = decoded;
+  next();
+}
+
+/**
+ * 訪客專屬房間名稱
+ * @param {string} regionId - 區域 ID
+ * @param {string} visitorId - 訪客 ID
+ */
+function visitorRoom(regionId, visitorId) {
+  return `visitor:${regionId}:${visitorId}`;
+}
+
+/**
+ * 註冊 /web-chat 命名空間
+ * 訪客以 handshake.auth.token 傳入訪客 Token，連線後加入自己的房間
+ * @param {import('socket.io').Server} io - socket.io 伺服器
+ */
+export function registerWebChatNamespace(io) {
+  webChatNamespace = io.of(WEB_CHAT_NAMESPACE);
+
+  webChatNamespace.use((socket, next) => {
+    const visitor = verifyVisitorToken(socket.handshake.auth?.token);
+    if (!visitor) {
+      return next(new Error('Unauthorized'));
+    }
+    socket.data.visitor = visitor;
+    next();
+  });
+
+  webChatNamespace.on('connection', socket => {
+    const { regionId, visitorId } = socket.data.visitor;
+    socket.join(visitorRoom(regionId, visitorId));
+  });
+
+  return webChatNamespace;
+}
+
+/**
+ * 將訊息記錄格式化為聊天元件使用的格式
+ * @param {Object} message - Message 記錄
+ * @returns {Object}
+ */
+export function formatWebMessage(message) {
+  return {
+    id: message.id,
+    senderType: message.senderType,
+    senderName: message.senderAgent?.name || null,
+    contentType: message.contentType,
+    content: message.content,
+    fileUrl: message.fileUrl,
+    fileName: message.fileName,
+    createdAt: message.createdAt,
+  };
+}
+
+/**
+ * 推送訊息給網站訪客
+ * 訊息已存於資料庫，訪客離線時可於重新連線後透過歷史訊息取得
+ * @param {string} visitorId - 訪客 ID（Customer.sourceUserId）
+ * @param {Object} message - 訊息內容 { senderType, content, contentType, fileUrl, fileName, senderName }
+ * @param {Object} region - 區域資料
+ * @returns {Promise<Object>} { success, delivered }
+ */
+export async function sendWebMessage(visitorId, message, region) {
+  if (!webChatNamespace) {
+    return { success: false, error: '網站聊天服務尚未啟動' };
+  }
+
+  const room = visitorRoom(region.id, visitorId);
+
+  try {
+    const sockets = await webChatNamespace.in(room).fetchSockets();
+
+    webChatNamespace.to(room).emit('message', {
+      senderType: 'AGENT',
+      contentType: 'TEXT',
+      createdAt: new Date().toISOString(),
+      ...message,
+    });
+
+    return { success: true, delivered: sockets.length > 0 };
+  } catch (error) {
+    console.error('❌ 推送網站訊息失敗:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  WEB_CHAT_NAMESPACE,
+  generateWidgetKey,
+  findRegionByWidgetKey,
+  generateVisitorToken,
+  verifyVisitorToken,
+  visitorAuthMiddleware,
+  registerWebChatNamespace,
+  formatWebMessage,
+  sendWebMessage,
+};
@@ -0,0 +1,539 @@
+/**
+ * Webhook 事件佇列服務
+ * 金龍永盛客服管理後台
+ *
+ * Webhook 收到事件後先寫入 WebhookEvent 資料表再回應平台，之後由佇列處理：
+ * - 以平台事件 ID 去重（LINE webhookEventId / FB message mid），平台重送不會產生重複訊息
+ * - 處理失敗時依指數退避重試，超過次數移入死信（DEAD），可由管理 API 重新執行
+ * - 資料庫無法寫入時改用記憶體佇列，服務重啟前仍會處理與重試（重啟後遺失，數量有上限）
+ * - 重試時已儲存的客戶訊息不會重複儲存、已回覆的訊息不會重複回覆（見 inboundMessageService）
+ */
+
+import { prisma } from '../db.js';
+import { handleLineEventWithPersistence } from '../lineHandler.js';
+import { handleFbEventWithPersistence, findRegionByPageId } from '../fbHandler.js';
+import { getCachedRegion } from './regionCacheService.js';
+import { processWaitingQueue } from './assignmentService.js';
+
+// 最多嘗試次數（含第一次）
+export const MAX_ATTEMPTS = 5;
+
+// 重試間隔：30 秒起，每次加倍，上限 30 分鐘
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+
+// 輪詢間隔與每次處理數量
+const POLL_INTERVAL = 10 * 1000;
+const BATCH_SIZE = 20;
+
+// 處理中超過此時間視為中斷（如服務重啟），重新放回佇列
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// 記憶體佇列（資料庫無法寫入時使用，服務重啟後遺失）
+const memoryQueue = new Map();
+const MAX_MEMORY_EVENTS = 1000;
+// 記憶體去重記錄及死信的保存期限與數量上限
+const MEMORY_DEDUPE_TTL = 24 * 60 * 60 * 1000;
+const MAX_MEMORY_EVENT_IDS = 10000;
+const memoryEventIds = new Map(); // `${source}:${eventId}` → 寫入時間（依寫入順序）
+
+let pollTimer = null;
+let isPolling = false;
+
+/**
+ * 計算下次重試時間
+ * @param {number} attempts - 已嘗試次數
+ * @param {Date} [now] - 目前時間
+ * @returns {Date}
+ */
+export function getNextAttemptAt(attempts, now = new Date()) {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+  return new Date(now.getTime() + delay);
+}
+
+/**
+ * 處理失敗後的事件狀態：未達次數上限時排定重試，否則移入死信
+ * @param {Object} record - 事件（attempts 為已嘗試次數）
+ * @param {Error} error - 錯誤
+ * @param {Date} [now] - 目前時間
+ * @returns {Object} { status, lastError, nextAttemptAt }
+ */
+export function getFailureUpdate(record, error, now = new Date()) {
+  const isDead = record.attempts >= MAX_ATTEMPTS;
+
+  return {
+    status: isDead ? 'DEAD' : 'PENDING',
+    lastError: error.message?.slice(0, 1000) || String(error),
+    nextAttemptAt: isDead ? record.nextAttemptAt : getNextAttemptAt(record.attempts, now),
+  };
+}
+
+/**
+ * 移除過期的記憶體去重記錄
+ * @param {number} now - 目前時間（毫秒）
+ */
+function pruneMemoryEventIds(now) {
+  for (const [key, createdAt] of memoryEventIds) {
+    // 依寫入順序排列，遇到未過期的記錄即可停止
+    if (now - createdAt <= MEMORY_DEDUPE_TTL) {
+      break;
+    }
+    memoryEventIds.delete(key);
+  }
+}
+
+/**
+ * 記錄記憶體佇列的事件 ID（去重用），超過數量上限時移除最舊的記錄
+ * @param {string} key - `${source}:${eventId}`
+ * @param {number} [now] - 目前時間（毫秒）
+ * @returns {boolean} 是否為新事件（已記錄過時返回 false）
+ */
+export function rememberMemoryEventId(key, now = Date.now()) {
+  pruneMemoryEventIds(now);
+
+  if (memoryEventIds.has(key)) {
+    return false;
+  }
+  if (memoryEventIds.size >= MAX_MEMORY_EVENT_IDS) {
+    memoryEventIds.delete(memoryEventIds.keys().next().value);
+  }
+  memoryEventIds.set(key, now);
+  return true;
+}
+
+/**
+ * 移除記憶體佇列中過期的死信（記憶體事件無法持久化，保留過久只會佔用記憶體）
+ * @param {number} now - 目前時間（毫秒）
+ */
+function pruneMemoryQueue(now) {
+  for (const record of memoryQueue.values()) {
+    if (record.status === 'DEAD' && now - record.createdAt.getTime() > MEMORY_DEDUPE_TTL) {
+      memoryQueue.delete(record.id);
+      console.error(`❌ 記憶體佇列的死信已移除（未寫入資料庫，無法再重新執行）: ${record.source} 事件 ${record.eventId}`);
+    }
+  }
+}
+
+/**
+ * 取得 Messenger 事件的去重 ID
+ * @param {Object} event - Messenger messaging event
+ * @returns {string}
+ */
+function getFbEventId(event) {
+  return event.message?.mid
+    || event.postback?.mid
+    || `${event.sender?.id}:${event.timestamp}`;
+}
+
+// ============ 事件處理器 ============
+
+/**
+ * 轉人工的事件在回覆送出後才自動分派，避免客服的歡迎訊息比轉接提示先到
+ * @param {Object} result - 處理器的結果
+ */
+function assignAfterHandoff(result) {
+  if (result?.handoffPerformed && result.regionId) {
+    processWaitingQueue(result.regionId).catch(error => {
+      console.error('❌ 自動分派失敗:', error);
+    });
+  }
+}
+
+/**
+ * 各來源的事件處理器
+ * 處理失敗時需拋出錯誤，佇列才會重試
+ */
+const EVENT_PROCESSORS = {
+  async LINE(payload, regionId) {
+    // 全域配置（無對應區域）時傳入 null，由處理函數使用預設區域
+    const region = regionId ? await getCachedRegion(regionId) : null;
+
+    if (regionId && !region) {
+      throw new Error(`區域不存在: ${regionId}`);
+    }
+
+    const result = await handleLineEventWithPersistence(payload.event, region, { throwOnError: true });
+    assignAfterHandoff(result);
+    return result;
+  },
+
+  async FB(payload) {
+    const region = await findRegionByPageId(payload.pageId);
+
+    if (!region) {
+      throw new Error(`找不到粉絲專頁 ${payload.pageId} 對應的區域`);
+    }
+
+    const result = await handleFbEventWithPersistence(payload.event, region, { throwOnError: true });
+    assignAfterHandoff(result);
+    return result;
+  },
+};
+
+// ============ 寫入佇列 ============
+
+/**
+ * 將事件寫入佇列並立即處理
+ * @param {Object} params
+ * @param {string} params.source - 來源 (LINE | FB)
+ * @param {string} params.eventId - 平台事件 ID
+ * @param {string} [params.regionId] - 區域 ID
+ * @param {Object} params.payload - 事件內容（交給處理器）
+ * @param {boolean} [params.isRedelivery] - 是否為平台重送
+ * @returns {Promise<Object>} { queued, duplicate, fallback }
+ */
+export async function enqueueWebhookEvent({ source, eventId, regionId = null, payload, isRedelivery = false }) {
+  try {
+    const record = await prisma.webhookEvent.create({
+      data: {
+        source,
+        eventId,
+        regionId,
+        payload,
+        isRedelivery,
+        status: 'PROCESSING',
+        attempts: 1,
+      },
+    });
+
+    // 不等待處理完成，webhook 可以立即回應
+    runEvent(record).catch(error => {
+      console.error('❌ Webhook 事件處理錯誤:', error);
+    });
+
+    return { queued: true, duplicate: false, fallback: false };
+  } catch (error) {
+    // 唯一約束衝突：事件已處理過（平台重送）
+    if (error.code === 'P2002') {
+      console.log(`⏭️ 略過重複的 ${source} 事件: ${eventId}${isRedelivery ? '（重送）' : ''}`);
+      return { queued: false, duplicate: true, fallback: false };
+    }
+
+    console.error('❌ Webhook 事件寫入資料庫失敗，改用記憶體佇列（服務重啟後遺失）:', error.message);
+    return enqueueMemoryEvent({ source, eventId, regionId, payload, isRedelivery });
+  }
+}
+
+/**
+ * 寫入記憶體佇列
+ */
+function enqueueMemoryEvent({ source, eventId, regionId, payload, isRedelivery }) {
+  const key = `${source}:${eventId}`;
+
+  if (!rememberMemoryEventId(key)) {
+    console.log(`⏭️ 略過重複的 ${source} 事件: ${eventId}`);
+    return { queued: false, duplicate: true, fallback: true };
+  }
+
+  pruneMemoryQueue(Date.now());
+  if (memoryQueue.size >= MAX_MEMORY_EVENTS) {
+    // 不記錄去重 ID，Webhook 回應 5xx 讓平台重送時仍可處理
+    memoryEventIds.delete(key);
+    console.error(`❌ 記憶體佇列已滿（${MAX_MEMORY_EVENTS} 筆），${source} 事件 ${eventId} 遺失`);
+    return { queued: false, duplicate: false, fallback: true, dropped: true };
+  }
+
+  const record = {
+    id: `mem-${key}`,
+    source,
+    eventId,
+    regionId,
+    payload,
+    isRedelivery,
+    status: 'PROCESSING',
+    attempts: 1,
+    lastError: null,
+    nextAttemptAt: new Date(),
+    createdAt: new Date(),
+    inMemory: true,
+  };
+  memoryQueue.set(record.id, record);
+
+  runEvent(record).catch(error => {
+    console.error('❌ Webhook 事件處理錯誤:', error);
+  });
+
+  return { queued: true, duplicate: false, fallback: true };
+}
+
+/**
+ * 是否有事件沒有寫入佇列（記憶體佇列已滿）
+ * 有的話 Webhook 需回應 5xx，讓平台重送
+ * @param {Array} results - enqueueLineEvents / enqueueFbEvents 的回傳值
+ * @returns {boolean}
+ */
+export function hasDroppedEvents(results) {
+  return results.some(result => result.dropped);
+}
+
+/**
+ * 將 LINE Webhook 事件寫入佇列
+ * @param {Array} events - LINE webhook events
+ * @param {Object} region - 驗證簽名時對應的區域
+ * @returns {Promise<Array>} 各事件的寫入結果
+ */
+export async function enqueueLineEvents(events, region) {
+  const results = [];
+
+  for (const event of events) {
+    results.push(await enqueueWebhookEvent({
+      source: 'LINE',
+      // 舊版 webhook 沒有 webhookEventId 時，以 reply token / 時間戳代替
+      eventId: event.webhookEventId || event.replyToken || `${event.source?.userId}:${event.timestamp}`,
+      regionId: region?.id || null,
+      payload: { event },
+      isRedelivery: event.deliveryContext?.isRedelivery || false,
+    }));
+  }
+
+  return results;
+}
+
+/**
+ * 將 Messenger Webhook 事件寫入佇列（每個 messaging 事件一筆）
+ * @param {Object} payload - Webhook 請求內容 { object: 'page', entry: [...] }
+ * @returns {Promise<Array>} 各事件的寫入結果
+ */
+export async function enqueueFbEvents(payload) {
+  const results = [];
+
+  for (const entry of payload.entry || []) {
+    for (const event of entry.messaging || []) {
+      // 不處理的事件（已讀、送達、echo）不需要進佇列
+      if (!event.message && !event.postback) continue;
+      if (event.message?.is_echo) continue;
+
+      results.push(await enqueueWebhookEvent({
+        source: 'FB',
+        eventId: getFbEventId(event),
+        payload: { pageId: entry.id, event },
+      }));
+    }
+  }
+
+  return results;
+}
+
+// ============ 處理事件 ============
+
+/**
+ * 更新事件狀態（資料庫或記憶體）
+ */
+async function updateEvent(record, data) {
+  if (record.inMemory) {
+    Object.assign(record, data);
+    if (data.status === 'DONE') {
+      memoryQueue.delete(record.id);
+    }
+    return record;
+  }
+  return prisma.webhookEvent.update({
+    where: { id: record.id },
+    data,
+  });
+}
+
+/**
+ * 處理單一事件（呼叫前需已將狀態設為 PROCESSING 並累加 attempts）
+ * @param {Object} record - WebhookEvent 記錄
+ */
+async function runEvent(record) {
+  const processor = EVENT_PROCESSORS[record.source];
+
+  try {
+    if (!processor) {
+      throw new Error(`不支援的事件來源: ${record.source}`);
+    }
+
+    await processor(record.payload, record.regionId);
+
+    await updateEvent(record, {
+      status: 'DONE',
+      processedAt: new Date(),
+      lastError: null,
+    });
+  } catch (error) {
+    const update = getFailureUpdate(record, error);
+
+    console.error(
+      `❌ ${record.source} 事件 ${record.eventId} 處理失敗（第 ${record.attempts} 次）${update.status === 'DEAD' ? '，已移入死信' : ''}:`,
+      error.message
+    );
+
+    await updateEvent(record, update).catch(err => console.error('❌ 更新 Webhook 事件狀態失敗:', err));
+  }
+}
+
+/**
+ * 處理到期的待重試事件
+ * @returns {Promise<Object>} { processed }
+ */
+export async function processPendingEvents() {
+  if (isPolling) {
+    return { processed: 0, skipped: true };
+  }
+  isPolling = true;
+
+  let processed = 0;
+
+  try {
+    const now = new Date();
+
+    // 記憶體佇列
+    pruneMemoryQueue(now.getTime());
+    pruneMemoryEventIds(now.getTime());
+    for (const record of memoryQueue.values()) {
+      if (record.status === 'PENDING' && record.nextAttemptAt <= now) {
+        record.status = 'PROCESSING';
+        record.attempts += 1;
+        await runEvent(record);
+        processed++;
+      }
+    }
+
+    // 處理中過久的事件（服務中斷）放回佇列
+    await prisma.webhookEvent.updateMany({
+      where: {
+        status: 'PROCESSING',
+        updatedAt: { lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      data: { status: 'PENDING' },
+    });
+
+    const due = await prisma.webhookEvent.findMany({
+      where: {
+        status: 'PENDING',
+        nextAttemptAt: { lte: now },
+      },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    for (const event of due) {
+      // 以狀態條件更新搶佔事件，避免多個實例重複處理
+      const claimed = await prisma.webhookEvent.updateMany({
+        where: { id: event.id, status: 'PENDING' },
+        data: { status: 'PROCESSING', attempts: { increment: 1 } },
+      });
+      if (claimed.count === 0) continue;
+
+      await runEvent({ ...event, attempts: event.attempts + 1 });
+      processed++;
+    }
+
+    if (processed > 0) {
+      console.log(`🔁 Webhook 佇列已重試 ${processed} 個事件`);
+    }
+  } catch (error) {
+    console.error('❌ processPendingEvents 失敗:', error.message);
+  } finally {
+    isPolling = false;
+  }
+
+  return { processed };
+}
+
+/**
+ * 重新執行事件（死信或已完成的事件）
+ * @param {string} id - WebhookEvent ID
+ * @returns {Promise<Object|null>} 更新後的事件，不存在時返回 null
+ */
+export async function replayWebhookEvent(id) {
+  const memoryRecord = memoryQueue.get(id);
+  if (memoryRecord) {
+    memoryRecord.status = 'PENDING';
+    memoryRecord.attempts = 0;
+    memoryRecord.nextAttemptAt = new Date();
+    return memoryRecord;
+  }
+
+  const existing = await prisma.webhookEvent.findUnique({ where: { id } });
+  if (!existing) {
+    return null;
+  }
+
+  return prisma.webhookEvent.update({
+    where: { id },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+    },
+  });
+}
+
+/**
+ * 取得記憶體佇列中的事件（資料庫無法寫入時的備援）
+ * @returns {Array}
+ */
+export function getMemoryQueueEvents() {
+  return [...memoryQueue.values()];
+}
+
+/**
+ * 清理已完成的事件及過期的記憶體去重記錄
+ * @param {number} [retentionDays=7] - 保留天數
+ * @returns {Promise<Object>} { deleted }
+ */
+export async function cleanupWebhookEvents(retentionDays = 7) {
+  const now = Date.now();
+  pruneMemoryEventIds(now);
+  pruneMemoryQueue(now);
+
+  const cutoffDate = new Date(now - retentionDays * 24 * 60 * 60 * 1000);
+  const result = await prisma.webhookEvent.deleteMany({
+    where: {
+      status: 'DONE',
+      createdAt: { lt: cutoffDate },
+    },
+  });
+
+  console.log(`🧹 已清理 ${result.count} 個已完成的 Webhook 事件`);
+  return { deleted: result.count };
+}
+
+/**
+ * 啟動佇列輪詢（處理重試與中斷的事件）
+ */
+export function startWebhookQueue() {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(() => {
+    processPendingEvents();
+  }, POLL_INTERVAL);
+
+  console.log(`✅ Webhook 事件佇列已啟動（每 ${POLL_INTERVAL / 1000} 秒檢查重試）`);
+}
+
+/**
+ * 停止佇列輪詢
+ */
+export function stopWebhookQueue() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  const unfinished = [...memoryQueue.values()].filter(record => record.status !== 'DONE');
+  if (unfinished.length > 0) {
+    console.error(`❌ 記憶體佇列中還有 ${unfinished.length} 個未完成的事件，服務重啟後將遺失`);
+  }
+}
+
+export default {
+  MAX_ATTEMPTS,
+  getNextAttemptAt,
+  getFailureUpdate,
+  rememberMemoryEventId,
+  hasDroppedEvents,
+  enqueueWebhookEvent,
+  enqueueLineEvents,
+  enqueueFbEvents,
+  processPendingEvents,
+  replayWebhookEvent,
+  getMemoryQueueEvents,
+  cleanupWebhookEvents,
+  startWebhookQueue,
+  stopWebhookQueue,
+};
@@ -0,0 +1,49 @@
+/**
+ * 金龍永盛 AI 客服系統 - 即時通訊模組
+ *
+ * 建立 socket.io 伺服器，並註冊各命名空間：
+ * - /web-chat：官網聊天元件（網站訪客）
+ * - /agent：客服工作台（以 JWT 認證）
+ */
+import { Server } from 'socket.io';
+import { registerWebChatNamespace } from './services/webChatService.js';
+import { registerAgentNamespace } from './services/agentNotificationService.js';
+
+let io = null;
+
+/**
+ * 初始化 socket.io 伺服器
+ * @param {import('http').Server} httpServer - HTTP 伺服器
+ * @returns {Server} socket.io 伺服器
+ */
+export function initSocketServer(httpServer) {
+  if (io) {
+    return io;
+  }
+
+  io = new Server(httpServer, {
+    cors: {
+      origin: true, // 聊天元件會嵌入在官網等外部網域
+      credentials: true,
+    },
+  });
+
+  registerWebChatNamespace(io);
+  registerAgentNamespace(io);
+
+  console.log('✅ socket.io 即時通訊已啟動');
+  return io;
+}
+
+/**
+ * 取得 socket.io 伺服器實例
+ * @returns {Server|null}
+ */
+export function getIO() {
+  return io;
+}
+
+export default {
+  initSocketServer,
+  getIO,
+};
@@ -1,12 +1,52 @@
 /**
  * 金龍永盛 AI 客服系統 - 測試腳本
  *
- * 測試 FAQ 檢索、Gemini API 回覆、意圖分類和實體提取功能
+ * 測試 FAQ 檢索、AI 回覆、意圖分類和實體提取功能，
+ * 以及不需要資料庫的純邏輯（Token 驗證等），任一項失敗時以非 0 狀態結束
  */
-import { loadFAQData, searchFAQ, formatFAQContext, getCategories } from './faqRetriever.js';
+import express from 'express';
+import { config, parseRatio } from './config.js';
+import { prisma } from './db.js';
+import {
+  loadFAQData,
+  searchFAQ,
+  explainSearch,
+  formatFAQContext,
+  getCategories,
+  parseFAQCsv,
+  formatFAQCsv,
+} from './faqRetriever.js';
+import { tokenize, buildSearchIndex, scoreQuery } from './faqSearchEngine.js';
 import { initGemini, faqAutoReply, classifyIntent as geminiClassifyIntent, estimateCost } from './gemini.js';
 import { initIntentClassifier, classifyIntent, INTENTS } from './intentClassifier.js';
+import { classifyByRules, preFilterIntent } from './ruleClassifier.js';
 import { extractAllEntities, extractDates, extractFlightNumbers, extractDestinations, flattenEntities } from './entityExtractor.js';
+import { generateTokens, verifyAccessToken } from './middleware/auth.js';
+import { generateVisitorToken, verifyVisitorToken } from './services/webChatService.js';
+import agentRoutes from './routes/agent.js';
+import webChatRoutes from './routes/webChat.js';
+import { toInboundFbEvent } from './fbHandler.js';
+import { toLineMessages } from './lineHandler.js';
+import { authenticateAgentSocket } from './services/agentNotificationService.js';
+import {
+  MAX_ATTEMPTS,
+  getNextAttemptAt,
+  getFailureUpdate,
+  rememberMemoryEventId,
+  hasDroppedEvents,
+} from './services/webhookQueueService.js';
+import { getPlatformMessageId } from './services/conversationService.js';
+import { validateFaqContent } from './services/faqService.js';
+import { clusterQueries, summarizeCluster } from './services/faqGapService.js';
+import { ASSIGNMENT_STRATEGIES, getAssignmentStrategy, pickAgent } from './services/assignmentService.js';
+import { validateSkills, getRequiredSkills, getMatchedSkills, preferSkilledAgents } from './services/skillService.js';
+import { SLA_TYPES, getSlaPolicy, validateSlaPolicy, getSlaBreach, getPendingTimer } from './services/slaService.js';
+import {
+  calculateWaitMinutes,
+  formatQueueStatus,
+  getQueueNoticeThresholds,
+  isWaitTimeQuery,
+} from './services/humanHandoffService.js';
 
 // 測試用例
 const testCases = [
@@ -101,15 +141,15 @@ async function testFAQRetrieval() {
  */
 async function testGeminiAPI() {
   console.log('\n' + '='.repeat(60));
-  console.log('🤖 測試 Gemini API 回覆功能');
+  console.log(`🤖 測試 AI 回覆功能（LLM 供應商：${config.llm.provider}）`);
   console.log('='.repeat(60));
 
   // 初始化 Gemini
   const isReady = initGemini();
 
   if (!isReady) {
-    console.log('\n⚠️ 跳過 Gemini API 測試（未設定 GEMINI_API_KEY）');
-    console.log('   請在 .env 文件中設定 GEMINI_API_KEY');
+    console.log(`\n⚠️ 跳過 AI 回覆測試（LLM 供應商 ${config.llm.provider} 無法使用）`);
+    console.log('   請在 .env 文件中設定 GEMINI_API_KEY，或設定 LLM_PROVIDER=offline');
     return;
   }
 
@@ -257,14 +297,14 @@ function testEntityExtraction() {
  */
 async function testIntentClassification() {
   console.log('\n' + '='.repeat(60));
-  console.log('🎯 測試意圖分類功能（Gemini 2.0 Flash）');
+  console.log(`🎯 測試意圖分類功能（LLM 供應商：${config.llm.provider}）`);
   console.log('='.repeat(60));
 
   // 初始化意圖分類器
   const isReady = initIntentClassifier();
 
   if (!isReady) {
-    console.log('\n⚠️ 跳過意圖分類測試（未設定 GEMINI_API_KEY）');
+    console.log(`\n⚠️ 跳過意圖分類測試（LLM 供應商 ${config.llm.provider} 無法使用）`);
     return;
   }
 
@@ -331,6 +371,838 @@ async function testIntentClassification() {
   return { passed, failed, total: intentTestCases.length };
 }
 
+/**
+ * 執行一組檢查並輸出結果
+ * @param {string} title - 標題
+ * @param {Array} checks - [{ name, run }]，run 返回 true 為通過（可為 async）
+ * @returns {Promise<Object>} { passed, failed, total }
+ */
+async function runChecks(title, checks) {
+  console.log('\n' + '='.repeat(60));
+  console.log(title);
+  console.log('='.repeat(60) + '\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    let ok = false;
+    try {
+      ok = await check.run();
+    } catch (error) {
+      console.log(`   錯誤: ${error.message}`);
+    }
+
+    if (ok) {
+      passed++;
+      console.log(`✅ ${check.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${check.name}`);
+    }
+  }
+
+  console.log('\n' + '-'.repeat(40));
+  console.log(`通過: ${passed}/${checks.length}`);
+
+  return { passed, failed, total: checks.length };
+}
+
+/**
+ * 以測試用的 Express 應用程式送出請求
+ * @param {Object} router - 要掛載的路由
+ * @param {string} mountPath - 掛載路徑
+ * @param {string} path - 請求路徑
+ * @param {Object} [options] - fetch 選項
+ * @returns {Promise<Response>}
+ */
+async function requestRoute(router, mountPath, path, options = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = app.listen(0);
+  try {
+    const { port } = server.address();
+    return await fetch(`http://127.0.0.1:${port}${path}`, options);
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * 測試 Token 驗證（後台用戶 Token 與網站訪客 Token 不可混用）
+ */
+async function testAuthTokens() {
+  const staffToken = generateTokens({
+    id: 'user-1',
+    email: 'agent@example.com',
+    role: 'AGENT',
+    regionId: 'region-1',
+  }).accessToken;
+  const visitorToken = generateVisitorToken({
+    regionId: 'region-1',
+    visitorId: 'visitor-1',
+    customerId: 'customer-1',
+  });
+
+  return runChecks('🔐 測試 Token 驗證', [
+    {
+      name: '後台用戶 Token 可通過驗證',
+      run: () => verifyAccessToken(staffToken)?.userId === 'user-1',
+    },
+    {
+      name: '訪客 Token 不可作為後台 Token',
+      run: () => verifyAccessToken(visitorToken) === null,
+    },
+    {
+      name: '後台 Token 不可作為訪客 Token',
+      run: () => verifyVisitorToken(staffToken) === null,
+    },
+    {
+      name: '訪客 Token 呼叫 /api/agent 返回 401',
+      run: async () => {
+        const response = await requestRoute(agentRoutes, '/api/agent', '/api/agent/queue', {
+          headers: { Authorization: `Bearer ${visitorToken}` },
+        });
+        return response.status === 401;
+      },
+    },
+    {
+      name: '訪客 Token 不可連線 /agent 命名空間',
+      run: () => connectAgentSocket(visitorToken) instanceof Error,
+    },
+    {
+      name: '後台用戶 Token 可連線 /agent 命名空間',
+      run: () => connectAgentSocket(staffToken) === undefined,
+    },
+  ]);
+}
+
+/**
+ * 測試網站訪客的歷史訊息（內部備註、系統紀錄不給訪客看）
+ * 以記憶體中的訊息取代資料庫查詢，依路由傳入的條件篩選
+ */
+async function testVisitorHistory() {
+  const at = minutes => new Date(Date.UTC(2025, 0, 1, 9, minutes));
+  const stored = [
+    { id: 'm1', senderType: 'CUSTOMER', contentType: 'TEXT', content: '我要改票', createdAt: at(0) },
+    { id: 'm2', senderType: 'BOT', contentType: 'TEXT', content: '已為您轉接客服', createdAt: at(1) },
+    { id: 'm3', senderType: 'BOT', contentType: 'SYSTEM', content: '對話已自動分派給 小王', metadata: { type: 'ASSIGNMENT' }, createdAt: at(2) },
+    { id: 'm4', senderType: 'AGENT', contentType: 'TEXT', content: '您好，我來協助您', createdAt: at(3) },
+    { id: 'm5', senderType: 'AGENT', contentType: 'NOTE', content: '@主管 客戶情緒不佳', createdAt: at(4) },
+    { id: 'm6', senderType: 'BOT', contentType: 'SYSTEM', content: '已轉接給 小李（原因：需要簽證專人）', metadata: { type: 'TRANSFER' }, createdAt: at(5) },
+    { id: 'm7', senderType: 'BOT', contentType: 'SYSTEM', content: '主管 老陳 已接手此對話（原因：客訴）', metadata: { type: 'SYSTEM', action: 'BARGE_IN' }, createdAt: at(6) },
+    { id: 'm8', senderType: 'BOT', contentType: 'SYSTEM', content: '對話已結束（摘要：客戶改票，費用爭議）', metadata: { type: 'CLOSE' }, createdAt: at(7) },
+  ];
+  const matches = (message, { contentType }) => !contentType
+    || ((!contentType.not || message.contentType !== contentType.not)
+      && (!contentType.notIn || !contentType.notIn.includes(message.contentType)));
+
+  const visitorToken = generateVisitorToken({
+    regionId: 'region-1',
+    visitorId: 'visitor-1',
+    customerId: 'customer-1',
+  });
+  const fetchHistory = async () => {
+    const original = prisma.message.findMany;
+    prisma.message.findMany = async ({ where }) => stored
+      .filter(message => matches(message, where))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(message => ({ ...message, senderAgent: null }));
+    try {
+      const response = await requestRoute(webChatRoutes, '/api/web-chat', '/api/web-chat/messages', {
+        headers: { Authorization: `Bearer ${visitorToken}` },
+      });
+      return (await response.json()).data;
+    } finally {
+      prisma.message.findMany = original;
+    }
+  };
+  const history = await fetchHistory();
+
+  return runChecks('💬 測試網站訪客歷史訊息', [
+    {
+      name: '只返回客戶、客服及機器人回覆',
+      run: () => history.map(message => message.id).join() === 'm1,m2,m4',
+    },
+    {
+      name: '不含結束摘要、轉接原因、自動分派及主管接手紀錄',
+      run: () => !history.some(message => /摘要|原因|分派|接手/.test(message.content)),
+    },
+    {
+      name: '不含內部備註',
+      run: () => !history.some(message => message.contentType === 'NOTE'),
+    },
+  ]);
+}
+
+/**
+ * 測試 Messenger 事件轉換（按鈕回傳、附件不可略過）
+ */
+async function testFbInboundEvents() {
+  const sender = { id: 'psid-1' };
+
+  return runChecks('📘 測試 Messenger 事件轉換', [
+    {
+      name: '按鈕回傳帶有 intent 時直接路由到該意圖',
+      run: async () => {
+        const inbound = await toInboundFbEvent({
+          sender,
+          postback: { mid: 'm_pb1', title: '我要訂票', payload: 'intent=TICKET_BOOK&destination=東京' },
+        });
+        return inbound.postback.intent === 'TICKET_BOOK'
+          && inbound.postback.entities.destination === '東京'
+          && inbound.text === '我要訂票'
+          && inbound.metadata.fbMessageId === 'm_pb1'
+          && !inbound.recordOnly;
+      },
+    },
+    {
+      name: '按鈕回傳沒有 intent 時以標題交由 AI 分類',
+      run: async () => {
+        const inbound = await toInboundFbEvent({ sender, postback: { title: '開始使用', payload: 'GET_STARTED' } });
+        return inbound.text === '開始使用' && inbound.postback.intent === null && !inbound.recordOnly;
+      },
+    },
+    {
+      name: '點擊快速回覆以 payload 為訊息內容',
+      run: async () => {
+        const inbound = await toInboundFbEvent({
+          sender,
+          message: { mid: 'm_1', text: '繼續等…', quick_reply: { payload: '繼續等候客服' } },
+        });
+        return inbound.text === '繼續等候客服' && inbound.metadata.fbMessageId === 'm_1';
+      },
+    },
+    {
+      name: '貼圖、位置、分享連結只記錄不回覆',
+      run: async () => {
+        const sticker = await toInboundFbEvent({
+          sender,
+          message: { mid: 'm_2', attachments: [{ type: 'image', payload: { url: 'https://example.com/s.png', sticker_id: 369239263222822 } }] },
+        });
+        const location = await toInboundFbEvent({
+          sender,
+          message: { mid: 'm_3', attachments: [{ type: 'location', title: '台北車站', payload: { coordinates: { lat: 25.04, long: 121.51 } } }] },
+        });
+        const link = await toInboundFbEvent({
+          sender,
+          message: { mid: 'm_4', attachments: [{ type: 'fallback', title: '行程分享', payload: { url: 'https://example.com/trip' } }] },
+        });
+        return sticker.recordOnly && sticker.text === '[貼圖]'
+          && location.recordOnly && location.text.includes('台北車站') && location.text.includes('25.04,121.51')
+          && link.recordOnly && link.text === '[附件] 行程分享';
+      },
+    },
+    {
+      name: 'echo、已讀、送達事件不處理',
+      run: async () => await toInboundFbEvent({ sender, message: { mid: 'm_5', text: '客服回覆', is_echo: true } }) === null
+        && await toInboundFbEvent({ sender, read: { watermark: 1 } }) === null,
+    },
+  ]);
+}
+
+/**
+ * 測試 LINE 訊息轉換（兩個按鈕的模板）
+ */
+function testLineTemplates() {
+  const actions = [{ label: '是', text: '是' }, { label: '否', text: '否' }];
+  const convert = text => toLineMessages([{ type: 'template', text, actions }])[0];
+
+  return runChecks('💚 測試 LINE 訊息轉換', [
+    {
+      name: '兩個按鈕且文字不超過 240 字時使用確認模板',
+      run: () => {
+        const message = convert('需要轉接客服嗎？');
+        return message.type === 'template' && message.template.type === 'confirm';
+      },
+    },
+    {
+      name: '文字剛好 240 字時仍使用確認模板',
+      run: () => convert('字'.repeat(240)).type === 'template',
+    },
+    {
+      name: '文字超過 240 字時改用快速回覆，內容不截斷',
+      run: () => {
+        const text = '字'.repeat(241);
+        const message = convert(text);
+        return message.type === 'text' && message.text === text && message.quickReply.items.length === 2;
+      },
+    },
+  ]);
+}
+
+/**
+ * 以指定 Token 執行 /agent 命名空間的連線驗證
+ * @returns {Error|undefined} 驗證失敗時的錯誤
+ */
+function connectAgentSocket(token) {
+  let result = null;
+  authenticateAgentSocket({ handshake: { auth: { token } }, data: {} }, error => {
+    result = error;
+  });
+  return result;
+}
+
+/**
+ * 測試 FAQ 檢索引擎（中文切詞、BM25 評分、閾值）
+ * 閾值的測試使用 testFAQRetrieval 載入的 FAQ 資料
+ */
+async function testFAQSearchEngine() {
+  const faqs = [
+    { id: 'T1', category: '簽證護照', question: '台胞證辦理需要幾天？', answer: '一般件約 7 個工作天。', keywords: ['台胞證', '工作天'] },
+    { id: 'T2', category: '機票服務', question: '改票要多少錢？', answer: '改票費用依航空公司規定。', keywords: ['改票', '費用'] },
+    { id: 'T3', category: '付款收據', question: '可以刷卡付款嗎？', answer: '可以，接受信用卡付款。', keywords: ['刷卡', '信用卡'] },
+  ];
+  const index = buildSearchIndex(faqs);
+
+  /**
+   * 以指定閾值搜尋
+   */
+  const searchWithThreshold = (query, threshold) => {
+    const original = config.faq.similarityThreshold;
+    config.faq.similarityThreshold = threshold;
+    try {
+      return searchFAQ(query, 3);
+    } finally {
+      config.faq.similarityThreshold = original;
+    }
+  };
+
+  return runChecks('🔎 測試 FAQ 檢索引擎', [
+    {
+      name: '比例設定：明確的 0 有效，空白或無效時用預設值，超出範圍時限制在 0-1',
+      run: () => parseRatio('0', 0.3) === 0
+        && parseRatio('0.55', 0.3) === 0.55
+        && parseRatio('', 0.3) === 0.3
+        && parseRatio(undefined, 0.3) === 0.3
+        && parseRatio('abc', 0.3) === 0.3
+        && parseRatio('1.5', 0.3) === 1
+        && parseRatio('-0.2', 0.3) === 0,
+    },
+    {
+      name: '中文切為相鄰兩字，略過兩字都是虛詞的詞（請問）',
+      run: () => {
+        const tokens = tokenize('請問台胞證');
+        return tokens.join() === '問台,台胞,胞證';
+      },
+    },
+    {
+      name: '詞典中三字以上的詞另外加入',
+      run: () => tokenize('台胞證要幾天', new Set(['台胞證'])).includes('台胞證'),
+    },
+    {
+      name: '英數字為一詞，全形轉半形、轉小寫',
+      run: () => tokenize('ＣＸ４７２ 飛香港').join() === 'cx472,飛香,香港',
+    },
+    {
+      name: '單一中文字：虛詞略過，其他保留',
+      run: () => tokenize('嗎').length === 0 && tokenize('票').join() === '票',
+    },
+    {
+      name: 'BM25 以最相關的 FAQ 排第一',
+      run: () => scoreQuery(index, '台胞證要辦幾天').results[0].faq.id === 'T1'
+        && scoreQuery(index, '改票費用').results[0].faq.id === 'T2',
+    },
+    {
+      name: '分數正規化為 0-1，無相關詞時為 0',
+      run: () => {
+        const { results } = scoreQuery(index, '台胞證辦理需要幾天', { vectorWeight: 0.3 });
+        return results.every(result => result.score >= 0 && result.score <= 1)
+          && scoreQuery(index, '天氣如何').results.every(result => result.score === 0);
+      },
+    },
+    {
+      name: '分數等於閾值時列入結果',
+      run: () => {
+        const top = explainSearch('台胞證要幾天？', 1).results[0];
+        return searchWithThreshold('台胞證要幾天？', top.score)[0]?.id === top.id;
+      },
+    },
+    {
+      name: '分數低於閾值時不列入結果',
+      run: () => {
+        const top = explainSearch('台胞證要幾天？', 1).results[0];
+        return !searchWithThreshold('台胞證要幾天？', top.score + 0.001).some(faq => faq.id === top.id);
+      },
+    },
+  ]);
+}
+
+/**
+ * 測試 Webhook 事件佇列（重試退避、死信、去重）
+ */
+async function testWebhookQueue() {
+  const now = new Date('2025-01-01T00:00:00Z');
+  const secondsAfter = date => (date.getTime() - now.getTime()) / 1000;
+
+  return runChecks('🔁 測試 Webhook 事件佇列', [
+    {
+      name: '第 1 次失敗後 30 秒重試，之後每次加倍',
+      run: () => [1, 2, 3].map(attempts => secondsAfter(getNextAttemptAt(attempts, now))).join() === '30,60,120',
+    },
+    {
+      name: '重試間隔上限為 30 分鐘',
+      run: () => secondsAfter(getNextAttemptAt(10, now)) === 30 * 60,
+    },
+    {
+      name: '未達次數上限時排定重試',
+      run: () => {
+        const update = getFailureUpdate({ attempts: MAX_ATTEMPTS - 1 }, new Error('timeout'), now);
+        return update.status === 'PENDING' && update.lastError === 'timeout' && update.nextAttemptAt > now;
+      },
+    },
+    {
+      name: `第 ${MAX_ATTEMPTS} 次失敗後移入死信`,
+      run: () => {
+        const nextAttemptAt = new Date('2024-12-31T00:00:00Z');
+        const update = getFailureUpdate({ attempts: MAX_ATTEMPTS, nextAttemptAt }, new Error('timeout'), now);
+        return update.status === 'DEAD' && update.nextAttemptAt === nextAttemptAt;
+      },
+    },
+    {
+      name: '記憶體佇列以事件 ID 去重',
+      run: () => {
+        const start = now.getTime();
+        return rememberMemoryEventId('TEST:dedupe', start) === true
+          && rememberMemoryEventId('TEST:dedupe', start + 1000) === false
+          && rememberMemoryEventId('TEST:other', start + 1000) === true;
+      },
+    },
+    {
+      name: '去重記錄 24 小時後過期',
+      run: () => {
+        const start = now.getTime() + 60 * 1000;
+        rememberMemoryEventId('TEST:expire', start);
+        return rememberMemoryEventId('TEST:expire', start + 25 * 60 * 60 * 1000) === true;
+      },
+    },
+    {
+      name: '記憶體佇列已滿時 Webhook 需回應 5xx',
+      run: () => hasDroppedEvents([{ queued: true }, { queued: false, fallback: true, dropped: true }])
+        && !hasDroppedEvents([{ queued: true }, { queued: false, duplicate: true }]),
+    },
+    {
+      name: '以 LINE / Messenger 訊息 ID 辨識重試的訊息',
+      run: () => getPlatformMessageId({ lineMessageId: '123', lineMessageType: 'text' })?.join() === 'lineMessageId,123'
+        && getPlatformMessageId({ fbMessageId: 'm_1' })?.join() === 'fbMessageId,m_1'
+        && getPlatformMessageId({ type: 'CSAT' }) === null,
+    },
+  ]);
+}
+
+/**
+ * 測試自動分派策略（pickAgent）
+ */
+function testAssignmentStrategies() {
+  const at = minutes => new Date(Date.UTC(2025, 0, 1, 9, minutes));
+  // A：最近被分派、處理中 2 個；B：最久沒被分派、處理中 1 個；C：處理中 0 個、剛結束對話
+  const agents = [
+    { id: 'A', activeCount: 2, lastAssignedAt: at(30), idleSince: at(30).getTime() },
+    { id: 'B', activeCount: 1, lastAssignedAt: at(0), idleSince: at(0).getTime() },
+    { id: 'C', activeCount: 0, lastAssignedAt: at(10), idleSince: at(40).getTime() },
+  ];
+
+  return runChecks('🎯 測試自動分派策略', [
+    {
+      name: '未設定或無效的策略視為手動分派',
+      run: () => getAssignmentStrategy({ settings: {} }) === ASSIGNMENT_STRATEGIES.MANUAL
+        && getAssignmentStrategy({ settings: { assignment: { strategy: 'RANDOM' } } }) === ASSIGNMENT_STRATEGIES.MANUAL
+        && getAssignmentStrategy(null) === ASSIGNMENT_STRATEGIES.MANUAL,
+    },
+    {
+      name: '手動分派或沒有客服時不選客服',
+      run: () => pickAgent(ASSIGNMENT_STRATEGIES.MANUAL, agents) === null
+        && pickAgent(ASSIGNMENT_STRATEGIES.ROUND_ROBIN, []) === null,
+    },
+    {
+      name: 'ROUND_ROBIN：最久沒被分派的客服優先',
+      run: () => pickAgent(ASSIGNMENT_STRATEGIES.ROUND_ROBIN, agents).id === 'B',
+    },
+    {
+      name: 'ROUND_ROBIN：從未被分派的客服最優先',
+      run: () => pickAgent(ASSIGNMENT_STRATEGIES.ROUND_ROBIN, [...agents, { id: 'D', activeCount: 3, lastAssignedAt: null }]).id === 'D',
+    },
+    {
+      name: 'LEAST_BUSY：處理中對話最少的客服優先',
+      run: () => pickAgent(ASSIGNMENT_STRATEGIES.LEAST_BUSY, agents).id === 'C',
+    },
+    {
+      name: 'LEAST_BUSY：對話數相同時最久沒被分派者優先',
+      run: () => pickAgent(ASSIGNMENT_STRATEGIES.LEAST_BUSY, [agents[0], { ...agents[1], activeCount: 2 }]).id === 'B',
+    },
+    {
+      name: 'LONGEST_IDLE：沒有處理中對話的客服優先',
+      run: () => pickAgent(ASSIGNMENT_STRATEGIES.LONGEST_IDLE, agents).id === 'C',
+    },
+    {
+      name: 'LONGEST_IDLE：都有處理中對話時閒置最久者優先',
+      run: () => pickAgent(ASSIGNMENT_STRATEGIES.LONGEST_IDLE, agents.slice(0, 2)).id === 'B',
+    },
+    {
+      name: '不修改傳入的客服列表順序',
+      run: () => {
+        pickAgent(ASSIGNMENT_STRATEGIES.LEAST_BUSY, agents);
+        return agents.map(agent => agent.id).join() === 'A,B,C';
+      },
+    },
+  ]);
+}
+
+/**
+ * 測試客服技能比對（getRequiredSkills、preferSkilledAgents）
+ */
+function testAgentSkills() {
+  const agents = [
+    { id: 'A', skillCategories: ['機票服務'], languages: ['zh'], handlesVip: false },
+    { id: 'B', skillCategories: ['簽證護照'], languages: ['en'], handlesVip: true },
+    { id: 'C', skillCategories: [], languages: [], handlesVip: false },
+  ];
+  const ids = list => list.map(agent => agent.id).join();
+
+  return runChecks('🧭 測試客服技能比對', [
+    {
+      name: '轉接指定的技能群組優先於意圖',
+      run: () => getRequiredSkills({ requiredSkillCategory: '付款收據', lastIntent: 'VISA_INQUIRY' }).category === '付款收據',
+    },
+    {
+      name: '轉人工原因為意圖時優先於最後意圖',
+      run: () => getRequiredSkills({ botHandoffReason: 'TICKET_CHANGE', lastIntent: 'VISA_INQUIRY' }).category === '機票服務'
+        && getRequiredSkills({ botHandoffReason: 'USER_REQUEST', lastIntent: 'VISA_INQUIRY' }).category === '簽證護照',
+    },
+    {
+      name: '非業務類別不作為技能需求',
+      run: () => getRequiredSkills({ lastIntent: 'GREETING' }).category === null,
+    },
+    {
+      name: 'VIP 等級達門檻才需要 VIP 技能',
+      run: () => getRequiredSkills({ customer: { vipLevel: 4 } }).vip === true
+        && getRequiredSkills({ customer: { vipLevel: 3 } }).vip === false,
+    },
+    {
+      name: '客服設定 zh 可服務 zh-TW（不分大小寫）',
+      run: () => getMatchedSkills(agents[0], { category: null, language: 'ZH-tw', vip: false }).join() === 'LANGUAGE'
+        && getMatchedSkills(agents[1], { category: null, language: 'zh-TW', vip: false }).length === 0,
+    },
+    {
+      name: '只保留符合技能數最多的客服，並附上符合的技能',
+      run: () => {
+        const preferred = preferSkilledAgents(agents, { category: '簽證護照', language: 'en', vip: true });
+        return ids(preferred) === 'B' && preferred[0].matchedSkills.join() === 'CATEGORY,LANGUAGE,VIP';
+      },
+    },
+    {
+      name: '符合技能數相同時全部保留',
+      run: () => ids(preferSkilledAgents(agents, { category: '機票服務', language: 'en', vip: false })) === 'A,B',
+    },
+    {
+      name: '沒有客服符合時返回全部客服',
+      run: () => ids(preferSkilledAgents(agents, { category: '付款收據', language: 'ja', vip: false })) === 'A,B,C',
+    },
+    {
+      name: '驗證技能設定',
+      run: () => validateSkills({ skillCategories: ['機票服務'], languages: ['zh-TW', 'en'], handlesVip: true }) === null
+        && validateSkills({ skillCategories: ['對話管理'] }) !== null
+        && validateSkills({ languages: ['中文'] }) !== null
+        && validateSkills({ handlesVip: 'yes' }) !== null,
+    },
+  ]);
+}
+
+/**
+ * 測試 SLA 違規計算
+ */
+function testSlaBreaches() {
+  const start = new Date('2025-01-01T09:00:00Z');
+  const after = (minutes, seconds = 0) => start.getTime() + (minutes * 60 + seconds) * 1000;
+  const policy = getSlaPolicy({ sla: { queueWait: { 3: 12 } } });
+
+  return runChecks('⏱️ 測試 SLA 違規計算', [
+    {
+      name: '區域設定覆寫預設目標，其他優先級保留預設值',
+      run: () => policy.enabled === true && policy.queueWait[3] === 12 && policy.queueWait[5] === 2,
+    },
+    {
+      name: '可停用 SLA',
+      run: () => getSlaPolicy({ sla: { enabled: false } }).enabled === false,
+    },
+    {
+      name: '未達目標分鐘數不算違規',
+      run: () => getSlaBreach(policy, SLA_TYPES.QUEUE_WAIT, 3, start, after(11, 59)) === null,
+    },
+    {
+      name: '達到目標分鐘數即違規，並記錄實際分鐘數',
+      run: () => {
+        const breach = getSlaBreach(policy, SLA_TYPES.QUEUE_WAIT, 3, start, after(12));
+        const late = getSlaBreach(policy, SLA_TYPES.QUEUE_WAIT, 3, start, after(20, 30));
+        return breach?.targetMinutes === 12 && breach.actualMinutes === 12 && late?.actualMinutes === 20;
+      },
+    },
+    {
+      name: '目標依優先級而定',
+      run: () => getSlaBreach(policy, SLA_TYPES.FIRST_RESPONSE, 5, start, after(2)) !== null
+        && getSlaBreach(policy, SLA_TYPES.FIRST_RESPONSE, 1, start, after(2)) === null,
+    },
+    {
+      name: '等待中的對話計算等待接聽時間',
+      run: () => {
+        const timer = getPendingTimer({ status: 'WAITING', botHandoffAt: start });
+        return timer?.type === SLA_TYPES.QUEUE_WAIT && timer.timerStartedAt === start;
+      },
+    },
+    {
+      name: '已分派但客服未回覆時計算首次回覆時間，回覆後不再計算',
+      run: () => getPendingTimer({ status: 'ASSIGNED', assignedAt: start, firstResponseAt: null })?.type === SLA_TYPES.FIRST_RESPONSE
+        && getPendingTimer({ status: 'ASSIGNED', assignedAt: start, firstResponseAt: new Date(after(1)) }) === null,
+    },
+    {
+      name: '驗證 SLA 設定',
+      run: () => validateSlaPolicy({ enabled: true, queueWait: { 5: 1, 1: 1440 } }) === null
+        && validateSlaPolicy({ queueWait: { 6: 10 } }) !== null
+        && validateSlaPolicy({ agentIdle: { 3: 0 } }) !== null
+        && validateSlaPolicy({ firstResponse: [5] }) !== null
+        && validateSlaPolicy({ enabled: 'yes' }) !== null,
+    },
+  ]);
+}
+
+/**
+ * 測試佇列等待時間估計
+ */
+function testQueueEta() {
+  // 2 位客服各可同時處理 3 個對話，平均處理 10 分鐘
+  const eta = (active, position) => calculateWaitMinutes({ capacity: 6, active, handleMinutes: 10, position });
+
+  return runChecks('⏳ 測試佇列等待時間估計', [
+    {
+      name: '沒有線上客服時無法估計',
+      run: () => calculateWaitMinutes({ capacity: 0, active: 0, handleMinutes: 10, position: 1 }) === null,
+    },
+    {
+      name: '有空位時預計 1 分鐘內接聽',
+      run: () => eta(4, 1) === 1 && eta(4, 2) === 1,
+    },
+    {
+      name: '沒有空位時依前面的對話數及處理量估計',
+      run: () => eta(6, 1) === 2 && eta(6, 6) === 10 && eta(6, 7) === 12,
+    },
+    {
+      name: '空位不足時只計算超出空位的部分',
+      run: () => eta(4, 8) === eta(6, 6),
+    },
+    {
+      name: '處理中對話超過上限時不算負的空位',
+      run: () => eta(9, 1) === eta(6, 1),
+    },
+    {
+      name: '佇列狀態提示文字',
+      run: () => formatQueueStatus({ position: 3, etaMinutes: 5 }) === '目前排在第 3 位，預計等待約 5 分鐘。'
+        && formatQueueStatus({ position: 2, etaMinutes: null }).includes('忙線中')
+        && formatQueueStatus(null).includes('即將'),
+    },
+    {
+      name: '辨識詢問等待時間的訊息',
+      run: () => ['還要等多久？', '我排第幾', '前面還有幾位', '怎麼還沒人回'].every(isWaitTimeQuery)
+        && !isWaitTimeQuery('我想訂機票')
+        && !isWaitTimeQuery(null),
+    },
+    {
+      name: '等待提醒門檻排序，未設定時使用預設值',
+      run: () => getQueueNoticeThresholds({ queueNotice: { thresholds: [20, 5] } }).join() === '5,20'
+        && getQueueNoticeThresholds({ queueNotice: { thresholds: [] } }).length === 0
+        && getQueueNoticeThresholds(null).join() === '5,15,30',
+    },
+  ]);
+}
+
+/**
+ * 測試規則式意圖分類（LLM 無法使用時的備援）
+ */
+function testRuleClassifier() {
+  const intentOf = message => classifyByRules(message).intent;
+
+  return runChecks('📏 測試規則式意圖分類', [
+    {
+      name: '整則訊息都是問候語才判定為 GREETING（忽略標點、表情符號）',
+      run: () => intentOf('您好！') === 'GREETING'
+        && intentOf('好的，謝謝 🙏') === 'GREETING'
+        && intentOf('OK') === 'GREETING'
+        && intentOf('好的，我要訂機票') === 'TICKET_BOOK',
+    },
+    {
+      name: '轉人工的表達優先於其他意圖',
+      run: () => intentOf('改票太複雜了，找真人') === 'TRANSFER_AGENT',
+    },
+    {
+      name: '進度查詢優先於辦理／訂票',
+      run: () => intentOf('台胞證辦好了嗎') === 'VISA_PROGRESS'
+        && intentOf('我的機票開好了沒') === 'BOOKING_STATUS',
+    },
+    {
+      name: '改票、退票的費用及規定為一般 FAQ',
+      run: () => intentOf('改票手續費多少') === 'FAQ_GENERAL'
+        && intentOf('回程要改為3/26') === 'TICKET_CHANGE'
+        && intentOf('我要退票') === 'TICKET_CANCEL',
+    },
+    {
+      name: '業務關鍵字對應意圖',
+      run: () => intentOf('可以刷卡嗎') === 'PAYMENT_REQUEST'
+        && intentOf('發票要打統編') === 'RECEIPT_REQUEST'
+        && intentOf('想要靠窗的位子') === 'SEAT_REQUEST'
+        && intentOf('行李可以帶幾公斤') === 'BAGGAGE_INQUIRY'
+        && intentOf('去東京多少錢') === 'QUOTE_REQUEST',
+    },
+    {
+      name: '沒有規則命中或空訊息時為 FAQ_GENERAL，信心度較低',
+      run: () => {
+        const result = classifyByRules('今天天氣如何');
+        return result.intent === 'FAQ_GENERAL' && result.confidence < 0.5
+          && intentOf('') === 'FAQ_GENERAL'
+          && intentOf(null) === 'FAQ_GENERAL';
+      },
+    },
+    {
+      name: '預篩只判定問候及轉人工',
+      run: () => preFilterIntent('謝謝')?.intent === 'GREETING'
+        && preFilterIntent('我要轉人工')?.intent === 'TRANSFER_AGENT'
+        && preFilterIntent('我要訂機票') === null,
+    },
+    {
+      name: '預篩的信心度高於規則分類',
+      run: () => preFilterIntent('你好').confidence > classifyByRules('你好').confidence,
+    },
+  ]);
+}
+
+/**
+ * 測試 FAQ CSV 匯入／匯出格式
+ */
+function testFaqCsv() {
+  const faqs = [
+    {
+      id: 'T-001',
+      category: '機票服務',
+      question: '改票要多少錢？',
+      answer: '依航空公司規定，\n常見為 "NT$1,000" 起。',
+      keywords: ['改票', '費用'],
+      source: '官網',
+      embeddingText: null,
+    },
+    {
+      id: 'T-002',
+      category: '簽證護照',
+      question: '台胞證要幾天？',
+      answer: '一般件約 7 個工作天。',
+      keywords: [],
+      source: null,
+      embeddingText: '台胞證 辦理天數',
+    },
+  ];
+  const csv = formatFAQCsv(faqs);
+  const strip = ({ line, ...faq }) => ({ ...faq, source: faq.source || null });
+
+  return runChecks('📄 測試 FAQ CSV 匯入／匯出', [
+    {
+      name: '匯出後再匯入內容不變（含逗號、引號、換行）',
+      run: () => JSON.stringify(parseFAQCsv(csv).map(strip)) === JSON.stringify(faqs),
+    },
+    {
+      name: '第一行為標題，含逗號、引號、換行的欄位加上引號',
+      run: () => csv.startsWith('id,category,question,answer,keywords,source,embedding_text\n')
+        && csv.includes('"依航空公司規定，\n常見為 ""NT$1,000"" 起。"'),
+    },
+    {
+      name: '略過 BOM、空白列及欄位不足的列，並回報資料所在的列數',
+      run: () => {
+        const rows = parseFAQCsv('\uFEFFid,category,question,answer,keywords\nA1,分類,問題,答案,甲 乙\n\nA2,分類\nA3,分類,問題,答案,\n');
+        return rows.map(row => `${row.id}@${row.line}`).join() === 'A1@2,A3@5'
+          && rows[0].keywords.join() === '甲,乙'
+          && rows[1].keywords.length === 0
+          && rows[1].source === null;
+      },
+    },
+    {
+      name: '引號內的換行、CRLF 換行計入列數',
+      run: () => parseFAQCsv('id,category,question,answer,keywords\r\nB1,分類,問題,"第一行\r\n第二行",\r\nB2,分類,問題,答案,\r\n')
+        .map(row => `${row.id}@${row.line}`).join() === 'B1@2,B2@4',
+    },
+    {
+      name: '匯入的內容須通過驗證',
+      run: () => validateFaqContent(strip(parseFAQCsv(csv)[0])) === null
+        && validateFaqContent({ category: '分類', question: ' ', answer: '答案' }) === 'question 為必填'
+        && validateFaqContent({ category: '分類', question: 'Q'.repeat(201), answer: '答案' }) !== null
+        && validateFaqContent({ answer: '新答案' }, true) === null,
+    },
+  ]);
+}
+
+/**
+ * 測試 FAQ 缺口分群
+ */
+function testFaqGapClustering() {
+  let nextId = 1;
+  const query = (message, reason = 'NO_MATCH', minutes = 0) => ({
+    id: `Q${nextId++}`,
+    message,
+    reason,
+    intent: null,
+    topFaqCode: null,
+    conversationId: `C${nextId % 3}`,
+    createdAt: new Date(Date.UTC(2025, 0, 1, 9, minutes)),
+  });
+  // 分群以 TF-IDF 計算，需要有不相關的問題，共同的詞才有鑑別度
+  const queries = [
+    query('寵物可以帶上飛機嗎', 'NO_MATCH', 0),
+    query('貓咪可以帶上飛機嗎', 'LOW_SCORE', 5),
+    query('狗可以帶上飛機嗎？', 'NO_MATCH', 10),
+    query('機場接送怎麼預約', 'HANDOFF', 15),
+    query('機場接送要預約嗎', 'NO_MATCH', 20),
+    query('護照過期怎麼辦'),
+    query('可以開公司發票嗎'),
+    query('行李限重多少'),
+    query('🙏🙏'),
+  ];
+  const clusters = clusterQueries(queries);
+  const messages = cluster => cluster.queries.map(item => item.message);
+
+  return runChecks('🕳️ 測試 FAQ 缺口分群', [
+    {
+      name: '相似的問題分在同一群，不相關的問題自成一群',
+      run: () => clusters.length === 5
+        && messages(clusters[0]).length === 3
+        && messages(clusters[1]).join() === '機場接送怎麼預約,機場接送要預約嗎'
+        && clusters.slice(2).every(cluster => cluster.queries.length === 1),
+    },
+    {
+      name: '沒有可比對詞的問題不分群',
+      run: () => !clusters.some(cluster => messages(cluster).includes('🙏🙏')),
+    },
+    {
+      name: '群摘要：問題數、原因分布、時間範圍',
+      run: () => {
+        const summary = summarizeCluster(clusters[0]);
+        return summary.size === 3
+          && summary.reasons.NO_MATCH === 2 && summary.reasons.LOW_SCORE === 1
+          && summary.firstSeenAt.getUTCMinutes() === 0
+          && summary.lastSeenAt.getUTCMinutes() === 10;
+      },
+    },
+    {
+      name: '關鍵詞為至少兩則問題共同出現的詞，只有一則問題時沒有關鍵詞',
+      run: () => {
+        const { keywords } = summarizeCluster(clusters[0]);
+        return keywords.includes('飛機') && !keywords.includes('寵物')
+          && summarizeCluster(clusters[2]).keywords.length === 0;
+      },
+    },
+    {
+      name: '代表問題為群中的原話',
+      run: () => messages(clusters[0]).includes(summarizeCluster(clusters[0]).representative),
+    },
+  ]);
+}
+
 /**
  * 主測試函數
  */
@@ -357,6 +1229,23 @@ async function runTests() {
   // 4. 測試意圖分類（需要 API）
   results.intentClassification = await testIntentClassification();
 
+  // 5. 純邏輯測試（不需要 API 及資料庫）
+  const checks = {
+    'FAQ 檢索引擎': await testFAQSearchEngine(),
+    'Token 驗證': await testAuthTokens(),
+    '訪客歷史訊息': await testVisitorHistory(),
+    'Webhook 佇列': await testWebhookQueue(),
+    'Messenger 事件': await testFbInboundEvents(),
+    'LINE 訊息轉換': await testLineTemplates(),
+    '自動分派策略': await testAssignmentStrategies(),
+    '客服技能比對': await testAgentSkills(),
+    'SLA 違規計算': await testSlaBreaches(),
+    '佇列等待時間': await testQueueEta(),
+    '規則式意圖分類': await testRuleClassifier(),
+    'FAQ CSV': await testFaqCsv(),
+    'FAQ 缺口分群': await testFaqGapClustering(),
+  };
+
   // 總結
   console.log('\n' + '='.repeat(60));
   console.log('📊 測試總結');
@@ -371,6 +1260,13 @@ async function runTests() {
   if (results.intentClassification) {
     console.log(`意圖分類:      ${results.intentClassification.passed}/${results.intentClassification.total} 通過`);
   }
+  for (const [name, result] of Object.entries(checks)) {
+    console.log(`${name}: ${result.passed}/${result.total} 通過`);
+  }
+
+  if (Object.values(checks).some(result => result.failed > 0)) {
+    process.exitCode = 1;
+  }
 
   console.log('\n✅ 測試完成！');
   console.log('='.repeat(60));
@@ -367,7 +367,7 @@ async function runAllTests() {
   console.log('\n🔧 初始化意圖分類器...');
   const initialized = initIntentClassifier();
   if (!initialized) {
-    console.error('❌ 意圖分類器初始化失敗，請檢查 GEMINI_API_KEY 環境變數');
+    console.error('❌ 意圖分類器初始化失敗，請檢查 LLM_PROVIDER / GEMINI_API_KEY 環境變數');
     process.exit(1);
   }
   console.log('✅ 意圖分類器已就緒\n');